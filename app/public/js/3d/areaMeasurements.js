@@ -0,0 +1,301 @@
+// Surface measurements on the primary model: its total surface area and
+// enclosed volume, and the area of regions painted on it with a brush. Both
+// work on the welded full-resolution surface from `getModelSurface`, in the
+// model's local space, and are scaled to world units (centimetres, like the
+// scale reference cube) when reported.
+import * as THREE from 'three';
+import {
+  buildVertexTriangles,
+  collectTrianglesWithin,
+  computeSurfaceAnalytics,
+  measureTriangles,
+} from './meshAnalytics.js';
+import { MEASUREMENT_UNIT } from './measurements.js';
+
+const AREA_REGION_COLOR = 0x38bdf8;
+// Brush radius as a share of the model's bounding radius.
+const AREA_BRUSH_RADIUS_RATIO = 0.05;
+
+/**
+ * Adds surface area, region area and volume helpers to a Viewer3D prototype.
+ *
+ * @param {typeof import('./viewer3d.js').Viewer3D.prototype} viewerProto
+ */
+export function applyAreaMeasurementsMixin(viewerProto) {
+  viewerProto.setupAreaMeasurements = function setupAreaMeasurements() {
+    this.areaBrushStroke = null;
+    this.measureMaterials.region = new THREE.MeshBasicMaterial({
+      color: AREA_REGION_COLOR,
+      transparent: true,
+      opacity: 0.35,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1,
+    });
+
+    this.handleAreaBrushPointerDown = this.handleAreaBrushPointerDown.bind(this);
+    this.handleAreaBrushPointerMove = this.handleAreaBrushPointerMove.bind(this);
+    this.handleAreaBrushPointerUp = this.handleAreaBrushPointerUp.bind(this);
+
+    const domElement = this.renderer.domElement;
+    domElement.addEventListener('pointerdown', this.handleAreaBrushPointerDown);
+    domElement.addEventListener('pointermove', this.handleAreaBrushPointerMove);
+    domElement.addEventListener('pointerup', this.handleAreaBrushPointerUp);
+    domElement.addEventListener('pointercancel', this.handleAreaBrushPointerUp);
+  };
+
+  /**
+   * Returns the uniform world scale of the primary model (comparison scale
+   * normalisation resizes it).
+   *
+   * @returns {number}
+   */
+  viewerProto.getModelWorldScale = function getModelWorldScale() {
+    if (!this.currentModelGroup) {
+      return 1;
+    }
+    this.currentModelGroup.updateMatrixWorld(true);
+    return this.currentModelGroup.getWorldScale(new THREE.Vector3()).x;
+  };
+
+  /**
+   * Measures the whole primary model. The volume is only given for a
+   * watertight surface; `openEdges` and `nonManifoldEdges` tell why a surface
+   * is not.
+   *
+   * @returns {{area: number, volume: number|null, watertight: boolean, openEdges: number, nonManifoldEdges: number, triangleCount: number, unit: string}|null}
+   *   Area in square units and volume in cubic units, or null without a
+   *   model. A point cloud has no triangles and no area.
+   */
+  viewerProto.getMeshAnalytics = function getMeshAnalytics() {
+    const modelSurface = this.getModelSurface();
+    if (!modelSurface) {
+      return null;
+    }
+    if (!modelSurface.analytics) {
+      modelSurface.analytics = computeSurfaceAnalytics(modelSurface.surface);
+    }
+    const { area, volume, ...census } = modelSurface.analytics;
+    const scale = this.getModelWorldScale();
+    return {
+      ...census,
+      area: area * scale ** 2,
+      volume: volume === null ? null : volume * scale ** 3,
+      unit: MEASUREMENT_UNIT,
+    };
+  };
+
+  viewerProto.getAreaBrushRadius = function getAreaBrushRadius() {
+    return (this.viewState?.radius || 1) * AREA_BRUSH_RADIUS_RATIO;
+  };
+
+  viewerProto.isAreaBrushActive = function isAreaBrushActive() {
+    return this.measurementMode && this.measurementType === 'area';
+  };
+
+  viewerProto.handleAreaBrushPointerDown = function handleAreaBrushPointerDown(event) {
+    if (!this.isAreaBrushActive() || event.button !== 0) {
+      return;
+    }
+    const intersection = this.pickMeasurementIntersection(event);
+    // Dragging off the model still turns the camera.
+    if (!intersection) {
+      return;
+    }
+    this.areaBrushStroke = {
+      controlsWereEnabled: this.controls ? this.controls.enabled : false,
+      lastEvent: null,
+      framePending: false,
+    };
+    if (this.controls) {
+      this.controls.enabled = false;
+    }
+    this.paintAreaRegion(intersection);
+  };
+
+  viewerProto.handleAreaBrushPointerMove = function handleAreaBrushPointerMove(event) {
+    const stroke = this.areaBrushStroke;
+    if (!stroke) {
+      return;
+    }
+    stroke.lastEvent = event;
+    if (stroke.framePending) {
+      return;
+    }
+    // Raycasting a dense mesh is costly: paint at most once per frame.
+    stroke.framePending = true;
+    requestAnimationFrame(() => {
+      stroke.framePending = false;
+      if (this.areaBrushStroke !== stroke || !stroke.lastEvent) {
+        return;
+      }
+      const intersection = this.pickMeasurementIntersection(stroke.lastEvent);
+      if (intersection) {
+        this.paintAreaRegion(intersection);
+      }
+    });
+  };
+
+  viewerProto.handleAreaBrushPointerUp = function handleAreaBrushPointerUp() {
+    const stroke = this.areaBrushStroke;
+    if (!stroke) {
+      return;
+    }
+    this.areaBrushStroke = null;
+    if (this.controls) {
+      this.controls.enabled = stroke.controlsWereEnabled;
+    }
+  };
+
+  /**
+   * Adds the triangles under the brush to the region in progress.
+   *
+   * @param {THREE.Intersection} intersection - Hit on the full-resolution model.
+   */
+  viewerProto.paintAreaRegion = function paintAreaRegion(intersection) {
+    const modelSurface = this.getModelSurface();
+    const offset = modelSurface?.triangleOffsets.get(intersection.object);
+    if (offset === undefined || typeof intersection.faceIndex !== 'number') {
+      return;
+    }
+    if (!modelSurface.vertexTriangles) {
+      modelSurface.vertexTriangles = buildVertexTriangles(modelSurface.surface);
+    }
+    if (this.pendingMeasurement?.type !== 'area') {
+      this.cancelPendingMeasurement();
+      this.pendingMeasurement = createAreaRegion(modelSurface.surface);
+    }
+    const pending = this.pendingMeasurement;
+    const center = this.currentModelGroup.worldToLocal(intersection.point.clone()).toArray();
+    const radius = this.getAreaBrushRadius() / this.getModelWorldScale();
+    const painted = collectTrianglesWithin(
+      modelSurface.surface,
+      modelSurface.vertexTriangles,
+      offset + intersection.faceIndex,
+      center,
+      radius
+    );
+    const before = pending.triangles.size;
+    painted.forEach((triangle) => pending.triangles.add(triangle));
+    if (pending.triangles.size === before) {
+      return;
+    }
+    this.updateAreaRegionGeometry(pending, modelSurface.surface);
+    if (!pending.labelEl) {
+      pending.labelEl = this.createMeasurementLabel(this.formatMeasurementLabel(pending));
+    } else {
+      pending.labelEl.textContent = this.formatMeasurementLabel(pending);
+    }
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+  };
+
+  /**
+   * Rebuilds the highlight and local area of a region from its triangles.
+   */
+  viewerProto.updateAreaRegionGeometry = function updateAreaRegionGeometry(region, surface) {
+    const { area, centroid } = measureTriangles(surface, region.triangles);
+    region.areaLocal = area;
+    region.centroidLocal.fromArray(centroid);
+
+    const positions = new Float32Array(region.triangles.size * 9);
+    let offset = 0;
+    region.triangles.forEach((triangle) => {
+      for (let corner = 0; corner < 3; corner++) {
+        const vertex = surface.triangles[triangle * 3 + corner];
+        positions[offset++] = surface.positions[vertex * 3];
+        positions[offset++] = surface.positions[vertex * 3 + 1];
+        positions[offset++] = surface.positions[vertex * 3 + 2];
+      }
+    });
+    if (!region.highlight) {
+      region.highlight = new THREE.Mesh(new THREE.BufferGeometry(), this.measureMaterials.region);
+      region.highlight.matrixAutoUpdate = false;
+      region.highlight.renderOrder = 998;
+      this.measureGroup.add(region.highlight);
+    }
+    region.highlight.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    region.highlight.geometry.computeBoundingSphere();
+    this.updateAreaRegionPlacement(region);
+  };
+
+  /**
+   * Places a region on the model as currently posed and converts its area to
+   * world units.
+   */
+  viewerProto.updateAreaRegionPlacement = function updateAreaRegionPlacement(region) {
+    if (!this.currentModelGroup) {
+      return;
+    }
+    this.currentModelGroup.updateMatrixWorld(true);
+    region.highlight?.matrix.copy(this.currentModelGroup.matrixWorld);
+    region.area = region.areaLocal * this.getModelWorldScale() ** 2;
+    region.midpoint.copy(this.currentModelGroup.localToWorld(region.centroidLocal.clone()));
+  };
+
+  viewerProto.createAreaMeasurement = function createAreaMeasurement(region) {
+    const measurement = {
+      ...region,
+      id: ++this.measurementCounter,
+      triangles: [...region.triangles],
+    };
+    this.measurements.push(measurement);
+    this.emit('measurementadd', { measurement });
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+    return measurement;
+  };
+
+  /**
+   * Recreates a region from the ids of the surface triangles it covers.
+   * Triangle ids only hold on the surface they were taken from, so a region
+   * from a surface with another triangle count (another variant of the
+   * model, say) is refused.
+   *
+   * @param {number[]} triangles - Surface triangle ids.
+   * @param {number} surfaceTriangles - Triangle count of that surface.
+   * @returns {object|null} The new measurement, or null when the region does
+   *   not fit the loaded model.
+   */
+  viewerProto.restoreAreaMeasurement = function restoreAreaMeasurement(triangles, surfaceTriangles) {
+    const modelSurface = this.getModelSurface();
+    const count = modelSurface?.surface.triangleCount;
+    if (
+      !count ||
+      surfaceTriangles !== count ||
+      !Array.isArray(triangles) ||
+      !triangles.length ||
+      !triangles.every((triangle) => Number.isInteger(triangle) && triangle >= 0 && triangle < count)
+    ) {
+      return null;
+    }
+    const region = createAreaRegion(modelSurface.surface);
+    triangles.forEach((triangle) => region.triangles.add(triangle));
+    this.updateAreaRegionGeometry(region, modelSurface.surface);
+    region.labelEl = this.createMeasurementLabel(this.formatMeasurementLabel(region));
+    return this.createAreaMeasurement(region);
+  };
+
+  viewerProto.formatMeasurementArea = function formatMeasurementArea(area) {
+    return `${area.toFixed(2)} ${MEASUREMENT_UNIT}²`;
+  };
+}
+
+// `surfaceTriangles` records which surface the triangle ids refer to.
+function createAreaRegion(surface) {
+  return {
+    type: 'area',
+    triangles: new Set(),
+    surfaceTriangles: surface.triangleCount,
+    areaLocal: 0,
+    centroidLocal: new THREE.Vector3(),
+    area: 0,
+    midpoint: new THREE.Vector3(),
+    highlight: null,
+    labelEl: null,
+  };
+}
@@ -1,6 +1,5 @@
 // Provides comparison mode behaviors, enabling dual-model visualization within the viewer.
 import * as THREE from 'three';
-import { extractMtllibReferences, parseMtl } from './materials.js';
 
 export function applyComparisonMixin(viewerProto) {
   // Track comparison state and prepare default metadata structures.
@@ -113,7 +112,7 @@ export function applyComparisonMixin(viewerProto) {
     console.log('loadComparisonModel called with:', {
       comparisonMode: this.comparisonMode,
       hasSource: !!source,
-      objUrl: source?.objUrl,
+      modelUrl: source?.modelUrl,
       metadata,
     });
 
@@ -123,8 +122,8 @@ export function applyComparisonMixin(viewerProto) {
       throw error;
     }
 
-    if (!source || !source.objUrl) {
-      const error = new Error('A model source with an objUrl is required');
+    if (!source || !source.modelUrl) {
+      const error = new Error('A model source with a modelUrl is required');
       console.error('Source validation failed:', source);
       throw error;
     }
@@ -137,15 +136,17 @@ export function applyComparisonMixin(viewerProto) {
 
     const progressState = {
       obj: 0,
+      parse: 0,
       mtl: 0,
       textures: 0,
       final: 0,
     };
     const emitLoadProgress = () => {
       const percent = Math.round(
-        progressState.obj * 50 + 
-        progressState.mtl * 15 + 
-        progressState.textures * 15 + 
+        progressState.obj * 40 +
+        progressState.parse * 20 +
+        progressState.mtl * 10 +
+        progressState.textures * 10 +
         progressState.final * 20
       );
       this.emit('comparisonloadprogress', {
@@ -157,100 +158,17 @@ export function applyComparisonMixin(viewerProto) {
     emitLoadProgress();
 
     try {
-      console.log('Fetching OBJ from:', source.objUrl);
-      const objText = await this._fetchTextWithProgress(source.objUrl, (ratio) => {
-        progressState.obj = Math.min(Math.max(ratio, 0), 1);
-        emitLoadProgress();
+      const object = await this.loadModelObject(source, {
+        progressState,
+        emitLoadProgress,
+        isCurrent: () => this.comparisonLoadToken === loadToken,
       });
-      console.log('OBJ loaded, length:', objText?.length);
 
-      if (this.comparisonLoadToken !== loadToken) {
+      if (!object || this.comparisonLoadToken !== loadToken) {
         console.log('Load token invalidated, aborting');
         return;
       }
-
-      const mtllibRefs = extractMtllibReferences(objText);
-      let materialLibrary = null;
-
-      if (!mtllibRefs.length) {
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-
-      if (Array.isArray(mtllibRefs) && mtllibRefs.length && source.resolveMaterialLibrary) {
-        for (const ref of mtllibRefs) {
-          const resolved = source.resolveMaterialLibrary(ref, {
-            objDirectory: source.objDirectory,
-          });
-          if (resolved) {
-            materialLibrary = resolved;
-            break;
-          }
-        }
-      }
-
-      if (!materialLibrary && source.defaultMaterialLibrary) {
-        materialLibrary = source.defaultMaterialLibrary;
-      }
-
-      if (!materialLibrary?.url) {
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-
-      let parsedMaterialDefs = new Map();
-      let textures = new Map();
-
-      if (materialLibrary?.url) {
-        const mtlText = await this._fetchTextWithProgress(materialLibrary.url, (ratio) => {
-          progressState.mtl = Math.min(Math.max(ratio, 0), 1);
-          emitLoadProgress();
-        });
-        if (this.comparisonLoadToken !== loadToken) {
-          return;
-        }
-        parsedMaterialDefs = parseMtl(mtlText);
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-
-      const { materialDefs, texturesNeeded } = this.prepareMaterialDefinitions(parsedMaterialDefs, source, materialLibrary);
-
-      if (texturesNeeded.size) {
-        const textureCount = texturesNeeded.size;
-        let loadedTextures = 0;
-        textures = await this.loadTextures(texturesNeeded, () => {
-          loadedTextures++;
-          progressState.textures = Math.min(loadedTextures / textureCount, 1);
-          emitLoadProgress();
-        });
-        if (this.comparisonLoadToken !== loadToken) {
-          return;
-        }
-      } else {
-        textures = new Map();
-        progressState.textures = 1;
-        emitLoadProgress();
-      }
-
-      progressState.final = 0.1;
-      emitLoadProgress();
-      
-      console.log('Parsing OBJ...');
-      const object = this.objLoader.parse(objText);
-      console.log('OBJ parsed, object:', object);
-
-      if (this.comparisonLoadToken !== loadToken) {
-        console.log('Load token invalidated after parsing, aborting');
-        return;
-      }
-
-      progressState.final = 0.3;
-      emitLoadProgress();
-
-      console.log('Applying materials...');
-      const { materialInstances, defaultMaterial } = this.buildMaterialInstances(materialDefs, textures);
-      this.applyMaterialsToObject(object, materialInstances, defaultMaterial);
+      this.simplifyModelForDisplay(object);
 
       progressState.final = 0.5;
       emitLoadProgress();
@@ -311,7 +229,7 @@ export function applyComparisonMixin(viewerProto) {
     } catch (error) {
       console.error('Failed to load comparison model - Full error:', error);
       console.error('Error stack:', error.stack);
-      this.emit('comparisonloaderror', { error });
+      this.emit('comparisonloaderror', { source, error, reason: error?.reason || 'failed' });
       throw error;
     }
   };
@@ -0,0 +1,46 @@
+// Decoders for compressed assets: Draco and Meshopt geometry, KTX2/Basis
+// textures. The Draco and Basis decoders are WebAssembly modules fetched on
+// first use, so their loaders are created lazily and shared by every load.
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+
+// Decoder files of the three.js release pinned by the import map in index.html.
+const DECODER_BASE_URL = 'https://unpkg.com/three@0.161.0/examples/jsm/libs/';
+
+let dracoLoader = null;
+let ktx2Loader = null;
+
+/**
+ * Returns the shared Draco loader. The full decoder is used (not the glTF-only
+ * build) because standalone DRC files may hold point clouds.
+ *
+ * @returns {DRACOLoader}
+ */
+export function getDracoLoader() {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader();
+    dracoLoader.setDecoderPath(`${DECODER_BASE_URL}draco/`);
+  }
+  return dracoLoader;
+}
+
+/**
+ * Returns the shared KTX2 loader. Basis payloads are transcoded to a GPU format
+ * the renderer supports, so the first renderer passed in is probed.
+ *
+ * @param {THREE.WebGLRenderer} [renderer] - Renderer the textures are drawn with.
+ * @returns {KTX2Loader}
+ */
+export function getKtx2Loader(renderer) {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader();
+    ktx2Loader.setTranscoderPath(`${DECODER_BASE_URL}basis/`);
+    if (renderer) {
+      ktx2Loader.detectSupport(renderer);
+    }
+  }
+  return ktx2Loader;
+}
+
+export { MeshoptDecoder };
@@ -95,20 +95,20 @@ export function applyExportMixin(viewerProto) {
   viewerProto.addMeasurementLabelsToCanvas = function (canvas, ctx) {
     const width = canvas.width;
     const height = canvas.height;
-    if (
-      !this.measureOverlay ||
-      (this.measurements.length === 0 && !this.shouldRenderScaleReferenceLabel())
-    ) {
+    if (!this.measureOverlay) {
+      return;
+    }
+    const anchors = this.getMeasurementLabelAnchors();
+    if (anchors.length === 0 && !this.shouldRenderScaleReferenceLabel()) {
       return;
     }
 
-    this.measurements.forEach((measurement) => {
-      const label = measurement.labelEl;
-      if (!label || label.classList.contains('hidden')) {
+    anchors.forEach(({ el: label, position, segment }) => {
+      if (label.classList.contains('hidden')) {
         return;
       }
 
-      const projected = measurement.midpoint.clone().project(this.camera);
+      const projected = position.clone().project(this.camera);
       const visible = projected.z >= -1 && projected.z <= 1;
       if (!visible) {
         return;
@@ -116,8 +116,9 @@ export function applyExportMixin(viewerProto) {
 
       const screenX = (projected.x * 0.5 + 0.5) * width;
       const screenY = (-projected.y * 0.5 + 0.5) * height;
-      const text = this.formatMeasurementDistance(measurement.distance);
-      const fontSize = Math.max(12, Math.floor(width / 80));
+      const text = label.textContent;
+      // Segment lengths of a path are drawn smaller than its total.
+      const fontSize = Math.max(segment ? 10 : 12, Math.floor(width / (segment ? 95 : 80)));
       ctx.font = `500 ${fontSize}px Arial, sans-serif`;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
@@ -154,7 +155,11 @@ export function applyExportMixin(viewerProto) {
       ctx.quadraticCurveTo(boxX, boxY, boxX + borderRadius, boxY);
       ctx.closePath();
       ctx.fill();
+      if (label.classList.contains('simplified')) {
+        ctx.setLineDash([fontSize * 0.3, fontSize * 0.2]);
+      }
       ctx.stroke();
+      ctx.setLineDash([]);
 
       ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
       ctx.fillText(text, screenX, screenY);
@@ -0,0 +1,457 @@
+// Landmark digitising on the primary model. A template lists the landmarks of
+// one skeletal element in order and clicks place them one after the other;
+// without a template every click adds a numbered landmark. Placed landmarks
+// can be dragged along the surface and relabelled. Positions are kept in the
+// model's own coordinates, which are those of the published file and do not
+// change with rotation or comparison scaling.
+import * as THREE from 'three';
+import { MEASUREMENT_UNIT } from './measurements.js';
+
+const LANDMARK_COLOR = 0xf97316;
+const LANDMARK_ACTIVE_COLOR = 0xfacc15;
+const LANDMARK_CLICK_DRAG_THRESHOLD = 4;
+// Pointer distance, in CSS pixels, at which a marker can be grabbed.
+const LANDMARK_GRAB_RADIUS = 12;
+
+/**
+ * Adds landmark digitising helpers to a Viewer3D prototype.
+ *
+ * @param {typeof import('./viewer3d.js').Viewer3D.prototype} viewerProto
+ */
+export function applyLandmarksMixin(viewerProto) {
+  viewerProto.setupLandmarks = function setupLandmarks() {
+    this.landmarkGroup = new THREE.Group();
+    this.landmarkGroup.name = 'Landmarks';
+    this.scene.add(this.landmarkGroup);
+
+    this.landmarkMode = false;
+    this.landmarkTemplate = null;
+    this.landmarks = [];
+    // Landmark placed by the next click; `landmarks.length` adds a free
+    // landmark and -1 means every template landmark is placed.
+    this.activeLandmarkIndex = 0;
+    this.landmarkPointerDown = null;
+    this.landmarkDrag = null;
+
+    this.landmarkMaterials = {
+      placed: new THREE.MeshBasicMaterial({
+        color: LANDMARK_COLOR,
+        depthTest: false,
+        depthWrite: false,
+      }),
+      active: new THREE.MeshBasicMaterial({
+        color: LANDMARK_ACTIVE_COLOR,
+        depthTest: false,
+        depthWrite: false,
+      }),
+    };
+
+    this.handleLandmarkPointerDown = this.handleLandmarkPointerDown.bind(this);
+    this.handleLandmarkPointerMove = this.handleLandmarkPointerMove.bind(this);
+    this.handleLandmarkPointerUp = this.handleLandmarkPointerUp.bind(this);
+
+    const domElement = this.renderer.domElement;
+    domElement.addEventListener('pointerdown', this.handleLandmarkPointerDown);
+    domElement.addEventListener('pointermove', this.handleLandmarkPointerMove);
+    domElement.addEventListener('pointerup', this.handleLandmarkPointerUp);
+    domElement.addEventListener('pointercancel', this.handleLandmarkPointerUp);
+  };
+
+  viewerProto.isLandmarkModeEnabled = function isLandmarkModeEnabled() {
+    return this.landmarkMode;
+  };
+
+  /**
+   * Turns landmark digitising on or off. It shares the pointer with the
+   * measurement tool, which is turned off while landmarks are placed.
+   *
+   * @param {boolean} enabled
+   * @returns {boolean} Applied state.
+   */
+  viewerProto.setLandmarkModeEnabled = function setLandmarkModeEnabled(enabled) {
+    const next = Boolean(enabled);
+    if (this.landmarkMode === next) {
+      return this.landmarkMode;
+    }
+    if (next) {
+      this.setMeasurementModeEnabled(false);
+    } else {
+      this.endLandmarkDrag();
+      this.landmarkPointerDown = null;
+    }
+    this.landmarkMode = next;
+    this.emit('landmarkmode', { enabled: this.landmarkMode });
+    return this.landmarkMode;
+  };
+
+  viewerProto.getLandmarkTemplate = function getLandmarkTemplate() {
+    return this.landmarkTemplate;
+  };
+
+  /**
+   * Starts a landmark set from a template, or a free set when `template` is
+   * null. Landmarks placed so far are discarded.
+   *
+   * @param {{name: string, element?: string, landmarks: {id: string, name: string, description?: string}[]}|null} template
+   */
+  viewerProto.setLandmarkTemplate = function setLandmarkTemplate(template) {
+    this.removeLandmarkObjects();
+    this.landmarkTemplate = template || null;
+    this.landmarks = (template?.landmarks || []).map((landmark) => ({
+      id: landmark.id,
+      label: landmark.name,
+      description: landmark.description || '',
+      positionLocal: null,
+      position: null,
+      marker: null,
+      labelEl: null,
+    }));
+    this.activeLandmarkIndex = 0;
+    this.emitLandmarksChange();
+  };
+
+  /**
+   * Lists the landmarks in template order.
+   *
+   * @returns {{id: string, label: string, description: string, position: number[]|null}[]}
+   *   Positions in model coordinates; null for landmarks not placed yet.
+   */
+  viewerProto.getLandmarks = function getLandmarks() {
+    return this.landmarks.map(({ id, label, description, positionLocal }) => ({
+      id,
+      label,
+      description,
+      position: positionLocal ? positionLocal.toArray() : null,
+    }));
+  };
+
+  /**
+   * Returns the landmarks with their template, ready for export.
+   *
+   * @returns {{template: {name: string, element: string}|null, unit: string, landmarks: {id: string, label: string, position: number[]|null}[]}}
+   */
+  viewerProto.getLandmarkSet = function getLandmarkSet() {
+    return {
+      template: this.landmarkTemplate
+        ? { name: this.landmarkTemplate.name, element: this.landmarkTemplate.element || '' }
+        : null,
+      unit: MEASUREMENT_UNIT,
+      landmarks: this.getLandmarks().map(({ id, label, position }) => ({ id, label, position })),
+    };
+  };
+
+  viewerProto.getActiveLandmarkIndex = function getActiveLandmarkIndex() {
+    return this.activeLandmarkIndex;
+  };
+
+  /**
+   * Chooses the landmark placed by the next click. Selecting a placed
+   * landmark places it again.
+   *
+   * @param {number} index - Template index; `landmarks.length` in a free set
+   *   adds a landmark.
+   * @returns {number} Applied index.
+   */
+  viewerProto.setActiveLandmarkIndex = function setActiveLandmarkIndex(index) {
+    const limit = this.landmarkTemplate ? this.landmarks.length - 1 : this.landmarks.length;
+    if (!Number.isInteger(index) || index < 0 || index > limit || index === this.activeLandmarkIndex) {
+      return this.activeLandmarkIndex;
+    }
+    this.activeLandmarkIndex = index;
+    this.updateLandmarkMarkers();
+    this.emitLandmarksChange();
+    return this.activeLandmarkIndex;
+  };
+
+  /**
+   * Places a landmark at a point of the model and moves the prompt on to the
+   * next landmark still missing.
+   *
+   * @param {number} index - Landmark index; `landmarks.length` in a free set adds one.
+   * @param {THREE.Vector3} point - World position on the model.
+   * @returns {boolean} Whether the landmark was placed.
+   */
+  viewerProto.placeLandmark = function placeLandmark(index, point) {
+    if (!this.currentModelGroup || !point) {
+      return false;
+    }
+    if (!this.landmarkTemplate && index === this.landmarks.length) {
+      this.landmarks.push({
+        id: `LM${index + 1}`,
+        label: `LM${index + 1}`,
+        description: '',
+        positionLocal: null,
+        position: null,
+        marker: null,
+        labelEl: null,
+      });
+    }
+    const landmark = this.landmarks[index];
+    if (!landmark) {
+      return false;
+    }
+    this.setLandmarkPosition(landmark, point);
+    if (index === this.activeLandmarkIndex) {
+      this.activeLandmarkIndex = this.findNextLandmarkIndex(index);
+    }
+    this.updateLandmarkMarkers();
+    this.emitLandmarksChange();
+    return true;
+  };
+
+  /**
+   * Returns the landmark to prompt for after `index`: the next one missing,
+   * wrapping around the template.
+   */
+  viewerProto.findNextLandmarkIndex = function findNextLandmarkIndex(index) {
+    if (!this.landmarkTemplate) {
+      return this.landmarks.length;
+    }
+    const count = this.landmarks.length;
+    for (let step = 1; step <= count; step++) {
+      const candidate = (index + step) % count;
+      if (!this.landmarks[candidate].positionLocal) {
+        return candidate;
+      }
+    }
+    return -1;
+  };
+
+  viewerProto.setLandmarkPosition = function setLandmarkPosition(landmark, point) {
+    this.currentModelGroup.updateMatrixWorld(true);
+    landmark.positionLocal = this.currentModelGroup.worldToLocal(point.clone());
+    landmark.position = point.clone();
+    if (!landmark.marker) {
+      const geometry = new THREE.SphereGeometry(this.computeMarkerRadius() * 1.2, 20, 16);
+      landmark.marker = new THREE.Mesh(geometry, this.landmarkMaterials.placed);
+      landmark.marker.renderOrder = 1000;
+      this.landmarkGroup.add(landmark.marker);
+    }
+    landmark.marker.position.copy(point);
+    if (!landmark.labelEl) {
+      landmark.labelEl = this.createLandmarkLabel(landmark);
+    }
+  };
+
+  /**
+   * Renames a landmark; an empty label restores its id.
+   *
+   * @param {number} index
+   * @param {string} label
+   * @returns {boolean} Whether the landmark exists.
+   */
+  viewerProto.renameLandmark = function renameLandmark(index, label) {
+    const landmark = this.landmarks[index];
+    if (!landmark) {
+      return false;
+    }
+    landmark.label = String(label ?? '').trim() || landmark.id;
+    if (landmark.labelEl) {
+      landmark.labelEl.textContent = landmark.label;
+    }
+    this.emitLandmarksChange();
+    return true;
+  };
+
+  /**
+   * Removes a landmark's point. A template landmark stays listed, to be
+   * placed again next; a free landmark is dropped.
+   *
+   * @param {number} index
+   * @returns {boolean} Whether the landmark exists.
+   */
+  viewerProto.removeLandmark = function removeLandmark(index) {
+    const landmark = this.landmarks[index];
+    if (!landmark) {
+      return false;
+    }
+    this.removeLandmarkObjects([landmark]);
+    if (this.landmarkTemplate) {
+      landmark.positionLocal = null;
+      landmark.position = null;
+      this.activeLandmarkIndex = index;
+    } else {
+      this.landmarks.splice(index, 1);
+      this.activeLandmarkIndex = this.landmarks.length;
+    }
+    this.updateLandmarkMarkers();
+    this.emitLandmarksChange();
+    return true;
+  };
+
+  /**
+   * Removes every landmark point, keeping the template.
+   */
+  viewerProto.clearLandmarks = function clearLandmarks() {
+    this.endLandmarkDrag();
+    this.setLandmarkTemplate(this.landmarkTemplate);
+  };
+
+  viewerProto.removeLandmarkObjects = function removeLandmarkObjects(landmarks = this.landmarks) {
+    landmarks.forEach((landmark) => {
+      if (landmark.marker) {
+        this.landmarkGroup.remove(landmark.marker);
+        landmark.marker.geometry.dispose();
+        landmark.marker = null;
+      }
+      landmark.labelEl?.remove();
+      landmark.labelEl = null;
+    });
+  };
+
+  viewerProto.emitLandmarksChange = function emitLandmarksChange() {
+    this.emit('landmarkschange', { activeIndex: this.activeLandmarkIndex });
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+  };
+
+  // The landmark about to be placed again stands out.
+  viewerProto.updateLandmarkMarkers = function updateLandmarkMarkers() {
+    this.landmarks.forEach((landmark, index) => {
+      if (landmark.marker) {
+        landmark.marker.material =
+          index === this.activeLandmarkIndex ? this.landmarkMaterials.active : this.landmarkMaterials.placed;
+      }
+    });
+  };
+
+  viewerProto.createLandmarkLabel = function createLandmarkLabel(landmark) {
+    const label = this.createMeasurementLabel(landmark.label);
+    label?.classList.add('landmark');
+    return label;
+  };
+
+  /**
+   * Recreates the labels of placed landmarks, after the measurement overlay
+   * has been emptied or replaced.
+   */
+  viewerProto.createLandmarkLabels = function createLandmarkLabels() {
+    this.landmarks.forEach((landmark) => {
+      landmark.labelEl?.remove();
+      landmark.labelEl = landmark.positionLocal ? this.createLandmarkLabel(landmark) : null;
+    });
+  };
+
+  viewerProto.getLandmarkLabelAnchors = function getLandmarkLabelAnchors() {
+    return this.landmarks
+      .filter((landmark) => landmark.labelEl && landmark.position)
+      .map((landmark) => ({ el: landmark.labelEl, position: landmark.position, segment: false }));
+  };
+
+  viewerProto.updateLandmarksForCurrentModel = function updateLandmarksForCurrentModel() {
+    if (!this.currentModelGroup) {
+      return;
+    }
+    this.currentModelGroup.updateMatrixWorld(true);
+    this.landmarks.forEach((landmark) => {
+      if (!landmark.positionLocal) {
+        return;
+      }
+      landmark.position = this.currentModelGroup.localToWorld(landmark.positionLocal.clone());
+      landmark.marker?.position.copy(landmark.position);
+    });
+  };
+
+  /**
+   * Returns the placed landmark whose marker is under the pointer, or -1.
+   */
+  viewerProto.findLandmarkAt = function findLandmarkAt(event) {
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    let nearest = -1;
+    let nearestDistance = LANDMARK_GRAB_RADIUS;
+    this.landmarks.forEach((landmark, index) => {
+      if (!landmark.position) {
+        return;
+      }
+      const projected = landmark.position.clone().project(this.camera);
+      if (projected.z < -1 || projected.z > 1) {
+        return;
+      }
+      const x = rect.left + (projected.x * 0.5 + 0.5) * rect.width;
+      const y = rect.top + (-projected.y * 0.5 + 0.5) * rect.height;
+      const distance = Math.hypot(event.clientX - x, event.clientY - y);
+      if (distance <= nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  };
+
+  viewerProto.handleLandmarkPointerDown = function handleLandmarkPointerDown(event) {
+    if (!this.landmarkMode || event.button !== 0) {
+      return;
+    }
+    const grabbed = this.findLandmarkAt(event);
+    if (grabbed < 0) {
+      this.landmarkPointerDown = { x: event.clientX, y: event.clientY };
+      return;
+    }
+    // Dragging a marker moves it over the surface instead of turning the camera.
+    this.landmarkDrag = {
+      index: grabbed,
+      controlsWereEnabled: this.controls ? this.controls.enabled : false,
+      lastEvent: null,
+      framePending: false,
+    };
+    if (this.controls) {
+      this.controls.enabled = false;
+    }
+  };
+
+  viewerProto.handleLandmarkPointerMove = function handleLandmarkPointerMove(event) {
+    const drag = this.landmarkDrag;
+    if (!drag) {
+      return;
+    }
+    drag.lastEvent = event;
+    if (drag.framePending) {
+      return;
+    }
+    drag.framePending = true;
+    requestAnimationFrame(() => {
+      drag.framePending = false;
+      const landmark = this.landmarks[drag.index];
+      if (this.landmarkDrag !== drag || !landmark) {
+        return;
+      }
+      const point = this.pickMeasurementPoint(drag.lastEvent);
+      if (point) {
+        this.setLandmarkPosition(landmark, point);
+      }
+    });
+  };
+
+  viewerProto.handleLandmarkPointerUp = function handleLandmarkPointerUp(event) {
+    if (this.landmarkDrag) {
+      this.endLandmarkDrag();
+      this.emitLandmarksChange();
+      return;
+    }
+    const down = this.landmarkPointerDown;
+    this.landmarkPointerDown = null;
+    if (!this.landmarkMode || !down || event.type !== 'pointerup' || this.activeLandmarkIndex < 0) {
+      return;
+    }
+    const dragDistance = Math.hypot(event.clientX - down.x, event.clientY - down.y);
+    if (dragDistance > LANDMARK_CLICK_DRAG_THRESHOLD) {
+      return;
+    }
+    const point = this.pickMeasurementPoint(event);
+    if (point) {
+      this.placeLandmark(this.activeLandmarkIndex, point);
+    }
+  };
+
+  viewerProto.endLandmarkDrag = function endLandmarkDrag() {
+    const drag = this.landmarkDrag;
+    if (!drag) {
+      return;
+    }
+    this.landmarkDrag = null;
+    if (this.controls) {
+      this.controls.enabled = drag.controlsWereEnabled;
+    }
+  };
+}
@@ -1,5 +1,7 @@
 // Utility helpers for parsing material definitions and managing texture state.
 import * as THREE from 'three';
+import { ChecksumMismatchError } from '../utils/checksum.js';
+import { getKtx2Loader } from './compressedLoaders.js';
 
 export function readCssColorVariable(variableName, fallback) {
   if (typeof window === 'undefined' || !window.getComputedStyle) {
@@ -21,12 +23,6 @@ export function readCssColorVariable(variableName, fallback) {
   }
 }
 
-export function extractMtllibReferences(objText) {
-  return Array.from(objText.matchAll(/^[ \t]*mtllib\s+(.+?)\s*$/gim))
-    .map((match) => match[1].trim())
-    .filter(Boolean);
-}
-
 export function parseMapSpec(raw) {
   const result = {
     path: null,
@@ -166,9 +162,14 @@ export function applyMaterialTextures(material, texturesEnabled) {
     material.aoMap = original.aoMap || null;
     material.normalMap = original.normalMap || null;
 
-    if (material.userData.baseColor) {
+    if (material.userData.texturedColor) {
+      material.color.copy(material.userData.texturedColor);
+    } else if (material.userData.baseColor) {
       material.color.set(0xffffff);
     }
+    if (material.userData.vertexColors) {
+      material.vertexColors = true;
+    }
 
     if (original.roughnessMap && material.userData.baseRoughness !== undefined) {
       material.roughness = material.userData.baseRoughness;
@@ -184,6 +185,9 @@ export function applyMaterialTextures(material, texturesEnabled) {
     } else {
       material.color.set(0xff9300);
     }
+    if (material.userData.vertexColors) {
+      material.vertexColors = false;
+    }
 
     if (material.userData.baseRoughness !== undefined) {
       material.roughness = material.userData.baseRoughness;
@@ -227,6 +231,12 @@ export function applyTextureSpec(descriptor, texture, material) {
     }
   }
 
+  // Compressed textures are uploaded as stored (top row first): flip V instead.
+  if (texture.userData?.flipVertical && texture.repeat && texture.offset) {
+    texture.repeat.y = -texture.repeat.y;
+    texture.offset.y = 1 - texture.offset.y;
+  }
+
   if (descriptor.clamp) {
     texture.wrapS = THREE.ClampToEdgeWrapping;
     texture.wrapT = THREE.ClampToEdgeWrapping;
@@ -240,18 +250,25 @@ export function applyMaterialsMixin(viewerProto) {
   // Pure helpers: CSS colors, MTL parsing, texture descriptor parsing.
 
   // Manage texture cache entries and batch asynchronous loads.
-  viewerProto.loadTextures = async function loadTextures(requestsMap, onProgress) {
+  viewerProto.loadTextures = async function loadTextures(
+    requestsMap,
+    onProgress,
+    { integrity = null } = {}
+  ) {
     const result = new Map();
     const requests = Array.from(requestsMap.values());
     if (!requests.length) {
       return result;
     }
 
+    // Downsized copies of the low performance profile are cached apart.
+    const cacheSuffix = this.getEffectivePerformanceProfile() === 'low' ? '|low' : '';
+
     await Promise.all(
       requests.map(async (request) => {
         const cacheKey = request.cacheKey;
-        if (this.textureCache.has(cacheKey)) {
-          const cached = this.textureCache.get(cacheKey);
+        if (this.textureCache.has(cacheKey + cacheSuffix)) {
+          const cached = this.textureCache.get(cacheKey + cacheSuffix);
           result.set(cacheKey, cached);
           if (typeof onProgress === 'function') {
             onProgress();
@@ -259,15 +276,21 @@ export function applyMaterialsMixin(viewerProto) {
           return;
         }
         try {
-          const texture = await this.textureLoader.loadAsync(request.url);
+          const texture = this.downscaleTextureForDisplay(
+            await this.loadTextureSource(request, { integrity })
+          );
           texture.colorSpace = request.colorSpace;
           texture.anisotropy = 8;
-          this.textureCache.set(cacheKey, texture);
+          this.textureCache.set(cacheKey + cacheSuffix, texture);
           result.set(cacheKey, texture);
           if (typeof onProgress === 'function') {
             onProgress();
           }
         } catch (error) {
+          // A missing texture only degrades rendering; a corrupted one fails the load.
+          if (error instanceof ChecksumMismatchError) {
+            throw error;
+          }
           console.warn(`Failed to load texture ${request.url}`, error);
           if (typeof onProgress === 'function') {
             onProgress();
@@ -279,6 +302,69 @@ export function applyMaterialsMixin(viewerProto) {
     return result;
   };
 
+  // Load a texture through the verified byte path when it is cacheable or carries a checksum.
+  // KTX2 copies fall back to the image they replace when they cannot be decoded.
+  viewerProto.loadTextureSource = async function loadTextureSource(request, { integrity = null } = {}) {
+    const load = async (target, loader) => {
+      const needsBytes = Boolean((target.storageKey && this.assetCache) || target.checksum);
+      if (!needsBytes || typeof URL?.createObjectURL !== 'function') {
+        return loader.loadAsync(target.url);
+      }
+
+      const bytes = await this._fetchVerifiedBytes(target.url, null, {
+        storageKey: target.storageKey,
+        checksum: target.checksum,
+        integrity,
+        kind: 'texture',
+      });
+      const objectUrl = URL.createObjectURL(new Blob([bytes]));
+      try {
+        return await loader.loadAsync(objectUrl);
+      } finally {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+
+    if (request.format !== 'ktx2') {
+      return load(request, this.textureLoader);
+    }
+    try {
+      const texture = await load(request, getKtx2Loader(this.renderer));
+      texture.userData = { ...texture.userData, flipVertical: true };
+      return texture;
+    } catch (error) {
+      if (error instanceof ChecksumMismatchError || !request.fallback) {
+        throw error;
+      }
+      console.warn(`Failed to decode KTX2 texture ${request.url}; using the original image`, error);
+      return load(request.fallback, this.textureLoader);
+    }
+  };
+
+  // Register materials shipped with glTF/PLY/STL models so the texture toggle
+  // swaps their own colours (maps, vertex colours) for the plain model colour.
+  viewerProto.adoptEmbeddedMaterials = function adoptEmbeddedMaterials(object) {
+    if (!object) return;
+    const adopt = (mat) => {
+      if (!mat || mat.userData?.texturedColor) return;
+      mat.userData = Object.assign({}, mat.userData || {});
+      mat.userData.texturedColor = mat.color ? mat.color.clone() : new THREE.Color(0xffffff);
+      mat.userData.baseColor = new THREE.Color(0xff9300);
+      mat.userData.vertexColors = Boolean(mat.vertexColors);
+      ensureMaterialTextureState(mat, this.texturesEnabled);
+      mat.wireframe = this.wireframeEnabled;
+      mat.needsUpdate = true;
+    };
+    object.traverse((child) => {
+      if (!child.material) return;
+      if (Array.isArray(child.material)) {
+        child.material.forEach(adopt);
+      } else {
+        adopt(child.material);
+      }
+    });
+  };
+
   // Apply texture enablement to materials within the active model.
   viewerProto.applyTexturesToCurrentModel = function applyTexturesToCurrentModel() {
     if (!this.currentModelGroup) return;
@@ -315,6 +401,7 @@ export function applyMaterialsMixin(viewerProto) {
         if (typeof source?.resolveTexturePath !== 'function') return;
         const resolved = source.resolveTexturePath(spec.path, {
           textureBaseDir: materialLibrary?.textureBaseDir,
+          preferKtx2: true,
         });
         if (!resolved) return;
         const cacheKey = resolved.cacheKey;
@@ -327,7 +414,11 @@ export function applyMaterialsMixin(viewerProto) {
         if (!texturesNeeded.has(cacheKey)) {
           texturesNeeded.set(cacheKey, {
             cacheKey,
+            storageKey: resolved.storageKey || null,
+            checksum: resolved.checksum || null,
             url: resolved.url,
+            format: resolved.format || null,
+            fallback: resolved.fallback || null,
             kind,
             colorSpace:
               kind === 'diffuse' ? THREE.SRGBColorSpace : THREE.LinearSRGBColorSpace,
@@ -0,0 +1,203 @@
+// Names, notes and removal of single measurements, and their plain records:
+// what is exported, kept per specimen, and restored on the same model later.
+// Records hold the picked points in the model's own coordinates, so they
+// outlive rotation, comparison scaling and reloads.
+import * as THREE from 'three';
+import { MEASUREMENT_TYPES, MEASUREMENT_UNIT } from './measurements.js';
+
+/**
+ * @typedef {object} MeasurementRecord
+ * @property {number} id - Measurement id in this session.
+ * @property {'distance'|'polyline'|'geodesic'|'angle'|'area'} type
+ * @property {string} name
+ * @property {string} note
+ * @property {number[][]} points - Picked points in model coordinates, the
+ *   vertex first for an angle. Empty for an area.
+ * @property {number[]} [triangles] - Area only: ids of the surface triangles
+ *   of the region.
+ * @property {number} [surfaceTriangles] - Area only: triangle count of the
+ *   surface those ids refer to.
+ * @property {number} [straightSegments] - Surface path only: segments measured
+ *   as a straight chord because no route over the surface joins their points.
+ * @property {number} value - Length, angle or area, as labelled.
+ * @property {string} unit - `cm`, `°` or `cm²`.
+ */
+
+/**
+ * Adds naming, removal and record helpers to a Viewer3D prototype.
+ *
+ * @param {typeof import('./viewer3d.js').Viewer3D.prototype} viewerProto
+ */
+export function applyMeasurementRecordsMixin(viewerProto) {
+  viewerProto.findMeasurement = function findMeasurement(id) {
+    return this.measurements.find((measurement) => measurement.id === id) || null;
+  };
+
+  /**
+   * Names a measurement or attaches a note to it. The name is shown in its
+   * label.
+   *
+   * @param {number} id
+   * @param {{name?: string, note?: string}} details - Fields left out are kept.
+   * @returns {boolean} Whether the measurement exists.
+   */
+  viewerProto.setMeasurementDetails = function setMeasurementDetails(id, { name, note } = {}) {
+    const measurement = this.findMeasurement(id);
+    if (!measurement) {
+      return false;
+    }
+    if (name !== undefined) {
+      measurement.name = String(name ?? '').trim();
+    }
+    if (note !== undefined) {
+      measurement.note = String(note ?? '').trim();
+    }
+    if (measurement.labelEl) {
+      measurement.labelEl.textContent = this.formatMeasurementLabel(measurement);
+    }
+    this.emit('measurementchange', { measurement });
+    return true;
+  };
+
+  /**
+   * Removes one measurement with its markers and labels.
+   *
+   * @param {number} id
+   * @returns {boolean} Whether the measurement existed.
+   */
+  viewerProto.removeMeasurement = function removeMeasurement(id) {
+    const measurement = this.findMeasurement(id);
+    if (!measurement) {
+      return false;
+    }
+    this.measurements = this.measurements.filter((candidate) => candidate !== measurement);
+    this.removeMeasurementObjects(measurement);
+    measurement.labelEl?.remove();
+    (measurement.segments || []).forEach((segment) => segment.labelEl?.remove());
+    this.emit('measurementremove', { measurement });
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+    return true;
+  };
+
+  /**
+   * Returns the quantity a measurement stands for, as its label shows it.
+   *
+   * @returns {{value: number, unit: string}}
+   */
+  viewerProto.getMeasurementQuantity = function getMeasurementQuantity(measurement) {
+    if (measurement.type === 'angle') {
+      return { value: measurement.angle, unit: '°' };
+    }
+    if (measurement.type === 'area') {
+      return { value: measurement.area, unit: `${MEASUREMENT_UNIT}²` };
+    }
+    return { value: measurement.distance, unit: MEASUREMENT_UNIT };
+  };
+
+  /**
+   * Lists the measurements as plain records, in the order they were taken.
+   *
+   * @returns {MeasurementRecord[]}
+   */
+  viewerProto.getMeasurementRecords = function getMeasurementRecords() {
+    return this.measurements.map((measurement) => {
+      const pointsLocal =
+        measurement.type === 'distance'
+          ? [measurement.startLocal, measurement.endLocal]
+          : measurement.pointsLocal || [];
+      const record = {
+        id: measurement.id,
+        type: measurement.type,
+        name: measurement.name || '',
+        note: measurement.note || '',
+        points: pointsLocal.filter(Boolean).map((point) => point.toArray()),
+        ...this.getMeasurementQuantity(measurement),
+      };
+      if (measurement.type === 'area') {
+        record.triangles = [...measurement.triangles];
+        record.surfaceTriangles = measurement.surfaceTriangles;
+      }
+      if (measurement.type === 'geodesic') {
+        record.straightSegments = measurement.straightSegments;
+      }
+      return record;
+    });
+  };
+
+  /**
+   * Recreates measurements from records taken on the same model, such as an
+   * imported file or the set kept for the specimen. Lengths, angles and areas
+   * are measured again; records that do not fit the model are skipped.
+   *
+   * @param {MeasurementRecord[]} records
+   * @returns {number} Number of measurements restored.
+   */
+  viewerProto.restoreMeasurements = function restoreMeasurements(records) {
+    if (!this.currentModelGroup || !Array.isArray(records)) {
+      return 0;
+    }
+    this.cancelPendingMeasurement();
+    this.currentModelGroup.updateMatrixWorld(true);
+    let restored = 0;
+    records.forEach((record) => {
+      const measurement = this.restoreMeasurement(record);
+      if (!measurement) {
+        console.warn('Skipping a measurement that does not fit the loaded model', record);
+        return;
+      }
+      restored += 1;
+      if (record.name || record.note) {
+        this.setMeasurementDetails(measurement.id, { name: record.name, note: record.note });
+      }
+    });
+    return restored;
+  };
+
+  viewerProto.restoreMeasurement = function restoreMeasurement(record) {
+    if (!MEASUREMENT_TYPES.includes(record?.type)) {
+      return null;
+    }
+    if (record.type === 'area') {
+      return this.restoreAreaMeasurement(record.triangles, record.surfaceTriangles);
+    }
+    const points = readPoints(record.points)?.map((point) => this.currentModelGroup.localToWorld(point));
+    if (!points || points.length < 2) {
+      return null;
+    }
+    if (record.type === 'distance') {
+      return points.length === 2 ? this.createMeasurement(points[0], points[1]) : null;
+    }
+    const markers = () => points.map((point, index) => this.createMeasurementMarker(point, index === 0));
+    if (record.type === 'angle') {
+      // Both arms need a length: the second arm ends away from the vertex too.
+      return points.length === 3 && points[2].distanceTo(points[0]) > 1e-6
+        ? this.createAngleMeasurement({ points, markers: markers(), line: null })
+        : null;
+    }
+    const routes = points
+      .slice(1)
+      .map((point, index) => this.computeMeasurementRoute(points[index], point, record.type));
+    return this.createPathMeasurement({ type: record.type, points, routes, markers: markers(), line: null });
+  };
+}
+
+// Points are `[x, y, z]` arrays of finite numbers, no two alike in a row.
+function readPoints(value) {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  const points = [];
+  for (const entry of value) {
+    if (!Array.isArray(entry) || entry.length !== 3 || !entry.every(Number.isFinite)) {
+      return null;
+    }
+    const point = new THREE.Vector3().fromArray(entry);
+    if (points.length && points[points.length - 1].distanceTo(point) <= 1e-6) {
+      return null;
+    }
+    points.push(point);
+  }
+  return points;
+}
@@ -1,10 +1,25 @@
-// Implements distance measurement tools, overlays, and lifecycle management.
+// Implements distance, polyline, surface-path, angle and area measurement
+// tools, overlays, and lifecycle management. Area regions are painted by the
+// brush in areaMeasurements.js; measurementRecords.js names, removes and
+// restores measurements; landmarks.js shares the picking and the label overlay.
 import * as THREE from 'three';
+import { buildSurfaceGraph, findSurfacePath, weldMeshes } from './surfaceGraph.js';
 
 const MEASURE_LINE_COLOR = 0x38bdf8;
 const MEASURE_START_COLOR = 0x404040;
 const MEASURE_END_COLOR = 0x404040;
 const MEASURE_CLICK_DRAG_THRESHOLD = 4;
+// Arc radius of the angle gizmo, as a share of its shorter arm.
+const ANGLE_ARC_RADIUS_RATIO = 0.35;
+const ANGLE_ARC_SEGMENTS = 32;
+
+// `distance` joins two points; `polyline` and `geodesic` (surface path) chain
+// any number of points until the path is finished; `angle` takes a vertex and
+// one point on each arm; `area` sums a region painted on the surface.
+export const MEASUREMENT_TYPES = Object.freeze(['distance', 'polyline', 'geodesic', 'angle', 'area']);
+
+// World units, sized like the scale reference cube: one unit is a centimetre.
+export const MEASUREMENT_UNIT = 'cm';
 
 /**
  * Adds measurement-related helpers to a Viewer3D prototype.
@@ -22,7 +37,9 @@ export function applyMeasurementsMixin(viewerProto) {
     this.measurements = [];
     this.measurementCounter = 0;
     this.measurementMode = false;
+    this.measurementType = 'distance';
     this.pendingMeasurement = null;
+    this.modelSurfaceCache = null;
     this.measureOverlay = null;
     this.raycaster = new THREE.Raycaster();
     this.pointer = new THREE.Vector2();
@@ -67,15 +84,40 @@ export function applyMeasurementsMixin(viewerProto) {
     if (this.measurementMode === next) {
       return this.measurementMode;
     }
+    if (next) {
+      this.setLandmarkModeEnabled(false);
+    }
     this.measurementMode = next;
     if (!next) {
-      this.cancelPendingMeasurement();
+      // A path in progress is kept when it already has a segment.
+      this.finishMeasurement();
       this.measurePointerDown = null;
     }
     this.emit('measurementmode', { enabled: this.measurementMode });
     return this.measurementMode;
   };
 
+  viewerProto.getMeasurementType = function getMeasurementType() {
+    return this.measurementType;
+  };
+
+  /**
+   * Selects the kind of measurement taken by the next clicks. A measurement in
+   * progress is discarded.
+   *
+   * @param {string} type - One of `MEASUREMENT_TYPES`.
+   * @returns {string} Applied type.
+   */
+  viewerProto.setMeasurementType = function setMeasurementType(type) {
+    if (!MEASUREMENT_TYPES.includes(type) || type === this.measurementType) {
+      return this.measurementType;
+    }
+    this.cancelPendingMeasurement();
+    this.measurementType = type;
+    this.emit('measurementtype', { type });
+    return this.measurementType;
+  };
+
   viewerProto.handleMeasurePointerDown = function handleMeasurePointerDown(event) {
     if (!this.measurementMode || event.button !== 0) {
       return;
@@ -115,6 +157,21 @@ export function applyMeasurementsMixin(viewerProto) {
       return;
     }
 
+    if (this.measurementType === 'angle') {
+      this.addAngleMeasurementPoint(point);
+      return;
+    }
+
+    // Area regions are painted on pointer down.
+    if (this.measurementType === 'area') {
+      return;
+    }
+
+    if (this.measurementType !== 'distance') {
+      this.addMeasurementPathPoint(point);
+      return;
+    }
+
     if (!this.pendingMeasurement) {
       const startMarker = this.createMeasurementMarker(point, true);
       this.pendingMeasurement = {
@@ -134,38 +191,455 @@ export function applyMeasurementsMixin(viewerProto) {
     this.createMeasurement(startPoint, point, startMarker);
   };
 
+  /**
+   * Adds a clicked point to the angle in progress: its vertex first, then a
+   * point on each arm. The third point completes the measurement.
+   *
+   * @param {THREE.Vector3} point - World position on the model.
+   */
+  viewerProto.addAngleMeasurementPoint = function addAngleMeasurementPoint(point) {
+    if (!this.pendingMeasurement) {
+      this.pendingMeasurement = { type: 'angle', points: [], markers: [], line: null };
+    }
+    const pending = this.pendingMeasurement;
+    if (pending.points.some((picked) => picked.distanceTo(point) <= 1e-6)) {
+      return;
+    }
+    pending.points.push(point.clone());
+    pending.markers.push(this.createMeasurementMarker(point, pending.points.length === 1));
+
+    if (pending.points.length === 3) {
+      this.pendingMeasurement = null;
+      this.createAngleMeasurement(pending);
+      return;
+    }
+    if (pending.points.length === 2) {
+      pending.line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(pending.points),
+        this.measureMaterials.line
+      );
+      pending.line.renderOrder = 999;
+      this.measureGroup.add(pending.line);
+    }
+  };
+
+  viewerProto.createAngleMeasurement = function createAngleMeasurement({ points, markers, line }) {
+    const measurement = {
+      id: ++this.measurementCounter,
+      type: 'angle',
+      points: points.map((point) => point.clone()),
+      pointsLocal: points.map((point) => {
+        const local = point.clone();
+        return this.currentModelGroup ? this.currentModelGroup.worldToLocal(local) : local;
+      }),
+      line,
+      arc: null,
+      markers,
+      startMarker: markers[0],
+      endMarker: markers[markers.length - 1],
+      angle: 0,
+      midpoint: new THREE.Vector3(),
+      labelEl: null,
+    };
+    this.updateAngleMeasurementGeometry(measurement);
+    measurement.labelEl = this.createMeasurementLabel(this.formatMeasurementLabel(measurement));
+
+    this.measurements.push(measurement);
+    this.emit('measurementadd', { measurement });
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+    return measurement;
+  };
+
+  /**
+   * Derives the angle in degrees, the arms, the arc gizmo and the label anchor
+   * of an angle measurement from its world-space points.
+   */
+  viewerProto.updateAngleMeasurementGeometry = function updateAngleMeasurementGeometry(measurement) {
+    const [vertex, first, second] = measurement.points;
+    const firstArm = new THREE.Vector3().subVectors(first, vertex);
+    const secondArm = new THREE.Vector3().subVectors(second, vertex);
+    const radius = ANGLE_ARC_RADIUS_RATIO * Math.min(firstArm.length(), secondArm.length());
+    const angle = firstArm.angleTo(secondArm);
+    measurement.angle = THREE.MathUtils.radToDeg(angle);
+
+    // The arc turns from the first arm towards the second in their plane.
+    const along = firstArm.clone().normalize();
+    const across = secondArm.clone().normalize().addScaledVector(along, -Math.cos(angle));
+    if (across.length() < 1e-6) {
+      // Straight angle: any direction perpendicular to the arms will do.
+      across.set(along.y, -along.x, 0);
+      if (across.length() < 1e-6) {
+        across.set(0, along.z, -along.y);
+      }
+    }
+    across.normalize();
+    const arcPoint = (share) =>
+      vertex
+        .clone()
+        .addScaledVector(along, Math.cos(angle * share) * radius)
+        .addScaledVector(across, Math.sin(angle * share) * radius);
+    const arcPoints = [];
+    for (let step = 0; step <= ANGLE_ARC_SEGMENTS; step++) {
+      arcPoints.push(arcPoint(step / ANGLE_ARC_SEGMENTS));
+    }
+    // The label sits just outside the middle of the arc.
+    measurement.midpoint.copy(vertex).lerp(arcPoint(0.5), 1.4);
+
+    if (!measurement.line) {
+      measurement.line = new THREE.Line(new THREE.BufferGeometry(), this.measureMaterials.line);
+      measurement.line.renderOrder = 999;
+      this.measureGroup.add(measurement.line);
+    }
+    measurement.line.geometry.setFromPoints([first, vertex, second]);
+    measurement.line.geometry.computeBoundingSphere();
+    if (!measurement.arc) {
+      measurement.arc = new THREE.Line(new THREE.BufferGeometry(), this.measureMaterials.line);
+      measurement.arc.renderOrder = 999;
+      this.measureGroup.add(measurement.arc);
+    }
+    measurement.arc.geometry.setFromPoints(arcPoints);
+    measurement.arc.geometry.computeBoundingSphere();
+    measurement.markers.forEach((marker, index) => {
+      marker.position.copy(measurement.points[index]);
+    });
+  };
+
+  /**
+   * Adds a clicked point to the polyline or surface path in progress. Clicking
+   * the last point again (a double click) finishes the path.
+   *
+   * @param {THREE.Vector3} point - World position on the model.
+   */
+  viewerProto.addMeasurementPathPoint = function addMeasurementPathPoint(point) {
+    if (!this.pendingMeasurement) {
+      this.pendingMeasurement = {
+        type: this.measurementType,
+        points: [],
+        routes: [],
+        markers: [],
+        line: null,
+      };
+    }
+    const pending = this.pendingMeasurement;
+    const last = pending.points[pending.points.length - 1];
+    if (last) {
+      if (last.distanceTo(point) <= this.computeMarkerRadius()) {
+        this.finishMeasurement();
+        return;
+      }
+      pending.routes.push(this.computeMeasurementRoute(last, point, pending.type));
+    }
+    pending.points.push(point.clone());
+    pending.markers.push(this.createMeasurementMarker(point, pending.points.length === 1));
+
+    const pathPoints = this.joinMeasurementPaths(pending.routes.map((route) => route.path));
+    if (pathPoints.length < 2) {
+      return;
+    }
+    if (!pending.line) {
+      pending.line = new THREE.Line(new THREE.BufferGeometry(), this.measureMaterials.line);
+      pending.line.renderOrder = 999;
+      this.measureGroup.add(pending.line);
+    }
+    pending.line.geometry.setFromPoints(pathPoints);
+    pending.line.geometry.computeBoundingSphere();
+  };
+
+  /**
+   * Completes the polyline, surface path or area region in progress. A path
+   * with a single point, and an angle still missing an arm, are discarded.
+   *
+   * @returns {object|null} The new measurement, or null when none was created.
+   */
+  viewerProto.finishMeasurement = function finishMeasurement() {
+    const pending = this.pendingMeasurement;
+    if (pending?.type === 'area' && pending.triangles.size) {
+      this.pendingMeasurement = null;
+      return this.createAreaMeasurement(pending);
+    }
+    if (!pending?.routes || pending.points.length < 2) {
+      this.cancelPendingMeasurement();
+      return null;
+    }
+    this.pendingMeasurement = null;
+    return this.createPathMeasurement(pending);
+  };
+
+  /**
+   * Computes the world-space points of one path segment: the straight chord,
+   * or the shortest route along the model surface for surface paths. A surface
+   * path falls back to the chord when the two points lie on unconnected parts
+   * of the model; such a segment is flagged `straight`, as it is shorter than
+   * any route over the surface.
+   *
+   * @returns {{path: THREE.Vector3[], straight: boolean}}
+   */
+  viewerProto.computeMeasurementRoute = function computeMeasurementRoute(start, end, type) {
+    const chord = [start.clone(), end.clone()];
+    if (type !== 'geodesic') {
+      return { path: chord, straight: false };
+    }
+    const graph = this.currentModelGroup ? this.getSurfaceGraph() : null;
+    const toLocal = (point) => this.currentModelGroup.worldToLocal(point.clone()).toArray();
+    const route = graph ? findSurfacePath(graph, toLocal(start), toLocal(end)) : null;
+    if (!route) {
+      console.warn('No surface path between the measured points; using a straight segment');
+      return { path: chord, straight: true };
+    }
+    const path = route.map((coordinates) =>
+      this.currentModelGroup.localToWorld(new THREE.Vector3().fromArray(coordinates))
+    );
+    return { path, straight: false };
+  };
+
+  /**
+   * Returns the surface of the primary model in its local space, welded from
+   * the published (full-resolution) geometry of its meshes. It is built on
+   * first use and kept with whatever is later derived from it.
+   *
+   * @returns {{group: THREE.Object3D, surface: ReturnType<typeof weldMeshes>, triangleOffsets: Map<THREE.Object3D, number>, graph?: object, analytics?: object, vertexTriangles?: object}|null}
+   *   `triangleOffsets` gives the surface id of each mesh's first triangle.
+   */
+  viewerProto.getModelSurface = function getModelSurface() {
+    const group = this.currentModelGroup;
+    if (!group) {
+      return null;
+    }
+    if (this.modelSurfaceCache?.group === group) {
+      return this.modelSurfaceCache;
+    }
+    group.updateMatrixWorld(true);
+    const toGroup = new THREE.Matrix4().copy(group.matrixWorld).invert();
+    const meshes = [];
+    const triangleOffsets = new Map();
+    let triangleCount = 0;
+    this.withFullResolutionGeometry(group, () => {
+      group.traverse((child) => {
+        const position = child.isMesh ? child.geometry?.getAttribute('position') : null;
+        if (!position) {
+          return;
+        }
+        const matrix = new THREE.Matrix4().multiplyMatrices(toGroup, child.matrixWorld);
+        const positions = new Float32Array(position.count * 3);
+        const vertex = new THREE.Vector3();
+        for (let index = 0; index < position.count; index++) {
+          vertex.fromBufferAttribute(position, index).applyMatrix4(matrix);
+          vertex.toArray(positions, index * 3);
+        }
+        const index = child.geometry.index ? child.geometry.index.array : null;
+        meshes.push({ positions, index });
+        triangleOffsets.set(child, triangleCount);
+        triangleCount += Math.floor((index ? index.length : position.count) / 3);
+      });
+    });
+    this.modelSurfaceCache = meshes.length ? { group, surface: weldMeshes(meshes), triangleOffsets } : null;
+    return this.modelSurfaceCache;
+  };
+
+  /**
+   * Returns the edge graph of the primary model surface for surface paths.
+   *
+   * @returns {ReturnType<typeof buildSurfaceGraph>|null}
+   */
+  viewerProto.getSurfaceGraph = function getSurfaceGraph() {
+    const modelSurface = this.getModelSurface();
+    if (!modelSurface) {
+      return null;
+    }
+    if (!modelSurface.graph) {
+      modelSurface.graph = buildSurfaceGraph(modelSurface.surface);
+    }
+    return modelSurface.graph;
+  };
+
+  /**
+   * Concatenates consecutive segment paths, dropping the shared points.
+   */
+  viewerProto.joinMeasurementPaths = function joinMeasurementPaths(paths) {
+    return paths.reduce(
+      (joined, path, index) => joined.concat(index === 0 ? path : path.slice(1)),
+      []
+    );
+  };
+
+  viewerProto.createPathMeasurement = function createPathMeasurement({ type, points, routes, markers, line }) {
+    const toLocal = (point) => {
+      const local = point.clone();
+      return this.currentModelGroup ? this.currentModelGroup.worldToLocal(local) : local;
+    };
+
+    const measurement = {
+      id: ++this.measurementCounter,
+      type,
+      points: points.map((point) => point.clone()),
+      pointsLocal: points.map(toLocal),
+      segments: routes.map(({ path, straight }) => ({
+        path,
+        pathLocal: path.map(toLocal),
+        straight,
+        length: 0,
+        midpoint: new THREE.Vector3(),
+        labelEl: null,
+      })),
+      line,
+      markers,
+      startMarker: markers[0],
+      endMarker: markers[markers.length - 1],
+      start: new THREE.Vector3(),
+      end: new THREE.Vector3(),
+      distance: 0,
+      // Surface-path segments measured as a chord; the total is then too short.
+      straightSegments: routes.filter((route) => route.straight).length,
+      midpoint: new THREE.Vector3(),
+      labelEl: null,
+    };
+    this.updatePathMeasurementGeometry(measurement);
+    // A single segment is labelled by the total alone.
+    if (measurement.segments.length > 1) {
+      measurement.segments.forEach((segment) => {
+        segment.labelEl = this.createMeasurementLabel(this.formatMeasurementSegmentLabel(segment), {
+          segment: true,
+        });
+      });
+    }
+    measurement.labelEl = this.createMeasurementLabel(this.formatMeasurementLabel(measurement));
+
+    this.measurements.push(measurement);
+    this.emit('measurementadd', { measurement });
+    if (this.measureOverlay) {
+      this.updateMeasurementLabels();
+    }
+    return measurement;
+  };
+
+  /**
+   * Derives the world-space points, lengths and label anchors of a polyline or
+   * surface path from its world-space segment paths.
+   */
+  viewerProto.updatePathMeasurementGeometry = function updatePathMeasurementGeometry(measurement) {
+    measurement.segments.forEach((segment) => {
+      let length = 0;
+      for (let index = 1; index < segment.path.length; index++) {
+        length += segment.path[index - 1].distanceTo(segment.path[index]);
+      }
+      segment.length = length;
+      segment.midpoint.copy(pointAlongPath(segment.path, length / 2));
+    });
+    measurement.distance = measurement.segments.reduce((sum, segment) => sum + segment.length, 0);
+    measurement.start.copy(measurement.points[0]);
+    measurement.end.copy(measurement.points[measurement.points.length - 1]);
+    // The total is shown at the end of the path.
+    measurement.midpoint.copy(measurement.end);
+
+    if (!measurement.line) {
+      measurement.line = new THREE.Line(new THREE.BufferGeometry(), this.measureMaterials.line);
+      measurement.line.renderOrder = 999;
+      this.measureGroup.add(measurement.line);
+    }
+    measurement.line.geometry.setFromPoints(
+      this.joinMeasurementPaths(measurement.segments.map((segment) => segment.path))
+    );
+    measurement.line.geometry.computeBoundingSphere();
+    measurement.markers.forEach((marker, index) => {
+      marker.position.copy(measurement.points[index]);
+    });
+  };
+
+  viewerProto.formatMeasurementValue = function formatMeasurementValue(measurement) {
+    if (measurement.type === 'angle') {
+      return `${measurement.angle.toFixed(1)}°`;
+    }
+    if (measurement.type === 'area') {
+      return this.formatMeasurementArea(measurement.area);
+    }
+    const text = this.formatMeasurementDistance(measurement.distance);
+    if (measurement.type !== 'polyline' && measurement.type !== 'geodesic') {
+      return text;
+    }
+    return measurement.straightSegments ? `Σ ${text} ⚠` : `Σ ${text}`;
+  };
+
+  // A surface-path segment measured as a chord is marked.
+  viewerProto.formatMeasurementSegmentLabel = function formatMeasurementSegmentLabel(segment) {
+    const text = this.formatMeasurementDistance(segment.length);
+    return segment.straight ? `${text} ⚠` : text;
+  };
+
+  // Named measurements carry their name in the label, and so in screenshots.
+  viewerProto.formatMeasurementLabel = function formatMeasurementLabel(measurement) {
+    const value = this.formatMeasurementValue(measurement);
+    return measurement.name ? `${measurement.name}: ${value}` : value;
+  };
+
+  /**
+   * Lists the HUD labels of every measurement and landmark with the world
+   * position each one is projected from.
+   *
+   * @returns {{el: HTMLElement, position: THREE.Vector3, segment: boolean}[]}
+   */
+  viewerProto.getMeasurementLabelAnchors = function getMeasurementLabelAnchors() {
+    const anchors = [];
+    this.measurements.forEach((measurement) => {
+      (measurement.segments || []).forEach((segment) => {
+        if (segment.labelEl) {
+          anchors.push({ el: segment.labelEl, position: segment.midpoint, segment: true });
+        }
+      });
+      if (measurement.labelEl) {
+        anchors.push({ el: measurement.labelEl, position: measurement.midpoint, segment: false });
+      }
+    });
+    // An area region shows its running total while it is painted.
+    if (this.pendingMeasurement?.labelEl) {
+      anchors.push({ el: this.pendingMeasurement.labelEl, position: this.pendingMeasurement.midpoint, segment: false });
+    }
+    anchors.push(...this.getLandmarkLabelAnchors());
+    return anchors;
+  };
+
+  viewerProto.removeMeasurementObjects = function removeMeasurementObjects({
+    line,
+    arc,
+    highlight,
+    markers,
+    startMarker,
+    endMarker,
+  }) {
+    const objects = [line, arc, highlight, ...(markers || [startMarker, endMarker])];
+    objects.forEach((object) => {
+      if (!object) {
+        return;
+      }
+      this.measureGroup.remove(object);
+      if (object.geometry) {
+        object.geometry.dispose();
+      }
+    });
+  };
+
   viewerProto.clearMeasurements = function clearMeasurements() {
     this.cancelPendingMeasurement();
 
     if (this.measurements.length) {
       this.measurements.forEach((measurement) => {
-        if (measurement.line) {
-          this.measureGroup.remove(measurement.line);
-          if (measurement.line.geometry) {
-            measurement.line.geometry.dispose();
-          }
-        }
-        if (measurement.startMarker) {
-          this.measureGroup.remove(measurement.startMarker);
-          if (measurement.startMarker.geometry) {
-            measurement.startMarker.geometry.dispose();
-          }
-        }
-        if (measurement.endMarker) {
-          this.measureGroup.remove(measurement.endMarker);
-          if (measurement.endMarker.geometry) {
-            measurement.endMarker.geometry.dispose();
-          }
-        }
-        if (measurement.labelEl && measurement.labelEl.parentElement) {
-          measurement.labelEl.remove();
+        this.removeMeasurementObjects(measurement);
+      });
+      this.getMeasurementLabelAnchors().forEach(({ el }) => {
+        if (el.parentElement) {
+          el.remove();
         }
       });
     }
 
     this.measurements = [];
+    // The model surface can be large; it is rebuilt when next needed.
+    this.modelSurfaceCache = null;
     if (this.measureOverlay) {
       this.measureOverlay.innerHTML = '';
+      // Landmarks share the overlay but outlive the measurements.
+      this.createLandmarkLabels();
     }
     this.emit('measurementscleared');
     if (this.measureOverlay) {
@@ -175,11 +649,16 @@ export function applyMeasurementsMixin(viewerProto) {
 
   viewerProto.attachMeasurementOverlay = function attachMeasurementOverlay(element) {
     if (this.measureOverlay && this.measureOverlay !== element) {
-      this.measurements.forEach((measurement) => {
-        if (measurement.labelEl && measurement.labelEl.parentElement === this.measureOverlay) {
-          measurement.labelEl.remove();
+      this.getMeasurementLabelAnchors().forEach(({ el }) => {
+        if (el.parentElement === this.measureOverlay) {
+          el.remove();
         }
+      });
+      this.measurements.forEach((measurement) => {
         measurement.labelEl = null;
+        (measurement.segments || []).forEach((segment) => {
+          segment.labelEl = null;
+        });
       });
     }
 
@@ -193,8 +672,17 @@ export function applyMeasurementsMixin(viewerProto) {
     if (this.measureOverlay) {
       this.measureOverlay.innerHTML = '';
       this.measurements.forEach((measurement) => {
-        measurement.labelEl = this.createMeasurementLabel(measurement.distance);
+        const segments = measurement.segments || [];
+        if (segments.length > 1) {
+          segments.forEach((segment) => {
+            segment.labelEl = this.createMeasurementLabel(this.formatMeasurementSegmentLabel(segment), {
+              segment: true,
+            });
+          });
+        }
+        measurement.labelEl = this.createMeasurementLabel(this.formatMeasurementLabel(measurement));
       });
+      this.createLandmarkLabels();
       this.updateMeasurementLabels();
       if (this.scaleReference?.enabled) {
         this.ensureScaleReferenceLabel();
@@ -208,16 +696,24 @@ export function applyMeasurementsMixin(viewerProto) {
     if (!this.pendingMeasurement) {
       return;
     }
-    if (this.pendingMeasurement.startMarker) {
-      this.measureGroup.remove(this.pendingMeasurement.startMarker);
-      if (this.pendingMeasurement.startMarker.geometry) {
-        this.pendingMeasurement.startMarker.geometry.dispose();
-      }
-    }
+    this.removeMeasurementObjects(this.pendingMeasurement);
+    this.pendingMeasurement.labelEl?.remove();
     this.pendingMeasurement = null;
   };
 
   viewerProto.pickMeasurementPoint = function pickMeasurementPoint(event) {
+    const intersection = this.pickMeasurementIntersection(event);
+    return intersection ? intersection.point.clone() : null;
+  };
+
+  /**
+   * Raycasts the primary model under the pointer.
+   *
+   * @param {PointerEvent} event
+   * @returns {THREE.Intersection|null} Nearest hit, with the face of the
+   *   published (full-resolution) geometry.
+   */
+  viewerProto.pickMeasurementIntersection = function pickMeasurementIntersection(event) {
     if (!this.currentModelGroup) {
       return null;
     }
@@ -227,12 +723,11 @@ export function applyMeasurementsMixin(viewerProto) {
     this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
     this.raycaster.setFromCamera(this.pointer, this.camera);
-    const intersects = this.raycaster.intersectObject(this.currentModelGroup, true);
-    if (!intersects.length) {
-      return null;
-    }
-
-    return intersects[0].point.clone();
+    // A simplified display must not cost precision: pick on the published mesh.
+    const intersects = this.withFullResolutionGeometry(this.currentModelGroup, () =>
+      this.raycaster.intersectObject(this.currentModelGroup, true)
+    );
+    return intersects.length ? intersects[0] : null;
   };
 
   viewerProto.createMeasurement = function createMeasurement(startPoint, endPoint, startMarker) {
@@ -262,6 +757,7 @@ export function applyMeasurementsMixin(viewerProto) {
 
     const measurement = {
       id: ++this.measurementCounter,
+      type: 'distance',
       start: startPoint.clone(),
       end: endPoint.clone(),
       line,
@@ -272,7 +768,7 @@ export function applyMeasurementsMixin(viewerProto) {
       startLocal,
       endLocal,
       midpointLocal,
-      labelEl: this.createMeasurementLabel(distance),
+      labelEl: this.createMeasurementLabel(this.formatMeasurementDistance(distance)),
     };
 
     this.measurements.push(measurement);
@@ -280,6 +776,7 @@ export function applyMeasurementsMixin(viewerProto) {
     if (this.measureOverlay) {
       this.updateMeasurementLabels();
     }
+    return measurement;
   };
 
   viewerProto.createMeasurementMarker = function createMeasurementMarker(position, isStart) {
@@ -297,19 +794,22 @@ export function applyMeasurementsMixin(viewerProto) {
     return THREE.MathUtils.clamp(base * 0.03, 0.0025, 0.03);
   };
 
-  viewerProto.createMeasurementLabel = function createMeasurementLabel(distance) {
+  viewerProto.createMeasurementLabel = function createMeasurementLabel(text, { segment = false } = {}) {
     if (!this.measureOverlay) {
       return null;
     }
     const label = document.createElement('div');
     label.className = 'measurement-label hidden';
-    label.textContent = this.formatMeasurementDistance(distance);
+    label.classList.toggle('segment', segment);
+    // Marks measurements taken while the displayed mesh is simplified.
+    label.classList.toggle('simplified', this.isDisplaySimplified());
+    label.textContent = text;
     this.measureOverlay.appendChild(label);
     return label;
   };
 
   viewerProto.formatMeasurementDistance = function formatMeasurementDistance(distance) {
-    return `${distance.toFixed(2)} cm`;
+    return `${distance.toFixed(2)} ${MEASUREMENT_UNIT}`;
   };
 
   viewerProto.updateMeasurementLabels = function updateMeasurementLabels() {
@@ -317,26 +817,21 @@ export function applyMeasurementsMixin(viewerProto) {
       return;
     }
 
-    const hasMeasurements = this.measurements.length > 0;
+    const anchors = this.getMeasurementLabelAnchors();
     const hasScaleLabel =
       this.scaleReference?.enabled &&
       this.scaleReference?.group?.visible &&
       !!this.scaleReferenceLabel?.el;
 
-    if (!hasMeasurements && !hasScaleLabel) {
+    if (!anchors.length && !hasScaleLabel) {
       return;
     }
 
     const width = this.size.width;
     const height = this.size.height;
 
-    this.measurements.forEach((measurement) => {
-      const label = measurement.labelEl;
-      if (!label) {
-        return;
-      }
-
-      const projected = measurement.midpoint.clone().project(this.camera);
+    anchors.forEach(({ el: label, position }) => {
+      const projected = position.clone().project(this.camera);
       const visible = projected.z >= -1 && projected.z <= 1;
       if (!visible) {
         label.classList.add('hidden');
@@ -386,6 +881,38 @@ export function applyMeasurementsMixin(viewerProto) {
       if (!measurement) {
         return;
       }
+      if (measurement.type === 'area') {
+        this.updateAreaRegionPlacement(measurement);
+        if (measurement.labelEl) {
+          measurement.labelEl.textContent = this.formatMeasurementLabel(measurement);
+        }
+        return;
+      }
+      if (measurement.type === 'angle') {
+        measurement.points = measurement.pointsLocal.map((local) => this.currentModelGroup.localToWorld(local.clone()));
+        this.updateAngleMeasurementGeometry(measurement);
+        if (measurement.labelEl) {
+          measurement.labelEl.textContent = this.formatMeasurementLabel(measurement);
+        }
+        return;
+      }
+      if (measurement.segments) {
+        const toWorld = (local) => this.currentModelGroup.localToWorld(local.clone());
+        measurement.points = measurement.pointsLocal.map(toWorld);
+        measurement.segments.forEach((segment) => {
+          segment.path = segment.pathLocal.map(toWorld);
+        });
+        this.updatePathMeasurementGeometry(measurement);
+        measurement.segments.forEach((segment) => {
+          if (segment.labelEl) {
+            segment.labelEl.textContent = this.formatMeasurementSegmentLabel(segment);
+          }
+        });
+        if (measurement.labelEl) {
+          measurement.labelEl.textContent = this.formatMeasurementLabel(measurement);
+        }
+        return;
+      }
       if (!measurement.startLocal || !measurement.endLocal) {
         measurement.startLocal = measurement.start.clone();
         measurement.endLocal = measurement.end.clone();
@@ -416,9 +943,24 @@ export function applyMeasurementsMixin(viewerProto) {
         measurement.endMarker.position.copy(endWorld);
       }
       if (measurement.labelEl) {
-        measurement.labelEl.textContent = this.formatMeasurementDistance(measurement.distance);
+        measurement.labelEl.textContent = this.formatMeasurementLabel(measurement);
       }
     });
     this.updateMeasurementLabels();
   };
 }
+
+/**
+ * Returns the point at `distance` along a polyline.
+ */
+function pointAlongPath(path, distance) {
+  let remaining = distance;
+  for (let index = 1; index < path.length; index++) {
+    const step = path[index - 1].distanceTo(path[index]);
+    if (remaining <= step && step > 0) {
+      return path[index - 1].clone().lerp(path[index], remaining / step);
+    }
+    remaining -= step;
+  }
+  return path[path.length - 1].clone();
+}
@@ -0,0 +1,190 @@
+// Surface area and enclosed volume of a welded surface (see `weldMeshes`), and
+// the triangle lookups behind the area brush. The volume is the sum of the
+// signed tetrahedra joining each triangle to the origin, which only measures
+// something when the surface is closed and consistently wound; hence the
+// edge census that comes with it. Three-free, like surfaceGraph.
+
+function triangleArea(positions, a, b, c) {
+  const abx = positions[b * 3] - positions[a * 3];
+  const aby = positions[b * 3 + 1] - positions[a * 3 + 1];
+  const abz = positions[b * 3 + 2] - positions[a * 3 + 2];
+  const acx = positions[c * 3] - positions[a * 3];
+  const acy = positions[c * 3 + 1] - positions[a * 3 + 1];
+  const acz = positions[c * 3 + 2] - positions[a * 3 + 2];
+  return (
+    0.5 *
+    Math.hypot(aby * acz - abz * acy, abz * acx - abx * acz, abx * acy - aby * acx)
+  );
+}
+
+/**
+ * Measures a welded surface.
+ *
+ * An edge is open when a single triangle uses it, and non-manifold when more
+ * than two triangles use it or when two neighbours run it in the same
+ * direction (flipped winding). The surface is watertight when it has neither.
+ *
+ * @param {{positions: Float32Array, triangles: Uint32Array, vertexCount: number, triangleCount: number}} surface
+ * @returns {{area: number, volume: number|null, watertight: boolean, openEdges: number, nonManifoldEdges: number, triangleCount: number}}
+ *   Area and volume in the surface's units (squared and cubed); `volume` is
+ *   null unless the surface is watertight.
+ */
+export function computeSurfaceAnalytics({ positions, triangles, vertexCount, triangleCount }) {
+  let area = 0;
+  let signedVolume = 0;
+  // Directed edge uses, keyed by their undirected edge: +1 for low→high, -1 for high→low.
+  const edges = new Map();
+  let faces = 0;
+
+  for (let triangle = 0; triangle < triangleCount; triangle++) {
+    const a = triangles[triangle * 3];
+    const b = triangles[triangle * 3 + 1];
+    const c = triangles[triangle * 3 + 2];
+    if (a === b || b === c || a === c) {
+      continue;
+    }
+    faces++;
+    area += triangleArea(positions, a, b, c);
+    const ax = positions[a * 3];
+    const ay = positions[a * 3 + 1];
+    const az = positions[a * 3 + 2];
+    const bx = positions[b * 3];
+    const by = positions[b * 3 + 1];
+    const bz = positions[b * 3 + 2];
+    const cx = positions[c * 3];
+    const cy = positions[c * 3 + 1];
+    const cz = positions[c * 3 + 2];
+    signedVolume += (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+    [
+      [a, b],
+      [b, c],
+      [c, a],
+    ].forEach(([from, to]) => {
+      const key = from < to ? from * vertexCount + to : to * vertexCount + from;
+      const use = edges.get(key);
+      const direction = from < to ? 1 : -1;
+      if (!use) {
+        edges.set(key, { count: 1, balance: direction });
+      } else {
+        use.count++;
+        use.balance += direction;
+      }
+    });
+  }
+
+  let openEdges = 0;
+  let nonManifoldEdges = 0;
+  edges.forEach(({ count, balance }) => {
+    if (count === 1) {
+      openEdges++;
+    } else if (count > 2 || balance !== 0) {
+      nonManifoldEdges++;
+    }
+  });
+  const watertight = faces > 0 && openEdges === 0 && nonManifoldEdges === 0;
+
+  return {
+    area,
+    volume: watertight ? Math.abs(signedVolume) : null,
+    watertight,
+    openEdges,
+    nonManifoldEdges,
+    triangleCount: faces,
+  };
+}
+
+/**
+ * Lists the triangles around each vertex, in compressed rows.
+ *
+ * @param {{triangles: Uint32Array, vertexCount: number, triangleCount: number}} surface
+ * @returns {{offsets: Uint32Array, triangles: Uint32Array}}
+ */
+export function buildVertexTriangles({ triangles, vertexCount, triangleCount }) {
+  const offsets = new Uint32Array(vertexCount + 1);
+  for (let corner = 0; corner < triangleCount * 3; corner++) {
+    offsets[triangles[corner] + 1]++;
+  }
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    offsets[vertex + 1] += offsets[vertex];
+  }
+  const fill = offsets.slice(0, vertexCount);
+  const around = new Uint32Array(triangleCount * 3);
+  for (let corner = 0; corner < triangleCount * 3; corner++) {
+    around[fill[triangles[corner]]++] = Math.floor(corner / 3);
+  }
+  return { offsets, triangles: around };
+}
+
+/**
+ * Collects the triangles connected to `seed` whose centroid lies within
+ * `radius` of `center`. Spreading through neighbours rather than testing every
+ * triangle keeps the brush on the surface it touches.
+ *
+ * @param {{positions: Float32Array, triangles: Uint32Array}} surface
+ * @param {ReturnType<typeof buildVertexTriangles>} vertexTriangles
+ * @param {number} seed - Triangle under the brush.
+ * @param {number[]} center - xyz of the brush centre.
+ * @param {number} radius - Brush radius.
+ * @returns {number[]} Triangle ids.
+ */
+export function collectTrianglesWithin({ positions, triangles }, vertexTriangles, seed, center, radius) {
+  const visited = new Set([seed]);
+  const collected = [seed];
+  const queue = [seed];
+  const radiusSquared = radius * radius;
+  while (queue.length) {
+    const triangle = queue.pop();
+    for (let corner = 0; corner < 3; corner++) {
+      const vertex = triangles[triangle * 3 + corner];
+      for (let entry = vertexTriangles.offsets[vertex]; entry < vertexTriangles.offsets[vertex + 1]; entry++) {
+        const neighbor = vertexTriangles.triangles[entry];
+        if (visited.has(neighbor)) {
+          continue;
+        }
+        visited.add(neighbor);
+        let distanceSquared = 0;
+        for (let axis = 0; axis < 3; axis++) {
+          const centroid =
+            (positions[triangles[neighbor * 3] * 3 + axis] +
+              positions[triangles[neighbor * 3 + 1] * 3 + axis] +
+              positions[triangles[neighbor * 3 + 2] * 3 + axis]) /
+            3;
+          distanceSquared += (centroid - center[axis]) ** 2;
+        }
+        if (distanceSquared <= radiusSquared) {
+          collected.push(neighbor);
+          queue.push(neighbor);
+        }
+      }
+    }
+  }
+  return collected;
+}
+
+/**
+ * Sums the area of a set of triangles and finds their area-weighted centroid.
+ *
+ * @param {{positions: Float32Array, triangles: Uint32Array}} surface
+ * @param {Iterable<number>} triangleIds
+ * @returns {{area: number, centroid: number[]}}
+ */
+export function measureTriangles({ positions, triangles }, triangleIds) {
+  let area = 0;
+  const centroid = [0, 0, 0];
+  for (const triangle of triangleIds) {
+    const a = triangles[triangle * 3];
+    const b = triangles[triangle * 3 + 1];
+    const c = triangles[triangle * 3 + 2];
+    const weight = triangleArea(positions, a, b, c);
+    area += weight;
+    for (let axis = 0; axis < 3; axis++) {
+      centroid[axis] +=
+        (weight * (positions[a * 3 + axis] + positions[b * 3 + axis] + positions[c * 3 + axis])) / 3;
+    }
+  }
+  return {
+    area,
+    centroid: area > 0 ? centroid.map((value) => value / area) : centroid,
+  };
+}
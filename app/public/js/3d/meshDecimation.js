@@ -0,0 +1,336 @@
+// Mesh simplification for the low performance profile. Vertices are snapped to
+// a regular grid, each occupied cell becomes one vertex (the average of its
+// members, one per UV island the cell meets) and triangles that collapse are
+// dropped. This runs in linear time,
+// which matters on the devices it is meant for, at the cost of the finer
+// detail that quadric-error methods would keep. Three-free, like objParserCore.
+
+// Grid resolutions tried before settling for the closest result.
+const MAX_ATTEMPTS = 6;
+// A result down to this share of the budget is accepted without refining.
+const ACCEPTED_BUDGET_SHARE = 0.5;
+
+function computeBounds(positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let index = 0; index < positions.length; index += 3) {
+    for (let axis = 0; axis < 3; axis++) {
+      const value = positions[index + axis];
+      if (value < min[axis]) min[axis] = value;
+      if (value > max[axis]) max[axis] = value;
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Labels the UV islands of a mesh. Vertices with identical texture
+ * coordinates belong together, and so do the corners of each triangle; seams
+ * between islands are where a position carries two sets of coordinates.
+ *
+ * @returns {{ids: Uint32Array, count: number}} Island of each vertex.
+ */
+function findUvIslands(uvs, index, vertexCount) {
+  // Coordinates are compared bit for bit through an open-addressing table.
+  const bits = new Uint32Array(uvs.buffer, uvs.byteOffset, vertexCount * 2);
+  let tableSize = 1;
+  while (tableSize < vertexCount * 2) {
+    tableSize *= 2;
+  }
+  const mask = tableSize - 1;
+  const table = new Int32Array(tableSize).fill(-1);
+  const parent = new Uint32Array(vertexCount);
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    const u = bits[vertex * 2];
+    const v = bits[vertex * 2 + 1];
+    let slot = (Math.imul(u, 73856093) ^ Math.imul(v, 19349663)) & mask;
+    let other = table[slot];
+    while (other !== -1 && (bits[other * 2] !== u || bits[other * 2 + 1] !== v)) {
+      slot = (slot + 1) & mask;
+      other = table[slot];
+    }
+    if (other === -1) {
+      other = vertex;
+      table[slot] = vertex;
+    }
+    parent[vertex] = other;
+  }
+
+  const find = (vertex) => {
+    let root = vertex;
+    while (parent[root] !== root) {
+      parent[root] = parent[parent[root]];
+      root = parent[root];
+    }
+    return root;
+  };
+  const join = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      parent[rootB] = rootA;
+    }
+  };
+  const cornerCount = index ? index.length : vertexCount;
+  for (let corner = 0; corner + 2 < cornerCount; corner += 3) {
+    const a = index ? index[corner] : corner;
+    join(a, index ? index[corner + 1] : corner + 1);
+    join(a, index ? index[corner + 2] : corner + 2);
+  }
+
+  const ids = new Uint32Array(vertexCount);
+  const labels = new Map();
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    const root = find(vertex);
+    let label = labels.get(root);
+    if (label === undefined) {
+      label = labels.size;
+      labels.set(root, label);
+    }
+    ids[vertex] = label;
+  }
+  return { ids, count: labels.size };
+}
+
+/**
+ * Clusters the mesh on a grid of `resolution` cells along its longest side.
+ * With UV islands, a cell holds one output vertex per island it meets: they
+ * share the cell's position, but averaging texture coordinates across a seam
+ * would land between unrelated regions of the texture atlas.
+ */
+function clusterOnce({ positions, index, attributes, groups }, bounds, resolution, islands = null) {
+  const extent = Math.max(
+    bounds.max[0] - bounds.min[0],
+    bounds.max[1] - bounds.min[1],
+    bounds.max[2] - bounds.min[2],
+    1e-12
+  );
+  const cellSize = extent / resolution;
+  const vertexCount = positions.length / 3;
+  const cellOfVertex = new Uint32Array(vertexCount);
+  const cellIds = new Map();
+  let cellCount = 0;
+
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    let key = 0;
+    for (let axis = 2; axis >= 0; axis--) {
+      const offset = (positions[vertex * 3 + axis] - bounds.min[axis]) / cellSize;
+      key = key * resolution + Math.min(resolution - 1, Math.floor(offset));
+    }
+    let cell = cellIds.get(key);
+    if (cell === undefined) {
+      cell = cellCount++;
+      cellIds.set(key, cell);
+    }
+    cellOfVertex[vertex] = cell;
+  }
+
+  let clusterOfVertex = cellOfVertex;
+  let cellOfCluster = null;
+  let clusterCount = cellCount;
+  if (islands) {
+    clusterOfVertex = new Uint32Array(vertexCount);
+    const clusterIds = new Map();
+    const clusterCells = [];
+    for (let vertex = 0; vertex < vertexCount; vertex++) {
+      const key = cellOfVertex[vertex] * islands.count + islands.ids[vertex];
+      let cluster = clusterIds.get(key);
+      if (cluster === undefined) {
+        cluster = clusterCells.length;
+        clusterIds.set(key, cluster);
+        clusterCells.push(cellOfVertex[vertex]);
+      }
+      clusterOfVertex[vertex] = cluster;
+    }
+    cellOfCluster = Uint32Array.from(clusterCells);
+    clusterCount = clusterCells.length;
+  }
+
+  // Cells take the average position of their vertices, and clusters the
+  // average attributes of theirs.
+  const cellCounts = new Uint32Array(cellCount);
+  const clusterCounts = islands ? new Uint32Array(clusterCount) : cellCounts;
+  const positionSums = new Float64Array(cellCount * 3);
+  const attributeSums = attributes.map(({ itemSize }) => new Float64Array(clusterCount * itemSize));
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    const cell = cellOfVertex[vertex];
+    const cluster = clusterOfVertex[vertex];
+    cellCounts[cell]++;
+    if (islands) {
+      clusterCounts[cluster]++;
+    }
+    for (let axis = 0; axis < 3; axis++) {
+      positionSums[cell * 3 + axis] += positions[vertex * 3 + axis];
+    }
+    attributes.forEach(({ array, itemSize }, attributeIndex) => {
+      const sums = attributeSums[attributeIndex];
+      for (let item = 0; item < itemSize; item++) {
+        sums[cluster * itemSize + item] += array[vertex * itemSize + item];
+      }
+    });
+  }
+  const average = (sums, itemSize, counts) => {
+    const result = new Float32Array(sums.length);
+    for (let index = 0; index < sums.length; index++) {
+      result[index] = sums[index] / counts[Math.floor(index / itemSize)];
+    }
+    return result;
+  };
+  let outPositions = average(positionSums, 3, cellCounts);
+  if (cellOfCluster) {
+    const cellPositions = outPositions;
+    outPositions = new Float32Array(clusterCount * 3);
+    for (let cluster = 0; cluster < clusterCount; cluster++) {
+      const cell = cellOfCluster[cluster];
+      outPositions.set(cellPositions.subarray(cell * 3, cell * 3 + 3), cluster * 3);
+    }
+  }
+
+  const triangleCount = index ? index.length / 3 : vertexCount / 3;
+  const ranges = groups.length
+    ? groups
+    : [{ start: 0, count: triangleCount * 3, materialIndex: 0 }];
+  const outIndex = new Uint32Array(triangleCount * 3);
+  const outGroups = [];
+  let outCount = 0;
+
+  ranges.forEach((range) => {
+    const groupStart = outCount;
+    // Several source triangles usually collapse onto the same cell triple.
+    const seen = new Map();
+    const first = Math.floor(range.start / 3);
+    const last = Math.min(triangleCount, Math.floor((range.start + range.count) / 3));
+    for (let triangle = first; triangle < last; triangle++) {
+      const vertexA = index ? index[triangle * 3] : triangle * 3;
+      const vertexB = index ? index[triangle * 3 + 1] : triangle * 3 + 1;
+      const vertexC = index ? index[triangle * 3 + 2] : triangle * 3 + 2;
+      // Triangles collapse by cell; they keep the clusters of their own island.
+      const a = cellOfVertex[vertexA];
+      const b = cellOfVertex[vertexB];
+      const c = cellOfVertex[vertexC];
+      if (a === b || b === c || a === c) {
+        continue;
+      }
+      const low = Math.min(a, b, c);
+      const high = Math.max(a, b, c);
+      const middle = a + b + c - low - high;
+      const pairKey = low * cellCount + middle;
+      let thirds = seen.get(pairKey);
+      if (!thirds) {
+        thirds = new Set();
+        seen.set(pairKey, thirds);
+      }
+      if (thirds.has(high)) {
+        continue;
+      }
+      thirds.add(high);
+      outIndex[outCount++] = clusterOfVertex[vertexA];
+      outIndex[outCount++] = clusterOfVertex[vertexB];
+      outIndex[outCount++] = clusterOfVertex[vertexC];
+    }
+    outGroups.push({
+      start: groupStart,
+      count: outCount - groupStart,
+      materialIndex: range.materialIndex,
+    });
+  });
+
+  return {
+    positions: outPositions,
+    attributes: attributes.map(({ name, itemSize }, attributeIndex) => ({
+      name,
+      itemSize,
+      array: average(attributeSums[attributeIndex], itemSize, clusterCounts),
+    })),
+    index: outIndex.slice(0, outCount),
+    groups: groups.length ? outGroups : [],
+    triangleCount: outCount / 3,
+  };
+}
+
+/**
+ * Simplifies a triangle mesh down to about `targetTriangles` triangles.
+ * Normals are not carried over; callers recompute them.
+ *
+ * @param {object} mesh
+ * @param {Float32Array} mesh.positions - xyz per vertex.
+ * @param {Uint32Array|Uint16Array|null} [mesh.index] - Triangle indices; null for unindexed triangles.
+ * @param {{name: string, array: Float32Array, itemSize: number}[]} [mesh.attributes] - Per-vertex
+ *   attributes averaged with the positions (colours, UVs). UVs are only
+ *   averaged within their island.
+ * @param {{start: number, count: number, materialIndex: number}[]} [mesh.groups] - Material groups.
+ * @param {number} targetTriangles - Triangle budget.
+ * @returns {{positions: Float32Array, index: Uint32Array, attributes: object[], groups: object[], triangleCount: number}|null}
+ *   Indexed result, or null when the mesh is within budget or cannot be reduced.
+ */
+export function decimateMesh({ positions, index = null, attributes = [], groups = [] }, targetTriangles) {
+  const triangleCount = index ? index.length / 3 : positions.length / 9;
+  if (!(targetTriangles > 0) || triangleCount <= targetTriangles) {
+    return null;
+  }
+  const mesh = { positions, index, attributes, groups };
+  const bounds = computeBounds(positions);
+  const uvs = attributes.find((attribute) => attribute.name === 'uv' && attribute.itemSize === 2);
+  const islands = uvs ? findUvIslands(uvs.array, index, positions.length / 3) : null;
+  // A surface crossing a grid of r³ cells occupies about r² of them, each
+  // contributing two triangles.
+  let resolution = Math.max(2, Math.floor(Math.sqrt(targetTriangles / 2)));
+  let best = null;
+  let last = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    last = clusterOnce(mesh, bounds, resolution, islands);
+    if (last.triangleCount <= targetTriangles) {
+      if (!best || last.triangleCount > best.triangleCount) {
+        best = last;
+      }
+      if (last.triangleCount >= targetTriangles * ACCEPTED_BUDGET_SHARE) {
+        break;
+      }
+    }
+    const ratio = Math.sqrt(targetTriangles / Math.max(last.triangleCount, 1)) * 0.9;
+    const next = Math.max(2, Math.floor(resolution * ratio));
+    if (next === resolution) {
+      break;
+    }
+    resolution = next;
+  }
+  const result = best || last;
+  return result.triangleCount < triangleCount ? result : null;
+}
+
+/**
+ * Keeps every n-th point of a point cloud so that about `targetPoints` remain.
+ *
+ * @param {object} cloud
+ * @param {Float32Array} cloud.positions - xyz per point.
+ * @param {{name: string, array: Float32Array, itemSize: number}[]} [cloud.attributes] - Per-point attributes.
+ * @param {number} targetPoints - Point budget.
+ * @returns {{positions: Float32Array, attributes: object[], pointCount: number}|null}
+ *   Sampled cloud, or null when it is within budget.
+ */
+export function samplePoints({ positions, attributes = [] }, targetPoints) {
+  const pointCount = positions.length / 3;
+  if (!(targetPoints > 0) || pointCount <= targetPoints) {
+    return null;
+  }
+  const step = Math.ceil(pointCount / targetPoints);
+  const kept = Math.ceil(pointCount / step);
+  const pick = (array, itemSize) => {
+    const result = new Float32Array(kept * itemSize);
+    for (let point = 0, out = 0; point < pointCount; point += step, out++) {
+      for (let item = 0; item < itemSize; item++) {
+        result[out * itemSize + item] = array[point * itemSize + item];
+      }
+    }
+    return result;
+  };
+  return {
+    positions: pick(positions, 3),
+    attributes: attributes.map(({ name, array, itemSize }) => ({
+      name,
+      itemSize,
+      array: pick(array, itemSize),
+    })),
+    pointCount: kept,
+  };
+}
@@ -0,0 +1,442 @@
+// Format-aware model loading: OBJ (with MTL/textures), glTF/GLB, PLY, STL and
+// Draco (DRC).
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { getDracoLoader, getKtx2Loader, MeshoptDecoder } from './compressedLoaders.js';
+import { parseMtl } from './materials.js';
+import { parseObjBuffer } from './objParser.js';
+import { ParseError } from '../utils/networkErrors.js';
+
+const DEFAULT_MODEL_COLOR = 0xff9300;
+const POINT_SIZE = 0.005;
+
+/**
+ * Wraps a parsed PLY/STL geometry in a renderable object. Geometries without
+ * faces (point clouds exported by some scanners) become `THREE.Points`.
+ *
+ * @param {THREE.BufferGeometry} geometry - Parsed geometry.
+ * @param {string} name - Object name.
+ * @returns {THREE.Object3D} Mesh or point cloud.
+ */
+function createGeometryObject(geometry, name) {
+  const hasColors = Boolean(geometry.getAttribute('color'));
+  if (geometry.userData?.isPointCloud) {
+    const material = new THREE.PointsMaterial({
+      size: POINT_SIZE,
+      color: hasColors ? 0xffffff : DEFAULT_MODEL_COLOR,
+      vertexColors: hasColors,
+    });
+    const points = new THREE.Points(geometry, material);
+    points.name = name;
+    return points;
+  }
+
+  if (!geometry.getAttribute('normal')) {
+    geometry.computeVertexNormals();
+  }
+  const material = new THREE.MeshStandardMaterial({
+    color: hasColors ? 0xffffff : DEFAULT_MODEL_COLOR,
+    vertexColors: hasColors,
+    metalness: 0.0,
+    roughness: 1.0,
+  });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  return mesh;
+}
+
+/**
+ * Builds the scene graph of a parsed OBJ file, as three's OBJLoader would:
+ * one child per object, with a material per `usemtl` group. Materials only
+ * carry names here; `applyMaterialsToObject` swaps in the MTL definitions.
+ *
+ * @param {{objects: object[], materialLibraries: string[]}} parsed - Result of `parseObj`.
+ * @returns {THREE.Group} Group holding the meshes, lines and point clouds.
+ */
+function createObjObject(parsed) {
+  const container = new THREE.Group();
+  container.materialLibraries = [...parsed.materialLibraries];
+  parsed.objects.forEach((entry) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(entry.positions, 3));
+    if (entry.normals) {
+      geometry.setAttribute('normal', new THREE.BufferAttribute(entry.normals, 3));
+    }
+    if (entry.colors) {
+      geometry.setAttribute('color', new THREE.BufferAttribute(entry.colors, 3));
+    }
+    if (entry.uvs) {
+      geometry.setAttribute('uv', new THREE.BufferAttribute(entry.uvs, 2));
+    }
+
+    if (entry.type === 'Points') {
+      geometry.userData = { ...geometry.userData, isPointCloud: true };
+      container.add(createGeometryObject(geometry, entry.name));
+      return;
+    }
+
+    const isLine = entry.type === 'Line';
+    const materials = entry.materials.map((source) => {
+      const material = isLine ? new THREE.LineBasicMaterial() : new THREE.MeshPhongMaterial();
+      material.name = source.name;
+      if (!isLine) {
+        material.flatShading = !source.smooth;
+      }
+      material.vertexColors = Boolean(entry.colors);
+      return material;
+    });
+    if (materials.length > 1) {
+      entry.materials.forEach((source, index) => {
+        geometry.addGroup(source.groupStart, source.groupCount, index);
+      });
+    }
+    const ObjectType = isLine ? THREE.LineSegments : THREE.Mesh;
+    const object = new ObjectType(geometry, materials.length > 1 ? materials : materials[0]);
+    object.name = entry.name;
+    container.add(object);
+  });
+  return container;
+}
+
+/**
+ * Tells whether a PLY payload declares faces. PLY point clouds carry vertices only.
+ *
+ * @param {Uint8Array} bytes - PLY payload.
+ * @returns {boolean} True when the header declares at least one face.
+ */
+function plyHasFaces(bytes) {
+  const head = new TextDecoder().decode(bytes.subarray(0, Math.min(bytes.length, 4096)));
+  const headerEnd = head.indexOf('end_header');
+  const header = headerEnd >= 0 ? head.slice(0, headerEnd) : head;
+  const match = /element\s+face\s+(\d+)/.exec(header);
+  return Boolean(match && Number(match[1]) > 0);
+}
+
+/**
+ * Runs a parser, reporting any failure as a `ParseError` so the UI can tell a
+ * damaged file from a failed download.
+ *
+ * @template T
+ * @param {string} format - Format being parsed.
+ * @param {string} url - Source URL.
+ * @param {() => T|Promise<T>} parse - Parser call.
+ * @returns {Promise<T>}
+ */
+async function parseOrThrow(format, url, parse) {
+  try {
+    return await parse();
+  } catch (error) {
+    throw new ParseError({ url, format, cause: error });
+  }
+}
+
+/**
+ * Copies a byte view into a standalone ArrayBuffer, as the three.js loaders expect.
+ *
+ * @param {Uint8Array} bytes - Payload view.
+ * @returns {ArrayBuffer} Buffer holding exactly the payload.
+ */
+function toArrayBuffer(bytes) {
+  if (bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength) {
+    return bytes.buffer;
+  }
+  return bytes.slice().buffer;
+}
+
+export function applyModelFormatsMixin(viewerProto) {
+  // Load the geometry described by a model source and return its root object,
+  // or null when `isCurrent` reports that a newer load superseded this one.
+  // `onModelChunk` receives the OBJ download as it streams in, for the preview.
+  viewerProto.loadModelObject = async function loadModelObject(
+    source,
+    { progressState, emitLoadProgress, isCurrent = () => true, onModelChunk = null }
+  ) {
+    const format = source.format || 'obj';
+    if (format === 'obj') {
+      return this.loadObjModelObject(source, {
+        progressState,
+        emitLoadProgress,
+        isCurrent,
+        onModelChunk,
+      });
+    }
+
+    const bytes = await this._fetchVerifiedBytes(
+      source.modelUrl,
+      (ratio) => {
+        progressState.obj = Math.min(Math.max(ratio, 0), 1);
+        emitLoadProgress();
+      },
+      {
+        storageKey: source.modelStorageKey,
+        checksum: source.modelChecksum,
+        integrity: source.integrity,
+        kind: format,
+      }
+    );
+    if (!isCurrent()) {
+      return null;
+    }
+    // Material libraries and external textures only apply to OBJ and DRC.
+    if (format !== 'drc') {
+      progressState.mtl = 1;
+      progressState.textures = 1;
+    }
+    progressState.final = 0.05;
+    emitLoadProgress();
+
+    let object;
+    if (format === 'glb' || format === 'gltf') {
+      object = await parseOrThrow(format, source.modelUrl, () => this.parseGltfModel(source, bytes));
+    } else if (format === 'ply') {
+      const geometry = await parseOrThrow(format, source.modelUrl, () =>
+        new PLYLoader().parse(toArrayBuffer(bytes))
+      );
+      geometry.userData = { ...geometry.userData, isPointCloud: !plyHasFaces(bytes) };
+      object = createGeometryObject(geometry, source.displayName || 'PLY model');
+    } else if (format === 'stl') {
+      const geometry = await parseOrThrow(format, source.modelUrl, () =>
+        new STLLoader().parse(toArrayBuffer(bytes))
+      );
+      if (geometry.hasColors && !geometry.getAttribute('color')) {
+        geometry.hasColors = false;
+      }
+      object = createGeometryObject(geometry, source.displayName || 'STL model');
+    } else if (format === 'drc') {
+      const geometry = await parseOrThrow(format, source.modelUrl, () =>
+        this.parseDracoGeometry(bytes)
+      );
+      geometry.userData = { ...geometry.userData, isPointCloud: !geometry.index };
+      object = createGeometryObject(geometry, source.displayName || 'Draco model');
+    } else {
+      throw new Error(`Unsupported model format: ${format}`);
+    }
+    if (!isCurrent()) {
+      return null;
+    }
+    progressState.parse = 1;
+    emitLoadProgress();
+
+    if (format === 'drc') {
+      return this.applyDracoMaterials(object, source, { progressState, emitLoadProgress, isCurrent });
+    }
+    this.adoptEmbeddedMaterials(object);
+    return object;
+  };
+
+  // Decode a Draco payload; the decoder runs in the DRACOLoader's workers.
+  viewerProto.parseDracoGeometry = function parseDracoGeometry(bytes) {
+    return new Promise((resolve, reject) => {
+      getDracoLoader().parse(toArrayBuffer(bytes), resolve, reject);
+    });
+  };
+
+  // A DRC file carries no material names, so the first material of the MTL
+  // library published with it (see `buildModelIndex`) covers the whole mesh.
+  viewerProto.applyDracoMaterials = async function applyDracoMaterials(
+    object,
+    source,
+    { progressState, emitLoadProgress, isCurrent }
+  ) {
+    if (!source.defaultMaterialLibrary) {
+      progressState.mtl = 1;
+      progressState.textures = 1;
+      emitLoadProgress();
+      this.adoptEmbeddedMaterials(object);
+      return object;
+    }
+    const materials = await this.loadMaterialLibrary(source, [], {
+      progressState,
+      emitLoadProgress,
+      isCurrent,
+    });
+    if (!materials) {
+      return null;
+    }
+    const [firstName] = materials.materialDefs.keys();
+    if (object.isMesh && firstName) {
+      object.material.name = firstName;
+    }
+    const { materialInstances, defaultMaterial } = this.buildMaterialInstances(
+      materials.materialDefs,
+      materials.textures
+    );
+    this.applyMaterialsToObject(object, materialInstances, defaultMaterial);
+    return object;
+  };
+
+  // Parse a glTF/GLB payload; external buffers and images resolve through the source.
+  viewerProto.parseGltfModel = function parseGltfModel(source, bytes) {
+    const manager = new THREE.LoadingManager();
+    manager.setURLModifier((url) => {
+      if (/^(data|blob|https?):/i.test(url)) {
+        return url;
+      }
+      const resolved = source.resolveTexturePath?.(decodeURIComponent(url), {
+        textureBaseDir: source.modelDirectory,
+      });
+      return resolved?.url || url;
+    });
+    const loader = new GLTFLoader(manager);
+    loader.setCrossOrigin('anonymous');
+    loader.setDRACOLoader(getDracoLoader());
+    loader.setKTX2Loader(getKtx2Loader(this.renderer));
+    loader.setMeshoptDecoder(MeshoptDecoder);
+    const payload =
+      source.format === 'gltf' ? new TextDecoder().decode(bytes) : toArrayBuffer(bytes);
+    return loader.parseAsync(payload, '').then((gltf) => gltf.scene);
+  };
+
+  // OBJ pipeline: geometry, then its MTL library and the textures it references.
+  viewerProto.loadObjModelObject = async function loadObjModelObject(
+    source,
+    { progressState, emitLoadProgress, isCurrent, onModelChunk = null }
+  ) {
+    const bytes = await this._fetchVerifiedBytes(
+      source.modelUrl,
+      (ratio) => {
+        progressState.obj = Math.min(Math.max(ratio, 0), 1);
+        emitLoadProgress();
+      },
+      {
+        storageKey: source.modelStorageKey,
+        checksum: source.modelChecksum,
+        integrity: source.integrity,
+        kind: 'obj',
+        onChunk: onModelChunk,
+      }
+    );
+    if (!isCurrent()) {
+      return null;
+    }
+
+    // Decoding and parsing run in a worker; the payload is handed over, not copied.
+    const parsed = await parseOrThrow('obj', source.modelUrl, () =>
+      parseObjBuffer(toArrayBuffer(bytes), {
+        onProgress: (ratio) => {
+          progressState.parse = Math.min(Math.max(ratio, 0), 1);
+          emitLoadProgress();
+        },
+      })
+    );
+    if (!isCurrent()) {
+      return null;
+    }
+    progressState.parse = 1;
+    emitLoadProgress();
+
+    const materials = await this.loadMaterialLibrary(source, parsed.materialLibraries, {
+      progressState,
+      emitLoadProgress,
+      isCurrent,
+    });
+    if (!materials) {
+      return null;
+    }
+
+    const object = createObjObject(parsed);
+    progressState.final = 0.2;
+    emitLoadProgress();
+
+    const { materialInstances, defaultMaterial } = this.buildMaterialInstances(
+      materials.materialDefs,
+      materials.textures
+    );
+    this.applyMaterialsToObject(object, materialInstances, defaultMaterial);
+    return object;
+  };
+
+  // Fetch the MTL library of a model (referenced by `mtllib` or found next to
+  // it) and the textures it uses. Resolves null when the load was superseded.
+  viewerProto.loadMaterialLibrary = async function loadMaterialLibrary(
+    source,
+    mtllibRefs,
+    { progressState, emitLoadProgress, isCurrent }
+  ) {
+    let materialLibrary = null;
+    if (!mtllibRefs.length) {
+      progressState.mtl = 1;
+      emitLoadProgress();
+    }
+    if (Array.isArray(mtllibRefs) && mtllibRefs.length && source.resolveMaterialLibrary) {
+      for (const ref of mtllibRefs) {
+        const resolved = source.resolveMaterialLibrary(ref, {
+          modelDirectory: source.modelDirectory,
+        });
+        if (resolved) {
+          materialLibrary = resolved;
+          break;
+        }
+      }
+    }
+
+    if (!materialLibrary && source.defaultMaterialLibrary) {
+      materialLibrary = source.defaultMaterialLibrary;
+    }
+
+    if (!materialLibrary?.url) {
+      progressState.mtl = 1;
+      emitLoadProgress();
+    }
+
+    let parsedMaterialDefs = new Map();
+    let textures = new Map();
+
+    if (materialLibrary?.url) {
+      const mtlText = await this._fetchTextWithProgress(
+        materialLibrary.url,
+        (ratio) => {
+          progressState.mtl = Math.min(Math.max(ratio, 0), 1);
+          emitLoadProgress();
+        },
+        {
+          storageKey: materialLibrary.storageKey,
+          checksum: materialLibrary.checksum,
+          integrity: source.integrity,
+          kind: 'mtl',
+        }
+      );
+      if (!isCurrent()) {
+        return null;
+      }
+      parsedMaterialDefs = parseMtl(mtlText);
+      progressState.mtl = 1;
+      emitLoadProgress();
+    }
+
+    const { materialDefs, texturesNeeded } = this.prepareMaterialDefinitions(
+      parsedMaterialDefs,
+      source,
+      materialLibrary
+    );
+
+    // A load confirmed "without textures" keeps the MTL colours only.
+    if (source.skipTextures) {
+      texturesNeeded.clear();
+    }
+
+    if (texturesNeeded.size) {
+      const textureCount = texturesNeeded.size;
+      let loadedTextures = 0;
+      textures = await this.loadTextures(
+        texturesNeeded,
+        () => {
+          loadedTextures++;
+          progressState.textures = Math.min(loadedTextures / textureCount, 1);
+          emitLoadProgress();
+        },
+        { integrity: source.integrity }
+      );
+      if (!isCurrent()) {
+        return null;
+      }
+    } else {
+      progressState.textures = 1;
+      emitLoadProgress();
+    }
+
+    return { materialDefs, textures };
+  };
+}
@@ -0,0 +1,159 @@
+// Main-thread side of the OBJ parser worker. One worker is shared by every
+// load; requests are matched to replies by id. Browsers without module
+// workers parse on the main thread instead.
+import { createObjPreviewSession, parseObj } from './objParserCore.js';
+
+let workerPromise = null;
+let nextRequestId = 1;
+const pendingRequests = new Map();
+
+/**
+ * Starts the worker and waits for its `ready` message, so that a worker which
+ * cannot load (no module worker support) is detected before any payload is
+ * transferred to it.
+ *
+ * @returns {Promise<Worker|null>} The worker, or null when it is unavailable.
+ */
+function startWorker() {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker(new URL('./objParser.worker.js', import.meta.url), { type: 'module' });
+    } catch (error) {
+      console.warn('OBJ parser worker unavailable; parsing on the main thread', error);
+      resolve(null);
+      return;
+    }
+    let ready = false;
+
+    worker.addEventListener('message', (event) => {
+      const { id, type, ratio, result, message } = event.data || {};
+      if (type === 'ready') {
+        ready = true;
+        resolve(worker);
+        return;
+      }
+      const request = pendingRequests.get(id);
+      if (!request) {
+        return;
+      }
+      if (type === 'progress') {
+        request.onProgress?.(ratio);
+        return;
+      }
+      if (type === 'preview') {
+        request.onPreview?.(event.data);
+        return;
+      }
+      pendingRequests.delete(id);
+      if (type === 'result') {
+        request.resolve(result);
+      } else {
+        request.reject(new Error(message || 'OBJ parsing failed'));
+      }
+    });
+
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.();
+      worker.terminate();
+      if (!ready) {
+        // The worker never started: keep parsing on the main thread from now on.
+        console.warn('OBJ parser worker failed to start; parsing on the main thread', event.message);
+        resolve(null);
+        return;
+      }
+      // The worker died mid-parse (typically out of memory); a later load starts a new one.
+      workerPromise = null;
+      const error = new Error(event.message || 'OBJ parser worker crashed');
+      pendingRequests.forEach((request) => request.reject(error));
+      pendingRequests.clear();
+    });
+  });
+}
+
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = startWorker();
+  }
+  return workerPromise;
+}
+
+/**
+ * Decodes and parses an OBJ payload in the parser worker. The buffer is
+ * transferred, so it is detached once this call returns.
+ *
+ * @param {ArrayBuffer} buffer - OBJ file bytes.
+ * @param {object} [options]
+ * @param {(ratio: number) => void} [options.onProgress] - Receives the 0-1 share parsed.
+ * @returns {Promise<{objects: object[], materialLibraries: string[]}>} See `parseObj`.
+ */
+export async function parseObjBuffer(buffer, { onProgress } = {}) {
+  const worker = await getWorker();
+  if (!worker) {
+    return parseObj(new TextDecoder().decode(new Uint8Array(buffer)), { onProgress });
+  }
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, buffer }, [buffer]);
+  });
+}
+
+/**
+ * Opens a download preview: chunks of an OBJ file are parsed as they arrive
+ * and `onUpdate` receives the vertices and triangles read since the previous
+ * update, a few times per second.
+ *
+ * @param {object} options
+ * @param {(update: {positions: Float32Array, indices: Uint32Array}) => void} options.onUpdate
+ * @returns {{push: (chunk: Uint8Array) => void, close: () => void}}
+ */
+export function createObjPreviewStream({ onUpdate }) {
+  const id = nextRequestId++;
+  const workerReady = getWorker();
+  let closed = false;
+  let localSession = null;
+
+  workerReady.then((worker) => {
+    if (worker && !closed) {
+      // Preview requests never settle; a crashed worker just ends the preview.
+      pendingRequests.set(id, { onPreview: onUpdate, resolve: () => {}, reject: () => {} });
+    }
+  });
+
+  const push = (chunk) => {
+    if (closed) {
+      return;
+    }
+    // The downloader keeps its chunks to assemble the file, so a copy is sent.
+    const copy = chunk.slice();
+    workerReady.then((worker) => {
+      if (closed) {
+        return;
+      }
+      if (worker) {
+        worker.postMessage({ id, type: 'preview-chunk', buffer: copy.buffer }, [copy.buffer]);
+      } else {
+        if (!localSession) {
+          localSession = createObjPreviewSession(onUpdate);
+        }
+        localSession.push(copy);
+      }
+    });
+  };
+
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    pendingRequests.delete(id);
+    localSession?.close();
+    workerReady.then((worker) => worker?.postMessage({ id, type: 'preview-end' }));
+  };
+
+  return { push, close };
+}
@@ -0,0 +1,45 @@
+// Module worker decoding and parsing OBJ payloads off the main thread. Import
+// maps do not apply inside workers, so only relative, three-free modules are
+// imported here.
+import { createObjPreviewSession, getTransferables, parseObj } from './objParserCore.js';
+
+// Download previews in progress, by request id.
+const previews = new Map();
+
+function handlePreviewChunk(id, buffer) {
+  let preview = previews.get(id);
+  if (!preview) {
+    preview = createObjPreviewSession((update) => {
+      self.postMessage({ id, type: 'preview', ...update }, [
+        update.positions.buffer,
+        update.indices.buffer,
+      ]);
+    });
+    previews.set(id, preview);
+  }
+  preview.push(new Uint8Array(buffer));
+}
+
+self.addEventListener('message', (event) => {
+  const { id, type, buffer } = event.data || {};
+  if (type === 'preview-chunk') {
+    handlePreviewChunk(id, buffer);
+    return;
+  }
+  if (type === 'preview-end') {
+    previews.get(id)?.close();
+    previews.delete(id);
+    return;
+  }
+  try {
+    const text = new TextDecoder().decode(new Uint8Array(buffer));
+    const result = parseObj(text, {
+      onProgress: (ratio) => self.postMessage({ id, type: 'progress', ratio }),
+    });
+    self.postMessage({ id, type: 'result', result }, getTransferables(result));
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+  }
+});
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,537 @@
+/**
+ * Wavefront OBJ parser free of three.js imports, so it runs both inside the
+ * parser worker and on the main thread. It follows the semantics of three's
+ * OBJLoader: `o`/`g` start objects, `usemtl` starts material groups, faces are
+ * fan-triangulated into unindexed triangles and faces without normals get
+ * face normals. Geometry comes back as typed arrays ready to be transferred.
+ */
+
+// Progress is reported about every hundredth of the file.
+const PROGRESS_STEPS = 100;
+// The download preview keeps a second copy of the geometry, so it is capped.
+const PREVIEW_MAX_VERTICES = 2000000;
+const PREVIEW_MAX_TRIANGLES = 4000000;
+// Minimum delay, in milliseconds, between two preview updates.
+const PREVIEW_UPDATE_INTERVAL = 150;
+
+function srgbToLinear(value) {
+  return value < 0.04045
+    ? value * 0.0773993808
+    : Math.pow(value * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+function createObjectState(name, fromDeclaration) {
+  return {
+    name,
+    fromDeclaration,
+    type: 'Mesh',
+    positions: [],
+    normals: [],
+    colors: [],
+    uvs: [],
+    hasUVIndices: false,
+    smooth: true,
+    materials: [],
+  };
+}
+
+function currentMaterial(object) {
+  return object.materials[object.materials.length - 1];
+}
+
+/**
+ * Closes the open material group of an object. When `end` is set the object
+ * is complete: empty groups are dropped and a default material is added to an
+ * object that declared none.
+ */
+function finalizeMaterials(object, end) {
+  const last = currentMaterial(object);
+  if (last && last.groupEnd === -1) {
+    last.groupEnd = object.positions.length / 3;
+    last.groupCount = last.groupEnd - last.groupStart;
+    last.inherited = false;
+  }
+  if (end && object.materials.length > 1) {
+    for (let index = object.materials.length - 1; index >= 0; index -= 1) {
+      if (object.materials[index].groupCount <= 0) {
+        object.materials.splice(index, 1);
+      }
+    }
+  }
+  if (end && object.materials.length === 0) {
+    object.materials.push({ name: '', smooth: object.smooth, groupStart: 0, groupCount: -1 });
+  }
+  return last;
+}
+
+function startMaterial(object, name) {
+  const previous = finalizeMaterials(object, false);
+  if (previous && (previous.inherited || previous.groupCount <= 0)) {
+    object.materials.pop();
+  }
+  object.materials.push({
+    name: name || '',
+    smooth: previous ? previous.smooth : object.smooth,
+    groupStart: previous ? previous.groupEnd : 0,
+    groupEnd: -1,
+    groupCount: -1,
+    inherited: false,
+  });
+}
+
+function createParserState() {
+  const state = {
+    vertices: [],
+    normals: [],
+    colors: [],
+    uvs: [],
+    objects: [],
+    object: null,
+    materialLibraries: [],
+  };
+
+  state.startObject = (name, fromDeclaration = true) => {
+    // Geometry seen before the first `o`/`g` belongs to the declared object.
+    if (state.object && !state.object.fromDeclaration) {
+      state.object.name = name;
+      state.object.fromDeclaration = fromDeclaration;
+      return;
+    }
+    const previousMaterial = state.object ? currentMaterial(state.object) : undefined;
+    if (state.object) {
+      finalizeMaterials(state.object, true);
+    }
+    state.object = createObjectState(name, fromDeclaration);
+    // The active material carries over into the next object.
+    if (previousMaterial?.name) {
+      state.object.materials.push({
+        name: previousMaterial.name,
+        smooth: previousMaterial.smooth,
+        groupStart: 0,
+        groupEnd: -1,
+        groupCount: -1,
+        inherited: true,
+      });
+    }
+    state.objects.push(state.object);
+  };
+
+  state.vertexIndex = (value) => {
+    const index = parseInt(value, 10);
+    return (index >= 0 ? index - 1 : index + state.vertices.length / 3) * 3;
+  };
+  state.normalIndex = (value) => {
+    const index = parseInt(value, 10);
+    return (index >= 0 ? index - 1 : index + state.normals.length / 3) * 3;
+  };
+  state.uvIndex = (value) => {
+    const index = parseInt(value, 10);
+    return (index >= 0 ? index - 1 : index + state.uvs.length / 2) * 2;
+  };
+
+  state.pushVertex = (index) => {
+    const src = state.vertices;
+    state.object.positions.push(src[index], src[index + 1], src[index + 2]);
+  };
+  state.pushColor = (index) => {
+    if (state.colors[index] !== undefined) {
+      const src = state.colors;
+      state.object.colors.push(src[index], src[index + 1], src[index + 2]);
+    }
+  };
+
+  state.addFace = (a, b, c, ua, ub, uc, na, nb, nc) => {
+    const ia = state.vertexIndex(a);
+    const ib = state.vertexIndex(b);
+    const ic = state.vertexIndex(c);
+    const { object } = state;
+    state.pushVertex(ia);
+    state.pushVertex(ib);
+    state.pushVertex(ic);
+    state.pushColor(ia);
+    state.pushColor(ib);
+    state.pushColor(ic);
+
+    if (ua !== undefined && ua !== '') {
+      const src = state.uvs;
+      [ua, ub, uc].forEach((value) => {
+        const index = state.uvIndex(value);
+        object.uvs.push(src[index], src[index + 1]);
+      });
+      object.hasUVIndices = true;
+    } else {
+      // Placeholders keep the UVs aligned with the positions.
+      object.uvs.push(0, 0, 0, 0, 0, 0);
+    }
+
+    if (na !== undefined && na !== '') {
+      const src = state.normals;
+      [na, nb, nc].forEach((value) => {
+        const index = state.normalIndex(value);
+        object.normals.push(src[index], src[index + 1], src[index + 2]);
+      });
+    } else {
+      const v = state.vertices;
+      const cbx = v[ic] - v[ib];
+      const cby = v[ic + 1] - v[ib + 1];
+      const cbz = v[ic + 2] - v[ib + 2];
+      const abx = v[ia] - v[ib];
+      const aby = v[ia + 1] - v[ib + 1];
+      const abz = v[ia + 2] - v[ib + 2];
+      let nx = cby * abz - cbz * aby;
+      let ny = cbz * abx - cbx * abz;
+      let nz = cbx * aby - cby * abx;
+      const length = Math.hypot(nx, ny, nz);
+      if (length > 0) {
+        nx /= length;
+        ny /= length;
+        nz /= length;
+      }
+      object.normals.push(nx, ny, nz, nx, ny, nz, nx, ny, nz);
+    }
+  };
+
+  state.addLine = (vertices, uvs) => {
+    const { object } = state;
+    object.type = 'Line';
+    vertices.forEach((value) => state.pushVertex(state.vertexIndex(value)));
+    uvs.forEach((value) => {
+      const index = state.uvIndex(value);
+      object.uvs.push(state.uvs[index], state.uvs[index + 1]);
+    });
+  };
+
+  state.addPoints = (vertices) => {
+    state.object.type = 'Points';
+    vertices.forEach((value) => {
+      const index = state.vertexIndex(value);
+      state.pushVertex(index);
+      state.pushColor(index);
+    });
+  };
+
+  state.startObject('', false);
+  return state;
+}
+
+function isWhitespace(char) {
+  return char === ' ' || char === '\t';
+}
+
+function parseLine(state, line) {
+  // Single-letter statements; `lod`, `parm` and the like fall through.
+  const keyword = line.length === 1 || isWhitespace(line[1]) ? line[0] : null;
+  if (line[0] === 'v') {
+    const data = line.split(/\s+/);
+    if (data[0] === 'v') {
+      state.vertices.push(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
+      if (data.length >= 7) {
+        state.colors.push(
+          srgbToLinear(parseFloat(data[4])),
+          srgbToLinear(parseFloat(data[5])),
+          srgbToLinear(parseFloat(data[6]))
+        );
+      } else {
+        // Keeps colour indices aligned with vertex indices.
+        state.colors.push(undefined, undefined, undefined);
+      }
+    } else if (data[0] === 'vn') {
+      state.normals.push(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
+    } else if (data[0] === 'vt') {
+      state.uvs.push(parseFloat(data[1]), parseFloat(data[2]));
+    }
+    return;
+  }
+
+  if (keyword === 'f') {
+    const corners = line
+      .slice(1)
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((corner) => corner.split('/'));
+    const first = corners[0];
+    for (let index = 1; index < corners.length - 1; index += 1) {
+      const second = corners[index];
+      const third = corners[index + 1];
+      state.addFace(
+        first[0], second[0], third[0],
+        first[1], second[1], third[1],
+        first[2], second[2], third[2]
+      );
+    }
+    return;
+  }
+
+  if (keyword === 'l') {
+    const parts = line.slice(1).trim().split(/\s+/).filter(Boolean);
+    const vertices = [];
+    const uvs = [];
+    parts.forEach((part) => {
+      const [vertex, uv] = part.split('/');
+      if (vertex !== '') vertices.push(vertex);
+      if (uv !== undefined && uv !== '') uvs.push(uv);
+    });
+    state.addLine(vertices, uvs);
+    return;
+  }
+
+  if (keyword === 'p') {
+    state.addPoints(line.slice(1).trim().split(/\s+/).filter(Boolean));
+    return;
+  }
+
+  if (/^[og](\s|$)/.test(line)) {
+    state.startObject(line.slice(1).trim());
+    return;
+  }
+
+  if (line.startsWith('usemtl ')) {
+    startMaterial(state.object, line.slice(7).trim());
+    return;
+  }
+
+  if (line.startsWith('mtllib ')) {
+    state.materialLibraries.push(line.slice(7).trim());
+    return;
+  }
+
+  if (/^s\s+(\d+|on|off)/.test(line)) {
+    const value = line.split(/\s+/)[1].toLowerCase();
+    state.object.smooth = value !== '0' && value !== 'off';
+    const material = currentMaterial(state.object);
+    if (material) {
+      material.smooth = state.object.smooth;
+    }
+  }
+  // Other statements (free-form curves, `vp`, display attributes) are ignored.
+}
+
+function toParsedObject(object) {
+  const vertexCount = object.positions.length / 3;
+  return {
+    name: object.name,
+    type: object.type,
+    positions: new Float32Array(object.positions),
+    normals: object.normals.length === object.positions.length ? new Float32Array(object.normals) : null,
+    colors: object.colors.length === object.positions.length ? new Float32Array(object.colors) : null,
+    uvs:
+      object.hasUVIndices && object.uvs.length === vertexCount * 2 ? new Float32Array(object.uvs) : null,
+    materials: object.materials.map(({ name, smooth, groupStart, groupCount }) => ({
+      name,
+      smooth,
+      groupStart,
+      groupCount,
+    })),
+  };
+}
+
+/**
+ * Parses OBJ text.
+ *
+ * @param {string} text - OBJ source.
+ * @param {object} [options]
+ * @param {(ratio: number) => void} [options.onProgress] - Receives the 0-1 share of lines parsed.
+ * @returns {{objects: object[], materialLibraries: string[]}} Objects hold `name`, `type`
+ *   (`Mesh`, `Line` or `Points`), `positions`, `normals`, `colors` and `uvs` (Float32Array
+ *   or null) and `materials` (`{name, smooth, groupStart, groupCount}`).
+ */
+export function parseObj(text, { onProgress } = {}) {
+  let source = text;
+  if (source.indexOf('\r\n') !== -1) {
+    source = source.replace(/\r\n/g, '\n');
+  }
+  if (source.indexOf('\\\n') !== -1) {
+    // Backslash continues a statement on the next line.
+    source = source.replace(/\\\n/g, '');
+  }
+
+  const state = createParserState();
+  const lines = source.split('\n');
+  const step = Math.max(1, Math.ceil(lines.length / PROGRESS_STEPS));
+
+  for (let index = 0; index < lines.length; index += 1) {
+    if (onProgress && index % step === 0) {
+      onProgress(index / lines.length);
+    }
+    const line = lines[index].trimStart();
+    if (line.length === 0 || line[0] === '#') {
+      continue;
+    }
+    parseLine(state, line);
+  }
+  finalizeMaterials(state.object, true);
+
+  const objects = state.objects
+    .filter((object) => object.positions.length > 0)
+    .map(toParsedObject);
+
+  // A file with vertices but no faces, lines or points is a point cloud.
+  if (!objects.length && state.vertices.length) {
+    objects.push({
+      name: '',
+      type: 'Points',
+      positions: new Float32Array(state.vertices),
+      normals: null,
+      colors: state.colors[0] !== undefined ? new Float32Array(state.colors) : null,
+      uvs: null,
+      materials: [],
+    });
+  }
+
+  onProgress?.(1);
+  return { objects, materialLibraries: state.materialLibraries };
+}
+
+/**
+ * Lists the buffers of a parse result, for `postMessage` transfer lists.
+ *
+ * @param {{objects: object[]}} result - Result of `parseObj`.
+ * @returns {ArrayBuffer[]}
+ */
+export function getTransferables(result) {
+  return result.objects.flatMap((object) =>
+    [object.positions, object.normals, object.colors, object.uvs]
+      .filter(Boolean)
+      .map((array) => array.buffer)
+  );
+}
+
+/**
+ * Incremental parser behind the download preview. It reads vertex positions
+ * and faces from text chunks as they arrive and ignores every other
+ * statement. Faces are fan-triangulated over the vertex list; faces that
+ * reference vertices not read yet (or past the cap) are skipped.
+ *
+ * @returns {{
+ *   push: (text: string) => void,
+ *   takeUpdate: () => ({positions: Float32Array, indices: Uint32Array}|null),
+ * }} `takeUpdate` returns the vertices and triangle indices read since the
+ *   previous call, or null when nothing new arrived.
+ */
+export function createObjPreviewParser() {
+  let remainder = '';
+  let totalVertices = 0;
+  let keptVertices = 0;
+  let triangleCount = 0;
+  let positions = [];
+  let indices = [];
+
+  const resolveIndex = (value) => {
+    const index = parseInt(value, 10);
+    const resolved = index >= 0 ? index - 1 : index + totalVertices;
+    return resolved >= 0 && resolved < keptVertices ? resolved : -1;
+  };
+
+  const parseStatement = (line) => {
+    if (line[0] === 'v' && isWhitespace(line[1])) {
+      totalVertices += 1;
+      if (keptVertices < PREVIEW_MAX_VERTICES) {
+        const data = line.split(/\s+/);
+        positions.push(parseFloat(data[1]), parseFloat(data[2]), parseFloat(data[3]));
+        keptVertices += 1;
+      }
+      return;
+    }
+    if (line[0] === 'f' && isWhitespace(line[1]) && triangleCount < PREVIEW_MAX_TRIANGLES) {
+      const corners = line
+        .slice(1)
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((corner) => resolveIndex(corner.split('/')[0]));
+      if (corners.length < 3 || corners.includes(-1)) {
+        return;
+      }
+      for (let index = 1; index < corners.length - 1; index += 1) {
+        indices.push(corners[0], corners[index], corners[index + 1]);
+        triangleCount += 1;
+      }
+    }
+  };
+
+  const push = (text) => {
+    const buffered = remainder + text;
+    const lastBreak = buffered.lastIndexOf('\n');
+    if (lastBreak === -1) {
+      remainder = buffered;
+      return;
+    }
+    // The text after the last line break may be an incomplete statement.
+    remainder = buffered.slice(lastBreak + 1);
+    const lines = buffered.slice(0, lastBreak).split('\n');
+    lines.forEach((rawLine) => {
+      const line = rawLine.trim();
+      if (line.length > 1) {
+        parseStatement(line);
+      }
+    });
+  };
+
+  const takeUpdate = () => {
+    if (!positions.length && !indices.length) {
+      return null;
+    }
+    const update = {
+      positions: new Float32Array(positions),
+      indices: new Uint32Array(indices),
+    };
+    positions = [];
+    indices = [];
+    return update;
+  };
+
+  return { push, takeUpdate };
+}
+
+/**
+ * Feeds downloaded bytes to a preview parser and hands its output to
+ * `onUpdate` at most every `PREVIEW_UPDATE_INTERVAL` milliseconds. Output held
+ * back by the throttle is delivered once the interval has passed.
+ *
+ * @param {(update: {positions: Float32Array, indices: Uint32Array}) => void} onUpdate
+ * @returns {{push: (bytes: Uint8Array) => void, close: () => void}}
+ */
+export function createObjPreviewSession(onUpdate) {
+  const parser = createObjPreviewParser();
+  const decoder = new TextDecoder();
+  let lastUpdate = 0;
+  let timer = null;
+  let closed = false;
+
+  const flush = () => {
+    timer = null;
+    if (closed) {
+      return;
+    }
+    const update = parser.takeUpdate();
+    if (update) {
+      lastUpdate = Date.now();
+      onUpdate(update);
+    }
+  };
+
+  const push = (bytes) => {
+    if (closed) {
+      return;
+    }
+    parser.push(decoder.decode(bytes, { stream: true }));
+    if (timer) {
+      return;
+    }
+    const wait = PREVIEW_UPDATE_INTERVAL - (Date.now() - lastUpdate);
+    if (wait <= 0) {
+      flush();
+    } else {
+      timer = setTimeout(flush, wait);
+    }
+  };
+
+  const close = () => {
+    closed = true;
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return { push, close };
+}
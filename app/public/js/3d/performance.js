@@ -0,0 +1,268 @@
+// Performance profile: with the low profile, models are simplified and their
+// textures downsized for display. Each simplified object keeps its published
+// geometry in `userData.fullResolutionGeometry`, and measurements are picked on
+// that geometry so that their precision does not depend on the profile.
+import * as THREE from 'three';
+import { decimateMesh, samplePoints } from './meshDecimation.js';
+import {
+  DEFAULT_PERFORMANCE_PROFILE,
+  getPerformanceProfile,
+  PERFORMANCE_PROFILES,
+  resolvePerformanceProfile,
+} from '../utils/performanceProfile.js';
+
+// Display budgets of the low profile, for the whole model.
+const LOW_PROFILE_TRIANGLE_BUDGET = 300000;
+const LOW_PROFILE_POINT_BUDGET = 500000;
+const LOW_PROFILE_TEXTURE_SIZE = 1024;
+// Vertex attributes carried over to the simplified geometry; normals are recomputed.
+const KEPT_ATTRIBUTES = ['color', 'uv'];
+
+/**
+ * Copies an attribute into a plain Float32Array, resolving interleaved and
+ * normalized (quantized) storage.
+ */
+function readAttribute(attribute) {
+  if (!attribute.isInterleavedBufferAttribute && !attribute.normalized && attribute.array instanceof Float32Array) {
+    return attribute.array;
+  }
+  const { count, itemSize } = attribute;
+  const result = new Float32Array(count * itemSize);
+  const getters = ['getX', 'getY', 'getZ', 'getW'];
+  for (let index = 0; index < count; index++) {
+    for (let item = 0; item < itemSize; item++) {
+      result[index * itemSize + item] = attribute[getters[item]](index);
+    }
+  }
+  return result;
+}
+
+function readKeptAttributes(geometry) {
+  return KEPT_ATTRIBUTES.filter((name) => geometry.getAttribute(name)).map((name) => {
+    const attribute = geometry.getAttribute(name);
+    return { name, itemSize: attribute.itemSize, array: readAttribute(attribute) };
+  });
+}
+
+function countPrimitives(object) {
+  const geometry = object.geometry;
+  const position = geometry?.getAttribute('position');
+  if (!position) {
+    return 0;
+  }
+  if (object.isPoints) {
+    return position.count;
+  }
+  return (geometry.index ? geometry.index.count : position.count) / 3;
+}
+
+function buildGeometry(source, result) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(result.positions, 3));
+  result.attributes.forEach(({ name, array, itemSize }) => {
+    geometry.setAttribute(name, new THREE.BufferAttribute(array, itemSize));
+  });
+  if (result.index) {
+    geometry.setIndex(new THREE.BufferAttribute(result.index, 1));
+    result.groups.forEach(({ start, count, materialIndex }) => {
+      geometry.addGroup(start, count, materialIndex);
+    });
+    geometry.computeVertexNormals();
+  }
+  geometry.userData = { ...source.userData };
+  return geometry;
+}
+
+export function applyPerformanceMixin(viewerProto) {
+  viewerProto.setupPerformanceProfile = function setupPerformanceProfile() {
+    this.performanceProfile = getPerformanceProfile();
+  };
+
+  /**
+   * Returns the selected profile (`auto`, `high` or `low`).
+   *
+   * @returns {string}
+   */
+  viewerProto.getPerformanceProfile = function getPerformanceProfile() {
+    return this.performanceProfile;
+  };
+
+  /**
+   * Selects the profile. It applies from the next model loaded.
+   *
+   * @param {string} profile - `auto`, `high` or `low`.
+   * @returns {string} Applied profile.
+   */
+  viewerProto.setPerformanceProfile = function setPerformanceProfile(profile) {
+    this.performanceProfile = PERFORMANCE_PROFILES.includes(profile)
+      ? profile
+      : DEFAULT_PERFORMANCE_PROFILE;
+    return this.performanceProfile;
+  };
+
+  /**
+   * Returns the profile in effect on this device (`auto` resolved).
+   *
+   * @returns {'high'|'low'}
+   */
+  viewerProto.getEffectivePerformanceProfile = function getEffectivePerformanceProfile() {
+    return resolvePerformanceProfile(this.performanceProfile, { renderer: this.renderer });
+  };
+
+  /**
+   * Simplifies the meshes and point clouds of a loaded model when the low
+   * profile is in effect and the model exceeds its budget. The budget is shared
+   * between objects in proportion to their size.
+   *
+   * @param {THREE.Object3D} object - Root of a freshly loaded model.
+   * @returns {{fullCount: number, displayedCount: number}|null} Primitive counts, or null when nothing was simplified.
+   */
+  viewerProto.simplifyModelForDisplay = function simplifyModelForDisplay(object) {
+    if (!object || this.getEffectivePerformanceProfile() !== 'low') {
+      return null;
+    }
+    const meshes = [];
+    const clouds = [];
+    object.traverse((child) => {
+      const geometry = child.geometry;
+      if (!geometry?.getAttribute?.('position') || child.userData?.fullResolutionGeometry) {
+        return;
+      }
+      // Skinned and morphing meshes are shown as published.
+      if (child.isSkinnedMesh || Object.keys(geometry.morphAttributes || {}).length) {
+        return;
+      }
+      if (child.isPoints) {
+        clouds.push(child);
+      } else if (child.isMesh) {
+        meshes.push(child);
+      }
+    });
+
+    let fullCount = 0;
+    let displayedCount = 0;
+    let simplified = false;
+    const simplify = (objects, budget, reduce) => {
+      const total = objects.reduce((sum, child) => sum + countPrimitives(child), 0);
+      objects.forEach((child) => {
+        const count = countPrimitives(child);
+        fullCount += count;
+        const result = total > budget ? reduce(child, Math.floor((budget * count) / total)) : null;
+        if (!result) {
+          displayedCount += count;
+          return;
+        }
+        child.userData = { ...child.userData, fullResolutionGeometry: child.geometry };
+        child.geometry = buildGeometry(child.geometry, result);
+        displayedCount += countPrimitives(child);
+        simplified = true;
+      });
+    };
+
+    simplify(meshes, LOW_PROFILE_TRIANGLE_BUDGET, (child, target) => {
+      const geometry = child.geometry;
+      return decimateMesh(
+        {
+          positions: readAttribute(geometry.getAttribute('position')),
+          index: geometry.index ? geometry.index.array : null,
+          attributes: readKeptAttributes(geometry),
+          groups: geometry.groups,
+        },
+        target
+      );
+    });
+    simplify(clouds, LOW_PROFILE_POINT_BUDGET, (child, target) => {
+      const geometry = child.geometry;
+      return samplePoints(
+        {
+          positions: readAttribute(geometry.getAttribute('position')),
+          attributes: readKeptAttributes(geometry),
+        },
+        target
+      );
+    });
+
+    return simplified ? { fullCount, displayedCount } : null;
+  };
+
+  /**
+   * Indicates whether the primary model is displayed simplified.
+   *
+   * @returns {boolean}
+   */
+  viewerProto.isDisplaySimplified = function isDisplaySimplified() {
+    let simplified = false;
+    this.currentModelGroup?.traverse((child) => {
+      if (child.userData?.fullResolutionGeometry) {
+        simplified = true;
+      }
+    });
+    return simplified;
+  };
+
+  /**
+   * Runs `callback` with the published geometry swapped into every simplified
+   * object under `object`, e.g. to raycast against it.
+   *
+   * @template T
+   * @param {THREE.Object3D|null} object - Model root.
+   * @param {() => T} callback
+   * @returns {T}
+   */
+  viewerProto.withFullResolutionGeometry = function withFullResolutionGeometry(object, callback) {
+    const swapped = [];
+    object?.traverse((child) => {
+      const full = child.userData?.fullResolutionGeometry;
+      if (full) {
+        swapped.push([child, child.geometry]);
+        child.geometry = full;
+      }
+    });
+    try {
+      return callback();
+    } finally {
+      swapped.forEach(([child, displayed]) => {
+        child.geometry = displayed;
+      });
+    }
+  };
+
+  /**
+   * Downsizes a loaded texture image to the low-profile size limit when that
+   * profile is in effect. Compressed and data textures are left as they are.
+   *
+   * @param {THREE.Texture} texture - Texture freshly loaded from an image.
+   * @returns {THREE.Texture} The same texture.
+   */
+  viewerProto.downscaleTextureForDisplay = function downscaleTextureForDisplay(texture) {
+    if (
+      !texture ||
+      texture.isCompressedTexture ||
+      texture.isDataTexture ||
+      typeof document === 'undefined' ||
+      this.getEffectivePerformanceProfile() !== 'low'
+    ) {
+      return texture;
+    }
+    const image = texture.image;
+    const width = image?.naturalWidth || image?.width || 0;
+    const height = image?.naturalHeight || image?.height || 0;
+    const scale = LOW_PROFILE_TEXTURE_SIZE / Math.max(width, height);
+    if (!(scale < 1)) {
+      return texture;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const context = canvas.getContext('2d');
+    if (!context) {
+      return texture;
+    }
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    image.close?.();
+    texture.image = canvas;
+    texture.userData = { ...texture.userData, downscaled: true };
+    texture.needsUpdate = true;
+    return texture;
+  };
+}
@@ -0,0 +1,192 @@
+// Download preview for OBJ models: while the file streams in, the vertices read
+// so far are drawn as a point cloud and the faces as a partial mesh, so a slow
+// download can be judged before it completes. The final model replaces it.
+import * as THREE from 'three';
+import { createObjPreviewStream } from './objParser.js';
+
+const PREVIEW_COLOR = 0xff9300;
+const PREVIEW_POINT_SIZE = 2;
+// The view is framed again while the preview grows past the framed size.
+const REFRAME_GROWTH = 1.25;
+
+/**
+ * Returns `array` when it can hold `length` items, else a larger copy.
+ */
+function ensureCapacity(array, length) {
+  if (length <= array.length) {
+    return array;
+  }
+  let capacity = Math.max(array.length, 3 * 4096);
+  while (capacity < length) {
+    capacity *= 2;
+  }
+  const grown = new array.constructor(capacity);
+  grown.set(array);
+  return grown;
+}
+
+export function applyProgressivePreviewMixin(viewerProto) {
+  /**
+   * Starts the preview of a model download. Chunks pushed to the returned
+   * handle are parsed off the main thread; the preview is added to the scene
+   * with its first vertices, and `loadpreview` is emitted at that point.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.frameView=true] - Fit the camera to the preview as it grows.
+   * @returns {{push: (chunk: Uint8Array, offset: number) => void, dispose: () => void}}
+   */
+  viewerProto.startProgressivePreview = function startProgressivePreview({ frameView = true } = {}) {
+    this.progressivePreview?.dispose();
+
+    const group = new THREE.Group();
+    group.name = 'ProgressivePreview';
+    const pointsMaterial = new THREE.PointsMaterial({
+      color: PREVIEW_COLOR,
+      size: PREVIEW_POINT_SIZE,
+      sizeAttenuation: false,
+    });
+    // Flat shading derives normals in the shader; the preview carries none.
+    const meshMaterial = new THREE.MeshStandardMaterial({
+      color: PREVIEW_COLOR,
+      flatShading: true,
+      metalness: 0.0,
+      roughness: 1.0,
+      side: THREE.DoubleSide,
+    });
+    const points = new THREE.Points(new THREE.BufferGeometry(), pointsMaterial);
+    const mesh = new THREE.Mesh(new THREE.BufferGeometry(), meshMaterial);
+    // Bounding volumes would be computed over the unused tail of the buffers.
+    points.frustumCulled = false;
+    mesh.frustumCulled = false;
+    group.add(points, mesh);
+
+    let positions = new Float32Array(0);
+    let indices = new Uint32Array(0);
+    let vertexCount = 0;
+    let indexCount = 0;
+    let received = 0;
+    let shown = false;
+    let disposed = false;
+    let framedRadius = 0;
+    const min = new THREE.Vector3(Infinity, Infinity, Infinity);
+    const max = new THREE.Vector3(-Infinity, -Infinity, -Infinity);
+
+    const rebuildGeometries = () => {
+      // A grown buffer needs new geometries: replacing the attributes of a
+      // rendered geometry would leave the old GPU buffers behind.
+      points.geometry.dispose();
+      mesh.geometry.dispose();
+      const positionAttribute = new THREE.BufferAttribute(positions, 3);
+      points.geometry = new THREE.BufferGeometry();
+      points.geometry.setAttribute('position', positionAttribute);
+      mesh.geometry = new THREE.BufferGeometry();
+      mesh.geometry.setAttribute('position', positionAttribute);
+      mesh.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    };
+
+    const frame = () => {
+      const center = min.clone().add(max).multiplyScalar(0.5);
+      const radius = Math.max(min.distanceTo(max) / 2, 1e-4);
+      if (radius < framedRadius * REFRAME_GROWTH) {
+        return;
+      }
+      framedRadius = radius;
+      group.position.copy(center).negate();
+      this.updateViewState(new THREE.Vector3(), radius);
+    };
+
+    const applyUpdate = (update) => {
+      if (disposed) {
+        return;
+      }
+      const newPositions = update.positions;
+      const newIndices = update.indices;
+      const nextPositions = ensureCapacity(positions, vertexCount * 3 + newPositions.length);
+      const nextIndices = ensureCapacity(indices, indexCount + newIndices.length);
+      const grown = nextPositions !== positions || nextIndices !== indices;
+      positions = nextPositions;
+      indices = nextIndices;
+      positions.set(newPositions, vertexCount * 3);
+      indices.set(newIndices, indexCount);
+
+      if (grown) {
+        rebuildGeometries();
+      } else {
+        const positionAttribute = points.geometry.getAttribute('position');
+        positionAttribute.addUpdateRange(vertexCount * 3, newPositions.length);
+        positionAttribute.needsUpdate = true;
+        const indexAttribute = mesh.geometry.getIndex();
+        indexAttribute.addUpdateRange(indexCount, newIndices.length);
+        indexAttribute.needsUpdate = true;
+      }
+
+      for (let index = 0; index < newPositions.length; index += 3) {
+        const x = newPositions[index];
+        const y = newPositions[index + 1];
+        const z = newPositions[index + 2];
+        min.set(Math.min(min.x, x), Math.min(min.y, y), Math.min(min.z, z));
+        max.set(Math.max(max.x, x), Math.max(max.y, y), Math.max(max.z, z));
+      }
+      vertexCount += newPositions.length / 3;
+      indexCount += newIndices.length;
+      points.geometry.setDrawRange(0, vertexCount);
+      mesh.geometry.setDrawRange(0, indexCount);
+
+      if (!vertexCount) {
+        return;
+      }
+      if (!shown) {
+        shown = true;
+        this.scene.add(group);
+        this.emit('loadpreview', { vertexCount, triangleCount: indexCount / 3 });
+      }
+      if (frameView) {
+        frame();
+      }
+    };
+
+    let stream = createObjPreviewStream({ onUpdate: applyUpdate });
+
+    const reset = () => {
+      stream.close();
+      stream = createObjPreviewStream({ onUpdate: applyUpdate });
+      vertexCount = 0;
+      indexCount = 0;
+      received = 0;
+      points.geometry.setDrawRange(0, 0);
+      mesh.geometry.setDrawRange(0, 0);
+      min.set(Infinity, Infinity, Infinity);
+      max.set(-Infinity, -Infinity, -Infinity);
+    };
+
+    const preview = {
+      push: (chunk, offset) => {
+        if (disposed) {
+          return;
+        }
+        if (offset < received) {
+          // The download started over.
+          reset();
+        }
+        received = offset + chunk.length;
+        stream.push(chunk);
+      },
+      dispose: () => {
+        if (disposed) {
+          return;
+        }
+        disposed = true;
+        stream.close();
+        if (shown) {
+          this.scene.remove(group);
+        }
+        this.disposeGroup(group);
+        if (this.progressivePreview === preview) {
+          this.progressivePreview = null;
+        }
+      },
+    };
+    this.progressivePreview = preview;
+    return preview;
+  };
+}
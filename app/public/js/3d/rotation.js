@@ -169,6 +169,7 @@ export function applyRotationMixin(viewerProto) {
       }
       this.currentModelGroup.updateMatrixWorld(true);
       this.updateMeasurementsForCurrentModel();
+      this.updateLandmarksForCurrentModel();
       this.updateClippingBoundsFromCurrentModel();
       this.updateScaleReference();
       this.updateRotationGizmoState();
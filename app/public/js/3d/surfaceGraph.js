@@ -0,0 +1,341 @@
+// Paths along a mesh surface for surface-path measurements. Vertices sharing a
+// position are welded (texture and normal seams split them in the published
+// files, sometimes a rounding error apart), triangle edges become the edges of
+// a graph, and an A* search finds the shortest chain of edges between two
+// points. Following edges rather than cutting across faces overestimates the
+// true geodesic slightly, by a few percent on regular meshes. Three-free, like
+// meshDecimation.
+
+/**
+ * Returns the distance under which two vertices are welded: a millionth of
+ * the size of the model.
+ */
+function computeWeldTolerance(meshes) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  meshes.forEach(({ positions }) => {
+    for (let index = 0; index < positions.length; index += 3) {
+      for (let axis = 0; axis < 3; axis++) {
+        const value = positions[index + axis];
+        if (value < min[axis]) min[axis] = value;
+        if (value > max[axis]) max[axis] = value;
+      }
+    }
+  });
+  const diagonal = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+  return diagonal > 0 ? diagonal * 1e-6 : 1e-9;
+}
+
+/**
+ * Merges one or more triangle meshes sharing a coordinate space into a single
+ * welded surface. Triangles keep their order, mesh after mesh.
+ *
+ * @param {{positions: Float32Array, index?: Uint32Array|Uint16Array|null}[]} meshes
+ *   Triangle meshes; `index` is null for unindexed triangles.
+ * @returns {{positions: Float32Array, triangles: Uint32Array, vertexCount: number, triangleCount: number}}
+ *   Welded vertex positions and three vertex ids per triangle.
+ */
+export function weldMeshes(meshes) {
+  const weldTolerance = computeWeldTolerance(meshes);
+  const totalVertices = meshes.reduce((sum, { positions }) => sum + positions.length / 3, 0);
+  // Open-addressing table of welded ids, keyed by the grid cell, one tolerance
+  // wide, holding the vertex. A vertex is welded to one within the tolerance
+  // on every axis, which lies in its own cell or in one of the 26 around it;
+  // a cell therefore holds at most one welded vertex. The cell coordinates are
+  // kept to tell apart cells whose hashes collide.
+  let tableSize = 1;
+  while (tableSize < totalVertices * 2) {
+    tableSize *= 2;
+  }
+  const mask = tableSize - 1;
+  const table = new Int32Array(tableSize).fill(-1);
+  const cells = new Float64Array(totalVertices * 3);
+  const weldedPositions = new Float32Array(totalVertices * 3);
+  let weldedCount = 0;
+  const meshTriangles = [];
+
+  // Slot of a cell in the table: the one holding it, or the free one ending
+  // its probe sequence.
+  const findSlot = (cellX, cellY, cellZ) => {
+    let slot =
+      (Math.imul(cellX | 0, 73856093) ^ Math.imul(cellY | 0, 19349663) ^ Math.imul(cellZ | 0, 83492791)) & mask;
+    let id = table[slot];
+    while (id !== -1 && (cells[id * 3] !== cellX || cells[id * 3 + 1] !== cellY || cells[id * 3 + 2] !== cellZ)) {
+      slot = (slot + 1) & mask;
+      id = table[slot];
+    }
+    return slot;
+  };
+
+  // Closest welded vertex within the tolerance in the cells around a vertex, or -1.
+  const findNeighbour = (x, y, z, cellX, cellY, cellZ) => {
+    let closest = -1;
+    let closestDistance = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          if (dx === 0 && dy === 0 && dz === 0) continue;
+          const id = table[findSlot(cellX + dx, cellY + dy, cellZ + dz)];
+          if (id === -1) continue;
+          const distance = Math.max(
+            Math.abs(weldedPositions[id * 3] - x),
+            Math.abs(weldedPositions[id * 3 + 1] - y),
+            Math.abs(weldedPositions[id * 3 + 2] - z),
+          );
+          if (distance <= weldTolerance && distance < closestDistance) {
+            closest = id;
+            closestDistance = distance;
+          }
+        }
+      }
+    }
+    return closest;
+  };
+
+  meshes.forEach(({ positions, index = null }) => {
+    const vertexCount = positions.length / 3;
+    const remap = new Uint32Array(vertexCount);
+    for (let vertex = 0; vertex < vertexCount; vertex++) {
+      const x = positions[vertex * 3];
+      const y = positions[vertex * 3 + 1];
+      const z = positions[vertex * 3 + 2];
+      const cellX = Math.floor(x / weldTolerance);
+      const cellY = Math.floor(y / weldTolerance);
+      const cellZ = Math.floor(z / weldTolerance);
+      const slot = findSlot(cellX, cellY, cellZ);
+      let id = table[slot];
+      if (id === -1) {
+        id = findNeighbour(x, y, z, cellX, cellY, cellZ);
+      }
+      if (id === -1) {
+        id = weldedCount++;
+        table[slot] = id;
+        cells[id * 3] = cellX;
+        cells[id * 3 + 1] = cellY;
+        cells[id * 3 + 2] = cellZ;
+        weldedPositions[id * 3] = x;
+        weldedPositions[id * 3 + 1] = y;
+        weldedPositions[id * 3 + 2] = z;
+      }
+      remap[vertex] = id;
+    }
+    const cornerCount = index ? index.length : vertexCount;
+    const corners = new Uint32Array(cornerCount - (cornerCount % 3));
+    for (let corner = 0; corner < corners.length; corner++) {
+      corners[corner] = remap[index ? index[corner] : corner];
+    }
+    meshTriangles.push(corners);
+  });
+
+  const triangles = new Uint32Array(meshTriangles.reduce((sum, corners) => sum + corners.length, 0));
+  let offset = 0;
+  meshTriangles.forEach((corners) => {
+    triangles.set(corners, offset);
+    offset += corners.length;
+  });
+  return {
+    positions: weldedPositions.slice(0, weldedCount * 3),
+    triangles,
+    vertexCount: weldedCount,
+    triangleCount: triangles.length / 3,
+  };
+}
+
+/**
+ * Builds the edge graph of a welded surface.
+ *
+ * @param {ReturnType<typeof weldMeshes>} surface
+ * @returns {{positions: Float32Array, offsets: Uint32Array, neighbors: Uint32Array, weights: Float32Array, vertexCount: number}}
+ *   Surface vertices and their adjacency in compressed rows.
+ */
+export function buildSurfaceGraph({ positions, triangles, vertexCount }) {
+  const degrees = new Uint32Array(vertexCount + 1);
+  const forEachEdge = (callback) => {
+    for (let corner = 0; corner < triangles.length; corner += 3) {
+      const a = triangles[corner];
+      const b = triangles[corner + 1];
+      const c = triangles[corner + 2];
+      callback(a, b);
+      callback(b, c);
+      callback(c, a);
+    }
+  };
+
+  // Edges shared by two triangles are stored twice; the search does not mind.
+  forEachEdge((a, b) => {
+    if (a !== b) {
+      degrees[a]++;
+      degrees[b]++;
+    }
+  });
+  const offsets = new Uint32Array(vertexCount + 1);
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    offsets[vertex + 1] = offsets[vertex] + degrees[vertex];
+  }
+  const neighbors = new Uint32Array(offsets[vertexCount]);
+  const weights = new Float32Array(offsets[vertexCount]);
+  const fill = offsets.slice(0, vertexCount);
+  const distance = (a, b) =>
+    Math.hypot(
+      positions[a * 3] - positions[b * 3],
+      positions[a * 3 + 1] - positions[b * 3 + 1],
+      positions[a * 3 + 2] - positions[b * 3 + 2]
+    );
+  forEachEdge((a, b) => {
+    if (a === b) {
+      return;
+    }
+    const length = distance(a, b);
+    neighbors[fill[a]] = b;
+    weights[fill[a]++] = length;
+    neighbors[fill[b]] = a;
+    weights[fill[b]++] = length;
+  });
+
+  return { positions, offsets, neighbors, weights, vertexCount };
+}
+
+/**
+ * Returns the graph vertex closest to a point, ignoring isolated vertices.
+ */
+function findNearestVertex(graph, [x, y, z]) {
+  const { positions, offsets, vertexCount } = graph;
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  for (let vertex = 0; vertex < vertexCount; vertex++) {
+    if (offsets[vertex + 1] === offsets[vertex]) {
+      continue;
+    }
+    const dx = positions[vertex * 3] - x;
+    const dy = positions[vertex * 3 + 1] - y;
+    const dz = positions[vertex * 3 + 2] - z;
+    const distance = dx * dx + dy * dy + dz * dz;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = vertex;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Binary min-heap of vertex ids keyed by priority.
+ */
+function createHeap() {
+  const ids = [];
+  const priorities = [];
+  const swap = (a, b) => {
+    [ids[a], ids[b]] = [ids[b], ids[a]];
+    [priorities[a], priorities[b]] = [priorities[b], priorities[a]];
+  };
+  return {
+    get size() {
+      return ids.length;
+    },
+    push(id, priority) {
+      ids.push(id);
+      priorities.push(priority);
+      let child = ids.length - 1;
+      while (child > 0) {
+        const parent = (child - 1) >> 1;
+        if (priorities[parent] <= priorities[child]) {
+          break;
+        }
+        swap(parent, child);
+        child = parent;
+      }
+    },
+    pop() {
+      const top = ids[0];
+      const lastId = ids.pop();
+      const lastPriority = priorities.pop();
+      if (ids.length) {
+        ids[0] = lastId;
+        priorities[0] = lastPriority;
+        let parent = 0;
+        for (;;) {
+          const left = parent * 2 + 1;
+          const right = left + 1;
+          let smallest = parent;
+          if (left < ids.length && priorities[left] < priorities[smallest]) smallest = left;
+          if (right < ids.length && priorities[right] < priorities[smallest]) smallest = right;
+          if (smallest === parent) {
+            break;
+          }
+          swap(parent, smallest);
+          parent = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Finds the shortest path along the surface between two points. The points
+ * are joined to their nearest graph vertices, so they need not be vertices.
+ *
+ * @param {ReturnType<typeof buildSurfaceGraph>} graph
+ * @param {number[]} start - xyz in the graph's coordinate space.
+ * @param {number[]} end - xyz in the graph's coordinate space.
+ * @returns {number[][]|null} Points from `start` to `end`, or null when they
+ *   lie on parts of the surface that are not connected.
+ */
+export function findSurfacePath(graph, start, end) {
+  const from = findNearestVertex(graph, start);
+  const to = findNearestVertex(graph, end);
+  if (from < 0 || to < 0) {
+    return null;
+  }
+  const { positions, offsets, neighbors, weights, vertexCount } = graph;
+  const vertexPoint = (vertex) => [
+    positions[vertex * 3],
+    positions[vertex * 3 + 1],
+    positions[vertex * 3 + 2],
+  ];
+  // Straight-line distance to the target never exceeds the path length, so
+  // the search stays exact while exploring far fewer vertices than Dijkstra.
+  const heuristic = (vertex) =>
+    Math.hypot(
+      positions[vertex * 3] - positions[to * 3],
+      positions[vertex * 3 + 1] - positions[to * 3 + 1],
+      positions[vertex * 3 + 2] - positions[to * 3 + 2]
+    );
+
+  const costs = new Float64Array(vertexCount).fill(Infinity);
+  const previous = new Int32Array(vertexCount).fill(-1);
+  const settled = new Uint8Array(vertexCount);
+  const heap = createHeap();
+  costs[from] = 0;
+  heap.push(from, heuristic(from));
+
+  while (heap.size) {
+    const vertex = heap.pop();
+    if (settled[vertex]) {
+      continue;
+    }
+    if (vertex === to) {
+      break;
+    }
+    settled[vertex] = 1;
+    for (let edge = offsets[vertex]; edge < offsets[vertex + 1]; edge++) {
+      const neighbor = neighbors[edge];
+      const cost = costs[vertex] + weights[edge];
+      if (cost < costs[neighbor]) {
+        costs[neighbor] = cost;
+        previous[neighbor] = vertex;
+        heap.push(neighbor, cost + heuristic(neighbor));
+      }
+    }
+  }
+
+  if (from !== to && previous[to] < 0) {
+    return null;
+  }
+  const chain = [];
+  for (let vertex = to; vertex !== -1; vertex = vertex === from ? -1 : previous[vertex]) {
+    chain.push(vertexPoint(vertex));
+  }
+  chain.reverse();
+  return [[...start], ...chain, [...end]];
+}
@@ -1,22 +1,35 @@
 /**
- * Three.js based viewer tailored for Dataverse OBJ/MTL datasets,
+ * Three.js based viewer tailored for Dataverse 3D datasets (OBJ/MTL, glTF, PLY, STL),
  * including material management, measurement tools, and camera controls.
  */
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { TrackballControls } from 'three/examples/jsm/controls/TrackballControls.js';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
 import { ManagedAnaglyphEffect } from './anaglyphEffect.js';
 import { applyClippingMixin } from './clipping.js';
 import { applyScaleReferenceMixin } from './scaleReference.js';
 import { applyLabelsMixin } from './labels.js';
 import { applyMeasurementsMixin } from './measurements.js';
-import { applyMaterialsMixin, extractMtllibReferences, parseMtl } from './materials.js';
+import { applyAreaMeasurementsMixin } from './areaMeasurements.js';
+import { applyMeasurementRecordsMixin } from './measurementRecords.js';
+import { applyLandmarksMixin } from './landmarks.js';
+import { applyMaterialsMixin } from './materials.js';
+import { applyModelFormatsMixin } from './modelFormats.js';
+import { applyProgressivePreviewMixin } from './progressivePreview.js';
+import { applyPerformanceMixin } from './performance.js';
 import { applyEnvironmentMixin } from './environment.js';
 import { applyComparisonMixin } from './comparison.js';
 import { applyRotationMixin } from './rotation.js';
 import { applyExportMixin } from './export.js';
 import { getDefaultFetch } from '../utils/defaultFetch.js';
+import { fetchBytesWithResume } from '../utils/retryFetch.js';
+import { AssetCache } from '../data/assetCache.js';
+import {
+  ChecksumMismatchError,
+  createChecksumVerifier,
+  describeVerifiedChecksum,
+  recordIntegrityResult,
+} from '../utils/checksum.js';
 
 // ---------------------------------------------------------------------------
 // Viewer configuration constants
@@ -45,13 +58,15 @@ class Viewer3D {
   /**
    * @param {object} [options]
    * @param {Function} [options.fetchImpl] - Fetch implementation used for remote resources.
+   * @param {AssetCache|null} [options.assetCache] - Persistent payload cache; pass null to disable.
    */
-  constructor({ fetchImpl } = {}) {
+  constructor({ fetchImpl, assetCache } = {}) {
     const resolvedFetch = fetchImpl || DEFAULT_FETCH;
     if (typeof resolvedFetch !== 'function') {
       throw new Error('Fetch API is not available in this environment');
     }
     this.fetchImpl = resolvedFetch;
+    this.assetCache = assetCache === undefined ? new AssetCache() : assetCache;
     this.scene = new THREE.Scene();
 
     this.perspectiveCamera = new THREE.PerspectiveCamera(45, 1, 0.1, 1000);
@@ -98,12 +113,11 @@ class Viewer3D {
       this.textureLoader.crossOrigin = 'anonymous';
     }
 
-    this.objLoader = new OBJLoader();
-
     this.textureCache = new Map();
     this.currentModelGroup = null;
     this.currentModelMetadata = null;
     this.loadToken = null;
+    this.progressivePreview = null;
     this.size = { width: 1, height: 1 };
     this.boundingBox = null;
     this.clipping = null;
@@ -130,9 +144,12 @@ class Viewer3D {
       window.addEventListener('themechange', this.handleThemeChange);
     }
 
+    this.setupPerformanceProfile();
     this.setupLights();
     this.setupGrid();
     this.setupMeasurements();
+    this.setupAreaMeasurements();
+    this.setupLandmarks();
     this.setupComparison();
     this.setupScaleReference();
     this.setupClipping();
@@ -171,7 +188,9 @@ class Viewer3D {
 
     console.log('clear() executing - removing all models and labels');
 
+    this.progressivePreview?.dispose();
     this.clearMeasurements();
+    this.clearLandmarks();
     this.clearModelLabels();
 
     if (this.currentModelGroup) {
@@ -770,10 +789,11 @@ class Viewer3D {
     if (!group) return;
     
     group.traverse((object) => {
-      // Dispose geometry
+      // Dispose geometry, including the published one behind a simplified display
       if (object.geometry) {
         object.geometry.dispose();
       }
+      object.userData?.fullResolutionGeometry?.dispose();
       
       // Dispose material(s)
       if (object.material) {
@@ -820,33 +840,41 @@ class Viewer3D {
   // ---------------------------------------------------------------------------
 
   /**
-   * Loads an OBJ model (and related materials/textures) into the scene.
+   * Loads a model (OBJ with its materials/textures, glTF/GLB, PLY or STL) into the scene.
    *
-   * @param {object} source - Descriptor returned by DataverseClient.
+   * @param {object} source - Descriptor returned by `DataSourceAdapter#createModelSource`.
+   * @param {object} [options]
+   * @param {boolean} [options.preserveView=false] - Keep the camera pose and model
+   *   rotation, e.g. when swapping a preview mesh for its full-resolution variant.
    * @returns {Promise<void>}
    */
-  async loadModel(source) {
-    if (!source || !source.objUrl) {
-      throw new Error('A model source with an objUrl is required');
+  async loadModel(source, { preserveView = false } = {}) {
+    if (!source || !source.modelUrl) {
+      throw new Error('A model source with a modelUrl is required');
     }
 
     const loadToken = Symbol('load');
     this.loadToken = loadToken;
     this.emit('loadstart', { source });
+    const previousView = preserveView && this.currentModelGroup ? this.captureCameraPose() : null;
     this.clear();
-    this.resetModelRotation();
+    if (!previousView) {
+      this.resetModelRotation();
+    }
 
     const progressState = {
       obj: 0,
+      parse: 0,
       mtl: 0,
       textures: 0,
       final: 0,
     };
     const emitLoadProgress = () => {
       const percent = Math.round(
-        progressState.obj * 50 + 
-        progressState.mtl * 15 + 
-        progressState.textures * 15 + 
+        progressState.obj * 40 +
+        progressState.parse * 20 +
+        progressState.mtl * 10 +
+        progressState.textures * 10 +
         progressState.final * 20
       );
       this.emit('loadprogress', {
@@ -857,111 +885,37 @@ class Viewer3D {
     };
     emitLoadProgress();
 
+    const preview = this.startProgressivePreview({ frameView: !previousView });
     try {
-      const objText = await this._fetchTextWithProgress(source.objUrl, (ratio) => {
-        progressState.obj = Math.min(Math.max(ratio, 0), 1);
-        emitLoadProgress();
+      const object = await this.loadModelObject(source, {
+        progressState,
+        emitLoadProgress,
+        isCurrent: () => this.loadToken === loadToken,
+        onModelChunk: preview.push,
       });
-      if (this.loadToken !== loadToken) {
-        return;
-      }
-
-      const mtllibRefs = extractMtllibReferences(objText);
-      let materialLibrary = null;
-      if (!mtllibRefs.length) {
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-      if (Array.isArray(mtllibRefs) && mtllibRefs.length && source.resolveMaterialLibrary) {
-        for (const ref of mtllibRefs) {
-          const resolved = source.resolveMaterialLibrary(ref, {
-            objDirectory: source.objDirectory,
-          });
-          if (resolved) {
-            materialLibrary = resolved;
-            break;
-          }
-        }
-      }
-
-      if (!materialLibrary && source.defaultMaterialLibrary) {
-        materialLibrary = source.defaultMaterialLibrary;
-      }
-
-      if (!materialLibrary?.url) {
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-
-      let parsedMaterialDefs = new Map();
-      let textures = new Map();
-
-      if (materialLibrary?.url) {
-        const mtlText = await this._fetchTextWithProgress(materialLibrary.url, (ratio) => {
-          progressState.mtl = Math.min(Math.max(ratio, 0), 1);
-          emitLoadProgress();
-        });
-        if (this.loadToken !== loadToken) {
-          return;
-        }
-        parsedMaterialDefs = parseMtl(mtlText);
-        progressState.mtl = 1;
-        emitLoadProgress();
-      }
-
-      const { materialDefs, texturesNeeded } = this.prepareMaterialDefinitions(
-        parsedMaterialDefs,
-        source,
-        materialLibrary
-      );
-
-      if (texturesNeeded.size) {
-        const textureCount = texturesNeeded.size;
-        let loadedTextures = 0;
-        textures = await this.loadTextures(texturesNeeded, () => {
-          loadedTextures++;
-          progressState.textures = Math.min(loadedTextures / textureCount, 1);
-          emitLoadProgress();
-        });
-        if (this.loadToken !== loadToken) {
-          return;
-        }
-      } else {
-        textures = new Map();
-        progressState.textures = 1;
-        emitLoadProgress();
-      }
-
-      progressState.final = 0.05;
-      emitLoadProgress();
-      
-      const object = this.objLoader.parse(objText);
-      if (this.loadToken !== loadToken) {
+      if (!object || this.loadToken !== loadToken) {
         return;
       }
-
-      progressState.final = 0.2;
-      emitLoadProgress();
-
-      const { materialInstances, defaultMaterial } = this.buildMaterialInstances(materialDefs, textures);
+      const simplification = this.simplifyModelForDisplay(object);
 
       progressState.final = 0.35;
       emitLoadProgress();
 
       const modelGroup = new THREE.Group();
-
-      this.applyMaterialsToObject(object, materialInstances, defaultMaterial);
-
       modelGroup.add(object);
       
       progressState.final = 0.5;
       emitLoadProgress();
       
       this.centerObjectForView(modelGroup);
+      if (previousView) {
+        this.restoreCameraPose(previousView);
+      }
       
       progressState.final = 0.65;
       emitLoadProgress();
       
+      preview.dispose();
       this.scene.add(modelGroup);
       this.currentModelGroup = modelGroup;
       
@@ -984,13 +938,15 @@ class Viewer3D {
       progressState.final = 1;
       emitLoadProgress();
       if (this.loadToken === loadToken) {
-        this.emit('loadend', { source });
+        this.emit('loadend', { source, simplification });
       }
     } catch (error) {
       if (this.loadToken === loadToken) {
-        this.emit('loaderror', { source, error });
+        this.emit('loaderror', { source, error, reason: error?.reason || 'failed' });
       }
       throw error;
+    } finally {
+      preview.dispose();
     }
   }
 
@@ -998,56 +954,120 @@ class Viewer3D {
   // Private utilities
   // ---------------------------------------------------------------------------
 
+  /**
+   * @private Captures the active camera position, orbit target and zoom.
+   */
+  captureCameraPose() {
+    return {
+      position: this.camera.position.clone(),
+      target: this.controls ? this.controls.target.clone() : null,
+      zoom: this.camera.zoom,
+    };
+  }
+
+  /**
+   * @private Restores a pose captured by `captureCameraPose`.
+   */
+  restoreCameraPose(pose) {
+    this.camera.position.copy(pose.position);
+    this.camera.zoom = pose.zoom;
+    this.camera.updateProjectionMatrix();
+    if (this.controls && pose.target) {
+      this.controls.target.copy(pose.target);
+      this.controls.update();
+    }
+  }
+
   /**
    * Fetches a text resource while emitting incremental progress information.
    *
    * @param {string} url - Resource URL to retrieve.
    * @param {(ratio: number) => void} [onProgressRatio] - Optional callback receiving a 0-1 ratio.
+   * @param {object} [options] - See `_fetchVerifiedBytes`.
    * @returns {Promise<string>} Text content retrieved from the resource.
    */
-  async _fetchTextWithProgress(url, onProgressRatio) {
-    const response = await this.fetchImpl(url);
-    if (!response || !response.ok) {
-      const status = response ? response.status : 'unknown';
-      throw new Error(`Failed to load resource (${status})`);
-    }
-
-    const lengthHeader = response.headers ? response.headers.get('content-length') : null;
-    const totalBytes = lengthHeader ? Number(lengthHeader) : 0;
+  async _fetchTextWithProgress(url, onProgressRatio, options = {}) {
+    const bytes = await this._fetchVerifiedBytes(url, onProgressRatio, options);
+    return new TextDecoder().decode(bytes);
+  }
 
-    if (!response.body || typeof response.body.getReader !== 'function') {
-      const text = await response.text();
+  /**
+   * Retrieves a payload from the persistent asset cache or the network and
+   * checks it against its published checksum. The outcome is appended to the
+   * model source's integrity report; a mismatching download is rejected. The
+   * download is hashed chunk by chunk as it streams in, and only verified
+   * payloads are cached, so cached ones are not hashed again.
+   *
+   * @param {string} url - Resource URL to retrieve.
+   * @param {(ratio: number) => void} [onProgressRatio] - Optional callback receiving a 0-1 ratio.
+   * @param {object} [options]
+   * @param {string|null} [options.storageKey] - Content-addressed asset cache key.
+   * @param {object|null} [options.checksum] - Published checksum of the file.
+   * @param {object|null} [options.integrity] - Integrity report of the model source.
+   * @param {string} [options.kind='file'] - Resource role recorded in the report.
+   * @param {Function|null} [options.onChunk] - Receives downloaded chunks, see
+   *   `fetchBytesWithResume`. Not called for cached payloads.
+   * @returns {Promise<Uint8Array>} Verified payload.
+   * @throws {ChecksumMismatchError} When the downloaded bytes do not match the checksum.
+   */
+  async _fetchVerifiedBytes(
+    url,
+    onProgressRatio,
+    { storageKey = null, checksum = null, integrity = null, kind = 'file', onChunk = null } = {}
+  ) {
+    const cache = storageKey ? this.assetCache : null;
+    const cached = cache ? await cache.get(storageKey) : null;
+    if (cached) {
+      const cachedBytes = new Uint8Array(await cached.arrayBuffer());
+      recordIntegrityResult(integrity, { url, kind, cached: true, ...describeVerifiedChecksum(checksum) });
       if (typeof onProgressRatio === 'function') {
         onProgressRatio(1);
       }
-      return text;
+      return cachedBytes;
     }
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let received = 0;
-    let chunks = '';
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) {
-        break;
-      }
-      if (value) {
-        received += value.length;
-        chunks += decoder.decode(value, { stream: true });
-        if (totalBytes > 0 && typeof onProgressRatio === 'function') {
-          onProgressRatio(Math.min(received / totalBytes, 1));
+    const verifier = createChecksumVerifier(checksum);
+    const bytes = await this._downloadBytes(url, onProgressRatio, {
+      onChunk: (chunk, offset) => {
+        verifier.update(chunk, offset);
+        if (typeof onChunk === 'function') {
+          onChunk(chunk, offset);
         }
-      }
+      },
+    });
+    const result = await verifier.verify(bytes);
+    recordIntegrityResult(integrity, { url, kind, cached: false, ...result });
+    if (result.status === 'mismatch') {
+      throw new ChecksumMismatchError({ url, ...result });
     }
-
-    chunks += decoder.decode();
-    if (typeof onProgressRatio === 'function') {
-      onProgressRatio(1);
+    if (cache && result.status === 'verified') {
+      // Stored in the background: a failed write must not fail the load.
+      cache.put(storageKey, new Blob([bytes]));
     }
+    return bytes;
+  }
 
-    return chunks;
+  /**
+   * Streams a resource from the network, reporting progress. Transient
+   * failures are retried and an interrupted download resumes where it stopped;
+   * each retry is announced with a `loadretry` event.
+   *
+   * @param {string} url - Resource URL to retrieve.
+   * @param {(ratio: number) => void} [onProgressRatio] - Optional callback receiving a 0-1 ratio.
+   * @param {object} [options]
+   * @param {(chunk: Uint8Array, offset: number) => void} [options.onChunk] - Receives
+   *   each chunk with its byte offset. The chunk must not be modified.
+   * @returns {Promise<Uint8Array>} Downloaded bytes.
+   * @throws {NetworkError|HttpStatusError|AccessDeniedError} Typed failure.
+   */
+  async _downloadBytes(url, onProgressRatio, { onChunk = null } = {}) {
+    return fetchBytesWithResume(this.fetchImpl, url, {
+      onProgress: onProgressRatio,
+      onChunk,
+      onRetry: ({ attempt, retries, delay, reason }) => {
+        this.emit('loadretry', { url, attempt, retries, delay, reason });
+      },
+    });
   }
 
   /**
@@ -1098,9 +1118,14 @@ class Viewer3D {
 }
 
 applyMaterialsMixin(Viewer3D.prototype);
+applyModelFormatsMixin(Viewer3D.prototype);
+applyProgressivePreviewMixin(Viewer3D.prototype);
 applyEnvironmentMixin(Viewer3D.prototype);
 applyComparisonMixin(Viewer3D.prototype);
 applyMeasurementsMixin(Viewer3D.prototype);
+applyAreaMeasurementsMixin(Viewer3D.prototype);
+applyMeasurementRecordsMixin(Viewer3D.prototype);
+applyLandmarksMixin(Viewer3D.prototype);
 applyClippingMixin(Viewer3D.prototype);
 applyScaleReferenceMixin(Viewer3D.prototype);
 applyLabelsMixin(Viewer3D.prototype);
@@ -11,10 +11,12 @@ import { Viewer3D } from './viewer3d.js';
  * • DOM integration: `mountIn`, `connectMeasurementOverlay`, `connectLabelOverlay`, `resizeViewport`, `destroy`.
  * • Primary model lifecycle: `displayPrimaryModel`, `clearScene`, `setPrimaryModelMetadata`, `focusActiveContent`, `applyViewPreset`.
  * • Comparison workflows: `enterComparisonSession`, `exitComparisonSession`, `displayComparisonTarget`, `hasComparisonTarget`, `clearComparisonTarget`, `getComparisonState`, `setComparisonScaleNormalized`, `toggleComparisonScaleNormalization`.
- * • Camera & rendering toggles: `getProjectionMode`, `setProjectionMode`, `getOrbitMode`, `setOrbitMode`, `areTexturesVisible`, `setTexturesVisibility`, `isScaleReferenceVisible`, `setScaleReferenceVisible`, `isWireframeActive`, `setWireframeActive`, `areLightsDimmed`, `setLightsDimmed`, `isAnaglyphEnabled`, `setAnaglyphEnabled`, `getAnaglyphEyeSeparation`, `getAnaglyphEyeSeparationRange`, `setAnaglyphEyeSeparation`, `isRotationToolActive`, `setRotationToolActive`.
- * • Measurement & annotations: `isMeasurementToolActive`, `setMeasurementToolActive`, `toggleMeasurementTool`, `clearMeasurements`, `areLabelsVisible`, `setLabelsVisible`, `toggleLabelsVisibility`, `clearLabels`.
+ * • Camera & rendering toggles: `getProjectionMode`, `setProjectionMode`, `getOrbitMode`, `setOrbitMode`, `areTexturesVisible`, `setTexturesVisibility`, `isScaleReferenceVisible`, `setScaleReferenceVisible`, `isWireframeActive`, `setWireframeActive`, `areLightsDimmed`, `setLightsDimmed`, `isAnaglyphEnabled`, `setAnaglyphEnabled`, `getAnaglyphEyeSeparation`, `getAnaglyphEyeSeparationRange`, `setAnaglyphEyeSeparation`, `isRotationToolActive`, `setRotationToolActive`, `getPerformanceProfile`, `setPerformanceProfile`, `getEffectivePerformanceProfile`, `isDisplaySimplified`.
+ * • Measurement & annotations: `isMeasurementToolActive`, `setMeasurementToolActive`, `toggleMeasurementTool`, `getMeasurementType`, `setMeasurementType`, `finishMeasurement`, `cancelMeasurement`, `clearMeasurements`, `getMeasurementRecords`, `setMeasurementDetails`, `removeMeasurement`, `restoreMeasurements`, `getMeshAnalytics`, `areLabelsVisible`, `setLabelsVisible`, `toggleLabelsVisibility`, `clearLabels`.
+ * • Landmarks: `isLandmarkToolActive`, `setLandmarkToolActive`, `toggleLandmarkTool`, `getLandmarkTemplate`, `setLandmarkTemplate`, `getLandmarks`, `getLandmarkSet`, `getActiveLandmarkIndex`, `setActiveLandmarkIndex`, `renameLandmark`, `removeLandmark`, `clearLandmarks`.
  * • Clipping orchestration: `isClippingAvailable`, `getClippingState`, `isClippingActive`, `enableClippingForAxis`, `disableClipping`, `resetClippingState`, `setClippingAxis`.
  * • Output helpers: `isScreenshotBackgroundTransparent`, `setScreenshotBackgroundTransparent`, `captureScreenshot`.
+ * • Offline storage: `getAssetCacheUsage`, `clearAssetCache`.
  * • Event bridge: `addEventListener`, `removeEventListener`.
  */
 
@@ -46,7 +48,7 @@ const ACTION_FAMILIES = Object.freeze([
   },
   {
     id: 'specialisedInteractions',
-    description: 'Measurement tools, labels, annotations, and custom overlays.',
+    description: 'Measurement tools, landmarks, labels, annotations, and custom overlays.',
   },
 ]);
 
@@ -58,6 +60,8 @@ const DEFAULT_ANAGLYPH_RANGE = Object.freeze({ min: 0.01, max: 0.2 });
  *
  * @param {object} [options]
  * @param {Function} [options.fetchImpl] - Custom fetch implementation.
+ * @param {import('../data/assetCache.js').AssetCache|null} [options.assetCache] - Persistent
+ *   model/texture cache; null disables it.
  * @returns {object} Intent-oriented API used by the UI.
  */
 export function createViewerApi(options = {}) {
@@ -143,6 +147,9 @@ export function createViewerApi(options = {}) {
   const measurementModeAccess = () =>
     typeof viewer.isMeasurementModeEnabled === 'function' ? viewer.isMeasurementModeEnabled() : false;
 
+  const landmarkModeAccess = () =>
+    typeof viewer.isLandmarkModeEnabled === 'function' ? viewer.isLandmarkModeEnabled() : false;
+
   const labelsVisibilityAccess = () =>
     typeof viewer.areModelLabelsEnabled === 'function' ? viewer.areModelLabelsEnabled() : false;
 
@@ -233,10 +240,11 @@ export function createViewerApi(options = {}) {
      * Loads and displays a primary model in the viewer.
      *
      * @param {object} source - Descriptor produced by the data layer.
+     * @param {object} [options] - See `Viewer3D#loadModel` (`preserveView`).
      * @returns {Promise<void>}
      */
-    async displayPrimaryModel(source) {
-      await viewer.loadModel(source);
+    async displayPrimaryModel(source, options) {
+      await viewer.loadModel(source, options);
     },
 
     /**
@@ -247,8 +255,8 @@ export function createViewerApi(options = {}) {
      * @returns {Promise<void>}
      */
     async displayComparisonTarget(source, metadata) {
-      if (!source || !source.objUrl) {
-        throw new Error('displayComparisonTarget requires a model source with an objUrl');
+      if (!source || !source.modelUrl) {
+        throw new Error('displayComparisonTarget requires a model source with a modelUrl');
       }
       if (!comparisonModeAccess()) {
         this.enterComparisonSession({ requirePrimaryModel: false });
@@ -536,6 +544,47 @@ export function createViewerApi(options = {}) {
       return viewer.setAnaglyphEyeSeparation(value);
     },
 
+    /**
+     * Returns the selected performance profile.
+     *
+     * @returns {'auto'|'high'|'low'}
+     */
+    getPerformanceProfile() {
+      return viewer.getPerformanceProfile?.() ?? 'high';
+    },
+
+    /**
+     * Selects the performance profile used for the next model loaded.
+     *
+     * @param {'auto'|'high'|'low'} profile - Desired profile.
+     * @returns {string} Applied profile.
+     */
+    setPerformanceProfile(profile) {
+      if (typeof viewer.setPerformanceProfile !== 'function') {
+        return this.getPerformanceProfile();
+      }
+      return viewer.setPerformanceProfile(profile);
+    },
+
+    /**
+     * Returns the profile in effect on this device, with `auto` resolved.
+     *
+     * @returns {'high'|'low'}
+     */
+    getEffectivePerformanceProfile() {
+      return viewer.getEffectivePerformanceProfile?.() ?? 'high';
+    },
+
+    /**
+     * Indicates whether the loaded model is displayed simplified. Measurements
+     * are taken on the published mesh either way.
+     *
+     * @returns {boolean}
+     */
+    isDisplaySimplified() {
+      return Boolean(viewer.isDisplaySimplified?.());
+    },
+
     /**
      * Indicates whether the rotation tool is active.
      *
@@ -742,6 +791,63 @@ export function createViewerApi(options = {}) {
       return this.setMeasurementToolActive(!this.isMeasurementToolActive());
     },
 
+    /**
+     * Returns the kind of measurement the tool takes.
+     *
+     * @returns {'distance'|'polyline'|'geodesic'|'angle'|'area'}
+     */
+    getMeasurementType() {
+      return typeof viewer.getMeasurementType === 'function' ? viewer.getMeasurementType() : 'distance';
+    },
+
+    /**
+     * Selects the kind of measurement: `distance` between two points, a
+     * `polyline` through any number of points, a `geodesic` path following
+     * the model surface, an `angle` from its vertex and a point on each arm,
+     * or the `area` of a region painted on the surface. A measurement in
+     * progress is discarded.
+     *
+     * @param {string} type - Measurement type.
+     * @returns {string} Applied type.
+     */
+    setMeasurementType(type) {
+      if (typeof viewer.setMeasurementType !== 'function') {
+        return this.getMeasurementType();
+      }
+      return viewer.setMeasurementType(type);
+    },
+
+    /**
+     * Completes the polyline, surface path or area region in progress.
+     *
+     * @returns {boolean} Whether a measurement was added.
+     */
+    finishMeasurement() {
+      return typeof viewer.finishMeasurement === 'function' ? Boolean(viewer.finishMeasurement()) : false;
+    },
+
+    /**
+     * Discards the points picked for the measurement in progress.
+     */
+    cancelMeasurement() {
+      if (typeof viewer.cancelPendingMeasurement === 'function') {
+        viewer.cancelPendingMeasurement();
+      }
+    },
+
+    /**
+     * Measures the whole loaded model: surface area, and enclosed volume when
+     * the mesh is watertight. Values are in the units of the scale reference
+     * cube (`unit`, squared or cubed); the first call on a large model takes a
+     * moment.
+     *
+     * @returns {{area: number, volume: number|null, watertight: boolean, openEdges: number, nonManifoldEdges: number, triangleCount: number, unit: string}|null}
+     *   Null without a model.
+     */
+    getMeshAnalytics() {
+      return typeof viewer.getMeshAnalytics === 'function' ? viewer.getMeshAnalytics() : null;
+    },
+
     /**
      * Clears all measurements currently drawn in the viewer.
      */
@@ -751,6 +857,177 @@ export function createViewerApi(options = {}) {
       }
     },
 
+    /**
+     * Lists the measurements as plain records: type, name, note, picked points
+     * in model coordinates, and the length, angle or area with its unit.
+     *
+     * @returns {object[]}
+     */
+    getMeasurementRecords() {
+      return typeof viewer.getMeasurementRecords === 'function' ? viewer.getMeasurementRecords() : [];
+    },
+
+    /**
+     * Names a measurement or attaches a note to it.
+     *
+     * @param {number} id - Measurement id from `getMeasurementRecords`.
+     * @param {{name?: string, note?: string}} details
+     * @returns {boolean} Whether the measurement exists.
+     */
+    setMeasurementDetails(id, details) {
+      return typeof viewer.setMeasurementDetails === 'function'
+        ? viewer.setMeasurementDetails(id, details)
+        : false;
+    },
+
+    /**
+     * Removes one measurement.
+     *
+     * @param {number} id - Measurement id from `getMeasurementRecords`.
+     * @returns {boolean} Whether the measurement existed.
+     */
+    removeMeasurement(id) {
+      return typeof viewer.removeMeasurement === 'function' ? viewer.removeMeasurement(id) : false;
+    },
+
+    /**
+     * Recreates measurements from records taken on the loaded model, as
+     * returned by `getMeasurementRecords`. Records that do not fit it are
+     * skipped.
+     *
+     * @param {object[]} records
+     * @returns {number} Number of measurements restored.
+     */
+    restoreMeasurements(records) {
+      return typeof viewer.restoreMeasurements === 'function' ? viewer.restoreMeasurements(records) : 0;
+    },
+
+    /**
+     * Indicates whether clicks on the model place landmarks.
+     *
+     * @returns {boolean}
+     */
+    isLandmarkToolActive() {
+      return landmarkModeAccess();
+    },
+
+    /**
+     * Enables or disables landmark digitising. Enabling it turns the
+     * measurement tool off.
+     *
+     * @param {boolean} active - Desired state.
+     * @returns {boolean} Applied state.
+     */
+    setLandmarkToolActive(active) {
+      if (typeof viewer.setLandmarkModeEnabled !== 'function') {
+        return landmarkModeAccess();
+      }
+      return viewer.setLandmarkModeEnabled(Boolean(active));
+    },
+
+    /**
+     * Toggles landmark digitising.
+     *
+     * @returns {boolean}
+     */
+    toggleLandmarkTool() {
+      return this.setLandmarkToolActive(!this.isLandmarkToolActive());
+    },
+
+    /**
+     * Returns the template landmarks are placed from.
+     *
+     * @returns {{id: string, name: string, element: string, landmarks: object[]}|null} Null for free landmarks.
+     */
+    getLandmarkTemplate() {
+      return typeof viewer.getLandmarkTemplate === 'function' ? viewer.getLandmarkTemplate() : null;
+    },
+
+    /**
+     * Starts a landmark set from a template (see `parseLandmarkTemplates`),
+     * or a set of free landmarks when `template` is null. Placed landmarks
+     * are discarded.
+     *
+     * @param {object|null} template
+     */
+    setLandmarkTemplate(template) {
+      if (typeof viewer.setLandmarkTemplate === 'function') {
+        viewer.setLandmarkTemplate(template);
+      }
+    },
+
+    /**
+     * Lists the landmarks in template order.
+     *
+     * @returns {{id: string, label: string, description: string, position: number[]|null}[]}
+     *   Positions in model coordinates; null when not placed yet.
+     */
+    getLandmarks() {
+      return typeof viewer.getLandmarks === 'function' ? viewer.getLandmarks() : [];
+    },
+
+    /**
+     * Returns the landmarks, their template and coordinate unit, as taken by
+     * `formatLandmarks` once the specimen is added.
+     *
+     * @returns {{template: object|null, unit: string, landmarks: object[]}|null}
+     */
+    getLandmarkSet() {
+      return typeof viewer.getLandmarkSet === 'function' ? viewer.getLandmarkSet() : null;
+    },
+
+    /**
+     * Returns the index of the landmark the next click places: the landmark
+     * count when it adds a free landmark, -1 when the template is complete.
+     *
+     * @returns {number}
+     */
+    getActiveLandmarkIndex() {
+      return typeof viewer.getActiveLandmarkIndex === 'function' ? viewer.getActiveLandmarkIndex() : -1;
+    },
+
+    /**
+     * Chooses the landmark the next click places; a placed one is moved.
+     *
+     * @param {number} index
+     * @returns {number} Applied index.
+     */
+    setActiveLandmarkIndex(index) {
+      return typeof viewer.setActiveLandmarkIndex === 'function'
+        ? viewer.setActiveLandmarkIndex(index)
+        : this.getActiveLandmarkIndex();
+    },
+
+    /**
+     * Renames a landmark; an empty label restores its id.
+     *
+     * @param {number} index
+     * @param {string} label
+     * @returns {boolean} Whether the landmark exists.
+     */
+    renameLandmark(index, label) {
+      return typeof viewer.renameLandmark === 'function' ? viewer.renameLandmark(index, label) : false;
+    },
+
+    /**
+     * Removes a landmark's point (a free landmark is dropped altogether).
+     *
+     * @param {number} index
+     * @returns {boolean} Whether the landmark exists.
+     */
+    removeLandmark(index) {
+      return typeof viewer.removeLandmark === 'function' ? viewer.removeLandmark(index) : false;
+    },
+
+    /**
+     * Removes every landmark point, keeping the template.
+     */
+    clearLandmarks() {
+      if (typeof viewer.clearLandmarks === 'function') {
+        viewer.clearLandmarks();
+      }
+    },
+
     /**
      * Indicates whether model labels are visible.
      *
@@ -931,6 +1208,31 @@ export function createViewerApi(options = {}) {
       return viewer.captureScreenshot();
     },
 
+    /**
+     * Reports how much of the persistent asset cache is in use.
+     *
+     * @returns {Promise<{bytes: number, count: number, budgetBytes: number, available: boolean}>}
+     */
+    async getAssetCacheUsage() {
+      const cache = viewer.assetCache;
+      if (!cache || !cache.isAvailable()) {
+        return { bytes: 0, count: 0, budgetBytes: 0, available: false };
+      }
+      const usage = await cache.getUsage();
+      return { ...usage, available: cache.isAvailable() };
+    },
+
+    /**
+     * Deletes every payload stored in the persistent asset cache.
+     *
+     * @returns {Promise<void>}
+     */
+    async clearAssetCache() {
+      if (viewer.assetCache) {
+        await viewer.assetCache.clear();
+      }
+    },
+
     /**
      * Registers an event listener on the underlying viewer and returns an unsubscribe handle.
      *
@@ -1,10 +1,12 @@
 /**
  * Application bootstrapper, responsible for wiring together the 3D viewer,
- * the Dataverse data client, and the user interface layer.
+ * the data-source adapter, and the user interface layer.
  */
 import { createViewerApi } from './3d/viewerApi.js';
-import { DataverseClient } from './data/dataverseClient.js';
+import { createDataSource } from './data/dataSources.js';
+import { loadDataSourceConfig } from './data/dataSourceConfig.js';
 import { initInterface } from './ui/interface.js';
+import { createAuthenticatedFetch } from './utils/authFetch.js';
 
 /**
  * Initializes the main UI once all dependencies are available.
@@ -13,12 +15,21 @@ import { initInterface } from './ui/interface.js';
  * @returns {Promise<void>} Resolves when the interface has been fully set up.
  */
 async function bootstrap() {
-  const viewerApi = createViewerApi();
+  // One fetch for the adapter and the viewer, so both send the session API token.
+  const fetchImpl = createAuthenticatedFetch();
+  const viewerApi = createViewerApi({ fetchImpl });
   if (typeof window !== 'undefined') {
     window.viewerApi = viewerApi;
   }
-  const dataClient = new DataverseClient();
   try {
+    // `config.json`, then `window.viewerDataSource = { type: 'manifest', manifestUrl: '...' }`
+    // declared before this module runs, then `?apiRoot=…&dataverse=…` pick what to browse.
+    const dataSourceConfig = await loadDataSourceConfig({
+      fetchImpl,
+      pageConfig: typeof window !== 'undefined' ? window.viewerDataSource : null,
+      search: typeof window !== 'undefined' ? window.location?.search : '',
+    });
+    const dataClient = createDataSource({ fetchImpl, ...dataSourceConfig });
     await initInterface({ viewerApi, dataClient });
   } catch (error) {
     console.error('Failed to initialize interface', error);
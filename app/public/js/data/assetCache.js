@@ -0,0 +1,257 @@
+/**
+ * Persistent IndexedDB cache for model payloads (OBJ, glTF, PLY, STL, MTL, textures).
+ * Entries are content-addressed by file id plus checksum, so a re-uploaded
+ * file never serves stale bytes, and the store is trimmed least recently used
+ * first once it grows past its byte budget.
+ */
+import { getFileChecksum } from '../utils/checksum.js';
+import { getFileAccess } from './modelIndex.js';
+
+const DB_NAME = 'cor-iphes-assets';
+const DB_VERSION = 1;
+const STORE_NAME = 'assets';
+const ACCESS_INDEX = 'lastAccess';
+const DEFAULT_BUDGET_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Wraps an IDBRequest in a promise.
+ *
+ * @param {IDBRequest} request - Pending request.
+ * @returns {Promise<any>} Request result.
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction commits.
+ *
+ * @param {IDBTransaction} transaction - Transaction to observe.
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Builds the content-addressed key of a file entry. Files without a checksum
+ * are not cacheable: their id alone does not prove the bytes are unchanged.
+ * Restricted and embargoed files are never cached either, since the token that
+ * unlocked them only lasts for the browser session.
+ *
+ * @param {object} file - File entry carrying `dataFile.id` and `dataFile.checksum`.
+ * @returns {string|null} Cache key or null when the file cannot be addressed.
+ */
+export function createAssetKey(file) {
+  const id = file?.dataFile?.id;
+  const checksum = getFileChecksum(file);
+  if (id === undefined || id === null || !checksum || getFileAccess(file) !== 'public') {
+    return null;
+  }
+  return `file:${id}:${checksum.algorithm.toLowerCase()}:${checksum.value}`;
+}
+
+/**
+ * IndexedDB-backed blob store with LRU eviction. Every method degrades to a
+ * no-op when IndexedDB is unavailable (private browsing, old browsers) so
+ * callers can always fall back to the network.
+ */
+export class AssetCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.budgetBytes] - Maximum total size kept on disk.
+   * @param {string} [options.dbName] - Database name.
+   * @param {IDBFactory} [options.indexedDBRef] - IndexedDB factory (supports testing).
+   */
+  constructor({
+    budgetBytes = DEFAULT_BUDGET_BYTES,
+    dbName = DB_NAME,
+    indexedDBRef = typeof indexedDB !== 'undefined' ? indexedDB : null,
+  } = {}) {
+    this.budgetBytes = budgetBytes;
+    this.dbName = dbName;
+    this.indexedDBRef = indexedDBRef;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Tells whether the browser exposes IndexedDB.
+   *
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(this.indexedDBRef);
+  }
+
+  /**
+   * Opens (and upgrades) the database once.
+   *
+   * @returns {Promise<IDBDatabase|null>} Database handle or null when unavailable.
+   */
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.resolve(null);
+    }
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDBRef.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            store.createIndex(ACCESS_INDEX, ACCESS_INDEX);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        console.warn('Asset cache unavailable', error);
+        this.indexedDBRef = null;
+        return null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Reads a cached blob and refreshes its LRU timestamp.
+   *
+   * @param {string} key - Content-addressed key from `createAssetKey`.
+   * @returns {Promise<Blob|null>} Cached blob or null on miss.
+   */
+  async get(key) {
+    if (!key) return null;
+    try {
+      const db = await this.open();
+      if (!db) return null;
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      const record = await promisifyRequest(store.get(key));
+      if (!record) {
+        return null;
+      }
+      record.lastAccess = Date.now();
+      store.put(record);
+      await transactionDone(transaction);
+      return record.blob;
+    } catch (error) {
+      console.warn('Asset cache read failed', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stores a blob, then evicts the least recently used entries over budget.
+   * Payloads larger than the whole budget are not stored.
+   *
+   * @param {string} key - Content-addressed key.
+   * @param {Blob} blob - Payload to keep.
+   * @returns {Promise<boolean>} True when the payload was stored.
+   */
+  async put(key, blob) {
+    if (!key || !blob || blob.size > this.budgetBytes) {
+      return false;
+    }
+    try {
+      const db = await this.open();
+      if (!db) return false;
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      transaction
+        .objectStore(STORE_NAME)
+        .put({ key, blob, size: blob.size, lastAccess: Date.now() });
+      await transactionDone(transaction);
+      await this.evict();
+      return true;
+    } catch (error) {
+      console.warn('Asset cache write failed', error);
+      return false;
+    }
+  }
+
+  /**
+   * Deletes least recently used entries until the store fits the budget.
+   *
+   * @param {number} [budgetBytes] - Budget to enforce; defaults to the configured one.
+   * @returns {Promise<number>} Number of evicted entries.
+   */
+  async evict(budgetBytes = this.budgetBytes) {
+    const db = await this.open();
+    if (!db) return 0;
+    const { bytes } = await this.getUsage();
+    let excess = bytes - budgetBytes;
+    if (excess <= 0) {
+      return 0;
+    }
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const index = transaction.objectStore(STORE_NAME).index(ACCESS_INDEX);
+    let evicted = 0;
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || excess <= 0) {
+          resolve();
+          return;
+        }
+        excess -= cursor.value.size || 0;
+        evicted += 1;
+        cursor.delete();
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    await transactionDone(transaction);
+    return evicted;
+  }
+
+  /**
+   * Sums the stored payload sizes.
+   *
+   * @returns {Promise<{bytes: number, count: number, budgetBytes: number}>}
+   */
+  async getUsage() {
+    const usage = { bytes: 0, count: 0, budgetBytes: this.budgetBytes };
+    try {
+      const db = await this.open();
+      if (!db) return usage;
+      const transaction = db.transaction(STORE_NAME, 'readonly');
+      await new Promise((resolve, reject) => {
+        const request = transaction.objectStore(STORE_NAME).openCursor();
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve();
+            return;
+          }
+          usage.bytes += cursor.value.size || 0;
+          usage.count += 1;
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.warn('Asset cache usage unavailable', error);
+    }
+    return usage;
+  }
+
+  /**
+   * Removes every cached payload.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    if (!db) return;
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.objectStore(STORE_NAME).clear();
+    await transactionDone(transaction);
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * Darwin Core occurrence export. Each specimen dataset becomes one occurrence
+ * row holding every term of its `darwincore` block, the dataset DOI as
+ * `datasetID` and the ids of its model files as `associatedMedia`. Rows are
+ * written as CSV or as a Darwin Core Archive (`occurrence.txt` + `meta.xml`).
+ */
+import { extractDarwinCoreTerms } from './datasetMetadata.js';
+import { formatCsv } from '../utils/csv.js';
+import { createZip } from '../utils/zip.js';
+
+const DWC_NAMESPACE = 'http://rs.tdwg.org/dwc/terms/';
+const OCCURRENCE_ROW_TYPE = `${DWC_NAMESPACE}Occurrence`;
+// Terms written by the export itself rather than read from the block.
+const LEADING_TERMS = ['occurrenceID', 'datasetID'];
+const TRAILING_TERMS = ['associatedMedia'];
+
+/**
+ * Builds the occurrence row of one dataset.
+ *
+ * @param {object} dataset
+ * @param {string} dataset.persistentId - Persistent dataset identifier.
+ * @param {object|null} dataset.detail - Dataverse-shaped detail payload.
+ * @param {object[]} [dataset.models] - Models listed for the dataset.
+ * @returns {Map<string, string>} Term -> value.
+ */
+export function buildOccurrenceRecord({ persistentId, detail, models = [] }) {
+  const terms = extractDarwinCoreTerms(detail);
+  const record = new Map();
+  // The dataset stands in for the occurrence when the block has no identifier.
+  record.set('occurrenceID', terms.get('occurrenceID') || persistentId);
+  record.set('datasetID', detail?.data?.persistentUrl || persistentId);
+  terms.forEach((value, term) => {
+    if (!record.has(term)) {
+      record.set(term, value);
+    }
+  });
+  const fileIds = (Array.isArray(models) ? models : []).flatMap((model) =>
+    model.variants?.length ? model.variants.map((variant) => variant.key) : [model.key]
+  );
+  const mediaIds = Array.from(new Set(fileIds.filter(Boolean).map(String)));
+  if (mediaIds.length) {
+    record.set('associatedMedia', mediaIds.join(' | '));
+  }
+  return record;
+}
+
+/**
+ * Lines up occurrence records under a shared header.
+ *
+ * @param {Map<string, string>[]} records
+ * @returns {{columns: string[], rows: string[][]}}
+ */
+export function buildOccurrenceTable(records) {
+  const blockTerms = [];
+  records.forEach((record) => {
+    record.forEach((value, term) => {
+      if (
+        !LEADING_TERMS.includes(term) &&
+        !TRAILING_TERMS.includes(term) &&
+        !blockTerms.includes(term)
+      ) {
+        blockTerms.push(term);
+      }
+    });
+  });
+  const columns = [...LEADING_TERMS, ...blockTerms, ...TRAILING_TERMS];
+  const rows = records.map((record) => columns.map((term) => record.get(term) ?? ''));
+  return { columns, rows };
+}
+
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Writes the archive descriptor mapping each CSV column to its term URI.
+ *
+ * @param {string[]} columns - Darwin Core term names, `occurrenceID` first.
+ * @returns {string}
+ */
+export function buildMetaXml(columns) {
+  const fields = columns
+    .map(
+      (term, index) =>
+        `    <field index="${index}" term="${escapeXmlAttribute(`${DWC_NAMESPACE}${term}`)}"/>`
+    )
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/">
+  <core encoding="UTF-8" fieldsTerminatedBy="," linesTerminatedBy="\\r\\n" fieldsEnclosedBy="&quot;" ignoreHeaderLines="1" rowType="${OCCURRENCE_ROW_TYPE}">
+    <files>
+      <location>occurrence.txt</location>
+    </files>
+    <id index="0"/>
+${fields}
+  </core>
+</archive>
+`;
+}
+
+/**
+ * Packs a table as a Darwin Core Archive.
+ *
+ * @param {{columns: string[], rows: string[][]}} table
+ * @returns {Uint8Array} ZIP bytes.
+ */
+export function buildDarwinCoreArchive(table) {
+  return createZip([
+    { name: 'occurrence.txt', data: formatCsv(table) },
+    { name: 'meta.xml', data: buildMetaXml(table.columns) },
+  ]);
+}
@@ -0,0 +1,702 @@
+/**
+ * Base class for data-source adapters. Holds the dataset cache, the model
+ * indexing flow and the model source descriptor consumed by the viewer, so
+ * concrete adapters only describe how to enumerate datasets, fetch their
+ * records and address their files.
+ */
+import { getDefaultFetch } from '../utils/defaultFetch.js';
+import { isAbortError, runTaskPool, throwIfAborted } from '../utils/taskPool.js';
+import { createIntegrityReport, getFileChecksum } from '../utils/checksum.js';
+import { ParseError } from '../utils/networkErrors.js';
+import { fetchWithRetry } from '../utils/retryFetch.js';
+import { createAssetKey } from './assetCache.js';
+import {
+  describeDatasetVersion,
+  extractSpecimenSummary,
+  extractTaxonomyPath,
+} from './datasetMetadata.js';
+import {
+  buildModelIndex,
+  deriveHttpDirectory,
+  getFileByPath,
+  getFileSize,
+  normalizeDirectoryLabel,
+  normalizeSlashes,
+  resolveRelativePath,
+} from './modelIndex.js';
+
+const DEFAULT_FETCH = getDefaultFetch();
+const DEFAULT_DETAIL_CONCURRENCY = 6;
+
+/** Orders dataset infos by label, ignoring case and accents. */
+export const compareDatasetLabels = (a, b) =>
+  a.label.localeCompare(b.label, 'en', { sensitivity: 'base' });
+
+/**
+ * Compares two dataset lists by identifier. A dataset counts as updated when
+ * its stamp changed; datasets without a stamp never do.
+ *
+ * @param {object[]} previous - Earlier dataset infos.
+ * @param {object[]} next - Current dataset infos.
+ * @returns {{added: string[], updated: string[], removed: object[]}} Identifiers of
+ *   added and updated datasets, and the infos of the removed ones.
+ */
+export function diffDatasetLists(previous, next) {
+  const previousById = new Map((previous || []).map((info) => [info.value, info]));
+  const nextIds = new Set();
+  const added = [];
+  const updated = [];
+  (next || []).forEach((info) => {
+    nextIds.add(info.value);
+    const before = previousById.get(info.value);
+    if (!before) {
+      added.push(info.value);
+    } else if (info.stamp != null && before.stamp !== info.stamp) {
+      updated.push(info.value);
+    }
+  });
+  const removed = (previous || []).filter((info) => !nextIds.has(info.value));
+  return { added, updated, removed };
+}
+
+/**
+ * Shared adapter implementation. Subclasses must implement
+ * `listDatasetStubs()`, `fetchDatasetRecord(stub)` and `getFileUrl(file)`.
+ * Versioned sources also set `supportsVersions` and implement
+ * `listDatasetVersions()`, honouring the `version` option of `fetchDatasetRecord`.
+ */
+export class DataSourceAdapter {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.fetchImpl] - Optional fetch implementation.
+   * @param {string} [options.sourceId] - Stable identifier of the source, used to scope caches.
+   * @param {number} [options.detailConcurrency=6] - Dataset records fetched in parallel by `listDatasets`.
+   */
+  constructor({ fetchImpl, sourceId = '', detailConcurrency = DEFAULT_DETAIL_CONCURRENCY } = {}) {
+    const resolvedFetch = fetchImpl || DEFAULT_FETCH;
+    if (typeof resolvedFetch !== 'function') {
+      throw new Error('Fetch API is not available in this environment');
+    }
+    this.fetchImpl = resolvedFetch;
+    this.sourceId = sourceId;
+    this.detailConcurrency = detailConcurrency;
+    // True when `listDatasets` returns summaries only; file lists are then
+    // fetched by `ensureDatasetPrepared` when a dataset is opened.
+    this.deferFileIndex = false;
+    this.supportsVersions = false;
+    this.datasetCache = new Map();
+    // Stamp (version id or modification date) of every dataset examined by the
+    // last listing, with or without models; see `revalidateDatasets`.
+    this.datasetStamps = new Map();
+  }
+
+  /**
+   * Clears all cached dataset metadata and model indexes.
+   */
+  resetCache() {
+    this.datasetCache.clear();
+    this.datasetStamps.clear();
+  }
+
+  /**
+   * Fetches JSON, retrying transient failures.
+   *
+   * @param {string} url - Absolute endpoint.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<any>} Parsed JSON payload.
+   * @throws {NetworkError|HttpStatusError|ParseError|AbortedError} Typed failure
+   *   (see `utils/networkErrors.js`).
+   */
+  async fetchJson(url, { signal } = {}) {
+    const text = await this.fetchText(url, { signal });
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ParseError({ url, format: 'json', cause: error });
+    }
+  }
+
+  /**
+   * Fetches plain text, retrying transient failures. A body cut off mid-way is
+   * requested again in full.
+   *
+   * @param {string} url - Absolute endpoint.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<string>} Response body.
+   * @throws {NetworkError|HttpStatusError|AbortedError} Typed failure.
+   */
+  async fetchText(url, { signal } = {}) {
+    return fetchWithRetry(this.fetchImpl, url, {
+      signal,
+      read: (response) => response.text(),
+    });
+  }
+
+  /**
+   * Enumerates the datasets exposed by the source.
+   *
+   * @abstract
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request(s).
+   * @returns {Promise<Array<{persistentId: string, identifier: string, collectionPath?: Array<{id: string, title: string}>, stamp?: string|null}>>}
+   *   Stubs may carry the chain of sub-collections holding the dataset, outermost first,
+   *   and a stamp that changes whenever the dataset does.
+   */
+  async listDatasetStubs(options) {
+    throw new Error(`${this.constructor.name} must implement listDatasetStubs()`);
+  }
+
+  /**
+   * Fetches the record of a single dataset.
+   *
+   * @abstract
+   * @param {{persistentId: string, identifier: string}} stub - Dataset stub.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request(s).
+   * @param {string|null} [options.version] - Version to fetch; latest when omitted.
+   * @returns {Promise<{title: string, detail: object, files: object[], specimenSummary?: object, taxonomyPath?: object}>}
+   */
+  async fetchDatasetRecord(stub, options) {
+    throw new Error(`${this.constructor.name} must implement fetchDatasetRecord()`);
+  }
+
+  /**
+   * Lists the versions of a dataset, newest first.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<Array<{id: string, label: string, state: string|null, releaseTime: string|null}>>}
+   */
+  async listDatasetVersions(persistentId, options) {
+    return [];
+  }
+
+  /**
+   * Resolves the download URL of a file entry.
+   *
+   * @abstract
+   * @param {object} file - File entry (`{ label, directoryLabel, dataFile }`).
+   * @returns {string} Absolute URL.
+   */
+  getFileUrl(file) {
+    throw new Error(`${this.constructor.name} must implement getFileUrl()`);
+  }
+
+  /**
+   * Copies a dataset record into a cache entry and rebuilds its model index.
+   *
+   * @param {object} cacheEntry - Entry to update.
+   * @param {object} record - Record returned by `fetchDatasetRecord`.
+   * @returns {object} Updated cache entry.
+   */
+  applyDatasetRecord(cacheEntry, record) {
+    const detail = record?.detail ?? null;
+    cacheEntry.title = record?.title || cacheEntry.identifier || cacheEntry.persistentId;
+    cacheEntry.detail = detail;
+    cacheEntry.files = Array.isArray(record?.files) ? record.files : [];
+    // Keep summaries gathered by a partial listing when the record lacks them.
+    cacheEntry.specimenSummary =
+      record?.specimenSummary || extractSpecimenSummary(detail) || cacheEntry.specimenSummary || null;
+    cacheEntry.taxonomyPath =
+      record?.taxonomyPath || extractTaxonomyPath(detail) || cacheEntry.taxonomyPath || null;
+    cacheEntry.partial = false;
+    cacheEntry.version = record?.version || describeDatasetVersion(detail);
+    cacheEntry.selectedVersionId = null;
+    const modelIndex = buildModelIndex(cacheEntry.files);
+    if (modelIndex.models.length) {
+      cacheEntry.models = modelIndex.models;
+      cacheEntry.modelMap = modelIndex.modelMap;
+      cacheEntry.fileMap = modelIndex.fileMap;
+      cacheEntry.fileMapLower = modelIndex.fileMapLower;
+      cacheEntry.fileNameMap = modelIndex.fileNameMap;
+    } else {
+      cacheEntry.models = null;
+      cacheEntry.modelMap = null;
+      cacheEntry.fileMap = null;
+      cacheEntry.fileMapLower = null;
+      cacheEntry.fileNameMap = null;
+    }
+    return cacheEntry;
+  }
+
+  /**
+   * Fetches the record of a listed dataset into the cache and describes it for
+   * the dataset selector. A record that cannot be fetched keeps the dataset
+   * out of `getDatasetStamps()`, so the next revalidation retries it.
+   *
+   * @param {{persistentId: string, identifier: string, collectionPath?: object[], stamp?: string|null}} stub - Dataset stub.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<object|null>} Dataset info, or null when the dataset holds no model.
+   */
+  async fetchListedDataset(stub, { signal } = {}) {
+    const { persistentId, identifier } = stub;
+    const cacheEntry = this.datasetCache.get(persistentId) || {
+      textureCache: new Map(),
+    };
+    cacheEntry.identifier = identifier;
+    cacheEntry.persistentId = persistentId;
+    cacheEntry.collectionPath = Array.isArray(stub.collectionPath) ? stub.collectionPath : [];
+
+    let fetched = false;
+    try {
+      const record = await this.fetchDatasetRecord(stub, { signal });
+      this.applyDatasetRecord(cacheEntry, record);
+      fetched = true;
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) {
+        throw error;
+      }
+      cacheEntry.title = cacheEntry.title || identifier;
+      console.warn(`Failed to fetch dataset details for ${persistentId}`, error);
+    }
+
+    // A cancelled listing must not repopulate a cache that a newer run has reset.
+    throwIfAborted(signal);
+    cacheEntry.stamp = stub.stamp ?? cacheEntry.version?.id ?? null;
+    this.datasetCache.set(persistentId, cacheEntry);
+    if (fetched) {
+      this.datasetStamps.set(persistentId, cacheEntry.stamp);
+    }
+
+    if (!cacheEntry.models || !cacheEntry.models.length) {
+      return null;
+    }
+    return {
+      label: cacheEntry.title || identifier,
+      value: persistentId,
+      identifier,
+      specimenSummary: cacheEntry.specimenSummary || null,
+      taxonomyPath: cacheEntry.taxonomyPath || null,
+      collectionPath: cacheEntry.collectionPath,
+      stamp: cacheEntry.stamp,
+    };
+  }
+
+  /**
+   * Lists datasets holding at least one model. Dataset records are fetched
+   * through a bounded pool; progress counts settled records, so it stays
+   * monotonic when responses arrive out of order.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.force=false] - When true, bypasses the cache.
+   * @param {Function} [options.onProgress] - Receives `(ratio, info)` updates.
+   * @param {AbortSignal} [options.signal] - Cancels the listing; the promise rejects with an AbortError.
+   * @param {number} [options.concurrency] - Overrides the adapter's `detailConcurrency`.
+   * @returns {Promise<Array<{label: string, value: string, identifier: string}>>}
+   */
+  async listDatasets({ force = false, onProgress, signal, concurrency } = {}) {
+    if (force) {
+      this.resetCache();
+    }
+
+    const reportProgress = (ratio, info) => {
+      if (typeof onProgress !== 'function' || signal?.aborted) {
+        return;
+      }
+      try {
+        onProgress(ratio, info);
+      } catch (error) {
+        console.warn('Dataset progress callback failed', error);
+      }
+    };
+
+    reportProgress(0, { phase: 'list' });
+
+    const stubs = await this.listDatasetStubs({ signal });
+
+    const totalDatasets = stubs.length;
+    if (!totalDatasets) {
+      reportProgress(1, { phase: 'details', current: 0, total: 0 });
+    }
+
+    let settled = 0;
+    const datasetInfos = await runTaskPool(
+      stubs,
+      async (stub) => {
+        const info = await this.fetchListedDataset(stub, { signal });
+        settled += 1;
+        reportProgress(Math.min(settled / totalDatasets, 1), {
+          phase: 'details',
+          current: settled,
+          total: totalDatasets,
+        });
+        return info;
+      },
+      { concurrency: concurrency ?? this.detailConcurrency, signal }
+    );
+
+    const listed = datasetInfos.filter(Boolean);
+    listed.sort(compareDatasetLabels);
+
+    reportProgress(1, { phase: 'complete', current: totalDatasets, total: totalDatasets });
+
+    return listed;
+  }
+
+  /**
+   * Returns the stamps recorded by the last listing or revalidation, keyed by
+   * persistent identifier. Datasets without models are included so that a
+   * revalidation does not fetch them again.
+   *
+   * @returns {Record<string, string|null>}
+   */
+  getDatasetStamps() {
+    return Object.fromEntries(this.datasetStamps);
+  }
+
+  /**
+   * Reads the current stamp of every dataset without fetching their records.
+   * Adapters whose stubs already carry `stamp` keep this default.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request(s).
+   * @returns {Promise<Map<string, string|null>>} Stamps keyed by persistent identifier.
+   */
+  async listDatasetStamps(options) {
+    return new Map();
+  }
+
+  /**
+   * Brings a cached dataset list up to date. Only datasets that are new or
+   * whose stamp changed since `snapshot` are fetched again; datasets without a
+   * stamp are kept as cached.
+   *
+   * @param {object} snapshot - Earlier listing.
+   * @param {object[]} snapshot.datasets - Dataset infos returned by `listDatasets`.
+   * @param {Record<string, string|null>} snapshot.stamps - Result of `getDatasetStamps()`.
+   * @param {object} [options]
+   * @param {Function} [options.onProgress] - Receives `(ratio, info)` updates.
+   * @param {AbortSignal} [options.signal] - Cancels the revalidation.
+   * @param {number} [options.concurrency] - Overrides the adapter's `detailConcurrency`.
+   * @returns {Promise<{datasets: object[], stamps: Record<string, string|null>, added: string[], updated: string[], removed: object[]}>}
+   */
+  async revalidateDatasets({ datasets = [], stamps = {} } = {}, { onProgress, signal, concurrency } = {}) {
+    const reportProgress = (ratio, info) => {
+      if (typeof onProgress !== 'function' || signal?.aborted) {
+        return;
+      }
+      try {
+        onProgress(ratio, info);
+      } catch (error) {
+        console.warn('Dataset progress callback failed', error);
+      }
+    };
+
+    reportProgress(0, { phase: 'list' });
+
+    const stubs = await this.listDatasetStubs({ signal });
+    const currentStamps = await this.listDatasetStamps({ signal });
+    const listedById = new Map(datasets.map((info) => [info.value, info]));
+
+    const kept = [];
+    const pending = [];
+    stubs.forEach((stub) => {
+      const stamp = stub.stamp ?? currentStamps.get(stub.persistentId) ?? null;
+      const known = Object.prototype.hasOwnProperty.call(stamps, stub.persistentId);
+      if (known && (stamp === null || stamps[stub.persistentId] === stamp)) {
+        this.datasetStamps.set(stub.persistentId, stamps[stub.persistentId]);
+        const listed = listedById.get(stub.persistentId);
+        if (listed) {
+          kept.push({ ...listed, collectionPath: stub.collectionPath ?? listed.collectionPath ?? [] });
+        }
+        return;
+      }
+      pending.push({ ...stub, stamp });
+    });
+
+    let settled = 0;
+    const refreshed = await runTaskPool(
+      pending,
+      async (stub) => {
+        const info = await this.fetchListedDataset(stub, { signal });
+        settled += 1;
+        reportProgress(Math.min(settled / pending.length, 1), {
+          phase: 'details',
+          current: settled,
+          total: pending.length,
+        });
+        return info;
+      },
+      { concurrency: concurrency ?? this.detailConcurrency, signal }
+    );
+
+    const next = [...kept, ...refreshed.filter(Boolean)];
+    next.sort(compareDatasetLabels);
+
+    reportProgress(1, { phase: 'complete', current: pending.length, total: pending.length });
+
+    return {
+      datasets: next,
+      stamps: this.getDatasetStamps(),
+      ...diffDatasetLists(datasets, next),
+    };
+  }
+
+  /**
+   * Ensures dataset metadata and model indexes are available in the cache.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the record fetch when the dataset is not cached yet.
+   * @returns {Promise<object>} Cache entry enriched with lookup maps.
+   */
+  async ensureDatasetPrepared(persistentId, { signal } = {}) {
+    if (!persistentId) {
+      throw new Error('A dataset persistentId is required');
+    }
+
+    let entry = this.datasetCache.get(persistentId);
+    // Partial entries come from summary listings and still lack their file list.
+    if (!entry || entry.partial) {
+      const record = await this.fetchDatasetRecord(
+        { persistentId, identifier: entry?.identifier || persistentId },
+        { signal }
+      );
+      entry = this.applyDatasetRecord(
+        entry || { identifier: persistentId, persistentId, textureCache: new Map() },
+        record
+      );
+      this.datasetCache.set(persistentId, entry);
+    }
+
+    if (!entry.specimenSummary) {
+      entry.specimenSummary = extractSpecimenSummary(entry.detail);
+    }
+
+    if (!entry.taxonomyPath) {
+      entry.taxonomyPath = extractTaxonomyPath(entry.detail);
+    }
+
+    if (!entry.fileMap || !entry.fileNameMap || !entry.modelMap) {
+      const { models, modelMap, fileMap, fileMapLower, fileNameMap } = buildModelIndex(
+        entry.files || []
+      );
+      entry.models = models;
+      entry.modelMap = modelMap;
+      entry.fileMap = fileMap;
+      entry.fileMapLower = fileMapLower;
+      entry.fileNameMap = fileNameMap;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Switches a dataset to the given version and rebuilds its model index.
+   * The selection sticks to the cache entry until the cache is reset.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {string|null} versionId - Version id from `listDatasetVersions`, or null for the latest.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<object>} Cache entry holding the requested version.
+   */
+  async selectDatasetVersion(persistentId, versionId, { signal } = {}) {
+    if (versionId && !this.supportsVersions) {
+      throw new Error(`${this.constructor.name} does not expose dataset versions`);
+    }
+    const entry = await this.ensureDatasetPrepared(persistentId, { signal });
+    const requested = versionId || null;
+    if ((entry.selectedVersionId || null) === requested) {
+      return entry;
+    }
+    const record = await this.fetchDatasetRecord(
+      { persistentId, identifier: entry.identifier || persistentId },
+      { signal, version: requested }
+    );
+    this.applyDatasetRecord(entry, record);
+    entry.selectedVersionId = requested;
+    return entry;
+  }
+
+  /**
+   * Lists the models (OBJ, glTF/GLB, PLY, STL) available for a given dataset.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @returns {Promise<object[]>} Array of model descriptors.
+   */
+  async listDatasetModels(persistentId) {
+    const entry = await this.ensureDatasetPrepared(persistentId);
+    return entry.models || [];
+  }
+
+  /**
+   * Returns cached metadata details for a dataset.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @returns {object|null} Dataverse-shaped detail payload or null.
+   */
+  getDatasetMetadata(persistentId) {
+    const entry = this.datasetCache.get(persistentId);
+    return entry ? entry.detail : null;
+  }
+
+  getCachedDatasetEntry(persistentId) {
+    if (!persistentId) {
+      return null;
+    }
+    return this.datasetCache.get(persistentId) || null;
+  }
+
+  getCachedDatasetEntries() {
+    return this.datasetCache;
+  }
+
+  /**
+   * Builds a model source descriptor describing how to load the geometry file and,
+   * for OBJ, its MTL library and textures.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {string} modelKey - Key of the model to load.
+   * @param {object} [options]
+   * @param {string} [options.variantKey] - Variant of the model to load; defaults to
+   *   the model's preferred file.
+   * @param {boolean} [options.skipTextures=false] - Load an OBJ or DRC without its texture images.
+   * @returns {Promise<object>} Source descriptor consumed by the viewer.
+   */
+  async createModelSource(persistentId, modelKey, { variantKey, skipTextures = false } = {}) {
+    const entry = await this.ensureDatasetPrepared(persistentId);
+    const group = entry.modelMap?.get(modelKey);
+    if (!group) {
+      throw new Error('Model not found in dataset');
+    }
+    const model =
+      (variantKey && group.variants?.find((variant) => variant.key === variantKey)) || group;
+
+    const normalizeDir = (value) => normalizeSlashes(value || '');
+
+    const modelDirectory = normalizeDir(model.modelEntry?.directory || model.directory || '');
+    const defaultMtlDirectory = normalizeDir(
+      model.mtlEntry?.directory || model.modelEntry?.directory || model.directory || ''
+    );
+
+    const modelUrl = this.getFileUrl(model.modelEntry.file);
+
+    const defaultMaterialLibrary = model.mtlEntry
+      ? {
+          url: this.getFileUrl(model.mtlEntry.file),
+          storageKey: createAssetKey(model.mtlEntry.file),
+          checksum: getFileChecksum(model.mtlEntry.file),
+          textureBaseDir: defaultMtlDirectory,
+        }
+      : null;
+
+    const datasetId = persistentId;
+    const version = entry.version || null;
+    // Scope texture cache keys to the loaded version so switching versions never reuses stale maps.
+    const cacheScope = version ? `${datasetId}@${version.id}` : datasetId;
+
+    const resolveLibrary = (reference, { modelDirectory: contextDir } = {}) => {
+      if (!reference) return null;
+      if (/^https?:/i.test(reference)) {
+        return {
+          url: reference,
+          textureBaseDir: deriveHttpDirectory(reference),
+        };
+      }
+      const baseDir = normalizeDir(contextDir || modelDirectory);
+      const resolved = resolveRelativePath(baseDir, reference);
+      const file = getFileByPath(entry, resolved, baseDir);
+      if (file) {
+        return {
+          url: this.getFileUrl(file),
+          storageKey: createAssetKey(file),
+          checksum: getFileChecksum(file),
+          textureBaseDir: normalizeDir(file.directoryLabel || file.directory || ''),
+        };
+      }
+      return null;
+    };
+
+    // With `preferKtx2`, a `.ktx2` file published next to the image is
+    // returned instead, with the image as `fallback`.
+    const resolveTexturePath = (relativePath, { textureBaseDir, preferKtx2 = false } = {}) => {
+      if (!relativePath) return null;
+      if (/^https?:/i.test(relativePath)) {
+        return {
+          url: relativePath,
+          cacheKey: `url:${relativePath}`,
+        };
+      }
+      const baseDirRaw = textureBaseDir || defaultMtlDirectory || modelDirectory;
+      if (/^https?:/i.test(baseDirRaw)) {
+        try {
+          const absolute = new URL(relativePath, baseDirRaw).toString();
+          return {
+            url: absolute,
+            cacheKey: `url:${absolute}`,
+          };
+        } catch (error) {
+          return null;
+        }
+      }
+      const baseDir = normalizeDir(baseDirRaw);
+      const resolved = resolveRelativePath(baseDir, relativePath);
+      if (!resolved) return null;
+      if (/^https?:/i.test(resolved)) {
+        return {
+          url: resolved,
+          cacheKey: `url:${resolved}`,
+        };
+      }
+      const file = getFileByPath(entry, resolved, baseDir);
+      if (!file) return null;
+      const describe = (target) => ({
+        url: this.getFileUrl(target),
+        cacheKey: `dataset:${cacheScope}:file:${target.dataFile.id}`,
+        storageKey: createAssetKey(target),
+        checksum: getFileChecksum(target),
+      });
+      const compressedPath = resolved.replace(/\.[^./]+$/, '.ktx2');
+      const compressed =
+        preferKtx2 && compressedPath !== resolved
+          ? getFileByPath(entry, compressedPath, baseDir)
+          : null;
+      // A same-named file elsewhere in the dataset is not a copy of this one.
+      if (
+        compressed &&
+        normalizeDirectoryLabel(compressed.directoryLabel || '') ===
+          normalizeDirectoryLabel(file.directoryLabel || '')
+      ) {
+        return { ...describe(compressed), format: 'ktx2', fallback: describe(file) };
+      }
+      return describe(file);
+    };
+
+    return {
+      datasetId,
+      modelKey,
+      variantKey: model === group ? group.key : model.key,
+      version,
+      format: model.format || 'obj',
+      displayName: group.displayName,
+      size: getFileSize(model.modelEntry.file),
+      downloadSize: model.downloadSize ?? null,
+      textureSize: model.textureSize ?? 0,
+      skipTextures: Boolean(skipTextures),
+      modelUrl,
+      modelStorageKey: createAssetKey(model.modelEntry.file),
+      modelChecksum: getFileChecksum(model.modelEntry.file),
+      // Filled by the viewer as each downloaded file is checked against its checksum.
+      integrity: createIntegrityReport(),
+      modelDirectory,
+      defaultMaterialLibrary,
+      resolveMaterialLibrary(reference, options = {}) {
+        const resolved = resolveLibrary(reference, options);
+        if (resolved) return resolved;
+        return defaultMaterialLibrary;
+      },
+      resolveTexturePath,
+      getPreferredTextureDirectory() {
+        return defaultMtlDirectory || modelDirectory;
+      },
+      getMetadataDetail() {
+        return entry.detail;
+      },
+    };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Runtime selection of the data source. The config is read, lowest priority
+ * first, from the built-in defaults, the deployable `config.json` next to the
+ * viewer page, `window.viewerDataSource`, and the page URL:
+ *
+ *   ?apiRoot=https://dataverse.example.org/api&dataverse=bones
+ *   ?dataverse=cor-iphes&dataverse=partner-bones   (or dataverse=cor-iphes,partner-bones)
+ *
+ * Several `dataverse` values federate the collections into one list. An
+ * `apiRoot` taken from the URL only receives the session API token when
+ * `config.json` or the page trusts it, so a crafted link cannot collect tokens.
+ */
+import { DEFAULT_API_ROOT } from './dataverseClient.js';
+
+export const DEFAULT_CONFIG_URL = './config.json';
+
+// Dataverse aliases are limited to letters, digits, underscores and hyphens.
+const ALIAS_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Normalises an API root, rejecting anything but absolute http(s) URLs.
+ *
+ * @param {string} value - Candidate API root.
+ * @returns {string|null} URL without trailing slash, or null when invalid.
+ */
+function normalizeApiRoot(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim());
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url.toString().replace(/\/+$/, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Collects the API roots declared by a data-source config, members included.
+ *
+ * @param {object|null} config
+ * @returns {string[]}
+ */
+function collectApiRoots(config) {
+  if (!config || typeof config !== 'object') return [];
+  const roots = [];
+  if ((config.type ?? 'dataverse') === 'dataverse') {
+    roots.push(normalizeApiRoot(config.apiRoot ?? DEFAULT_API_ROOT));
+  }
+  (Array.isArray(config.sources) ? config.sources : []).forEach((source) => {
+    roots.push(...collectApiRoots({ ...config, type: undefined, sources: undefined, ...source }));
+  });
+  return roots.filter(Boolean);
+}
+
+/**
+ * Combines the config sources into the config handed to `createDataSource`.
+ *
+ * @param {object} [options]
+ * @param {object|null} [options.fileConfig] - Parsed `config.json`: `{ dataSource, allowedApiRoots }`.
+ * @param {object|null} [options.pageConfig] - `window.viewerDataSource`.
+ * @param {string} [options.search] - Query string of the page URL.
+ * @returns {object} Data-source config; `{}` selects the default Dataverse collection.
+ */
+export function resolveDataSourceConfig({ fileConfig = null, pageConfig = null, search = '' } = {}) {
+  const base = pageConfig || fileConfig?.dataSource || {};
+  const params = new URLSearchParams(search || '');
+  const apiRootParam = params.get('apiRoot');
+  const aliases = params
+    .getAll('dataverse')
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (!apiRootParam && !aliases.length) {
+    return base;
+  }
+
+  const apiRoot = normalizeApiRoot(apiRootParam);
+  if (apiRootParam && !apiRoot) {
+    console.warn(`Ignoring invalid apiRoot URL parameter: ${apiRootParam}`);
+  }
+  const validAliases = aliases.filter((alias) => {
+    if (ALIAS_PATTERN.test(alias)) return true;
+    console.warn(`Ignoring invalid dataverse URL parameter: ${alias}`);
+    return false;
+  });
+  if (!apiRoot && !validAliases.length) {
+    return base;
+  }
+
+  // URL parameters retarget the Dataverse options of the base config, if any.
+  const { type = 'dataverse', label, ...baseOptions } = base;
+  const dataverseOptions = type === 'dataverse' ? baseOptions : {};
+  const trustedRoots = new Set([
+    ...collectApiRoots(fileConfig?.dataSource),
+    ...collectApiRoots(pageConfig),
+    ...(Array.isArray(fileConfig?.allowedApiRoots) ? fileConfig.allowedApiRoots : []).map(
+      normalizeApiRoot
+    ),
+  ]);
+  const resolvedRoot = apiRoot ?? dataverseOptions.apiRoot;
+  const authorizeToken = !apiRoot || trustedRoots.has(apiRoot);
+  const members = (validAliases.length ? validAliases : [dataverseOptions.dataverseId]).map(
+    (dataverseId) => ({
+      ...dataverseOptions,
+      type: 'dataverse',
+      ...(resolvedRoot ? { apiRoot: resolvedRoot } : {}),
+      ...(dataverseId ? { dataverseId } : {}),
+      ...(authorizeToken ? {} : { authorizeToken: false }),
+    })
+  );
+  return members.length === 1 ? members[0] : { type: 'federation', sources: members };
+}
+
+/**
+ * Reads the deployable config file. A missing file is not an error.
+ *
+ * @param {object} [options]
+ * @param {string} [options.url] - Location of the config file.
+ * @param {Function} [options.fetchImpl] - Fetch implementation.
+ * @returns {Promise<object|null>} Parsed config, or null when absent or unreadable.
+ */
+export async function loadConfigFile({ url = DEFAULT_CONFIG_URL, fetchImpl = globalThis.fetch } = {}) {
+  if (typeof fetchImpl !== 'function') return null;
+  try {
+    const response = await fetchImpl(url, { cache: 'no-cache' });
+    if (!response.ok) {
+      if (response.status !== 404) {
+        console.warn(`Failed to load ${url}: HTTP ${response.status}`);
+      }
+      return null;
+    }
+    const config = await response.json();
+    return config && typeof config === 'object' ? config : null;
+  } catch (error) {
+    console.warn(`Failed to load ${url}`, error);
+    return null;
+  }
+}
+
+/**
+ * Loads `config.json` and resolves the data-source config of the current page.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.fetchImpl] - Fetch implementation.
+ * @param {string} [options.configUrl] - Location of the config file.
+ * @param {object|null} [options.pageConfig] - `window.viewerDataSource`.
+ * @param {string} [options.search] - Query string of the page URL.
+ * @returns {Promise<object>} Config for `createDataSource`.
+ */
+export async function loadDataSourceConfig({
+  fetchImpl,
+  configUrl = DEFAULT_CONFIG_URL,
+  pageConfig = null,
+  search = '',
+} = {}) {
+  const fileConfig = await loadConfigFile({ url: configUrl, fetchImpl });
+  return resolveDataSourceConfig({ fileConfig, pageConfig, search });
+}
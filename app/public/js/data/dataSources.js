@@ -0,0 +1,67 @@
+/**
+ * Registry of data-source adapters. Every adapter exposes the same surface
+ * (`listDatasets`, `listDatasetModels`, `createModelSource`,
+ * `getDatasetMetadata`, `ensureDatasetPrepared`, cache accessors), so the UI
+ * never depends on where specimens are hosted.
+ */
+import { DataverseClient } from './dataverseClient.js';
+import { ManifestSource } from './manifestSource.js';
+import { HttpFolderSource } from './httpFolderSource.js';
+import { FederatedSource } from './federatedSource.js';
+
+export const DEFAULT_DATA_SOURCE_TYPE = 'dataverse';
+
+const dataSourceFactories = new Map([
+  ['dataverse', (options) => new DataverseClient(options)],
+  ['manifest', (options) => new ManifestSource(options)],
+  ['http-folder', (options) => new HttpFolderSource(options)],
+  // Members are configs of their own; they share the federation's fetch.
+  [
+    'federation',
+    ({ sources = [], fetchImpl, ...shared }) =>
+      new FederatedSource({
+        sources: sources.map(({ label, ...config }) => ({
+          label,
+          adapter: createDataSource({ fetchImpl, ...shared, ...config }),
+        })),
+      }),
+  ],
+]);
+
+/**
+ * Registers an additional adapter factory.
+ *
+ * @param {string} type - Identifier used in data-source configs.
+ * @param {(options: object) => object} factory - Builds an adapter instance.
+ */
+export function registerDataSource(type, factory) {
+  if (!type || typeof factory !== 'function') {
+    throw new Error('registerDataSource requires a type and a factory function');
+  }
+  dataSourceFactories.set(type, factory);
+}
+
+/**
+ * Lists the registered adapter types.
+ *
+ * @returns {string[]} Adapter identifiers.
+ */
+export function getDataSourceTypes() {
+  return Array.from(dataSourceFactories.keys());
+}
+
+/**
+ * Instantiates the adapter described by a config object.
+ *
+ * @param {object} [config]
+ * @param {string} [config.type='dataverse'] - Adapter identifier.
+ * @returns {object} Data-source adapter.
+ */
+export function createDataSource(config = {}) {
+  const { type = DEFAULT_DATA_SOURCE_TYPE, ...options } = config || {};
+  const factory = dataSourceFactories.get(type);
+  if (!factory) {
+    throw new Error(`Unknown data source type: ${type}`);
+  }
+  return factory(options);
+}
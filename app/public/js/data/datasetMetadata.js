@@ -0,0 +1,354 @@
+/**
+ * Metadata extraction helpers shared by the data-source adapters. They read
+ * Dataverse-shaped detail payloads (citation and Darwin Core blocks).
+ */
+
+function normalizeKeyToken(name) {
+  return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+}
+
+function flattenFieldValues(value, results) {
+  if (value === null || value === undefined) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((item) => flattenFieldValues(item, results));
+    return;
+  }
+  if (typeof value === 'object') {
+    if (Object.prototype.hasOwnProperty.call(value, 'value')) {
+      flattenFieldValues(value.value, results);
+      return;
+    }
+    Object.values(value).forEach((entry) => flattenFieldValues(entry, results));
+    return;
+  }
+  const text = String(value).trim();
+  if (text) {
+    results.push(text);
+  }
+}
+
+function collectFieldValues(fields = [], targetNames = [], { split = false } = {}) {
+  if (!fields.length || !targetNames.length) {
+    return [];
+  }
+
+  const normalizedTargets = targetNames.map(normalizeKeyToken);
+  const field = fields.find((item) => {
+    const typeToken = normalizeKeyToken(item.typeName);
+    if (normalizedTargets.includes(typeToken)) {
+      return true;
+    }
+    const displayToken = normalizeKeyToken(item.displayName);
+    return normalizedTargets.includes(displayToken);
+  });
+
+  if (!field) {
+    return [];
+  }
+
+  const values = [];
+  flattenFieldValues(field.value, values);
+
+  if (!values.length) {
+    return [];
+  }
+
+  const finalValues = [];
+  const pushValue = (raw) => {
+    if (!raw) return;
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+    finalValues.push(trimmed);
+  };
+
+  if (split) {
+    values.forEach((item) => {
+      item.split(/[;,|\r\n]+/).forEach((segment) => pushValue(segment));
+    });
+  } else {
+    values.forEach((item) => pushValue(item));
+  }
+
+  return finalValues;
+}
+
+function humaniseMetadataValue(value) {
+  if (!value) {
+    return null;
+  }
+  const normalised = String(value)
+    .replace(/[_]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+  if (!normalised) {
+    return null;
+  }
+  return normalised.charAt(0).toUpperCase() + normalised.slice(1);
+}
+
+export function extractSpecimenSummary(detail) {
+  const block = detail?.data?.latestVersion?.metadataBlocks?.darwincore;
+  const fields = Array.isArray(block?.fields) ? block.fields : null;
+  if (!fields) {
+    return null;
+  }
+
+  const sex =
+    collectFieldValues(fields, ['dwcSex', 'dwc:sex', 'sex'])
+      .map(humaniseMetadataValue)
+      .find(Boolean) || null;
+
+  const lifeStage =
+    collectFieldValues(fields, ['dwcLifeStage', 'dwc:lifeStage', 'lifeStage'])
+      .map(humaniseMetadataValue)
+      .find(Boolean) || null;
+
+  const ageClass =
+    collectFieldValues(fields, ['dwcAgeClass', 'dwc:ageClass', 'ageClass'])
+      .map(humaniseMetadataValue)
+      .find(Boolean) || null;
+
+  const catalogNumber =
+    collectFieldValues(fields, ['dwcCatalogNumber', 'dwc:catalogNumber', 'catalogNumber']).find(
+      Boolean,
+    ) || null;
+
+  const otherCatalogNumbers = collectFieldValues(
+    fields,
+    ['dwcOtherCatalogNumbers', 'dwc:otherCatalogNumbers', 'otherCatalogNumbers'],
+    { split: true },
+  );
+
+  const individualId =
+    collectFieldValues(fields, ['dwcIndividualID', 'dwc:individualID', 'individualID']).find(
+      Boolean,
+    ) || null;
+
+  const summary = {};
+  if (sex) summary.sex = sex;
+  if (lifeStage) summary.lifeStage = lifeStage;
+  if (ageClass) summary.ageClass = ageClass;
+  if (catalogNumber) summary.catalogNumber = catalogNumber;
+  if (otherCatalogNumbers.length) {
+    summary.otherCatalogNumbers = Array.from(
+      new Set(otherCatalogNumbers.map((item) => item.trim()).filter(Boolean)),
+    );
+  }
+  if (individualId) summary.individualId = individualId;
+
+  if (!Object.keys(summary).length) {
+    return null;
+  }
+
+  const idCandidates = [
+    summary.catalogNumber,
+    ...(summary.otherCatalogNumbers || []),
+    summary.individualId,
+  ];
+  const primaryId = idCandidates.find(Boolean) || null;
+  if (primaryId) {
+    summary.primaryId = primaryId;
+  }
+
+  return summary;
+}
+
+export function extractTaxonomyPath(detail) {
+  const block = detail?.data?.latestVersion?.metadataBlocks?.darwincore;
+  const fields = Array.isArray(block?.fields) ? block.fields : null;
+  if (!fields) {
+    return null;
+  }
+
+  const valueFor = (candidates, { fallback = null } = {}) =>
+    collectFieldValues(fields, candidates)
+      .map(humaniseMetadataValue)
+      .find(Boolean) || fallback;
+
+  const taxonomy = {
+    kingdom: valueFor(['dwcKingdom', 'dwc:kingdom', 'kingdom']),
+    phylum: valueFor(['dwcPhylum', 'dwc:phylum', 'phylum']),
+    class: valueFor(['dwcClass', 'dwc:class', 'class']),
+    order: valueFor(['dwcOrder', 'dwc:order', 'order']),
+    family: valueFor(['dwcFamily', 'dwc:family', 'family']),
+    subfamily: valueFor(['dwcSubfamily', 'dwc:subfamily', 'subfamily']),
+    genus: valueFor(['dwcGenus', 'dwc:genus', 'genus']),
+    species: valueFor(
+      ['dwcScientificName', 'dwc:scientificName', 'dwcSpecies', 'dwc:species', 'dwcSpecificEpithet', 'dwc:specificEpithet', 'scientificName', 'species'],
+    ),
+  };
+
+  const hasData = Object.values(taxonomy).some(Boolean);
+  return hasData ? taxonomy : null;
+}
+
+/**
+ * Extracts the human-readable dataset title from a detail response.
+ *
+ * @param {object} detail - Dataverse dataset detail payload.
+ * @returns {string|null} Dataset title or null when missing.
+ */
+export function extractTitle(detail) {
+  const fields = detail?.data?.latestVersion?.metadataBlocks?.citation?.fields || [];
+  const titleField = fields.find((field) => field.typeName === 'title');
+  if (!titleField) return null;
+  if (typeof titleField.value === 'string') {
+    return titleField.value;
+  }
+  if (Array.isArray(titleField.value)) {
+    const first = titleField.value.find((item) =>
+      typeof item === 'string' ? item : typeof item?.value === 'string'
+    );
+    if (typeof first === 'string') {
+      return first;
+    }
+    if (first?.value) {
+      return first.value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Wraps plain metadata in a Dataverse-shaped detail payload so adapters for
+ * other sources can feed the same metadata panel and taxonomy extraction.
+ *
+ * @param {object} options
+ * @param {string} options.title - Dataset title.
+ * @param {string} [options.persistentUrl] - Landing page of the dataset, if any.
+ * @param {object} [options.darwinCore] - Darwin Core terms keyed by field name (e.g. `dwcGenus`).
+ * @param {object[]} [options.files] - Dataverse-shaped file entries.
+ * @returns {object} Detail payload.
+ */
+export function buildDetailPayload({ title, persistentUrl = null, darwinCore = null, files = [] }) {
+  const metadataBlocks = {
+    citation: {
+      displayName: 'Citation Metadata',
+      fields: [{ typeName: 'title', value: title }],
+    },
+  };
+  const darwinFields = Object.entries(darwinCore || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([typeName, value]) => ({ typeName, value }));
+  if (darwinFields.length) {
+    metadataBlocks.darwincore = {
+      displayName: 'Darwin Core',
+      fields: darwinFields,
+    };
+  }
+  return {
+    data: {
+      persistentUrl,
+      latestVersion: {
+        metadataBlocks,
+        files,
+      },
+    },
+  };
+}
+
+/**
+ * Describes the dataset version held by a detail payload.
+ *
+ * @param {object} detail - Dataverse-shaped detail payload.
+ * @returns {{id: string, label: string, state: string|null, releaseTime: string|null}|null}
+ *   Version descriptor; `id` is the value accepted by the versions endpoint.
+ */
+export function describeDatasetVersion(detail) {
+  const version = detail?.data?.latestVersion;
+  if (!version || typeof version !== 'object') {
+    return null;
+  }
+  const state = version.versionState || null;
+  if (state === 'DRAFT') {
+    return { id: ':draft', label: 'DRAFT', state, releaseTime: null };
+  }
+  if (version.versionNumber === undefined || version.versionNumber === null) {
+    return null;
+  }
+  const label = `${version.versionNumber}.${version.versionMinorNumber ?? 0}`;
+  return {
+    id: label,
+    label,
+    state,
+    releaseTime: version.releaseTime || null,
+  };
+}
+
+/**
+ * Collects the bibliographic fields of a dataset from its detail payload.
+ *
+ * @param {object} detail - Dataverse-shaped detail payload.
+ * @returns {{
+ *   title: string,
+ *   authors: string[],
+ *   doi: string|null,
+ *   url: string|null,
+ *   version: string|null,
+ *   publisher: string|null,
+ *   year: number|null,
+ * }|null} Citation fields, or null without a title.
+ */
+export function extractCitation(detail) {
+  const data = detail?.data;
+  const title = extractTitle(detail);
+  if (!data || !title) {
+    return null;
+  }
+
+  const fields = data.latestVersion?.metadataBlocks?.citation?.fields || [];
+  const authorField = fields.find((field) => field.typeName === 'author');
+  // Authors are compound values; only `authorName` belongs in a citation.
+  const authors = (Array.isArray(authorField?.value) ? authorField.value : [])
+    .map((entry) =>
+      entry && typeof entry === 'object'
+        ? collectFieldValues(Object.values(entry), ['authorName'])[0]
+        : null
+    )
+    .filter(Boolean);
+
+  const persistentUrl = data.persistentUrl || null;
+  const doiMatch = /^https?:\/\/(?:dx\.)?doi\.org\/(10\..+)$/i.exec(persistentUrl || '');
+  const version = describeDatasetVersion(detail);
+  const yearMatch = /^(\d{4})/.exec(
+    data.publicationDate || data.latestVersion?.releaseTime || ''
+  );
+
+  return {
+    title,
+    authors,
+    doi: doiMatch ? doiMatch[1] : null,
+    url: data.versionUrl || persistentUrl,
+    version: version?.label ?? null,
+    publisher: data.publisher || null,
+    year: yearMatch ? Number(yearMatch[1]) : null,
+  };
+}
+
+/**
+ * Reads every field of the Darwin Core block, keyed by its Darwin Core term
+ * (`dwcScientificName` and `dwc:scientificName` both become `scientificName`).
+ * Repeated values are joined with ` | `, the Darwin Core list separator.
+ *
+ * @param {object} detail - Dataverse-shaped detail payload.
+ * @returns {Map<string, string>} Term -> value, in block order.
+ */
+export function extractDarwinCoreTerms(detail) {
+  const block = detail?.data?.latestVersion?.metadataBlocks?.darwincore;
+  const fields = Array.isArray(block?.fields) ? block.fields : [];
+  const terms = new Map();
+  fields.forEach((field) => {
+    const name = typeof field?.typeName === 'string' ? field.typeName.trim() : '';
+    const term = name.replace(/^dwc:?(?=[A-Za-z])/i, '').replace(/^[A-Z]/, (char) => char.toLowerCase());
+    if (!term) return;
+    const values = [];
+    flattenFieldValues(field.value, values);
+    if (values.length && !terms.has(term)) {
+      terms.set(term, values.join(' | '));
+    }
+  });
+  return terms;
+}
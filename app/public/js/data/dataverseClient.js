@@ -1,910 +1,521 @@
 /**
  * Dataverse data access layer. Fetches datasets, indexes available models and
- * resolves related resources (OBJ, MTL, textures) for the viewer.
+ * resolves related resources (models, MTL libraries, textures) for the viewer.
  */
-import { getDefaultFetch } from '../utils/defaultFetch.js';
-
-const DEFAULT_API_ROOT = "https://dataverse.csuc.cat/api";
-const DEFAULT_DATAVERSE_ID = "cor-iphes";
-const DEFAULT_FETCH = getDefaultFetch();
-
-function normalizeKeyToken(name) {
-  return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
-}
-
-function flattenFieldValues(value, results) {
-  if (value === null || value === undefined) {
-    return;
-  }
-  if (Array.isArray(value)) {
-    value.forEach((item) => flattenFieldValues(item, results));
-    return;
-  }
-  if (typeof value === 'object') {
-    if (Object.prototype.hasOwnProperty.call(value, 'value')) {
-      flattenFieldValues(value.value, results);
-      return;
-    }
-    Object.values(value).forEach((entry) => flattenFieldValues(entry, results));
-    return;
-  }
-  const text = String(value).trim();
-  if (text) {
-    results.push(text);
-  }
-}
-
-function collectFieldValues(fields = [], targetNames = [], { split = false } = {}) {
-  if (!fields.length || !targetNames.length) {
-    return [];
-  }
-
-  const normalizedTargets = targetNames.map(normalizeKeyToken);
-  const field = fields.find((item) => {
-    const typeToken = normalizeKeyToken(item.typeName);
-    if (normalizedTargets.includes(typeToken)) {
-      return true;
-    }
-    const displayToken = normalizeKeyToken(item.displayName);
-    return normalizedTargets.includes(displayToken);
-  });
-
-  if (!field) {
-    return [];
-  }
-
-  const values = [];
-  flattenFieldValues(field.value, values);
-
-  if (!values.length) {
-    return [];
-  }
-
-  const finalValues = [];
-  const pushValue = (raw) => {
-    if (!raw) return;
-    const trimmed = raw.trim();
-    if (!trimmed) return;
-    finalValues.push(trimmed);
-  };
-
-  if (split) {
-    values.forEach((item) => {
-      item.split(/[;,|\r\n]+/).forEach((segment) => pushValue(segment));
-    });
-  } else {
-    values.forEach((item) => pushValue(item));
-  }
-
-  return finalValues;
-}
-
-function humaniseMetadataValue(value) {
-  if (!value) {
-    return null;
-  }
-  const normalised = String(value)
-    .replace(/[_]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .toLowerCase();
-  if (!normalised) {
-    return null;
-  }
-  return normalised.charAt(0).toUpperCase() + normalised.slice(1);
-}
-
-function extractSpecimenSummary(detail) {
-  const block = detail?.data?.latestVersion?.metadataBlocks?.darwincore;
-  const fields = Array.isArray(block?.fields) ? block.fields : null;
-  if (!fields) {
-    return null;
-  }
-
-  const sex =
-    collectFieldValues(fields, ['dwcSex', 'dwc:sex', 'sex'])
-      .map(humaniseMetadataValue)
-      .find(Boolean) || null;
-
-  const lifeStage =
-    collectFieldValues(fields, ['dwcLifeStage', 'dwc:lifeStage', 'lifeStage'])
-      .map(humaniseMetadataValue)
-      .find(Boolean) || null;
-
-  const ageClass =
-    collectFieldValues(fields, ['dwcAgeClass', 'dwc:ageClass', 'ageClass'])
-      .map(humaniseMetadataValue)
-      .find(Boolean) || null;
-
-  const catalogNumber =
-    collectFieldValues(fields, ['dwcCatalogNumber', 'dwc:catalogNumber', 'catalogNumber']).find(
-      Boolean,
-    ) || null;
-
-  const otherCatalogNumbers = collectFieldValues(
-    fields,
-    ['dwcOtherCatalogNumbers', 'dwc:otherCatalogNumbers', 'otherCatalogNumbers'],
-    { split: true },
-  );
-
-  const individualId =
-    collectFieldValues(fields, ['dwcIndividualID', 'dwc:individualID', 'individualID']).find(
-      Boolean,
-    ) || null;
-
-  const summary = {};
-  if (sex) summary.sex = sex;
-  if (lifeStage) summary.lifeStage = lifeStage;
-  if (ageClass) summary.ageClass = ageClass;
-  if (catalogNumber) summary.catalogNumber = catalogNumber;
-  if (otherCatalogNumbers.length) {
-    summary.otherCatalogNumbers = Array.from(
-      new Set(otherCatalogNumbers.map((item) => item.trim()).filter(Boolean)),
-    );
-  }
-  if (individualId) summary.individualId = individualId;
-
-  if (!Object.keys(summary).length) {
-    return null;
-  }
-
-  const idCandidates = [
-    summary.catalogNumber,
-    ...(summary.otherCatalogNumbers || []),
-    summary.individualId,
-  ];
-  const primaryId = idCandidates.find(Boolean) || null;
-  if (primaryId) {
-    summary.primaryId = primaryId;
-  }
-
-  return summary;
-}
-
-function extractTaxonomyPath(detail) {
-  const block = detail?.data?.latestVersion?.metadataBlocks?.darwincore;
-  const fields = Array.isArray(block?.fields) ? block.fields : null;
-  if (!fields) {
-    return null;
-  }
-
-  const valueFor = (candidates, { fallback = null } = {}) =>
-    collectFieldValues(fields, candidates)
-      .map(humaniseMetadataValue)
-      .find(Boolean) || fallback;
-
-  const taxonomy = {
-    kingdom: valueFor(['dwcKingdom', 'dwc:kingdom', 'kingdom']),
-    phylum: valueFor(['dwcPhylum', 'dwc:phylum', 'phylum']),
-    class: valueFor(['dwcClass', 'dwc:class', 'class']),
-    order: valueFor(['dwcOrder', 'dwc:order', 'order']),
-    family: valueFor(['dwcFamily', 'dwc:family', 'family']),
-    subfamily: valueFor(['dwcSubfamily', 'dwc:subfamily', 'subfamily']),
-    genus: valueFor(['dwcGenus', 'dwc:genus', 'genus']),
-    species: valueFor(
-      ['dwcScientificName', 'dwc:scientificName', 'dwcSpecies', 'dwc:species', 'dwcSpecificEpithet', 'dwc:specificEpithet', 'scientificName', 'species'],
-    ),
-  };
-
-  const hasData = Object.values(taxonomy).some(Boolean);
-  return hasData ? taxonomy : null;
-}
-
-/**
- * Normalises path separators to forward slashes.
- *
- * @param {string} value - Raw path string.
- * @returns {string} Path using forward slashes.
- */
-function normalizeSlashes(value) {
-  return (value || "").replace(/\\/g, "/");
-}
-
-/**
- * Cleans a directory label by normalising slashes and trimming whitespace.
- *
- * @param {string} value - Directory label from Dataverse.
- * @returns {string} Tidied directory label.
- */
-function normalizeDirectoryLabel(value) {
-  return normalizeSlashes(value).trim();
-}
-
-/**
- * Builds a stable dataset-relative path for a file entry.
- *
- * @param {object} file - Dataverse file descriptor.
- * @returns {string} Normalised path within the dataset.
- */
-function normalizeDatasetPath(file) {
-  const directory = normalizeDirectoryLabel(file.directoryLabel || "");
-  const label = normalizeSlashes(file.label || "").trim();
-  return directory ? `${directory}/${label}` : label;
-}
+import { compareDatasetLabels, DataSourceAdapter, diffDatasetLists } from './dataSourceAdapter.js';
+import {
+  describeDatasetVersion,
+  extractSpecimenSummary,
+  extractTaxonomyPath,
+  extractTitle,
+} from './datasetMetadata.js';
+import { isAbortError, runTaskPool, throwIfAborted } from '../utils/taskPool.js';
+
+export const DEFAULT_API_ROOT = "https://dataverse.csuc.cat/api";
+export const DEFAULT_DATAVERSE_ID = "cor-iphes";
+const LISTING_MODES = ['contents', 'search'];
+const SEARCH_PAGE_SIZE = 100;
+const DEFAULT_COLLECTION_DEPTH = 3;
+// Metadata blocks requested from /search; enough for specimen summaries and taxonomy.
+const SEARCH_METADATA_FIELDS = ['darwincore:*'];
 
 /**
- * Extracts base name information from a file label for quick comparisons.
+ * Builds the resolver URL of a persistent identifier, mirroring Dataverse's `persistentUrl`.
  *
- * @param {string} label - File label including extension.
- * @returns {object} Base name variants.
+ * @param {string} persistentId - Identifier such as `doi:10.34810/data123`.
+ * @returns {string|null} Resolver URL or null for unknown schemes.
  */
-function normalizeBase(label) {
-  const safe = normalizeSlashes(label || "");
-  const dot = safe.lastIndexOf('.');
-  const base = dot >= 0 ? safe.slice(0, dot) : safe;
-  const baseTrim = base.trim();
-  return {
-    base,
-    baseTrim,
-    baseLower: base.toLowerCase(),
-    baseTrimLower: baseTrim.toLowerCase(),
-  };
+function buildPersistentUrl(persistentId) {
+  const match = /^(doi|hdl):(.+)$/i.exec(persistentId || '');
+  if (!match) return null;
+  return match[1].toLowerCase() === 'doi'
+    ? `https://doi.org/${match[2]}`
+    : `https://hdl.handle.net/${match[2]}`;
 }
 
 /**
- * Splits a directory label into cleaned segments.
+ * Reads the version of a Search API dataset hit, using the identifiers of
+ * `describeDatasetVersion` so that it matches the stamp of a fetched record.
  *
- * @param {string} directoryLabel - Directory label from Dataverse.
- * @returns {string[]} Array of directory segments.
+ * @param {object} item - Dataset hit.
+ * @returns {string|null} `':draft'`, `'major.minor'` or null when unknown.
  */
-function normalizeDirectoryParts(directoryLabel) {
-  const clean = normalizeDirectoryLabel(directoryLabel);
-  if (!clean) return [];
-  return clean
-    .split('/')
-    .map((segment) => segment.trim())
-    .filter(Boolean);
-}
-
-/**
- * Resolves a relative path against a dataset directory, handling traversal.
- *
- * @param {string} baseDir - Base directory to resolve from.
- * @param {string} relativePath - Relative path or URL.
- * @returns {string|null} Resolved dataset path or absolute URL.
- */
-function resolveRelativePath(baseDir, relativePath) {
-  if (!relativePath) return null;
-  const trimmed = relativePath.trim();
-  if (!trimmed) return null;
-  if (/^https?:\/\//i.test(trimmed)) {
-    return trimmed;
+function getSearchHitStamp(item) {
+  if (item?.versionState === 'DRAFT') {
+    return ':draft';
   }
-  let rel = normalizeSlashes(trimmed);
-  if (rel.startsWith('/')) {
-    rel = rel.slice(1);
+  if (item?.majorVersion === undefined || item?.majorVersion === null) {
+    return null;
   }
-  const stack = baseDir ? baseDir.split('/').filter(Boolean) : [];
-  rel.split('/').forEach((segment) => {
-    if (!segment || segment === '.') return;
-    if (segment === '..') {
-      stack.pop();
-    } else {
-      stack.push(segment);
-    }
-  });
-  return stack.join('/');
+  return `${item.majorVersion}.${item.minorVersion ?? 0}`;
 }
 
 /**
- * Deduces the HTTP directory URL hosting a given resource URL.
- *
- * @param {string} url - Absolute resource URL.
- * @returns {string} Directory URL ending with a slash.
+ * Client wrapping Dataverse API calls and indexing dataset contents.
  */
-function deriveHttpDirectory(url) {
-  try {
-    const parsed = new URL(url);
-    const segments = parsed.pathname.split('/');
-    if (segments.length > 1) {
-      segments.pop();
+export class DataverseClient extends DataSourceAdapter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiRoot] - Base Dataverse API URL.
+   * @param {string} [options.dataverseId] - Identifier of the Dataverse collection.
+   * @param {Function} [options.fetchImpl] - Optional fetch implementation. A fetch built by
+   *   `createAuthenticatedFetch` is authorised to send the API token to `apiRoot`.
+   * @param {number} [options.detailConcurrency] - Dataset details fetched in parallel.
+   * @param {'contents'|'search'} [options.listingMode='contents'] - `contents` fetches every
+   *   dataset detail up front; `search` builds the list from paged `/search` results and
+   *   defers file indexing to `ensureDatasetPrepared`.
+   * @param {number} [options.collectionDepth=3] - Levels of nested sub-collections searched
+   *   for datasets; 0 lists the datasets published directly in `dataverseId` only.
+   * @param {boolean} [options.authorizeToken=true] - Lets the fetch send the session API
+   *   token to `apiRoot`. Off for installations named by an untrusted source (URL parameters).
+   */
+  constructor({
+    apiRoot = DEFAULT_API_ROOT,
+    dataverseId = DEFAULT_DATAVERSE_ID,
+    fetchImpl,
+    detailConcurrency,
+    listingMode = 'contents',
+    collectionDepth = DEFAULT_COLLECTION_DEPTH,
+    authorizeToken = true,
+  } = {}) {
+    if (!LISTING_MODES.includes(listingMode)) {
+      throw new Error(`Unknown Dataverse listing mode: ${listingMode}`);
     }
-    let pathname = segments.join('/');
-    if (!pathname.endsWith('/')) {
-      pathname = `${pathname}/`;
+    const depth = Math.max(0, Math.floor(collectionDepth) || 0);
+    super({
+      fetchImpl,
+      sourceId: `dataverse:${apiRoot}/${dataverseId}${
+        listingMode === 'search' ? '#search' : ''
+      }${depth === DEFAULT_COLLECTION_DEPTH ? '' : `@${depth}`}`,
+      detailConcurrency,
+    });
+    this.apiRoot = apiRoot;
+    this.dataverseId = dataverseId;
+    this.listingMode = listingMode;
+    this.collectionDepth = depth;
+    this.deferFileIndex = listingMode === 'search';
+    this.supportsVersions = true;
+    this.siteRoot = apiRoot.replace(/\/api\/?$/, '');
+    if (authorizeToken) {
+      this.fetchImpl.authorizeOrigin?.(apiRoot);
     }
-    parsed.pathname = pathname;
-    parsed.search = '';
-    parsed.hash = '';
-    return parsed.toString();
-  } catch (error) {
-    return '';
   }
-}
 
-/**
- * Creates lookup maps for OBJ/MTL relationships within a dataset.
- *
- * @param {object[]} files - Dataverse file entries for a dataset version.
- * @returns {object} Model index lookup structures.
- */
-function buildModelIndex(files) {
-  const fileMap = new Map();
-  const fileMapLower = new Map();
-  const fileNameMap = new Map();
-  const entryByFileId = new Map();
-  const mtlByDirBase = new Map();
-  const mtlByDirBaseTrim = new Map();
-  const mtlByBase = new Map();
-  const mtlByBaseTrim = new Map();
-  const groups = new Map();
-
-  // Helper to gather multiple candidates per key (e.g. MTL variants).
-  const pushToMap = (map, key, value) => {
-    if (!key) return;
-    if (!map.has(key)) {
-      map.set(key, []);
-    }
-    map.get(key).push(value);
-  };
+  /**
+   * Builds the Dataverse landing page URL of a specific dataset version.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {{label: string}|null} version - Version descriptor.
+   * @returns {string|null} Landing page URL.
+   */
+  buildVersionUrl(persistentId, version) {
+    if (!version?.label) return null;
+    const params = new URLSearchParams({ persistentId, version: version.label });
+    return `${this.siteRoot}/dataset.xhtml?${params.toString()}`;
+  }
 
-  // Normalises Dataverse file entries into lookup-friendly objects.
-  const createEntry = (file, path, extOverride) => {
-    const { base, baseTrim, baseLower, baseTrimLower } = normalizeBase(
-      file.label
+  /**
+   * Lists the versions of a dataset, newest first.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<Array<{id: string, label: string, state: string|null, releaseTime: string|null}>>}
+   */
+  async listDatasetVersions(persistentId, { signal } = {}) {
+    const payload = await this.fetchJson(
+      `${this.apiRoot}/datasets/:persistentId/versions?persistentId=${encodeURIComponent(
+        persistentId
+      )}`,
+      { signal }
     );
-    const directoryParts = normalizeDirectoryParts(file.directoryLabel);
-    const extMatch = (file.label || '').match(/\.([^.]+)$/);
-    const ext = extOverride || (extMatch ? extMatch[1].toLowerCase() : null);
-
-    const entry = {
-      file,
-      ext,
-      path,
-      base,
-      baseTrim,
-      baseLower,
-      baseTrimLower,
-      directory: directoryParts.join('/'),
-      directoryParts,
-    };
-
-    entryByFileId.set(file.dataFile.id, entry);
-    return entry;
-  };
-
-  files.forEach((file) => {
-    if (!file?.dataFile?.id) return;
-
-    const path = normalizeDatasetPath(file);
-    if (!path) return;
-
-    fileMap.set(path, file);
-    fileMapLower.set(path.toLowerCase(), file);
-
-    const labelKey = normalizeSlashes(file.label || '').trim().toLowerCase();
-    if (labelKey) {
-      pushToMap(fileNameMap, labelKey, file);
-    }
-
-    const entry = createEntry(file, path);
-
-    if (entry.ext !== 'obj' && entry.ext !== 'mtl') {
-      return;
-    }
-
-    const directoryParts = entry.directoryParts;
-    const topName = directoryParts.length
-      ? directoryParts[0]
-      : entry.baseTrim || entry.base || entry.file.label || '';
-    const topKey = (topName || '').trim().toLowerCase();
-
-    if (!groups.has(topKey)) {
-      groups.set(topKey, {
-        key: topKey,
-        displayName: topName.trim() || topName || entry.baseTrim || entry.base,
-        objEntry: null,
-        objSpecificity: -1,
-      });
-    }
-
-    const group = groups.get(topKey);
-
-    if (entry.ext === 'obj') {
-      const specificity = directoryParts.length * 10 + entry.baseTrim.length;
-      if (specificity > group.objSpecificity) {
-        group.objEntry = entry;
-        group.objSpecificity = specificity;
-      }
-    } else if (entry.ext === 'mtl') {
-      pushToMap(mtlByDirBase, `${entry.directory}||${entry.baseLower}`, entry);
-      pushToMap(
-        mtlByDirBaseTrim,
-        `${entry.directory}||${entry.baseTrimLower}`,
-        entry
-      );
-      pushToMap(mtlByBase, entry.baseLower, entry);
-      pushToMap(mtlByBaseTrim, entry.baseTrimLower, entry);
-    }
-  });
-
-  const pickMate = (list, preferredDirectory) => {
-    if (!list || !list.length) return null;
-    if (preferredDirectory) {
-      const exact = list.find((item) => item.directory === preferredDirectory);
-      if (exact) return exact;
-    }
-    return list[0];
-  };
-
-  const findMtlForObj = (entry) => {
-    const dir = entry.directory;
-    const baseLower = entry.baseLower;
-    const baseTrimLower = entry.baseTrimLower;
-
-    const expectedPath = entry.path.replace(/\.obj$/i, '.mtl');
-    const directFile =
-      fileMap.get(expectedPath) || fileMapLower.get(expectedPath.toLowerCase());
-    if (directFile) {
-      const mateEntry = entryByFileId.get(directFile.dataFile.id);
-      if (mateEntry) return mateEntry;
-    }
+    const versions = Array.isArray(payload?.data) ? payload.data : [];
+    return versions
+      .map((version) => describeDatasetVersion({ data: { latestVersion: version } }))
+      .filter(Boolean);
+  }
 
-    return (
-      pickMate(mtlByDirBase.get(`${dir}||${baseLower}`), dir) ||
-      pickMate(mtlByDirBaseTrim.get(`${dir}||${baseTrimLower}`), dir) ||
-      pickMate(mtlByBase.get(baseLower), dir) ||
-      pickMate(mtlByBaseTrim.get(baseTrimLower), dir)
+  /**
+   * Reads the display name of the configured collection.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<string>} Collection name, or its alias when it has none.
+   */
+  async getCollectionTitle({ signal } = {}) {
+    const payload = await this.fetchJson(
+      `${this.apiRoot}/dataverses/${encodeURIComponent(this.dataverseId)}`,
+      { signal }
     );
-  };
-
-  const models = [];
-  const modelMap = new Map();
-
-  groups.forEach((group) => {
-    const objEntry = group.objEntry;
-    if (!objEntry) return;
-
-    const mtlEntry = findMtlForObj(objEntry);
-    const directoryLabel = objEntry.directory || mtlEntry?.directory || '';
-    const displayName =
-      group.displayName ||
-      objEntry.baseTrim ||
-      objEntry.file.label ||
-      objEntry.path;
-
-    const model = {
-      key: String(objEntry.file.dataFile.id),
-      displayName,
-      objEntry,
-      mtlEntry,
-      directory: directoryLabel,
-    };
-
-    models.push(model);
-    modelMap.set(model.key, model);
-  });
-
-  models.sort((a, b) =>
-    a.displayName.localeCompare(b.displayName, 'en', { sensitivity: 'base' })
-  );
-
-  return { models, modelMap, fileMap, fileMapLower, fileNameMap };
-}
-
-/**
- * Extracts the human-readable dataset title from a detail response.
- *
- * @param {object} detail - Dataverse dataset detail payload.
- * @returns {string|null} Dataset title or null when missing.
- */
-function extractTitle(detail) {
-  const fields = detail?.data?.latestVersion?.metadataBlocks?.citation?.fields || [];
-  const titleField = fields.find((field) => field.typeName === 'title');
-  if (!titleField) return null;
-  if (typeof titleField.value === 'string') {
-    return titleField.value;
+    return payload?.data?.name || this.dataverseId;
   }
-  if (Array.isArray(titleField.value)) {
-    const first = titleField.value.find((item) =>
-      typeof item === 'string' ? item : typeof item?.value === 'string'
-    );
-    if (typeof first === 'string') {
-      return first;
-    }
-    if (first?.value) {
-      return first.value;
+
+  /**
+   * Lists datasets using the configured listing mode.
+   *
+   * @param {object} [options] - See `DataSourceAdapter#listDatasets`.
+   * @returns {Promise<Array<{label: string, value: string, identifier: string}>>}
+   */
+  async listDatasets(options = {}) {
+    if (this.listingMode !== 'search') {
+      return super.listDatasets(options);
     }
+    return this.listDatasetsFromSearch(options);
   }
-  return null;
-}
 
-/**
- * Retrieves a Dataverse file entry by relative path, case insensitive.
- *
- * @param {object} entry - Dataset cache entry holding lookup maps.
- * @param {string} path - Path or filename to resolve.
- * @param {string} [preferredDirectory=''] - Directory to prioritise when duplicates exist.
- * @returns {object|null} Matching Dataverse file entry.
- */
-function getFileByPath(entry, path, preferredDirectory = '') {
-  if (!path) return null;
-  let normalized = normalizeSlashes(path).trim();
-  if (!normalized) return null;
-  normalized = normalized.replace(/^\.\/+/, '');
-
-  const direct = entry.fileMap.get(normalized);
-  if (direct) return direct;
-  const trimmed = normalized.startsWith('/') ? normalized.slice(1) : normalized;
-  const alt = entry.fileMap.get(trimmed);
-  if (alt) return alt;
-  const lowerNormalized = normalized.toLowerCase();
-  const lowerDirect = entry.fileMapLower.get(lowerNormalized);
-  if (lowerDirect) return lowerDirect;
-  const lowerTrimmed = trimmed.toLowerCase();
-  const lowerAlt = entry.fileMapLower.get(lowerTrimmed);
-  if (lowerAlt) return lowerAlt;
-
-  const filename = normalized.split('/').pop();
-  if (filename && entry.fileNameMap) {
-    const filenameLower = filename.toLowerCase();
-    const candidates = entry.fileNameMap.get(filenameLower) || [];
-    if (candidates.length) {
-      const normalizedPreferred = preferredDirectory
-        ? normalizeSlashes(preferredDirectory)
-        : '';
-      if (normalizedPreferred) {
-        const match = candidates.find(
-          (file) => normalizeSlashes(file.directoryLabel || '') === normalizedPreferred
-        );
-        if (match) return match;
-      }
-      return candidates[0];
+  /**
+   * Fetches one page of hits from the Search API, restricted to the configured
+   * collection. Dataset hits carry the Darwin Core block.
+   *
+   * @param {number} start - Zero-based offset of the first hit.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {'dataset'|'dataverse'} [options.type='dataset'] - Kind of object searched.
+   * @param {boolean} [options.metadata] - Requests the Darwin Core block; defaults to
+   *   true for dataset searches.
+   * @returns {Promise<{items: object[], total: number}>}
+   */
+  async fetchSearchPage(start, { signal, type = 'dataset', metadata = type === 'dataset' } = {}) {
+    const params = new URLSearchParams({
+      q: '*',
+      type,
+      subtree: this.dataverseId,
+      per_page: String(SEARCH_PAGE_SIZE),
+      start: String(start),
+      sort: 'name',
+      order: 'asc',
+    });
+    if (metadata) {
+      SEARCH_METADATA_FIELDS.forEach((field) => params.append('metadata_fields', field));
     }
+    const payload = await this.fetchJson(`${this.apiRoot}/search?${params.toString()}`, {
+      signal,
+    });
+    const items = Array.isArray(payload?.data?.items) ? payload.data.items : [];
+    const total = Number(payload?.data?.total_count) || 0;
+    return { items, total };
   }
-  return null;
-}
 
-/**
- * Client wrapping Dataverse API calls and indexing dataset contents.
- */
-export class DataverseClient {
   /**
+   * Maps the alias of every sub-collection found by the Search API to its
+   * chain of collections below the configured one, outermost first.
+   *
    * @param {object} [options]
-   * @param {string} [options.apiRoot] - Base Dataverse API URL.
-   * @param {string} [options.dataverseId] - Identifier of the Dataverse collection.
-   * @param {Function} [options.fetchImpl] - Optional fetch implementation.
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Map<string, Array<{id: string, title: string}>>>}
    */
-  constructor({ apiRoot = DEFAULT_API_ROOT, dataverseId = DEFAULT_DATAVERSE_ID, fetchImpl } = {}) {
-    this.apiRoot = apiRoot;
-    this.dataverseId = dataverseId;
-    const resolvedFetch = fetchImpl || DEFAULT_FETCH;
-    if (typeof resolvedFetch !== 'function') {
-      throw new Error('Fetch API is not available in this environment');
-    }
-    this.fetchImpl = resolvedFetch;
-    this.datasetCache = new Map();
+  async listSearchCollectionPaths({ signal } = {}) {
+    const collections = new Map();
+    let start = 0;
+    let total = 0;
+    do {
+      const page = await this.fetchSearchPage(start, { signal, type: 'dataverse' });
+      throwIfAborted(signal);
+      total = page.total;
+      page.items.forEach((item) => {
+        if (item?.identifier && item.identifier !== this.dataverseId) {
+          collections.set(item.identifier, {
+            title: item.name || item.identifier,
+            parent: item.parentDataverseIdentifier || null,
+          });
+        }
+      });
+      start += page.items.length;
+      if (!page.items.length) {
+        break;
+      }
+    } while (start < total);
+
+    const paths = new Map([[this.dataverseId, []]]);
+    const resolvePath = (alias, seen = new Set()) => {
+      if (paths.has(alias)) return paths.get(alias);
+      const collection = collections.get(alias);
+      if (!collection || seen.has(alias)) return [];
+      seen.add(alias);
+      const path = [...resolvePath(collection.parent, seen), { id: alias, title: collection.title }];
+      paths.set(alias, path);
+      return path;
+    };
+    collections.forEach((collection, alias) => resolvePath(alias));
+    return paths;
   }
 
   /**
-   * Clears all cached dataset metadata and model indexes.
+   * Reads the version of every dataset below the configured collection from
+   * the Search API, without metadata blocks. When a draft is visible it wins
+   * over the published hit of the same dataset, as `fetchDatasetRecord` loads
+   * the latest version.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Map<string, string|null>>} Stamps keyed by persistent identifier.
    */
-  resetCache() {
-    this.datasetCache.clear();
+  async listDatasetStamps({ signal } = {}) {
+    const stamps = new Map();
+    let start = 0;
+    let total = 0;
+    do {
+      const page = await this.fetchSearchPage(start, { signal, metadata: false });
+      throwIfAborted(signal);
+      total = page.total;
+      page.items.forEach((item) => {
+        const persistentId = item?.global_id;
+        if (persistentId && stamps.get(persistentId) !== ':draft') {
+          stamps.set(persistentId, getSearchHitStamp(item));
+        }
+      });
+      start += page.items.length;
+      if (!page.items.length) {
+        break;
+      }
+    } while (start < total);
+    return stamps;
   }
 
   /**
-   * Fetches JSON from the API and raises on HTTP errors.
+   * Brings a cached dataset list up to date. In `search` mode the listing is
+   * rebuilt from the Search API, which is as cheap as reading the stamps, and
+   * datasets whose version changed are flagged for re-indexing.
    *
-   * @param {string} url - Absolute API endpoint.
-   * @returns {Promise<any>} Parsed JSON payload.
+   * @param {object} snapshot - See `DataSourceAdapter#revalidateDatasets`.
+   * @param {object} [options] - See `DataSourceAdapter#revalidateDatasets`.
+   * @returns {Promise<{datasets: object[], stamps: Record<string, string|null>, added: string[], updated: string[], removed: object[]}>}
    */
-  async fetchJson(url) {
-    const response = await this.fetchImpl(url);
-    if (!response.ok) {
-      throw new Error(`Request failed (${response.status}) for ${url}`);
+  async revalidateDatasets(snapshot = {}, options = {}) {
+    if (this.listingMode !== 'search') {
+      return super.revalidateDatasets(snapshot, options);
     }
-    return response.json();
+    const previous = Array.isArray(snapshot.datasets) ? snapshot.datasets : [];
+    const datasets = await this.listDatasetsFromSearch(options);
+    return {
+      datasets,
+      stamps: this.getDatasetStamps(),
+      ...diffDatasetLists(previous, datasets),
+    };
   }
 
   /**
-   * Lists datasets available in the configured Dataverse collection.
+   * Builds the dataset list from paged Search API results. Cache entries are
+   * flagged `partial` until `ensureDatasetPrepared` fetches their files, so
+   * datasets without models are only discovered once opened.
    *
    * @param {object} [options]
    * @param {boolean} [options.force=false] - When true, bypasses the cache.
+   * @param {Function} [options.onProgress] - Receives `(ratio, info)` updates.
+   * @param {AbortSignal} [options.signal] - Cancels the listing.
    * @returns {Promise<Array<{label: string, value: string, identifier: string}>>}
    */
-  async listDatasets({ force = false, onProgress } = {}) {
+  async listDatasetsFromSearch({ force = false, onProgress, signal } = {}) {
     if (force) {
       this.resetCache();
     }
 
-    if (typeof onProgress === 'function') {
+    const reportProgress = (ratio, info) => {
+      if (typeof onProgress !== 'function' || signal?.aborted) {
+        return;
+      }
       try {
-        onProgress(0, { phase: 'list' });
+        onProgress(ratio, info);
       } catch (error) {
         console.warn('Dataset progress callback failed', error);
       }
-    }
+    };
 
-    const contents = await this.fetchJson(
-      `${this.apiRoot}/dataverses/${this.dataverseId}/contents`
-    );
-    const datasets = contents?.data?.filter((item) => item.type === 'dataset') || [];
+    reportProgress(0, { phase: 'list' });
 
-    const totalDatasets = datasets.length;
-    if (!totalDatasets && typeof onProgress === 'function') {
-      try {
-        onProgress(1, { phase: 'details', current: 0, total: 0 });
-      } catch (error) {
-        console.warn('Dataset progress callback failed', error);
-      }
-    }
+    const collectionPaths = this.collectionDepth
+      ? await this.listSearchCollectionPaths({ signal })
+      : new Map([[this.dataverseId, []]]);
 
     const datasetInfos = [];
+    const seen = new Set();
+    let start = 0;
+    let total = 0;
+    do {
+      const page = await this.fetchSearchPage(start, { signal });
+      throwIfAborted(signal);
+      total = page.total;
+
+      page.items.forEach((item) => {
+        const persistentId = item?.global_id;
+        if (!persistentId || seen.has(persistentId)) {
+          return;
+        }
+        seen.add(persistentId);
+
+        const parentAlias = item.identifier_of_dataverse || this.dataverseId;
+        const collectionPath = collectionPaths.get(parentAlias) || [
+          { id: parentAlias, title: item.name_of_dataverse || parentAlias },
+        ];
+        if (collectionPath.length > this.collectionDepth) {
+          return;
+        }
 
-    for (let index = 0; index < datasets.length; index += 1) {
-      const item = datasets[index];
-      const persistentId = `${item.protocol}:${item.authority}/${item.identifier}`;
-      const cacheEntry = this.datasetCache.get(persistentId) || {
-        textureCache: new Map(),
-      };
-      cacheEntry.identifier = item.identifier;
-      cacheEntry.persistentId = persistentId;
-
-      try {
-        const detail = await this.fetchJson(
-          `${this.apiRoot}/datasets/:persistentId/?persistentId=${encodeURIComponent(
-            persistentId
-          )}`
-        );
-        const title = extractTitle(detail) || item.identifier;
-        const specimenSummary = extractSpecimenSummary(detail);
-        const taxonomyPath = extractTaxonomyPath(detail);
-        cacheEntry.title = title;
-        cacheEntry.detail = detail;
-        cacheEntry.files = detail?.data?.latestVersion?.files || [];
-        cacheEntry.specimenSummary = specimenSummary;
-        cacheEntry.taxonomyPath = taxonomyPath;
-        const modelIndex = buildModelIndex(cacheEntry.files || []);
-        if (modelIndex.models.length) {
-          cacheEntry.models = modelIndex.models;
-          cacheEntry.modelMap = modelIndex.modelMap;
-          cacheEntry.fileMap = modelIndex.fileMap;
-          cacheEntry.fileMapLower = modelIndex.fileMapLower;
-          cacheEntry.fileNameMap = modelIndex.fileNameMap;
-        } else {
-          cacheEntry.models = null;
-          cacheEntry.modelMap = null;
-          cacheEntry.fileMap = null;
-          cacheEntry.fileMapLower = null;
-          cacheEntry.fileNameMap = null;
+        const identifier = persistentId.split('/').pop() || persistentId;
+        // Search hits expose metadata blocks without the version wrapper.
+        const summaryDetail = {
+          data: { latestVersion: { metadataBlocks: item.metadataBlocks || {} } },
+        };
+        const stamp = getSearchHitStamp(item);
+        const existing = this.datasetCache.get(persistentId);
+        const cacheEntry = existing || { textureCache: new Map(), partial: true };
+        if (existing && stamp !== null && existing.stamp !== stamp) {
+          cacheEntry.partial = true;
         }
-      } catch (error) {
-        cacheEntry.title = cacheEntry.title || item.identifier;
-        console.warn(`Failed to fetch dataset details for ${persistentId}`, error);
-      }
+        cacheEntry.stamp = stamp;
+        this.datasetStamps.set(persistentId, stamp);
+        cacheEntry.identifier = identifier;
+        cacheEntry.persistentId = persistentId;
+        cacheEntry.title = item.name || cacheEntry.title || identifier;
+        cacheEntry.specimenSummary = extractSpecimenSummary(summaryDetail);
+        cacheEntry.taxonomyPath = extractTaxonomyPath(summaryDetail);
+        cacheEntry.collectionPath = collectionPath;
+        this.datasetCache.set(persistentId, cacheEntry);
 
-      this.datasetCache.set(persistentId, cacheEntry);
-      if (cacheEntry.models && cacheEntry.models.length) {
         datasetInfos.push({
-          label: cacheEntry.title || item.identifier,
+          label: cacheEntry.title,
           value: persistentId,
-          identifier: item.identifier,
+          identifier,
           specimenSummary: cacheEntry.specimenSummary || null,
           taxonomyPath: cacheEntry.taxonomyPath || null,
+          collectionPath,
+          stamp,
         });
-      }
+      });
 
-      if (typeof onProgress === 'function' && totalDatasets > 0) {
-        try {
-          onProgress(Math.min((index + 1) / totalDatasets, 1), {
-            phase: 'details',
-            current: index + 1,
-            total: totalDatasets,
-          });
-        } catch (error) {
-          console.warn('Dataset progress callback failed', error);
-        }
+      start += page.items.length;
+      reportProgress(total ? Math.min(start / total, 1) : 1, {
+        phase: 'search',
+        current: Math.min(start, total),
+        total,
+      });
+      if (!page.items.length) {
+        break;
       }
-    }
+    } while (start < total);
 
-    datasetInfos.sort((a, b) =>
-      a.label.localeCompare(b.label, 'en', { sensitivity: 'base' })
-    );
+    datasetInfos.sort(compareDatasetLabels);
 
-    if (typeof onProgress === 'function') {
-      try {
-        onProgress(1, { phase: 'complete', current: totalDatasets, total: totalDatasets });
-      } catch (error) {
-        console.warn('Dataset progress callback failed', error);
-      }
-    }
+    reportProgress(1, { phase: 'complete', current: datasetInfos.length, total: datasetInfos.length });
 
     return datasetInfos;
   }
 
   /**
-   * Ensures dataset metadata and model indexes are available in the cache.
+   * Lists the datasets of the configured collection and of its sub-collections,
+   * walked breadth-first down to `collectionDepth` levels. A sub-collection
+   * whose contents cannot be read is skipped with a warning.
    *
-   * @param {string} persistentId - Persistent dataset identifier.
-   * @returns {Promise<object>} Cache entry enriched with lookup maps.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Array<{persistentId: string, identifier: string, collectionPath: Array<{id: string, title: string}>}>>}
    */
-  async ensureDatasetPrepared(persistentId) {
-    if (!persistentId) {
-      throw new Error('A dataset persistentId is required');
-    }
-
-    let entry = this.datasetCache.get(persistentId);
-    if (!entry) {
-      const detail = await this.fetchJson(
-        `${this.apiRoot}/datasets/:persistentId/?persistentId=${encodeURIComponent(
-          persistentId
-        )}`
-      );
-      entry = {
-        title: extractTitle(detail) || persistentId,
-        detail,
-        files: detail?.data?.latestVersion?.files || [],
-      };
-      entry.specimenSummary = extractSpecimenSummary(detail);
-      entry.taxonomyPath = extractTaxonomyPath(detail);
-      this.datasetCache.set(persistentId, entry);
-    }
-
-    if (!entry.specimenSummary) {
-      entry.specimenSummary = extractSpecimenSummary(entry.detail);
-    }
-
-    if (!entry.taxonomyPath) {
-      entry.taxonomyPath = extractTaxonomyPath(entry.detail);
-    }
-
-    if (!entry.fileMap || !entry.fileNameMap || !entry.modelMap) {
-      const { models, modelMap, fileMap, fileMapLower, fileNameMap } = buildModelIndex(
-        entry.files || []
+  async listDatasetStubs({ signal } = {}) {
+    const stubs = [];
+    const seenDatasets = new Set();
+    const visitedCollections = new Set([String(this.dataverseId)]);
+    let frontier = [{ id: this.dataverseId, path: [] }];
+
+    while (frontier.length) {
+      const nextFrontier = [];
+      await runTaskPool(
+        frontier,
+        async (collection) => {
+          let contents;
+          try {
+            contents = await this.fetchJson(
+              `${this.apiRoot}/dataverses/${encodeURIComponent(collection.id)}/contents`,
+              { signal }
+            );
+          } catch (error) {
+            if (!collection.path.length || isAbortError(error) || signal?.aborted) {
+              throw error;
+            }
+            console.warn(`Failed to list sub-collection ${collection.id}`, error);
+            return;
+          }
+
+          const items = Array.isArray(contents?.data) ? contents.data : [];
+          items.forEach((item) => {
+            if (item.type === 'dataset') {
+              const persistentId = `${item.protocol}:${item.authority}/${item.identifier}`;
+              if (seenDatasets.has(persistentId)) return;
+              seenDatasets.add(persistentId);
+              stubs.push({ persistentId, identifier: item.identifier, collectionPath: collection.path });
+            } else if (item.type === 'dataverse' && collection.path.length < this.collectionDepth) {
+              const id = String(item.id);
+              if (visitedCollections.has(id)) return;
+              visitedCollections.add(id);
+              nextFrontier.push({
+                id,
+                path: [...collection.path, { id, title: item.title || id }],
+              });
+            }
+          });
+        },
+        { concurrency: this.detailConcurrency, signal }
       );
-      entry.models = models;
-      entry.modelMap = modelMap;
-      entry.fileMap = fileMap;
-      entry.fileMapLower = fileMapLower;
-      entry.fileNameMap = fileNameMap;
+      frontier = nextFrontier;
     }
-
-    return entry;
+    return stubs;
   }
 
   /**
-   * Lists OBJ models available for a given dataset.
+   * Fetches the latest version detail of a dataset.
    *
-   * @param {string} persistentId - Persistent dataset identifier.
-   * @returns {Promise<object[]>} Array of model descriptors.
-   */
-  async listDatasetModels(persistentId) {
-    const entry = await this.ensureDatasetPrepared(persistentId);
-    return entry.models || [];
-  }
-
-  /**
-   * Returns cached metadata details for a dataset.
-   *
-   * @param {string} persistentId - Persistent dataset identifier.
-   * @returns {object|null} Dataverse detail payload or null.
+   * @param {{persistentId: string, identifier: string}} stub - Dataset stub.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @param {string|null} [options.version] - Version id (`2.0`, `:draft`); latest when omitted.
+   * @returns {Promise<object>} Dataset record.
    */
-  getDatasetMetadata(persistentId) {
-    const entry = this.datasetCache.get(persistentId);
-    return entry ? entry.detail : null;
-  }
-
-  getCachedDatasetEntry(persistentId) {
-    if (!persistentId) {
-      return null;
+  async fetchDatasetRecord({ persistentId, identifier }, { signal, version = null } = {}) {
+    const encodedId = encodeURIComponent(persistentId);
+    let detail;
+    if (version) {
+      const payload = await this.fetchJson(
+        `${this.apiRoot}/datasets/:persistentId/versions/${encodeURIComponent(
+          version
+        )}?persistentId=${encodedId}`,
+        { signal }
+      );
+      // Version payloads are wrapped like a dataset detail so every metadata
+      // reader keeps using `latestVersion`; `versionUrl` records which one it is.
+      // Dataset-level fields the version payload lacks are carried over.
+      const datasetData = this.datasetCache.get(persistentId)?.detail?.data;
+      detail = {
+        data: {
+          persistentUrl: buildPersistentUrl(persistentId),
+          publisher: datasetData?.publisher ?? null,
+          publicationDate: datasetData?.publicationDate ?? null,
+          latestVersion: payload?.data || {},
+        },
+      };
+    } else {
+      detail = await this.fetchJson(
+        `${this.apiRoot}/datasets/:persistentId/?persistentId=${encodedId}`,
+        { signal }
+      );
     }
-    return this.datasetCache.get(persistentId) || null;
-  }
-
-  getCachedDatasetEntries() {
-    return this.datasetCache;
+    const loadedVersion = describeDatasetVersion(detail);
+    if (detail?.data) {
+      detail.data.versionUrl = this.buildVersionUrl(persistentId, loadedVersion);
+    }
+    return {
+      title: extractTitle(detail) || identifier || persistentId,
+      detail,
+      files: detail?.data?.latestVersion?.files || [],
+      version: loadedVersion,
+    };
   }
 
   /**
-   * Builds a model source descriptor describing how to load OBJ/MTL/textures.
+   * Builds the Dataverse access URL of a file, requesting the original upload.
    *
-   * @param {string} persistentId - Persistent dataset identifier.
-   * @param {string} modelKey - Key of the model to load.
-   * @returns {Promise<object>} Source descriptor consumed by the viewer.
+   * @param {object} file - Dataverse file entry.
+   * @returns {string} Access URL.
    */
-  async createModelSource(persistentId, modelKey) {
-    const entry = await this.ensureDatasetPrepared(persistentId);
-    const model = entry.modelMap.get(modelKey);
-    if (!model) {
-      throw new Error('Model not found in dataset');
-    }
-
-    const normalizeDir = (value) => normalizeSlashes(value || '');
-
-    const objDirectory = normalizeDir(model.objEntry?.directory || model.directory || '');
-    const defaultMtlDirectory = normalizeDir(
-      model.mtlEntry?.directory || model.objEntry?.directory || model.directory || ''
-    );
-
-    const objUrl = `${this.apiRoot}/access/datafile/${model.objEntry.file.dataFile.id}?format=original`;
-
-    const defaultMaterialLibrary = model.mtlEntry
-      ? {
-          url: `${this.apiRoot}/access/datafile/${model.mtlEntry.file.dataFile.id}?format=original`,
-          textureBaseDir: defaultMtlDirectory,
-        }
-      : null;
-
-    const datasetId = persistentId;
-
-    const resolveLibrary = (reference, { objDirectory: contextDir } = {}) => {
-      if (!reference) return null;
-      if (/^https?:/i.test(reference)) {
-        return {
-          url: reference,
-          textureBaseDir: deriveHttpDirectory(reference),
-        };
-      }
-      const baseDir = normalizeDir(contextDir || objDirectory);
-      const resolved = resolveRelativePath(baseDir, reference);
-      const file = getFileByPath(entry, resolved, baseDir);
-      if (file) {
-        return {
-          url: `${this.apiRoot}/access/datafile/${file.dataFile.id}?format=original`,
-          textureBaseDir: normalizeDir(file.directoryLabel || file.directory || ''),
-        };
-      }
-      return null;
-    };
-
-    const resolveTexturePath = (relativePath, { textureBaseDir } = {}) => {
-      if (!relativePath) return null;
-      if (/^https?:/i.test(relativePath)) {
-        return {
-          url: relativePath,
-          cacheKey: `url:${relativePath}`,
-        };
-      }
-      const baseDirRaw = textureBaseDir || defaultMtlDirectory || objDirectory;
-      if (/^https?:/i.test(baseDirRaw)) {
-        try {
-          const absolute = new URL(relativePath, baseDirRaw).toString();
-          return {
-            url: absolute,
-            cacheKey: `url:${absolute}`,
-          };
-        } catch (error) {
-          return null;
-        }
-      }
-      const baseDir = normalizeDir(baseDirRaw);
-      const resolved = resolveRelativePath(baseDir, relativePath);
-      if (!resolved) return null;
-      if (/^https?:/i.test(resolved)) {
-        return {
-          url: resolved,
-          cacheKey: `url:${resolved}`,
-        };
-      }
-      const file = getFileByPath(entry, resolved, baseDir);
-      if (!file) return null;
-      return {
-        url: `${this.apiRoot}/access/datafile/${file.dataFile.id}?format=original`,
-        cacheKey: `dataset:${datasetId}:file:${file.dataFile.id}`,
-      };
-    };
-
-    return {
-      datasetId,
-      modelKey,
-      displayName: model.displayName,
-      objUrl,
-      objDirectory,
-      defaultMaterialLibrary,
-      resolveMaterialLibrary(reference, options = {}) {
-        const resolved = resolveLibrary(reference, options);
-        if (resolved) return resolved;
-        return defaultMaterialLibrary;
-      },
-      resolveTexturePath,
-      getPreferredTextureDirectory() {
-        return defaultMtlDirectory || objDirectory;
-      },
-      getMetadataDetail() {
-        return entry.detail;
-      },
-    };
+  getFileUrl(file) {
+    return `${this.apiRoot}/access/datafile/${file.dataFile.id}?format=original`;
   }
 }
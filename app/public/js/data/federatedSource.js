@@ -0,0 +1,302 @@
+/**
+ * Data source merging the datasets of several adapters (typically Dataverse
+ * collections, possibly on different installations) into one list. Each
+ * dataset stays owned by the adapter that listed it; requests about it are
+ * routed back to that adapter.
+ */
+import { compareDatasetLabels, diffDatasetLists } from './dataSourceAdapter.js';
+import { isAbortError } from '../utils/taskPool.js';
+
+/**
+ * Adapter federating several member adapters behind the common surface.
+ * Every listed dataset carries `source` (`{ id, title }` of its member) and a
+ * `collectionPath` starting with that member, so the collection selector can
+ * narrow the list per source.
+ */
+export class FederatedSource {
+  /**
+   * @param {object} options
+   * @param {Array<{adapter: object, label?: string}>} options.sources - Member adapters.
+   *   Members without `label` are named after their collection title when the
+   *   adapter exposes `getCollectionTitle`, else after their `sourceId`.
+   */
+  constructor({ sources = [] } = {}) {
+    const members = (Array.isArray(sources) ? sources : []).filter((source) => source?.adapter);
+    if (!members.length) {
+      throw new Error('FederatedSource requires at least one source');
+    }
+    this.members = members.map((source, index) => ({
+      adapter: source.adapter,
+      id: source.adapter.sourceId || `source-${index}`,
+      label: source.label || null,
+    }));
+    this.sourceId = `federation:${this.members.map((member) => member.id).join('|')}`;
+    this.deferFileIndex = this.members.some((member) => member.adapter.deferFileIndex);
+    this.supportsVersions = this.members.some((member) => member.adapter.supportsVersions);
+    // Persistent identifier -> member that listed the dataset.
+    this.routes = new Map();
+  }
+
+  resetCache() {
+    this.members.forEach((member) => member.adapter.resetCache?.());
+    this.routes.clear();
+  }
+
+  /**
+   * Records which member owns each dataset of a (possibly cached) list.
+   *
+   * @param {object[]} datasets - Dataset infos carrying `source`.
+   */
+  registerRoutes(datasets) {
+    datasets.forEach((info) => {
+      const member = this.members.find((candidate) => candidate.id === info?.source?.id);
+      if (member && !this.routes.has(info.value)) {
+        this.routes.set(info.value, member);
+      }
+    });
+  }
+
+  /**
+   * Finds the member owning a dataset, falling back to the member whose cache
+   * already holds it.
+   *
+   * @param {string} persistentId - Persistent dataset identifier.
+   * @returns {object} Member adapter.
+   */
+  getAdapter(persistentId) {
+    const member =
+      this.routes.get(persistentId) ||
+      this.members.find((candidate) => candidate.adapter.getCachedDatasetEntry?.(persistentId));
+    if (!member) {
+      throw new Error(`Dataset ${persistentId} does not belong to any federated source`);
+    }
+    return member.adapter;
+  }
+
+  /**
+   * Resolves the display name of a member once.
+   *
+   * @param {object} member
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<string>}
+   */
+  async resolveLabel(member, signal) {
+    if (!member.label && typeof member.adapter.getCollectionTitle === 'function') {
+      try {
+        member.label = await member.adapter.getCollectionTitle({ signal });
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.warn(`Failed to read the title of ${member.id}`, error);
+      }
+    }
+    return member.label || member.id;
+  }
+
+  /** Tags a member's dataset info with its source and prefixes its collection path. */
+  decorate(member, info) {
+    const source = { id: member.id, title: member.label || member.id };
+    return {
+      ...info,
+      source,
+      collectionPath: [source, ...(Array.isArray(info.collectionPath) ? info.collectionPath : [])],
+    };
+  }
+
+  /** Reverts `decorate`, giving back the info as the member listed it. */
+  undecorate(info) {
+    const { source, ...rest } = info;
+    return { ...rest, collectionPath: (info.collectionPath || []).slice(1) };
+  }
+
+  /**
+   * Runs `task` for every member in parallel and merges the dataset lists they
+   * return. A member that fails is reported and left out unless every member
+   * fails, so one unreachable installation does not hide the others.
+   *
+   * @param {(member: object, reportProgress: Function) => Promise<object[]>} task
+   * @param {object} options
+   * @param {Function} [options.onProgress] - Receives `(ratio, info)` updates.
+   * @param {AbortSignal} [options.signal] - Cancels the run.
+   * @param {(member: object, error: Error) => object[]} [options.onMemberError] - Datasets
+   *   kept for a failed member.
+   * @returns {Promise<object[]>} Decorated infos, sorted by label.
+   */
+  async collectFromMembers(task, { onProgress, signal, onMemberError = () => [] }) {
+    const ratios = this.members.map(() => 0);
+    const reportProgress = (index, ratio, info) => {
+      if (typeof onProgress !== 'function' || signal?.aborted) {
+        return;
+      }
+      ratios[index] = typeof ratio === 'number' && !Number.isNaN(ratio) ? ratio : ratios[index];
+      const total = ratios.reduce((sum, value) => sum + value, 0) / ratios.length;
+      try {
+        onProgress(total, { ...info, source: this.members[index].id });
+      } catch (error) {
+        console.warn('Dataset progress callback failed', error);
+      }
+    };
+
+    const failures = [];
+    const results = await Promise.all(
+      this.members.map(async (member, index) => {
+        try {
+          await this.resolveLabel(member, signal);
+          const datasets = await task(member, (ratio, info) => reportProgress(index, ratio, info));
+          return datasets.map((info) => this.decorate(member, info));
+        } catch (error) {
+          if (isAbortError(error) || signal?.aborted) {
+            throw error;
+          }
+          console.warn(`Failed to list datasets of ${member.id}`, error);
+          failures.push(error);
+          return onMemberError(member, error).map((info) => this.decorate(member, info));
+        }
+      })
+    );
+    if (failures.length === this.members.length) {
+      throw failures[0];
+    }
+
+    // A dataset linked into several collections is listed once, under the first member.
+    const merged = [];
+    const seen = new Set();
+    results.forEach((datasets, index) => {
+      datasets.forEach((info) => {
+        if (seen.has(info.value)) return;
+        seen.add(info.value);
+        merged.push(info);
+        this.routes.set(info.value, this.members[index]);
+      });
+    });
+    merged.sort(compareDatasetLabels);
+    return merged;
+  }
+
+  /**
+   * Lists the datasets of every member.
+   *
+   * @param {object} [options] - See `DataSourceAdapter#listDatasets`.
+   * @returns {Promise<object[]>} Dataset infos with `source`.
+   */
+  async listDatasets({ force = false, onProgress, signal, concurrency } = {}) {
+    if (force) {
+      this.routes.clear();
+    }
+    return this.collectFromMembers(
+      (member, reportProgress) =>
+        member.adapter.listDatasets({ force, onProgress: reportProgress, signal, concurrency }),
+      { onProgress, signal }
+    );
+  }
+
+  getDatasetStamps() {
+    return Object.assign(
+      {},
+      ...this.members.map((member) => member.adapter.getDatasetStamps?.() ?? {})
+    );
+  }
+
+  /**
+   * Revalidates the cached list member by member. A member that cannot be
+   * reached keeps its cached datasets, so they are not reported as removed.
+   *
+   * @param {object} snapshot - See `DataSourceAdapter#revalidateDatasets`.
+   * @param {object} [options] - See `DataSourceAdapter#revalidateDatasets`.
+   * @returns {Promise<{datasets: object[], stamps: Record<string, string|null>, added: string[], updated: string[], removed: object[]}>}
+   */
+  async revalidateDatasets({ datasets = [], stamps = {} } = {}, { onProgress, signal, concurrency } = {}) {
+    this.registerRoutes(datasets);
+    const previousOf = (member) => datasets.filter((info) => info.source?.id === member.id);
+    const keptStamps = {};
+    // Reuse the cached titles rather than asking every member again.
+    this.members.forEach((member) => {
+      member.label = member.label || previousOf(member)[0]?.source?.title || null;
+    });
+
+    const next = await this.collectFromMembers(
+      async (member, reportProgress) => {
+        const previous = previousOf(member);
+        if (typeof member.adapter.revalidateDatasets !== 'function') {
+          return member.adapter.listDatasets({ force: true, onProgress: reportProgress, signal });
+        }
+        const result = await member.adapter.revalidateDatasets(
+          { datasets: previous.map((info) => this.undecorate(info)), stamps },
+          { onProgress: reportProgress, signal, concurrency }
+        );
+        return result.datasets;
+      },
+      {
+        onProgress,
+        signal,
+        onMemberError: (member) => {
+          const previous = previousOf(member);
+          previous.forEach((info) => {
+            if (Object.prototype.hasOwnProperty.call(stamps, info.value)) {
+              keptStamps[info.value] = stamps[info.value];
+            }
+          });
+          return previous.map((info) => this.undecorate(info));
+        },
+      }
+    );
+
+    return {
+      datasets: next,
+      stamps: { ...keptStamps, ...this.getDatasetStamps() },
+      ...diffDatasetLists(datasets, next),
+    };
+  }
+
+  async ensureDatasetPrepared(persistentId, options) {
+    return this.getAdapter(persistentId).ensureDatasetPrepared(persistentId, options);
+  }
+
+  async selectDatasetVersion(persistentId, versionId, options) {
+    return this.getAdapter(persistentId).selectDatasetVersion(persistentId, versionId, options);
+  }
+
+  async listDatasetVersions(persistentId, options) {
+    return this.getAdapter(persistentId).listDatasetVersions(persistentId, options);
+  }
+
+  async listDatasetModels(persistentId) {
+    return this.getAdapter(persistentId).listDatasetModels(persistentId);
+  }
+
+  async createModelSource(persistentId, modelKey, options) {
+    return this.getAdapter(persistentId).createModelSource(persistentId, modelKey, options);
+  }
+
+  getDatasetMetadata(persistentId) {
+    try {
+      return this.getAdapter(persistentId).getDatasetMetadata(persistentId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getCachedDatasetEntry(persistentId) {
+    if (!persistentId) {
+      return null;
+    }
+    try {
+      return this.getAdapter(persistentId).getCachedDatasetEntry(persistentId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getCachedDatasetEntries() {
+    const entries = new Map();
+    this.members.forEach((member) => {
+      member.adapter.getCachedDatasetEntries?.()?.forEach((entry, persistentId) => {
+        if (!entries.has(persistentId)) {
+          entries.set(persistentId, entry);
+        }
+      });
+    });
+    return entries;
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Data-source adapter browsing a plain HTTP folder through the server's
+ * auto-generated directory listings (Apache, nginx `autoindex`,
+ * `python -m http.server`). Each top-level sub-folder is one dataset and its
+ * model, MTL and texture files are discovered by walking the listing pages.
+ */
+import { DataSourceAdapter } from './dataSourceAdapter.js';
+import { buildDetailPayload } from './datasetMetadata.js';
+import { createFileEntry } from './modelIndex.js';
+
+const DEFAULT_MAX_DEPTH = 4;
+
+/**
+ * Extracts the child directories and files linked from a listing page.
+ * Links leaving the listed directory (parent, sort toggles, absolute hosts) are ignored.
+ *
+ * @param {string} html - Listing page markup.
+ * @param {string} directoryUrl - Absolute URL of the listed directory, ending with a slash.
+ * @returns {{directories: string[], files: string[]}} Absolute child URLs.
+ */
+function parseDirectoryListing(html, directoryUrl) {
+  const directories = new Set();
+  const files = new Set();
+  const hrefPattern = /href\s*=\s*["']([^"'#]+)["']/gi;
+  let match = hrefPattern.exec(html);
+  while (match) {
+    const href = match[1].trim();
+    match = hrefPattern.exec(html);
+    if (!href || href.startsWith('?') || href.startsWith('../') || href === './') {
+      continue;
+    }
+    let absolute;
+    try {
+      absolute = new URL(href, directoryUrl);
+    } catch (error) {
+      continue;
+    }
+    absolute.search = '';
+    const url = absolute.toString();
+    if (!url.startsWith(directoryUrl) || url === directoryUrl) {
+      continue;
+    }
+    const remainder = url.slice(directoryUrl.length);
+    if (remainder.endsWith('/')) {
+      if (!remainder.slice(0, -1).includes('/')) {
+        directories.add(url);
+      }
+    } else if (!remainder.includes('/')) {
+      files.add(url);
+    }
+  }
+  return { directories: Array.from(directories), files: Array.from(files) };
+}
+
+/**
+ * Decodes a URL path segment, keeping the raw text when it is malformed.
+ *
+ * @param {string} segment - Encoded segment.
+ * @returns {string} Decoded segment.
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Adapter serving datasets from a static folder tree exposed over HTTP.
+ */
+export class HttpFolderSource extends DataSourceAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.rootUrl - URL of the folder whose sub-folders are datasets.
+   * @param {number} [options.maxDepth=4] - Maximum folder depth walked inside a dataset.
+   * @param {Function} [options.fetchImpl] - Optional fetch implementation.
+   * @param {number} [options.detailConcurrency] - Dataset folders walked in parallel.
+   */
+  constructor({ rootUrl, maxDepth = DEFAULT_MAX_DEPTH, fetchImpl, detailConcurrency } = {}) {
+    if (!rootUrl) {
+      throw new Error('HttpFolderSource requires a rootUrl');
+    }
+    const base =
+      (typeof globalThis !== 'undefined' && globalThis.location?.href) || undefined;
+    let resolvedRoot = new URL(rootUrl, base).toString();
+    if (!resolvedRoot.endsWith('/')) {
+      resolvedRoot = `${resolvedRoot}/`;
+    }
+    super({ fetchImpl, sourceId: `http-folder:${resolvedRoot}`, detailConcurrency });
+    this.rootUrl = resolvedRoot;
+    this.maxDepth = maxDepth;
+  }
+
+  /**
+   * Fetches and parses the listing of a directory.
+   *
+   * @param {string} directoryUrl - Absolute directory URL ending with a slash.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<{directories: string[], files: string[]}>}
+   */
+  async listDirectory(directoryUrl, { signal } = {}) {
+    const html = await this.fetchText(directoryUrl, { signal });
+    return parseDirectoryListing(html, directoryUrl);
+  }
+
+  async listDatasetStubs({ signal } = {}) {
+    const { directories } = await this.listDirectory(this.rootUrl, { signal });
+    return directories.map((url) => {
+      const name = decodeSegment(url.slice(this.rootUrl.length, -1));
+      return { persistentId: name, identifier: name };
+    });
+  }
+
+  async fetchDatasetRecord({ persistentId }, { signal } = {}) {
+    const datasetUrl = `${this.rootUrl}${encodeURIComponent(persistentId)}/`;
+    const files = [];
+
+    const walk = async (directoryUrl, depth) => {
+      const listing = await this.listDirectory(directoryUrl, { signal });
+      listing.files.forEach((url) => {
+        const path = url
+          .slice(datasetUrl.length)
+          .split('/')
+          .map(decodeSegment)
+          .join('/');
+        const entry = createFileEntry(path, { url });
+        if (entry) {
+          files.push(entry);
+        }
+      });
+      if (depth >= this.maxDepth) {
+        return;
+      }
+      for (const childUrl of listing.directories) {
+        await walk(childUrl, depth + 1);
+      }
+    };
+
+    await walk(datasetUrl, 0);
+
+    const title = persistentId.replace(/[_]+/g, ' ').trim() || persistentId;
+    return {
+      title,
+      detail: buildDetailPayload({ title, persistentUrl: datasetUrl, files }),
+      files,
+    };
+  }
+
+  getFileUrl(file) {
+    return file.url;
+  }
+}
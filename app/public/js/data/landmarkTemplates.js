@@ -0,0 +1,115 @@
+/**
+ * Landmark templates: the named, ordered landmarks digitised on one skeletal
+ * element. Template files are JSON, holding one template or a list of them:
+ *
+ *   {
+ *     "name": "Femur",
+ *     "element": "femur",
+ *     "landmarks": [
+ *       { "id": "FH", "name": "Femoral head", "description": "Most proximal point of the head" },
+ *       "Greater trochanter"
+ *     ]
+ *   }
+ *
+ * A landmark given as a bare string is its name; missing ids are numbered
+ * `LM1`, `LM2`… in template order.
+ */
+
+export const BUILT_IN_LANDMARK_TEMPLATES = Object.freeze([
+  {
+    id: 'builtin:cranium',
+    name: 'Cranium (midline and bilateral)',
+    element: 'cranium',
+    landmarks: [
+      { id: 'PR', name: 'Prosthion', description: 'Most anterior point of the alveolar process between the upper central incisors' },
+      { id: 'N', name: 'Nasion', description: 'Midline point of the frontonasal suture' },
+      { id: 'B', name: 'Bregma', description: 'Junction of the coronal and sagittal sutures' },
+      { id: 'L', name: 'Lambda', description: 'Junction of the sagittal and lambdoid sutures' },
+      { id: 'O', name: 'Opisthion', description: 'Midline point on the posterior margin of the foramen magnum' },
+      { id: 'BA', name: 'Basion', description: 'Midline point on the anterior margin of the foramen magnum' },
+      { id: 'POL', name: 'Porion (left)', description: 'Uppermost point on the margin of the left external acoustic meatus' },
+      { id: 'POR', name: 'Porion (right)', description: 'Uppermost point on the margin of the right external acoustic meatus' },
+      { id: 'FML', name: 'Frontomalare orbitale (left)', description: 'Where the left frontozygomatic suture crosses the orbital rim' },
+      { id: 'FMR', name: 'Frontomalare orbitale (right)', description: 'Where the right frontozygomatic suture crosses the orbital rim' },
+    ],
+  },
+  {
+    id: 'builtin:femur',
+    name: 'Femur',
+    element: 'femur',
+    landmarks: [
+      { id: 'FH', name: 'Femoral head', description: 'Most proximal point of the head' },
+      { id: 'GT', name: 'Greater trochanter', description: 'Tip of the greater trochanter' },
+      { id: 'LT', name: 'Lesser trochanter', description: 'Most prominent point of the lesser trochanter' },
+      { id: 'ME', name: 'Medial epicondyle', description: 'Most prominent point of the medial epicondyle' },
+      { id: 'LE', name: 'Lateral epicondyle', description: 'Most prominent point of the lateral epicondyle' },
+      { id: 'MC', name: 'Medial condyle', description: 'Most distal point of the medial condyle' },
+      { id: 'LC', name: 'Lateral condyle', description: 'Most distal point of the lateral condyle' },
+    ],
+  },
+]);
+
+function readText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Validates one template and fills in its defaults.
+ *
+ * @param {object} raw - Template as read from JSON.
+ * @param {string} [fallbackId] - Id given to a template without one.
+ * @returns {{id: string, name: string, element: string, landmarks: {id: string, name: string, description: string}[]}}
+ * @throws {Error} When the template has no name or no landmarks, or two
+ *   landmarks share an id.
+ */
+export function normalizeLandmarkTemplate(raw, fallbackId = '') {
+  const name = readText(raw?.name);
+  if (!name) {
+    throw new Error('Landmark template without a name');
+  }
+  const entries = Array.isArray(raw.landmarks) ? raw.landmarks : [];
+  if (!entries.length) {
+    throw new Error(`Landmark template "${name}" has no landmarks`);
+  }
+  const landmarks = entries.map((entry, index) => {
+    const landmark = typeof entry === 'string' ? { name: entry } : entry;
+    const landmarkName = readText(landmark?.name);
+    if (!landmarkName) {
+      throw new Error(`Landmark ${index + 1} of "${name}" has no name`);
+    }
+    return {
+      id: readText(landmark.id) || `LM${index + 1}`,
+      name: landmarkName,
+      description: readText(landmark.description),
+    };
+  });
+  const ids = new Set(landmarks.map((landmark) => landmark.id));
+  if (ids.size !== landmarks.length) {
+    throw new Error(`Landmark template "${name}" repeats a landmark id`);
+  }
+  return {
+    id: readText(raw.id) || fallbackId || `template:${name}`,
+    name,
+    element: readText(raw.element),
+    landmarks,
+  };
+}
+
+/**
+ * Reads the templates of a template file.
+ *
+ * @param {string} text - JSON: a template, an array of templates, or
+ *   `{ "templates": [...] }`.
+ * @returns {ReturnType<typeof normalizeLandmarkTemplate>[]}
+ * @throws {Error} When the file is not JSON or a template is invalid.
+ */
+export function parseLandmarkTemplates(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Landmark template file is not valid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.templates) ? parsed.templates : [parsed];
+  return list.map((raw) => normalizeLandmarkTemplate(raw));
+}
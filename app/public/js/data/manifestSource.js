@@ -0,0 +1,166 @@
+/**
+ * Data-source adapter reading a static JSON manifest. Useful for local mirrors
+ * and test fixtures that should not depend on a live Dataverse instance.
+ *
+ * Expected manifest shape:
+ * {
+ *   "datasets": [
+ *     {
+ *       "id": "doi:10.34810/data000",
+ *       "title": "Canis lupus (COR-0001)",
+ *       "baseUrl": "canis-lupus/",
+ *       "persistentUrl": "https://doi.org/10.34810/data000",
+ *       "collection": ["Mammals", "Carnivores"],
+ *       "modified": "2024-03-01T10:00:00Z",
+ *       "darwinCore": { "dwcGenus": "Canis", "dwcSex": "male" },
+ *       "files": ["Femur/femur.obj", { "path": "Femur/femur.mtl", "size": 1024 }]
+ *     }
+ *   ]
+ * }
+ * A dataset may carry a full Dataverse `detail` payload instead of `darwinCore`.
+ * `collection` lists the nested collections holding the dataset, outermost first.
+ * `modified` (or `version`) should change whenever the dataset does; cached
+ * listings only reload datasets whose value differs.
+ */
+import { DataSourceAdapter } from './dataSourceAdapter.js';
+import { buildDetailPayload } from './datasetMetadata.js';
+import { createFileEntry } from './modelIndex.js';
+
+/**
+ * Resolves a possibly relative URL against a base, defaulting to the page URL.
+ *
+ * @param {string} reference - URL or path to resolve.
+ * @param {string} [base] - Base URL.
+ * @returns {string} Absolute URL.
+ */
+function resolveUrl(reference, base) {
+  const fallbackBase =
+    base || (typeof globalThis !== 'undefined' && globalThis.location?.href) || undefined;
+  return new URL(reference, fallbackBase).toString();
+}
+
+/**
+ * Percent-encodes each segment of a relative path, keeping the separators.
+ *
+ * @param {string} path - Relative path.
+ * @returns {string} Encoded path.
+ */
+function encodePath(path) {
+  return path
+    .split('/')
+    .map((segment) => encodeURIComponent(segment))
+    .join('/');
+}
+
+/**
+ * Adapter serving datasets declared in a static JSON manifest.
+ */
+export class ManifestSource extends DataSourceAdapter {
+  /**
+   * @param {object} options
+   * @param {string} options.manifestUrl - URL of the manifest, relative to the page or absolute.
+   * @param {Function} [options.fetchImpl] - Optional fetch implementation.
+   * @param {number} [options.detailConcurrency] - Dataset records fetched in parallel.
+   */
+  constructor({ manifestUrl, fetchImpl, detailConcurrency } = {}) {
+    if (!manifestUrl) {
+      throw new Error('ManifestSource requires a manifestUrl');
+    }
+    const resolvedUrl = resolveUrl(manifestUrl);
+    super({ fetchImpl, sourceId: `manifest:${resolvedUrl}`, detailConcurrency });
+    this.manifestUrl = resolvedUrl;
+    this.manifestPromise = null;
+  }
+
+  resetCache() {
+    super.resetCache();
+    this.manifestPromise = null;
+  }
+
+  /**
+   * Loads the manifest once and memoises it until the cache is reset.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the download.
+   * @returns {Promise<object>} Parsed manifest.
+   */
+  loadManifest({ signal } = {}) {
+    if (!this.manifestPromise) {
+      this.manifestPromise = this.fetchJson(this.manifestUrl, { signal }).catch((error) => {
+        this.manifestPromise = null;
+        throw error;
+      });
+    }
+    return this.manifestPromise;
+  }
+
+  /**
+   * Finds the manifest declaration for a dataset.
+   *
+   * @param {string} persistentId - Dataset identifier.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the manifest download.
+   * @returns {Promise<object|null>} Manifest dataset or null.
+   */
+  async findManifestDataset(persistentId, { signal } = {}) {
+    const manifest = await this.loadManifest({ signal });
+    const datasets = Array.isArray(manifest?.datasets) ? manifest.datasets : [];
+    return datasets.find((dataset) => String(dataset?.id) === persistentId) || null;
+  }
+
+  async listDatasetStubs({ signal } = {}) {
+    const manifest = await this.loadManifest({ signal });
+    const datasets = Array.isArray(manifest?.datasets) ? manifest.datasets : [];
+    return datasets
+      .filter((dataset) => dataset && dataset.id !== undefined && dataset.id !== null)
+      .map((dataset) => {
+        const stamp = dataset.modified ?? dataset.version ?? null;
+        return {
+          persistentId: String(dataset.id),
+          identifier: String(dataset.id),
+          collectionPath: (Array.isArray(dataset.collection) ? dataset.collection : [])
+            .filter(Boolean)
+            .map((name) => ({ id: String(name), title: String(name) })),
+          stamp: stamp === null ? null : String(stamp),
+        };
+      });
+  }
+
+  async fetchDatasetRecord({ persistentId }, { signal } = {}) {
+    const dataset = await this.findManifestDataset(persistentId, { signal });
+    if (!dataset) {
+      throw new Error(`Dataset ${persistentId} is not declared in the manifest`);
+    }
+
+    const datasetBase = resolveUrl(dataset.baseUrl || '', this.manifestUrl);
+    const files = (Array.isArray(dataset.files) ? dataset.files : [])
+      .map((item) => {
+        const descriptor = typeof item === 'string' ? { path: item } : item || {};
+        if (!descriptor.path) return null;
+        return createFileEntry(descriptor.path, {
+          url: descriptor.url
+            ? resolveUrl(descriptor.url, datasetBase)
+            : resolveUrl(encodePath(descriptor.path.replace(/^\/+/, '')), datasetBase),
+          size: descriptor.size,
+          checksum: descriptor.checksum || null,
+        });
+      })
+      .filter(Boolean);
+
+    const title = dataset.title || persistentId;
+    const detail =
+      dataset.detail ||
+      buildDetailPayload({
+        title,
+        persistentUrl: dataset.persistentUrl || null,
+        darwinCore: dataset.darwinCore,
+        files,
+      });
+
+    return { title, detail, files };
+  }
+
+  getFileUrl(file) {
+    return file.url;
+  }
+}
@@ -0,0 +1,618 @@
+/**
+ * Path normalisation and model indexing helpers shared by the data-source
+ * adapters. File entries follow the Dataverse shape
+ * (`{ label, directoryLabel, dataFile: { id } }`).
+ */
+
+/**
+ * Geometry formats the viewer can load, in order of preference when a
+ * specimen directory holds several of them: textured OBJ stays the reference
+ * scan, then self-contained glTF, then the raw scanner outputs. Draco meshes
+ * (`.drc`) come last: they are published as compressed copies of another file.
+ */
+export const MODEL_FORMATS = Object.freeze(['obj', 'glb', 'gltf', 'ply', 'stl', 'drc']);
+
+/**
+ * Formats textured through an MTL library. A Draco copy of an OBJ scan uses
+ * the MTL library of the original, found by file name.
+ */
+export const MATERIAL_LIBRARY_FORMATS = Object.freeze(['obj', 'drc']);
+
+// Image files counted as texture downloads of the formats that reference
+// external images (OBJ through its MTL library, glTF through its JSON).
+const TEXTURE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'tif', 'tiff', 'bmp', 'webp', 'tga', 'ktx2']);
+const TEXTURED_FORMATS = new Set(['obj', 'gltf', 'drc']);
+// Name suffix marking a compressed copy, e.g. `skull.draco.glb` or `skull-meshopt.glb`.
+const COMPRESSION_SUFFIX = /[._-](draco|meshopt)$/i;
+
+/**
+ * Tells how a geometry file is compressed, from its extension and name.
+ *
+ * @param {string} ext - Lower-case file extension.
+ * @param {string} base - File name without extension.
+ * @returns {'draco'|'meshopt'|null}
+ */
+function detectCompression(ext, base) {
+  if (ext === 'drc') {
+    return 'draco';
+  }
+  const match = COMPRESSION_SUFFIX.exec(base || '');
+  return match && (ext === 'glb' || ext === 'gltf') ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Strips the compression suffix from a lower-case base name, so a copy and
+ * its original share a key.
+ *
+ * @param {string} baseLower - Lower-case file name without extension.
+ * @returns {string}
+ */
+function stripCompressionSuffix(baseLower) {
+  return baseLower.replace(COMPRESSION_SUFFIX, '').trim();
+}
+
+/**
+ * Normalises path separators to forward slashes.
+ *
+ * @param {string} value - Raw path string.
+ * @returns {string} Path using forward slashes.
+ */
+export function normalizeSlashes(value) {
+  return (value || "").replace(/\\/g, "/");
+}
+
+/**
+ * Cleans a directory label by normalising slashes and trimming whitespace.
+ *
+ * @param {string} value - Directory label from Dataverse.
+ * @returns {string} Tidied directory label.
+ */
+export function normalizeDirectoryLabel(value) {
+  return normalizeSlashes(value).trim();
+}
+
+/**
+ * Builds a stable dataset-relative path for a file entry.
+ *
+ * @param {object} file - Dataverse file descriptor.
+ * @returns {string} Normalised path within the dataset.
+ */
+function normalizeDatasetPath(file) {
+  const directory = normalizeDirectoryLabel(file.directoryLabel || "");
+  const label = normalizeSlashes(file.label || "").trim();
+  return directory ? `${directory}/${label}` : label;
+}
+
+/**
+ * Extracts base name information from a file label for quick comparisons.
+ *
+ * @param {string} label - File label including extension.
+ * @returns {object} Base name variants.
+ */
+function normalizeBase(label) {
+  const safe = normalizeSlashes(label || "");
+  const dot = safe.lastIndexOf('.');
+  const base = dot >= 0 ? safe.slice(0, dot) : safe;
+  const baseTrim = base.trim();
+  return {
+    base,
+    baseTrim,
+    baseLower: base.toLowerCase(),
+    baseTrimLower: baseTrim.toLowerCase(),
+  };
+}
+
+/**
+ * Splits a directory label into cleaned segments.
+ *
+ * @param {string} directoryLabel - Directory label from Dataverse.
+ * @returns {string[]} Array of directory segments.
+ */
+function normalizeDirectoryParts(directoryLabel) {
+  const clean = normalizeDirectoryLabel(directoryLabel);
+  if (!clean) return [];
+  return clean
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolves a relative path against a dataset directory, handling traversal.
+ *
+ * @param {string} baseDir - Base directory to resolve from.
+ * @param {string} relativePath - Relative path or URL.
+ * @returns {string|null} Resolved dataset path or absolute URL.
+ */
+export function resolveRelativePath(baseDir, relativePath) {
+  if (!relativePath) return null;
+  const trimmed = relativePath.trim();
+  if (!trimmed) return null;
+  if (/^https?:\/\//i.test(trimmed)) {
+    return trimmed;
+  }
+  let rel = normalizeSlashes(trimmed);
+  if (rel.startsWith('/')) {
+    rel = rel.slice(1);
+  }
+  const stack = baseDir ? baseDir.split('/').filter(Boolean) : [];
+  rel.split('/').forEach((segment) => {
+    if (!segment || segment === '.') return;
+    if (segment === '..') {
+      stack.pop();
+    } else {
+      stack.push(segment);
+    }
+  });
+  return stack.join('/');
+}
+
+/**
+ * Deduces the HTTP directory URL hosting a given resource URL.
+ *
+ * @param {string} url - Absolute resource URL.
+ * @returns {string} Directory URL ending with a slash.
+ */
+export function deriveHttpDirectory(url) {
+  try {
+    const parsed = new URL(url);
+    const segments = parsed.pathname.split('/');
+    if (segments.length > 1) {
+      segments.pop();
+    }
+    let pathname = segments.join('/');
+    if (!pathname.endsWith('/')) {
+      pathname = `${pathname}/`;
+    }
+    parsed.pathname = pathname;
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.toString();
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Reads the published size of a file entry.
+ *
+ * @param {object} file - File entry carrying a `dataFile`.
+ * @returns {number|null} Size in bytes, or null when unknown.
+ */
+export function getFileSize(file) {
+  const raw = file?.dataFile?.filesize;
+  const size = raw === null || raw === undefined || raw === '' ? NaN : Number(raw);
+  return Number.isFinite(size) && size >= 0 ? size : null;
+}
+
+/**
+ * Reads the access level of a file entry. Dataverse flags restricted files on
+ * the file metadata and embargoes on `dataFile.embargo`.
+ *
+ * @param {object} file - File entry carrying a `dataFile`.
+ * @returns {'public'|'restricted'|'embargoed'} Access level.
+ */
+export function getFileAccess(file) {
+  const embargoEnd = Date.parse(file?.dataFile?.embargo?.dateAvailable || '');
+  if (Number.isFinite(embargoEnd) && embargoEnd > Date.now()) {
+    return 'embargoed';
+  }
+  if (file?.restricted || file?.dataFile?.restricted) {
+    return 'restricted';
+  }
+  return 'public';
+}
+
+/**
+ * Returns the compressed copy of a variant when the model has one, else the
+ * variant itself.
+ *
+ * @param {object[]} variants - Variants of a model.
+ * @param {object|null} variant - Variant to replace.
+ * @returns {object|null}
+ */
+function preferCompressedCopy(variants, variant) {
+  if (!variant) return null;
+  return variants.find((candidate) => candidate.compressedCopyOf === variant.key) || variant;
+}
+
+/**
+ * Returns the variant to load first: the smallest one when sizes are published,
+ * the preferred one (or its compressed copy) otherwise.
+ *
+ * @param {object} model - Model descriptor from `buildModelIndex`.
+ * @returns {object|null} Variant descriptor.
+ */
+export function getLightestVariant(model) {
+  const variants = model?.variants || [];
+  const sized = variants.filter((variant) => variant.size !== null);
+  if (!sized.length) {
+    return preferCompressedCopy(
+      variants,
+      variants.find((variant) => variant.key === model.key) || variants[0] || null
+    );
+  }
+  return sized[0];
+}
+
+/**
+ * Returns the bytes fetched when a model is selected, i.e. the estimated
+ * download of its lightest variant.
+ *
+ * @param {object} model - Model descriptor from `buildModelIndex`.
+ * @returns {number|null} Size in bytes, or null when unknown.
+ */
+export function getModelDownloadSize(model) {
+  const variant = getLightestVariant(model);
+  return variant?.downloadSize ?? model?.downloadSize ?? null;
+}
+
+/**
+ * Returns the full-resolution variant: the largest one when sizes are
+ * published, the preferred one otherwise. A compressed copy of that file holds
+ * the same mesh, so it is returned instead when there is one.
+ *
+ * @param {object} model - Model descriptor from `buildModelIndex`.
+ * @returns {object|null} Variant descriptor.
+ */
+export function getFullResolutionVariant(model) {
+  const variants = model?.variants || [];
+  const sized = variants.filter((variant) => variant.size !== null);
+  if (!sized.length) {
+    return preferCompressedCopy(
+      variants,
+      variants.find((variant) => variant.key === model.key) || variants[0] || null
+    );
+  }
+  return preferCompressedCopy(variants, sized[sized.length - 1]);
+}
+
+/**
+ * Creates lookup maps for model files and OBJ/MTL relationships within a dataset.
+ * Models are grouped per top-level directory. Every geometry file of a group is
+ * kept as a variant (decimated previews, full-resolution meshes, repeated
+ * scans); the group itself describes its preferred file (see `MODEL_FORMATS`).
+ * Draco and Meshopt files named after another geometry file of the same
+ * directory are recorded as its compressed copy (`compressedCopyOf`).
+ *
+ * @param {object[]} files - Dataverse file entries for a dataset version.
+ * @returns {object} Model index lookup structures.
+ */
+export function buildModelIndex(files) {
+  const fileMap = new Map();
+  const fileMapLower = new Map();
+  const fileNameMap = new Map();
+  const entryByFileId = new Map();
+  const mtlByDirBase = new Map();
+  const mtlByDirBaseTrim = new Map();
+  const mtlByBase = new Map();
+  const mtlByBaseTrim = new Map();
+  const textureEntries = [];
+  const groups = new Map();
+
+  // Helper to gather multiple candidates per key (e.g. MTL variants).
+  const pushToMap = (map, key, value) => {
+    if (!key) return;
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(value);
+  };
+
+  // Normalises Dataverse file entries into lookup-friendly objects.
+  const createEntry = (file, path, extOverride) => {
+    const { base, baseTrim, baseLower, baseTrimLower } = normalizeBase(
+      file.label
+    );
+    const directoryParts = normalizeDirectoryParts(file.directoryLabel);
+    const extMatch = (file.label || '').match(/\.([^.]+)$/);
+    const ext = extOverride || (extMatch ? extMatch[1].toLowerCase() : null);
+
+    const entry = {
+      file,
+      ext,
+      path,
+      base,
+      baseTrim,
+      baseLower,
+      baseTrimLower,
+      directory: directoryParts.join('/'),
+      directoryParts,
+    };
+
+    entryByFileId.set(file.dataFile.id, entry);
+    return entry;
+  };
+
+  files.forEach((file) => {
+    if (!file?.dataFile?.id) return;
+
+    const path = normalizeDatasetPath(file);
+    if (!path) return;
+
+    fileMap.set(path, file);
+    fileMapLower.set(path.toLowerCase(), file);
+
+    const labelKey = normalizeSlashes(file.label || '').trim().toLowerCase();
+    if (labelKey) {
+      pushToMap(fileNameMap, labelKey, file);
+    }
+
+    const entry = createEntry(file, path);
+
+    const formatRank = MODEL_FORMATS.indexOf(entry.ext);
+    if (TEXTURE_EXTENSIONS.has(entry.ext)) {
+      textureEntries.push(entry);
+    }
+    if (formatRank < 0 && entry.ext !== 'mtl') {
+      return;
+    }
+
+    const directoryParts = entry.directoryParts;
+    const topName = directoryParts.length
+      ? directoryParts[0]
+      : entry.baseTrim || entry.base || entry.file.label || '';
+    const topKey = (topName || '').trim().toLowerCase();
+
+    if (!groups.has(topKey)) {
+      groups.set(topKey, {
+        key: topKey,
+        displayName: topName.trim() || topName || entry.baseTrim || entry.base,
+        modelEntry: null,
+        formatRank: MODEL_FORMATS.length,
+        modelSpecificity: -1,
+        variantEntries: [],
+      });
+    }
+
+    const group = groups.get(topKey);
+
+    if (formatRank >= 0) {
+      group.variantEntries.push(entry);
+      const specificity = directoryParts.length * 10 + entry.baseTrim.length;
+      // The original file stays the reference over its compressed copy.
+      const rank = formatRank + (detectCompression(entry.ext, entry.baseTrim) ? 0.5 : 0);
+      if (
+        rank < group.formatRank ||
+        (rank === group.formatRank && specificity > group.modelSpecificity)
+      ) {
+        group.modelEntry = entry;
+        group.formatRank = rank;
+        group.modelSpecificity = specificity;
+      }
+    } else {
+      pushToMap(mtlByDirBase, `${entry.directory}||${entry.baseLower}`, entry);
+      pushToMap(
+        mtlByDirBaseTrim,
+        `${entry.directory}||${entry.baseTrimLower}`,
+        entry
+      );
+      pushToMap(mtlByBase, entry.baseLower, entry);
+      pushToMap(mtlByBaseTrim, entry.baseTrimLower, entry);
+    }
+  });
+
+  const pickMate = (list, preferredDirectory) => {
+    if (!list || !list.length) return null;
+    if (preferredDirectory) {
+      const exact = list.find((item) => item.directory === preferredDirectory);
+      if (exact) return exact;
+    }
+    return list[0];
+  };
+
+  const findMaterialLibrary = (entry) => {
+    const dir = entry.directory;
+    // `skull.draco.drc` shares the library of `skull.obj`.
+    const baseLower = stripCompressionSuffix(entry.baseLower);
+    const baseTrimLower = stripCompressionSuffix(entry.baseTrimLower);
+
+    const expectedPath = dir ? `${dir}/${baseLower}.mtl` : `${baseLower}.mtl`;
+    const directFile =
+      fileMap.get(expectedPath) || fileMapLower.get(expectedPath.toLowerCase());
+    if (directFile) {
+      const mateEntry = entryByFileId.get(directFile.dataFile.id);
+      if (mateEntry) return mateEntry;
+    }
+
+    return (
+      pickMate(mtlByDirBase.get(`${dir}||${baseLower}`), dir) ||
+      pickMate(mtlByDirBaseTrim.get(`${dir}||${baseTrimLower}`), dir) ||
+      pickMate(mtlByBase.get(baseLower), dir) ||
+      pickMate(mtlByBaseTrim.get(baseTrimLower), dir)
+    );
+  };
+
+  // Textures are only known once the MTL or glTF is parsed, so the estimate
+  // counts the images stored in the model's directory and below it.
+  const estimateDownload = (entry, mtlEntry) => {
+    const modelSize = getFileSize(entry.file);
+    let textureSize = 0;
+    if (TEXTURED_FORMATS.has(entry.ext)) {
+      const prefix = entry.directory ? `${entry.directory}/` : '';
+      // A KTX2 copy is downloaded instead of the image it sits next to.
+      const downloaded = new Map();
+      textureEntries.forEach((texture) => {
+        if (texture.directory === entry.directory || (prefix && texture.directory.startsWith(prefix))) {
+          const key = `${texture.directory}||${texture.baseLower}`;
+          if (!downloaded.has(key) || texture.ext === 'ktx2') {
+            downloaded.set(key, texture);
+          }
+        }
+      });
+      downloaded.forEach((texture) => {
+        textureSize += getFileSize(texture.file) ?? 0;
+      });
+    }
+    const materialSize = mtlEntry ? getFileSize(mtlEntry.file) ?? 0 : 0;
+    return {
+      textureSize,
+      downloadSize: modelSize === null ? null : modelSize + materialSize + textureSize,
+    };
+  };
+
+  const models = [];
+  const modelMap = new Map();
+
+  groups.forEach((group) => {
+    const modelEntry = group.modelEntry;
+    if (!modelEntry) return;
+
+    const format = modelEntry.ext;
+    const mtlEntry = MATERIAL_LIBRARY_FORMATS.includes(format)
+      ? findMaterialLibrary(modelEntry)
+      : null;
+    const directoryLabel = modelEntry.directory || mtlEntry?.directory || '';
+    const groupPrefix = group.key ? `${group.key}/` : '';
+
+    // Smallest first; files without a published size go last.
+    const variants = group.variantEntries
+      .map((variantEntry) => {
+        const path = variantEntry.path;
+        const variantMtlEntry =
+          variantEntry === modelEntry
+            ? mtlEntry
+            : MATERIAL_LIBRARY_FORMATS.includes(variantEntry.ext)
+              ? findMaterialLibrary(variantEntry)
+              : null;
+        return {
+          key: String(variantEntry.file.dataFile.id),
+          format: variantEntry.ext,
+          compression: detectCompression(variantEntry.ext, variantEntry.baseTrim),
+          label: path.toLowerCase().startsWith(groupPrefix) ? path.slice(groupPrefix.length) : path,
+          size: getFileSize(variantEntry.file),
+          ...estimateDownload(variantEntry, variantMtlEntry),
+          access: getFileAccess(variantEntry.file),
+          modelEntry: variantEntry,
+          mtlEntry: variantMtlEntry,
+          directory: variantEntry.directory || '',
+        };
+      })
+      .sort((a, b) => {
+        if (a.size !== b.size) {
+          if (a.size === null) return 1;
+          if (b.size === null) return -1;
+          return a.size - b.size;
+        }
+        return MODEL_FORMATS.indexOf(a.format) - MODEL_FORMATS.indexOf(b.format);
+      });
+
+    const originalsByBase = new Map();
+    variants.forEach((variant) => {
+      if (variant.compression) return;
+      const baseKey = `${variant.directory}||${variant.modelEntry.baseTrimLower}`;
+      const current = originalsByBase.get(baseKey);
+      if (!current || MODEL_FORMATS.indexOf(variant.format) < MODEL_FORMATS.indexOf(current.format)) {
+        originalsByBase.set(baseKey, variant);
+      }
+    });
+    variants.forEach((variant) => {
+      const original = variant.compression
+        ? originalsByBase.get(
+            `${variant.directory}||${stripCompressionSuffix(variant.modelEntry.baseTrimLower)}`
+          )
+        : null;
+      variant.compressedCopyOf = original ? original.key : null;
+    });
+    const displayName =
+      group.displayName ||
+      modelEntry.baseTrim ||
+      modelEntry.file.label ||
+      modelEntry.path;
+
+    const model = {
+      key: String(modelEntry.file.dataFile.id),
+      displayName,
+      format,
+      compression: detectCompression(format, modelEntry.baseTrim),
+      access: getFileAccess(modelEntry.file),
+      ...estimateDownload(modelEntry, mtlEntry),
+      modelEntry,
+      mtlEntry,
+      directory: directoryLabel,
+      variants,
+    };
+
+    models.push(model);
+    modelMap.set(model.key, model);
+  });
+
+  models.sort((a, b) =>
+    a.displayName.localeCompare(b.displayName, 'en', { sensitivity: 'base' })
+  );
+
+  return { models, modelMap, fileMap, fileMapLower, fileNameMap };
+}
+
+/**
+ * Retrieves a Dataverse file entry by relative path, case insensitive.
+ *
+ * @param {object} entry - Dataset cache entry holding lookup maps.
+ * @param {string} path - Path or filename to resolve.
+ * @param {string} [preferredDirectory=''] - Directory to prioritise when duplicates exist.
+ * @returns {object|null} Matching Dataverse file entry.
+ */
+export function getFileByPath(entry, path, preferredDirectory = '') {
+  if (!path) return null;
+  let normalized = normalizeSlashes(path).trim();
+  if (!normalized) return null;
+  normalized = normalized.replace(/^\.\/+/, '');
+
+  const direct = entry.fileMap.get(normalized);
+  if (direct) return direct;
+  const trimmed = normalized.startsWith('/') ? normalized.slice(1) : normalized;
+  const alt = entry.fileMap.get(trimmed);
+  if (alt) return alt;
+  const lowerNormalized = normalized.toLowerCase();
+  const lowerDirect = entry.fileMapLower.get(lowerNormalized);
+  if (lowerDirect) return lowerDirect;
+  const lowerTrimmed = trimmed.toLowerCase();
+  const lowerAlt = entry.fileMapLower.get(lowerTrimmed);
+  if (lowerAlt) return lowerAlt;
+
+  const filename = normalized.split('/').pop();
+  if (filename && entry.fileNameMap) {
+    const filenameLower = filename.toLowerCase();
+    const candidates = entry.fileNameMap.get(filenameLower) || [];
+    if (candidates.length) {
+      const normalizedPreferred = preferredDirectory
+        ? normalizeSlashes(preferredDirectory)
+        : '';
+      if (normalizedPreferred) {
+        const match = candidates.find(
+          (file) => normalizeSlashes(file.directoryLabel || '') === normalizedPreferred
+        );
+        if (match) return match;
+      }
+      return candidates[0];
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a Dataverse-shaped file entry for sources that address files by URL.
+ * The dataset-relative path doubles as the file id.
+ *
+ * @param {string} path - Dataset-relative file path.
+ * @param {object} [options]
+ * @param {string} options.url - Absolute download URL.
+ * @param {number} [options.size] - File size in bytes, when known.
+ * @param {object} [options.checksum] - Checksum descriptor (`{ type, value }`).
+ * @returns {object|null} File entry or null for an empty path.
+ */
+export function createFileEntry(path, { url, size = null, checksum = null } = {}) {
+  const normalized = normalizeSlashes(path || '').replace(/^\/+/, '').trim();
+  if (!normalized) return null;
+  const slash = normalized.lastIndexOf('/');
+  return {
+    label: slash >= 0 ? normalized.slice(slash + 1) : normalized,
+    directoryLabel: slash >= 0 ? normalized.slice(0, slash) : '',
+    url,
+    dataFile: {
+      id: normalized,
+      filesize: Number.isFinite(size) ? size : null,
+      checksum,
+    },
+  };
+}
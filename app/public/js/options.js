@@ -1,6 +1,21 @@
 /**
  * Handles the “Options” dialog interactions (open/close).
  */
+import { i18n } from './i18n/translator.js';
+import { formatBytes } from './utils/format.js';
+import { getApiToken, setApiToken } from './utils/authFetch.js';
+import {
+  LARGE_DOWNLOAD_STORAGE_KEY,
+  LARGE_DOWNLOAD_THRESHOLDS,
+  getLargeDownloadThreshold,
+  setLargeDownloadThreshold,
+} from './utils/downloadThreshold.js';
+import {
+  PERFORMANCE_PROFILE_STORAGE_KEY,
+  getPerformanceProfile,
+  setPerformanceProfile,
+} from './utils/performanceProfile.js';
+
 const optionsButton = document.getElementById('optionsButton');
 const optionsDialog = document.getElementById('optionsDialog');
 const closeOptions = document.getElementById('closeOptions');
@@ -13,6 +28,7 @@ if (optionsButton && canUseDialog) {
   optionsButton.addEventListener('click', () => {
     if (!optionsDialog.open) {
       optionsDialog.showModal();
+      refreshAssetCacheUsage();
     }
   });
 }
@@ -181,10 +197,166 @@ const applyStoredAnaglyphSeparation = () => {
 
 applyStoredAnaglyphSeparation();
 
+const largeDownloadSelect = document.getElementById('largeDownloadThreshold');
+
+function syncLargeDownloadUI() {
+  if (!largeDownloadSelect) {
+    return;
+  }
+  const current = getLargeDownloadThreshold();
+  const values = LARGE_DOWNLOAD_THRESHOLDS.includes(current)
+    ? LARGE_DOWNLOAD_THRESHOLDS
+    : [...LARGE_DOWNLOAD_THRESHOLDS, current].sort((a, b) => a - b);
+  largeDownloadSelect.innerHTML = '';
+  values.forEach((bytes) => {
+    const option = document.createElement('option');
+    option.value = String(bytes);
+    option.textContent = bytes
+      ? formatBytes(bytes)
+      : i18n.translate('option.largeDownload.never', { defaultValue: 'Never ask' });
+    largeDownloadSelect.appendChild(option);
+  });
+  largeDownloadSelect.value = String(current);
+}
+
+if (largeDownloadSelect) {
+  largeDownloadSelect.addEventListener('change', (event) => {
+    setLargeDownloadThreshold(Number(event.target.value));
+  });
+}
+
+syncLargeDownloadUI();
+
+const performanceProfileSelect = document.getElementById('performanceProfile');
+
+function applyPerformanceProfile(profile) {
+  getViewerApi()?.setPerformanceProfile?.(profile);
+  if (performanceProfileSelect) {
+    performanceProfileSelect.value = profile;
+  }
+}
+
+if (performanceProfileSelect) {
+  performanceProfileSelect.addEventListener('change', (event) => {
+    applyPerformanceProfile(setPerformanceProfile(event.target.value));
+  });
+}
+
+applyPerformanceProfile(getPerformanceProfile());
+
+const assetCacheUsage = document.getElementById('assetCacheUsage');
+const clearAssetCacheButton = document.getElementById('clearAssetCache');
+
+async function refreshAssetCacheUsage() {
+  if (!assetCacheUsage) {
+    return;
+  }
+  const viewerApi = getViewerApi();
+  if (!viewerApi || typeof viewerApi.getAssetCacheUsage !== 'function') {
+    assetCacheUsage.textContent = '–';
+    return;
+  }
+  try {
+    const usage = await viewerApi.getAssetCacheUsage();
+    if (!usage.available) {
+      assetCacheUsage.textContent = i18n.translate('option.assetCache.unavailable', {
+        defaultValue: 'Unavailable',
+      });
+      if (clearAssetCacheButton) {
+        clearAssetCacheButton.disabled = true;
+      }
+      return;
+    }
+    assetCacheUsage.textContent = `${formatBytes(usage.bytes)} / ${formatBytes(usage.budgetBytes)}`;
+    if (clearAssetCacheButton) {
+      clearAssetCacheButton.disabled = usage.count === 0;
+    }
+  } catch (error) {
+    console.warn('Unable to read asset cache usage', error);
+    assetCacheUsage.textContent = '–';
+  }
+}
+
+if (clearAssetCacheButton) {
+  clearAssetCacheButton.addEventListener('click', async () => {
+    const viewerApi = getViewerApi();
+    if (!viewerApi || typeof viewerApi.clearAssetCache !== 'function') {
+      return;
+    }
+    clearAssetCacheButton.disabled = true;
+    try {
+      await viewerApi.clearAssetCache();
+    } catch (error) {
+      console.warn('Unable to clear asset cache', error);
+    }
+    refreshAssetCacheUsage();
+  });
+}
+
+const apiTokenInput = document.getElementById('apiTokenInput');
+const apiTokenStatus = document.getElementById('apiTokenStatus');
+const saveApiTokenButton = document.getElementById('saveApiToken');
+const clearApiTokenButton = document.getElementById('clearApiToken');
+
+function syncApiTokenUI() {
+  const hasToken = Boolean(getApiToken());
+  if (apiTokenStatus) {
+    apiTokenStatus.textContent = hasToken
+      ? i18n.translate('option.apiToken.active', { defaultValue: 'Active' })
+      : i18n.translate('option.apiToken.none', { defaultValue: 'Anonymous' });
+  }
+  if (apiTokenInput) {
+    // The stored token is never echoed back into the field.
+    apiTokenInput.value = '';
+  }
+  if (clearApiTokenButton) {
+    clearApiTokenButton.disabled = !hasToken;
+  }
+}
+
+if (saveApiTokenButton && apiTokenInput) {
+  saveApiTokenButton.addEventListener('click', () => {
+    if (!apiTokenInput.value.trim()) {
+      return;
+    }
+    setApiToken(apiTokenInput.value);
+    syncApiTokenUI();
+  });
+  apiTokenInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      saveApiTokenButton.click();
+    }
+  });
+}
+
+if (clearApiTokenButton) {
+  clearApiTokenButton.addEventListener('click', () => {
+    setApiToken(null);
+    syncApiTokenUI();
+  });
+}
+
+syncApiTokenUI();
+
+i18n.onChange(() => {
+  syncApiTokenUI();
+  syncLargeDownloadUI();
+  if (optionsDialog?.open) {
+    refreshAssetCacheUsage();
+  }
+});
+
 window.addEventListener('storage', (event) => {
   if (event.key === THEME_STORAGE_KEY) {
     applyTheme(event.newValue);
   }
+  if (event.key === LARGE_DOWNLOAD_STORAGE_KEY) {
+    syncLargeDownloadUI();
+  }
+  if (event.key === PERFORMANCE_PROFILE_STORAGE_KEY) {
+    applyPerformanceProfile(getPerformanceProfile());
+  }
   if (event.key === ANAGLYPH_STORAGE_KEY) {
     const viewerApi = getViewerApi();
     if (viewerApi && typeof viewerApi.setAnaglyphEyeSeparation === 'function') {
@@ -0,0 +1,126 @@
+import { extractCitation } from '../data/datasetMetadata.js';
+import { CITATION_FORMATS, formatCitations } from '../utils/citationFormats.js';
+import { downloadText } from '../utils/download.js';
+
+/**
+ * Shows the citations of the loaded specimens (both of them in comparison
+ * mode) as BibTeX, RIS or CSL-JSON, with copy and download actions.
+ *
+ * @param {object} deps
+ * @param {HTMLDialogElement|null} deps.dialogElement - `#citeDialog`.
+ * @param {(key: string, fallback?: string) => string} deps.translate
+ * @param {() => object[]} deps.getDetails - Detail payloads of the specimens to cite.
+ * @param {Document} [deps.documentRef]
+ * @param {Window} [deps.windowRef]
+ * @returns {{ open: () => boolean }} `open` returns false when nothing can be cited.
+ */
+export function initCiteDialog({
+  dialogElement,
+  translate,
+  getDetails,
+  documentRef = document,
+  windowRef = window,
+}) {
+  const specimensElement = dialogElement?.querySelector('.cite-dialog__specimens') ?? null;
+  const formatSelect = dialogElement?.querySelector('.cite-dialog__format') ?? null;
+  const outputElement = dialogElement?.querySelector('.cite-dialog__output') ?? null;
+  const feedbackElement = dialogElement?.querySelector('.cite-dialog__feedback') ?? null;
+  const copyButton = dialogElement?.querySelector('button[value="copy"]') ?? null;
+  const downloadButton = dialogElement?.querySelector('button[value="download"]') ?? null;
+  const closeButton = dialogElement?.querySelector('.options-close') ?? null;
+
+  let citations = [];
+
+  const collectCitations = () => {
+    const seen = new Set();
+    return (typeof getDetails === 'function' ? getDetails() : [])
+      .map((detail) => (detail ? extractCitation(detail) : null))
+      .filter((citation) => {
+        // Two models of the same dataset are cited once.
+        const key = citation && (citation.url || citation.title);
+        if (!citation || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  };
+
+  const getFormat = () => (CITATION_FORMATS[formatSelect?.value] ? formatSelect.value : 'bibtex');
+
+  const setFeedback = (key, fallback) => {
+    if (feedbackElement) {
+      feedbackElement.textContent = key ? translate(key, fallback) : '';
+    }
+  };
+
+  const render = () => {
+    if (outputElement) {
+      outputElement.value = citations.length ? formatCitations(getFormat(), citations) : '';
+    }
+    setFeedback(null);
+  };
+
+  const copyText = async (text) => {
+    if (typeof windowRef?.navigator?.clipboard?.writeText === 'function') {
+      await windowRef.navigator.clipboard.writeText(text);
+      return;
+    }
+    // Fallback for insecure origins, where the asynchronous clipboard is missing.
+    outputElement?.select();
+    if (!documentRef.execCommand?.('copy')) {
+      throw new Error('Clipboard unavailable');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await copyText(outputElement?.value || '');
+      setFeedback('cite.copied', 'Copied to clipboard.');
+    } catch (error) {
+      console.warn('Failed to copy citation', error);
+      setFeedback('cite.copyFailed', 'Copy failed; select the text and copy it manually.');
+    }
+  };
+
+  const handleDownload = () => {
+    const format = CITATION_FORMATS[getFormat()];
+    downloadText(outputElement?.value || '', {
+      fileName: `${citations.length > 1 ? 'citations' : 'citation'}.${format.extension}`,
+      mimeType: format.mimeType,
+      documentRef,
+      windowRef,
+    });
+  };
+
+  formatSelect?.addEventListener('change', render);
+  copyButton?.addEventListener('click', handleCopy);
+  downloadButton?.addEventListener('click', handleDownload);
+  closeButton?.addEventListener('click', () => dialogElement.close());
+
+  const open = () => {
+    if (!dialogElement || typeof dialogElement.showModal !== 'function') {
+      return false;
+    }
+    citations = collectCitations();
+    if (!citations.length) {
+      return false;
+    }
+    if (specimensElement) {
+      specimensElement.replaceChildren(
+        ...citations.map((citation) => {
+          const item = documentRef.createElement('li');
+          item.textContent = citation.version
+            ? `${citation.title} (${citation.version})`
+            : citation.title;
+          return item;
+        })
+      );
+    }
+    render();
+    if (!dialogElement.open) {
+      dialogElement.showModal();
+    }
+    return true;
+  };
+
+  return { open };
+}
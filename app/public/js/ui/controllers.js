@@ -10,6 +10,46 @@ import {
   selectCurrentMetadataDetail,
 } from '../state/selectors.js';
 
+// Reasons come from the typed errors of `utils/networkErrors.js`, `AccessDeniedError`
+// and `ChecksumMismatchError`.
+const LOAD_ERROR_STATUS_KEYS = {
+  'checksum-mismatch': 'status.modelChecksumMismatch',
+  'auth-required': 'status.modelAuthRequired',
+  'access-denied': 'status.modelAccessDenied',
+  network: 'status.loadNetworkError',
+  offline: 'status.loadOffline',
+  'not-found': 'status.loadNotFound',
+  'server-error': 'status.loadServerError',
+  'http-status': 'status.loadHttpError',
+  parse: 'status.loadParseError',
+  aborted: 'status.loadAborted',
+};
+
+const RETRY_NOTICE_KEYS = {
+  offline: 'status.retryOffline',
+};
+
+/**
+ * Maps the `reason` of a viewer load error to its status message key.
+ *
+ * @param {string} [reason] - Reason carried by `loaderror`/`comparisonloaderror`.
+ * @param {string} [fallbackKey='status.modelLoadFailure'] - Key for unknown reasons.
+ * @returns {string} Status translation key.
+ */
+export function getLoadErrorStatusKey(reason, fallbackKey = 'status.modelLoadFailure') {
+  return LOAD_ERROR_STATUS_KEYS[reason] || fallbackKey;
+}
+
+/**
+ * Maps the `reason` of a `loadretry` event to the notice shown while waiting.
+ *
+ * @param {string} [reason] - Reason of the failure being retried.
+ * @returns {string} Status translation key.
+ */
+export function getRetryNoticeKey(reason) {
+  return RETRY_NOTICE_KEYS[reason] || 'status.retrying';
+}
+
 /**
  * Exposes controller factories for UI interactions.
  *
@@ -50,7 +90,11 @@ export default function initControllers(deps = {}) {
     renderStatus,
     setRotationGizmoHasModel,
     clearStatus,
+    setCustomStatus = () => {},
+    getLastStatus = () => null,
     resetProgressPercent,
+    setLoadingNotice = () => {},
+    setLoadingPreview = () => {},
     supportsClipping,
     documentRef,
   } = deps;
@@ -94,6 +138,42 @@ export default function initControllers(deps = {}) {
     throw new Error('initControllers requires modelUtilities.loadModel()');
   }
 
+  // Message of the whole-model area and volume readout, while it is shown.
+  let meshAnalyticsMessage = null;
+
+  const showMeshAnalytics = () => {
+    const analytics = viewerApi.getMeshAnalytics?.();
+    if (!analytics) {
+      return;
+    }
+    if (!analytics.triangleCount) {
+      setStatus('viewer.measureAnalytics.noSurface', 'info');
+      return;
+    }
+    const { unit } = analytics;
+    const parts = [
+      `${translate('viewer.measureAnalytics.surfaceArea', 'Surface area')}: ${analytics.area.toFixed(2)} ${unit}²`,
+    ];
+    if (analytics.watertight) {
+      parts.push(`${translate('viewer.measureAnalytics.volume', 'Volume')}: ${analytics.volume.toFixed(2)} ${unit}³`);
+    } else {
+      parts.push(
+        `${translate('viewer.measureAnalytics.notWatertight', 'Volume unavailable: the mesh is not watertight')} ` +
+          `(${analytics.openEdges} ${translate('viewer.measureAnalytics.openEdges', 'open edges')}, ` +
+          `${analytics.nonManifoldEdges} ${translate('viewer.measureAnalytics.nonManifoldEdges', 'non-manifold edges')})`
+      );
+    }
+    meshAnalyticsMessage = parts.join(' · ');
+    setCustomStatus(meshAnalyticsMessage, 'info');
+  };
+
+  const hideMeshAnalytics = () => {
+    if (meshAnalyticsMessage && getLastStatus()?.message === meshAnalyticsMessage) {
+      clearStatus();
+    }
+    meshAnalyticsMessage = null;
+  };
+
   const getDatasetMetadata = (persistentId) => {
     if (dataClient && typeof dataClient.getDatasetMetadata === 'function') {
       return dataClient.getDatasetMetadata(persistentId);
@@ -170,7 +250,12 @@ export default function initControllers(deps = {}) {
     },
 
     handleMeasureToggleButtonClick() {
-      viewerApi.toggleMeasurementTool?.();
+      const active = viewerApi.toggleMeasurementTool?.();
+      if (active && viewerApi.getMeasurementType?.() === 'area') {
+        showMeshAnalytics();
+      } else {
+        hideMeshAnalytics();
+      }
       updateMeasureButton();
     },
 
@@ -179,6 +264,40 @@ export default function initControllers(deps = {}) {
       updateMeasureButton();
     },
 
+    handleMeasurementTypeButtonClick(event) {
+      const type = event?.currentTarget?.dataset?.measurementType;
+      if (!type) {
+        return;
+      }
+      const applied = viewerApi.setMeasurementType?.(type);
+      // Choosing the area brush also reports the area and volume of the whole model.
+      if (applied === 'area') {
+        showMeshAnalytics();
+      } else {
+        hideMeshAnalytics();
+      }
+      updateMeasureButton();
+    },
+
+    handleMeasurementKeyDown(event) {
+      if (event.key !== 'Enter' && event.key !== 'Escape') {
+        return;
+      }
+      if (!viewerApi.isMeasurementToolActive?.()) {
+        return;
+      }
+      // Keys typed into form fields and buttons keep their usual meaning.
+      const target = event.target;
+      if (target && typeof target.closest === 'function' && target.closest('input, textarea, select, button, dialog')) {
+        return;
+      }
+      if (event.key === 'Enter') {
+        viewerApi.finishMeasurement?.();
+      } else {
+        viewerApi.cancelMeasurement?.();
+      }
+    },
+
     handleOrbitModeButtonClick(event) {
       const mode = event?.currentTarget?.dataset?.orbitMode;
       if (!mode) {
@@ -227,6 +346,7 @@ export default function initControllers(deps = {}) {
         dispatchSetActiveModel(null);
         if (!selectComparisonMode()) {
           viewerApi.clearScene?.({ preserveComparison: false });
+          modelUtilities.resetVariantSelect?.();
           setStatus('status.selectModel', 'info');
           const persistentId = datasetSelect?.value ?? '';
           const detail = getDatasetMetadata(persistentId) || selectCurrentMetadataDetail() || null;
@@ -293,15 +413,27 @@ export default function initControllers(deps = {}) {
       }
     },
 
-    handleViewerLoadEnd() {
-      clearStatus();
+    handleViewerLoadEnd(event) {
+      if (event?.simplification) {
+        setStatus('status.modelSimplified', 'info');
+      } else {
+        clearStatus();
+      }
       updateScaleReferenceButton();
       setRotationGizmoHasModel(true);
     },
 
-    handleViewerLoadError() {
+    handleViewerLoadRetry(event) {
+      setLoadingNotice(getRetryNoticeKey(event?.reason));
+    },
+
+    handleViewerLoadPreview() {
+      setLoadingPreview(true);
+    },
+
+    handleViewerLoadError(event) {
       resetProgressPercent();
-      setStatus('status.modelLoadFailure', 'error');
+      setStatus(getLoadErrorStatusKey(event?.reason), 'error');
       updateScaleReferenceButton();
       setRotationGizmoHasModel(false);
     },
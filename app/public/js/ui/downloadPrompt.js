@@ -0,0 +1,85 @@
+import { formatBytes } from '../utils/format.js';
+
+const CHOICES = ['load', 'lighter', 'skip-textures'];
+
+/**
+ * Asks for confirmation before a large model download. The dialog offers the
+ * full download, a lighter variant and, for textured OBJ files, a load without
+ * textures; each choice shows the bytes it fetches.
+ *
+ * @param {object} deps
+ * @param {HTMLDialogElement|null} deps.dialogElement - `#largeDownloadDialog`.
+ * @param {(key: string, fallback?: string) => string} deps.translate
+ * @param {Window} [deps.windowRef] - Window used for the `confirm()` fallback.
+ * @returns {{
+ *   confirm: (details: {
+ *     name: string,
+ *     size: number,
+ *     lighterSize?: number|null,
+ *     texturelessSize?: number|null,
+ *   }) => Promise<'load'|'lighter'|'skip-textures'|'cancel'>,
+ * }}
+ */
+export function initDownloadPrompt({ dialogElement, translate, windowRef = window }) {
+  const canUseDialog = Boolean(dialogElement) && typeof dialogElement.showModal === 'function';
+  const nameElement = dialogElement?.querySelector('.download-dialog__name') ?? null;
+  const messageElement = dialogElement?.querySelector('.download-dialog__message') ?? null;
+  const loadButton = dialogElement?.querySelector('button[value="load"]') ?? null;
+  const lighterButton = dialogElement?.querySelector('button[value="lighter"]') ?? null;
+  const texturelessButton = dialogElement?.querySelector('button[value="skip-textures"]') ?? null;
+
+  let pendingResolve = null;
+
+  dialogElement?.addEventListener('close', () => {
+    const resolve = pendingResolve;
+    pendingResolve = null;
+    const choice = dialogElement.returnValue;
+    resolve?.(CHOICES.includes(choice) ? choice : 'cancel');
+  });
+
+  const withSize = (label, size) => `${label} (${formatBytes(size)})`;
+
+  const configureOption = (button, label, size) => {
+    if (!button) return;
+    const available = size !== null && size !== undefined;
+    button.hidden = !available;
+    if (available) {
+      button.textContent = withSize(label, size);
+    }
+  };
+
+  const confirm = ({ name, size, lighterSize = null, texturelessSize = null }) => {
+    const message = withSize(
+      translate('download.message', 'This model is a large download'),
+      size,
+    );
+
+    if (!canUseDialog) {
+      const accepted =
+        typeof windowRef?.confirm === 'function' ? windowRef.confirm(`${name}\n${message}`) : true;
+      return Promise.resolve(accepted ? 'load' : 'cancel');
+    }
+
+    if (nameElement) nameElement.textContent = name;
+    if (messageElement) messageElement.textContent = message;
+    configureOption(loadButton, translate('download.loadAnyway', 'Download'), size);
+    configureOption(lighterButton, translate('download.loadLighter', 'Load lighter file'), lighterSize);
+    configureOption(
+      texturelessButton,
+      translate('download.skipTextures', 'Load without textures'),
+      texturelessSize,
+    );
+
+    return new Promise((resolve) => {
+      // A newer request replaces the one still on screen.
+      pendingResolve?.('cancel');
+      pendingResolve = resolve;
+      if (!dialogElement.open) {
+        dialogElement.returnValue = '';
+        dialogElement.showModal();
+      }
+    });
+  };
+
+  return { confirm };
+}
@@ -2,14 +2,21 @@
  * Orchestrates the UI layer: dataset/model selectors, metadata rendering,
  * viewer controls, and localisation glue code.
  */
-import { DataverseClient } from '../data/dataverseClient.js';
+import { createDataSource } from '../data/dataSources.js';
 import { i18n } from '../i18n/translator.js';
-import initControllers from './controllers.js';
+import initControllers, { getLoadErrorStatusKey } from './controllers.js';
 import { initSearch, formatModelOptionLabel, deriveUberonUrlFromModel } from './search.js';
 import { initMetadata } from './metadata.js';
 import { initMaterialControls } from './materialControls.js';
 import { initInterfaceControls } from './interfaceControls.js';
 import { initModelController } from './modelController.js';
+import { initDownloadPrompt } from './downloadPrompt.js';
+import { initCiteDialog } from './citeDialog.js';
+import { initOccurrenceExport } from './occurrenceExport.js';
+import { initLandmarkPanel } from './landmarkPanel.js';
+import { initMeasurementPanel } from './measurementPanel.js';
+import { extractTitle } from '../data/datasetMetadata.js';
+import { onApiTokenChange } from '../utils/authFetch.js';
 import {
   setActiveDataset as dispatchSetActiveDataset,
   setActiveDatasetForB as dispatchSetActiveDatasetForB,
@@ -55,6 +62,7 @@ import {
 let loadDatasetModelsDelegate = async () => {};
 let loadDatasetModelsForComparisonDelegate = async () => {};
 let loadModelDelegate = async () => {};
+let resetVariantSelectDelegate = () => {};
 let loadComparisonModelBDelegate = async () => {};
 let enterComparisonModeDelegate = async () => {};
 let exitComparisonModeDelegate = async () => {};
@@ -177,14 +185,14 @@ const getModelToken = () => selectModelToken();
  *
  * @param {object} options - Init options.
  * @param {object} options.viewerApi - High-level façade for the viewer.
- * @param {DataverseClient} [options.dataClient] - Data client used to query Dataverse.
+ * @param {object} [options.dataClient] - Data-source adapter (see `data/dataSources.js`).
  * @param {Document} [options.documentRef=document] - Document reference (facilitates testing).
  * @param {Window} [options.windowRef=window] - Window reference (facilitates testing).
  * @returns {Promise<{destroy: () => void}>} Cleanup handle.
  */
 export async function initInterface({
   viewerApi,
-  dataClient = new DataverseClient(),
+  dataClient = createDataSource(),
   documentRef = document,
   windowRef = window,
 } = {}) {
@@ -198,6 +206,12 @@ export async function initInterface({
 
   const datasetSelect = documentRef.getElementById('datasetSelect');
   const modelSelect = documentRef.getElementById('modelSelect');
+  const versionSelect = documentRef.getElementById('versionSelect');
+  const versionGroup = documentRef.getElementById('versionGroup');
+  const variantSelect = documentRef.getElementById('variantSelect');
+  const variantGroup = documentRef.getElementById('variantGroup');
+  const upgradeVariantButton = documentRef.getElementById('upgradeVariantButton');
+  const largeDownloadDialog = documentRef.getElementById('largeDownloadDialog');
   const reloadButton = documentRef.getElementById('reloadDatasets');
   const searchInput = documentRef.getElementById('searchInput');
   const searchResults = documentRef.getElementById('searchResults');
@@ -244,6 +258,14 @@ export async function initInterface({
   const coraLink = documentRef.getElementById('coraLink');
   const gbifLink = documentRef.getElementById('gbifLink');
   const uberonLink = documentRef.getElementById('uberonLink');
+  const citeButton = documentRef.getElementById('citeButton');
+  const citeDialog = documentRef.getElementById('citeDialog');
+  const exportOccurrencesButton = documentRef.getElementById('exportOccurrencesButton');
+  const occurrenceExportDialog = documentRef.getElementById('occurrenceExportDialog');
+  const landmarkToggleButton = documentRef.getElementById('toggleLandmarks');
+  const landmarkPanelElement = documentRef.getElementById('landmarkPanel');
+  const measurementListButton = documentRef.getElementById('toggleMeasurementList');
+  const measurementPanelElement = documentRef.getElementById('measurementPanel');
   const wireframeButton = documentRef.getElementById('toggleWireframe');
   const clippingToggleButton = documentRef.getElementById('toggleClipping');
   const lightingButton = documentRef.getElementById('toggleLighting');
@@ -252,6 +274,39 @@ export async function initInterface({
   const fullscreenButton = documentRef.getElementById('toggleFullscreen');
   const measureToggleButton = documentRef.getElementById('toggleMeasure');
   const clearMeasurementsButton = documentRef.getElementById('clearMeasurements');
+  const measurementTypeGroup = documentRef.getElementById('measurementTypeGroup');
+  const measurementTypeButtons = [
+    {
+      button: documentRef.getElementById('measureTypeDistance'),
+      type: 'distance',
+      labelKey: 'viewer.measureType.distance',
+      fallback: 'Distance',
+    },
+    {
+      button: documentRef.getElementById('measureTypePolyline'),
+      type: 'polyline',
+      labelKey: 'viewer.measureType.polyline',
+      fallback: 'Polyline (double-click or Enter to finish)',
+    },
+    {
+      button: documentRef.getElementById('measureTypeGeodesic'),
+      type: 'geodesic',
+      labelKey: 'viewer.measureType.geodesic',
+      fallback: 'Surface path (double-click or Enter to finish)',
+    },
+    {
+      button: documentRef.getElementById('measureTypeAngle'),
+      type: 'angle',
+      labelKey: 'viewer.measureType.angle',
+      fallback: 'Angle (click the vertex, then one point on each arm)',
+    },
+    {
+      button: documentRef.getElementById('measureTypeArea'),
+      type: 'area',
+      labelKey: 'viewer.measureType.area',
+      fallback: 'Surface area (paint a region on the model, Enter to finish)',
+    },
+  ];
   const measurementOverlay = documentRef.getElementById('measurementOverlay');
   const compareButton = documentRef.getElementById('compareButton');
   const resetInterfaceButton = documentRef.getElementById('resetInterfaceButton');
@@ -285,6 +340,7 @@ export async function initInterface({
     coraLink,
     gbifLink,
     uberonLink,
+    citeButton,
     deriveUberonUrlFromModel,
   };
   const metadata = initMetadata(depsMetadata);
@@ -327,6 +383,8 @@ export async function initInterface({
     lightingButton,
     anaglyphButton,
     measureToggleButton,
+    measurementTypeGroup,
+    measurementTypeButtons,
     clippingToggleButton,
     rotationGizmoButton,
     getComparisonMode,
@@ -380,6 +438,8 @@ export async function initInterface({
     reapplyStatus,
     setProgressPercent,
     resetProgressPercent,
+    setLoadingNotice,
+    setLoadingPreview,
     getLastStatus,
   } = interfaceControls;
 
@@ -552,6 +612,8 @@ export async function initInterface({
     updateLightingButton();
     updateAnaglyphButton();
     updateMeasureButton();
+    landmarkPanel.render();
+    measurementPanel.render();
     syncClippingUI();
     updateFullscreenUI(isFullscreenActive);
     i18n.applyTranslations(documentRef);
@@ -587,6 +649,7 @@ export async function initInterface({
     loadDatasetModels: (...args) => loadDatasetModelsDelegate(...args),
     loadDatasetModelsForComparison: (...args) => loadDatasetModelsForComparisonDelegate(...args),
     loadModel: (...args) => loadModelDelegate(...args),
+    resetVariantSelect: (...args) => resetVariantSelectDelegate(...args),
     loadComparisonModelB: (...args) => loadComparisonModelBDelegate(...args),
     enterComparisonMode: (...args) => enterComparisonModeDelegate(...args),
     exitComparisonMode: (...args) => exitComparisonModeDelegate(...args),
@@ -625,6 +688,8 @@ export async function initInterface({
     setRotationGizmoHasModel,
     clearStatus,
     resetProgressPercent,
+    setLoadingNotice,
+    setLoadingPreview,
     supportsClipping,
   };
 
@@ -655,6 +720,82 @@ export async function initInterface({
   const searchHandlers = initSearch(searchDeps);
   searchHandlers.resetTaxonomyState();
 
+  const downloadPrompt = initDownloadPrompt({
+    dialogElement: largeDownloadDialog,
+    translate,
+    windowRef,
+  });
+
+  // Comparison mode cites both specimens, since each one used must be referenced.
+  const getCitedDetails = () => {
+    if (!getComparisonMode()) {
+      return [getCurrentMetadataDetail()];
+    }
+    const datasetIdA = getComparisonModelAId()?.datasetId || getActiveDatasetId();
+    return [datasetIdA, getActiveDatasetIdForB()]
+      .filter(Boolean)
+      .map((persistentId) => dataClient.getDatasetMetadata?.(persistentId) ?? null);
+  };
+
+  const occurrenceExport = initOccurrenceExport({
+    dialogElement: occurrenceExportDialog,
+    translate,
+    dataClient,
+    getDatasets: () => searchHandlers.getFilteredDatasets(),
+    setStatus,
+    setProgressPercent,
+    documentRef,
+    windowRef,
+  });
+
+  const citeDialogHandlers = initCiteDialog({
+    dialogElement: citeDialog,
+    translate,
+    getDetails: getCitedDetails,
+    documentRef,
+    windowRef,
+  });
+
+  // Landmarks and measurements are taken on the primary model, specimen A in
+  // comparison mode. Exports name it by its dataset title, falling back to the DOI.
+  const getPrimarySpecimen = () => {
+    const comparisonModelA = getComparisonMode() ? getComparisonModelAId() : null;
+    const datasetId = comparisonModelA?.datasetId || getActiveDatasetId();
+    const detail = comparisonModelA
+      ? dataClient.getDatasetMetadata?.(datasetId) ?? null
+      : getCurrentMetadataDetail();
+    return {
+      name: extractTitle(detail) || datasetId || 'specimen',
+      datasetId,
+      modelFileId: comparisonModelA ? comparisonModelA.modelKey : getActiveModelKey(),
+    };
+  };
+
+  const landmarkPanel = initLandmarkPanel({
+    panelElement: landmarkPanelElement,
+    toggleButton: landmarkToggleButton,
+    viewerApi,
+    translate,
+    setStatus,
+    getSpecimen: getPrimarySpecimen,
+    // Landmarks and measurements share the pointer: one turns the other off.
+    onModeChange: () => updateMeasureButton(),
+    documentRef,
+    windowRef,
+  });
+
+  const measurementPanel = initMeasurementPanel({
+    panelElement: measurementPanelElement,
+    toggleButton: measurementListButton,
+    clearButton: clearMeasurementsButton,
+    viewerApi,
+    translate,
+    setStatus,
+    getSpecimen: getPrimarySpecimen,
+    documentRef,
+    windowRef,
+  });
+
   const depsModel = {
     viewerApi,
     dataClient,
@@ -666,6 +807,12 @@ export async function initInterface({
     searchHandlers,
     datasetSelect,
     modelSelect,
+    versionSelect,
+    versionGroup,
+    variantSelect,
+    variantGroup,
+    upgradeVariantButton,
+    confirmDownload: downloadPrompt.confirm,
     reloadButton,
     compareButton,
     toggleLabelsButton,
@@ -714,6 +861,7 @@ export async function initInterface({
   loadDatasetModelsForComparisonDelegate = (...args) =>
     modelController.loadDatasetModelsForComparison(...args);
   loadModelDelegate = (...args) => modelController.loadModel(...args);
+  resetVariantSelectDelegate = (...args) => modelController.resetVariantSelect(...args);
   loadComparisonModelBDelegate = (...args) => modelController.loadComparisonModelB(...args);
   enterComparisonModeDelegate = (...args) => modelController.enterComparisonMode(...args);
   exitComparisonModeDelegate = (...args) => modelController.exitComparisonMode(...args);
@@ -790,6 +938,35 @@ export async function initInterface({
     updateCompareButtonState();
   };
 
+  const handleVersionSelectChange = (event) => {
+    const persistentId = getActiveDatasetId();
+    if (!persistentId || getComparisonMode()) {
+      return;
+    }
+    setActiveModelKey(null);
+    setComparisonModelAId(null);
+    modelSelect.value = '';
+    modelController.loadDatasetModels(persistentId, { version: event.target.value || null });
+    updateCompareButtonState();
+  };
+
+  const loadModelVariant = (variantKey) => {
+    const persistentId = getActiveDatasetId();
+    const modelKey = modelSelect.value;
+    if (!persistentId || !modelKey || !variantKey || getComparisonMode()) {
+      return;
+    }
+    modelController.loadModel(persistentId, modelKey, { variantKey, preserveView: true });
+  };
+
+  const handleVariantSelectChange = (event) => {
+    loadModelVariant(event.target.value);
+  };
+
+  const handleUpgradeVariantClick = () => {
+    loadModelVariant(upgradeVariantButton?.dataset.variantKey);
+  };
+
   const handleReloadButtonClick = () => {
     clearDatasetsCache();
     modelController.initDatasets({ force: true });
@@ -864,9 +1041,9 @@ export async function initInterface({
     setRotationGizmoHasModel(true);
   };
 
-  const handleViewerComparisonLoadError = () => {
+  const handleViewerComparisonLoadError = (event) => {
     resetProgressPercent();
-    setStatus('status.modelLoadFailure', 'error');
+    setStatus(getLoadErrorStatusKey(event?.reason), 'error');
     updateScaleReferenceButton();
   };
 
@@ -910,6 +1087,15 @@ export async function initInterface({
 
     datasetSelect.addEventListener('change', handleDatasetSelectChange);
     modelSelect.addEventListener('change', controllers.handleModelSelectChange);
+    if (versionSelect) {
+      versionSelect.addEventListener('change', handleVersionSelectChange);
+    }
+    if (variantSelect) {
+      variantSelect.addEventListener('change', handleVariantSelectChange);
+    }
+    if (upgradeVariantButton) {
+      upgradeVariantButton.addEventListener('click', handleUpgradeVariantClick);
+    }
 
     if (searchInput && searchHandlers) {
       searchInput.addEventListener('input', searchHandlers.handleSearchInput);
@@ -988,6 +1174,22 @@ export async function initInterface({
       screenshotButton.addEventListener('click', controllers.handleScreenshotButtonClick);
     }
 
+    if (citeButton) {
+      citeButton.addEventListener('click', () => citeDialogHandlers.open());
+    }
+
+    if (exportOccurrencesButton) {
+      exportOccurrencesButton.addEventListener('click', () => occurrenceExport.open());
+    }
+
+    if (landmarkToggleButton) {
+      landmarkToggleButton.addEventListener('click', () => landmarkPanel.toggle());
+    }
+
+    if (measurementListButton) {
+      measurementListButton.addEventListener('click', () => measurementPanel.toggle());
+    }
+
     if (fullscreenButton) {
       fullscreenButton.addEventListener('click', handleFullscreenToggle);
     }
@@ -1004,6 +1206,16 @@ export async function initInterface({
       clearMeasurementsButton.addEventListener('click', controllers.handleClearMeasurementsButtonClick);
     }
 
+    measurementTypeButtons.forEach(({ button, type }) => {
+      if (!button) {
+        return;
+      }
+      button.dataset.measurementType = type;
+      button.addEventListener('click', controllers.handleMeasurementTypeButtonClick);
+    });
+
+    documentRef.addEventListener('keydown', controllers.handleMeasurementKeyDown);
+
     orbitModeButtons.forEach(({ button, mode }) => {
       if (!button) {
         return;
@@ -1027,6 +1239,8 @@ export async function initInterface({
     bindViewerEvent('loadprogress', controllers.handleViewerLoadProgress);
     bindViewerEvent('loadend', controllers.handleViewerLoadEnd);
     bindViewerEvent('loaderror', controllers.handleViewerLoadError);
+    bindViewerEvent('loadretry', controllers.handleViewerLoadRetry);
+    bindViewerEvent('loadpreview', controllers.handleViewerLoadPreview);
     bindViewerEvent('comparisonmode', handleViewerComparisonMode);
     bindViewerEvent('normalizationscale', handleViewerNormalizationScale);
     bindViewerEvent('scalereference', handleViewerScaleReference);
@@ -1046,6 +1260,20 @@ export async function initInterface({
     refreshLanguageDependentUI();
   });
 
+  // Datasets, files and draft versions visible to the new token differ: drop
+  // prepared indexes, list the datasets again and reopen the active specimen
+  // with the new credentials.
+  const unsubscribeApiToken = onApiTokenChange(() => {
+    dataClient.resetCache?.();
+    const persistentId = getComparisonMode() ? null : getActiveDatasetId();
+    if (persistentId) {
+      setActiveModelKey(null);
+      setComparisonModelAId(null);
+      modelSelect.value = '';
+    }
+    modelController.initDatasets({ reopenDatasetId: persistentId });
+  });
+
   refreshLanguageDependentUI();
   modelController.initDatasets();
   registerEventHandlers();
@@ -1061,6 +1289,7 @@ export async function initInterface({
       documentRef.removeEventListener('webkitfullscreenchange', handleDocumentFullscreenChange);
       documentRef.removeEventListener('mozfullscreenchange', handleDocumentFullscreenChange);
       documentRef.removeEventListener('MSFullscreenChange', handleDocumentFullscreenChange);
+      documentRef.removeEventListener('keydown', controllers.handleMeasurementKeyDown);
       if (fullscreenButton) {
         fullscreenButton.removeEventListener('click', handleFullscreenToggle);
       }
@@ -1070,6 +1299,9 @@ export async function initInterface({
       if (typeof unsubscribe === 'function') {
         unsubscribe();
       }
+      unsubscribeApiToken();
+      landmarkPanel.destroy();
+      measurementPanel.destroy();
       viewerEventUnsubscribes.splice(0).forEach((unsubscribe) => {
         try {
           if (typeof unsubscribe === 'function') {
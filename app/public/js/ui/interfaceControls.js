@@ -26,6 +26,8 @@ import { initLoadingOverlay } from './loadingOverlay.js';
  *   reapplyStatus: () => void,
  *   setProgressPercent: (percent: number) => void,
  *   resetProgressPercent: () => void,
+ *   setLoadingNotice: (key: string|null) => void,
+ *   setLoadingPreview: (previewing: boolean) => void,
  *   getLastStatus: () => { key: string|null, fallback?: string, message?: string, type: string }|null,
  * }}
  */
@@ -116,7 +118,10 @@ export function initInterfaceControls({
     // Show centered loading overlay for all loading states
     if (type === 'loading' && loadingOverlayManager) {
       loadingOverlayManager.show(0, key);
-    } else if (type !== 'loading' && loadingOverlayManager) {
+    } else if (type === 'error' && loadingOverlayManager?.isVisible()) {
+      // A load that fails keeps the overlay, now explaining the failure.
+      loadingOverlayManager.showError(key);
+    } else if (loadingOverlayManager) {
       loadingOverlayManager.hide();
     }
   };
@@ -157,6 +162,18 @@ export function initInterfaceControls({
     lastProgressPercent = null;
   };
 
+  const setLoadingNotice = (key) => {
+    if (loadingOverlayManager && lastStatus?.type === 'loading') {
+      loadingOverlayManager.setNotice(key);
+    }
+  };
+
+  const setLoadingPreview = (previewing) => {
+    if (loadingOverlayManager && lastStatus?.type === 'loading') {
+      loadingOverlayManager.setPreviewing(previewing);
+    }
+  };
+
   if (!viewerApi) {
     throw new Error('initInterfaceControls requires a viewerApi instance');
   }
@@ -188,6 +205,8 @@ export function initInterfaceControls({
     reapplyStatus,
     setProgressPercent,
     resetProgressPercent,
+    setLoadingNotice,
+    setLoadingPreview,
     getLastStatus,
   };
 }
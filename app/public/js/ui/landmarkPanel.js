@@ -0,0 +1,275 @@
+import { BUILT_IN_LANDMARK_TEMPLATES, parseLandmarkTemplates } from '../data/landmarkTemplates.js';
+import { LANDMARK_FORMATS, formatLandmarks, isLandmarkSetComplete } from '../utils/landmarkFormats.js';
+import { downloadText, toFileNameBase } from '../utils/download.js';
+import { replaceListItems } from './listFocus.js';
+
+/**
+ * Landmark digitising panel: picks the template, prompts for the next
+ * landmark, lists the landmarks for relabelling, re-placing and removal, and
+ * exports the set as TPS, Morphologika or CSV.
+ *
+ * @param {object} deps
+ * @param {HTMLElement|null} deps.panelElement - `#landmarkPanel`.
+ * @param {HTMLButtonElement|null} deps.toggleButton - Toolbar button opening the panel.
+ * @param {object} deps.viewerApi
+ * @param {(key: string, fallback?: string) => string} deps.translate
+ * @param {(key: string, type?: string) => void} deps.setStatus
+ * @param {() => {name: string, datasetId: string|null, modelFileId: string|null}} deps.getSpecimen
+ *   Identifies the loaded specimen in exports.
+ * @param {() => void} [deps.onModeChange] - Called when landmark mode turns on
+ *   or off, which also turns the measurement tool off.
+ * @param {Document} [deps.documentRef]
+ * @param {Window} [deps.windowRef]
+ * @returns {{ toggle: () => void, render: () => void, destroy: () => void }}
+ */
+export function initLandmarkPanel({
+  panelElement,
+  toggleButton,
+  viewerApi,
+  translate,
+  setStatus,
+  getSpecimen,
+  onModeChange = () => {},
+  documentRef = document,
+  windowRef = window,
+}) {
+  const templateSelect = panelElement?.querySelector('.landmark-panel__template-select') ?? null;
+  const loadButton = panelElement?.querySelector('.landmark-panel__load') ?? null;
+  const fileInput = panelElement?.querySelector('.landmark-panel__file') ?? null;
+  const promptElement = panelElement?.querySelector('.landmark-panel__prompt') ?? null;
+  const listElement = panelElement?.querySelector('.landmark-panel__list') ?? null;
+  const closeButton = panelElement?.querySelector('.landmark-panel__close') ?? null;
+  const actionButtons = Array.from(panelElement?.querySelectorAll('.landmark-panel__actions button[value]') ?? []);
+
+  // Built-in templates first, then those loaded from files this session.
+  const templates = [...BUILT_IN_LANDMARK_TEMPLATES];
+
+  const isActive = () => viewerApi.isLandmarkToolActive?.() ?? false;
+
+  const renderToggleButton = () => {
+    if (!toggleButton) {
+      return;
+    }
+    const active = isActive();
+    const label = active
+      ? translate('landmarks.exit', 'Exit landmarks')
+      : translate('landmarks.toggle', 'Landmarks');
+    toggleButton.setAttribute('aria-label', label);
+    toggleButton.setAttribute('data-tooltip', label);
+    toggleButton.setAttribute('aria-pressed', active ? 'true' : 'false');
+  };
+
+  const renderTemplateOptions = () => {
+    if (!templateSelect) {
+      return;
+    }
+    const free = documentRef.createElement('option');
+    free.value = '';
+    free.textContent = translate('landmarks.freeTemplate', 'Free landmarks (no template)');
+    templateSelect.replaceChildren(
+      free,
+      ...templates.map((template) => {
+        const option = documentRef.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        return option;
+      })
+    );
+    templateSelect.value = viewerApi.getLandmarkTemplate?.()?.id ?? '';
+  };
+
+  const renderPrompt = (landmarks, activeIndex) => {
+    if (!promptElement) {
+      return;
+    }
+    if (!viewerApi.getLandmarkTemplate?.()) {
+      promptElement.textContent = `${translate('landmarks.promptFree', 'Click the model to add landmark')} ${landmarks.length + 1}`;
+      return;
+    }
+    const next = landmarks[activeIndex];
+    if (!next) {
+      promptElement.textContent = translate(
+        'landmarks.promptComplete',
+        'All landmarks placed. Drag a marker to move it, or select a landmark to place it again.'
+      );
+      return;
+    }
+    const description = next.description ? ` (${next.description})` : '';
+    promptElement.textContent = `${translate('landmarks.promptNext', 'Click')} ${activeIndex + 1}/${landmarks.length}: ${next.label}${description}`;
+  };
+
+  const renderList = (landmarks, activeIndex) => {
+    if (!listElement) {
+      return;
+    }
+    replaceListItems(
+      listElement,
+      landmarks.map((landmark, index) => {
+        const item = documentRef.createElement('li');
+        item.className = 'landmark-panel__item';
+        item.dataset.index = String(index);
+        item.classList.toggle('is-active', index === activeIndex);
+        item.classList.toggle('is-placed', Boolean(landmark.position));
+        if (landmark.description) {
+          item.title = landmark.description;
+        }
+
+        const pick = documentRef.createElement('button');
+        pick.type = 'button';
+        pick.className = 'landmark-panel__pick';
+        pick.textContent = String(index + 1);
+        pick.setAttribute('aria-pressed', index === activeIndex ? 'true' : 'false');
+        pick.setAttribute(
+          'aria-label',
+          `${translate(landmark.position ? 'landmarks.replace' : 'landmarks.place', landmark.position ? 'Place again' : 'Place')} ${landmark.id}`
+        );
+        pick.addEventListener('click', () => viewerApi.setActiveLandmarkIndex?.(index));
+
+        const input = documentRef.createElement('input');
+        input.type = 'text';
+        input.className = 'options-text-input landmark-panel__label';
+        input.value = landmark.label;
+        input.setAttribute('aria-label', `${translate('landmarks.labelAria', 'Label of landmark')} ${landmark.id}`);
+        input.addEventListener('change', () => viewerApi.renameLandmark?.(index, input.value));
+
+        item.append(pick, input);
+        if (landmark.position) {
+          const remove = documentRef.createElement('button');
+          remove.type = 'button';
+          remove.className = 'landmark-panel__remove';
+          remove.textContent = '×';
+          remove.setAttribute('aria-label', `${translate('landmarks.remove', 'Remove point')} ${landmark.id}`);
+          remove.addEventListener('click', () => viewerApi.removeLandmark?.(index));
+          item.append(remove);
+        }
+        return item;
+      }),
+      { key: 'index', documentRef }
+    );
+  };
+
+  const render = () => {
+    renderToggleButton();
+    if (!panelElement) {
+      return;
+    }
+    panelElement.hidden = !isActive();
+    const landmarks = viewerApi.getLandmarks?.() ?? [];
+    const activeIndex = viewerApi.getActiveLandmarkIndex?.() ?? -1;
+    renderTemplateOptions();
+    renderPrompt(landmarks, activeIndex);
+    renderList(landmarks, activeIndex);
+  };
+
+  const applyTemplate = (template) => {
+    const placed = (viewerApi.getLandmarks?.() ?? []).some((landmark) => landmark.position);
+    const confirmed =
+      !placed ||
+      typeof windowRef?.confirm !== 'function' ||
+      windowRef.confirm(translate('landmarks.confirmReplace', 'Discard the landmarks placed so far?'));
+    if (confirmed) {
+      viewerApi.setLandmarkTemplate?.(template);
+    }
+    render();
+  };
+
+  const handleTemplateChange = () => {
+    const id = templateSelect.value;
+    applyTemplate(templates.find((template) => template.id === id) ?? null);
+  };
+
+  const handleFileChange = async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    let loaded;
+    try {
+      loaded = parseLandmarkTemplates(await file.text());
+    } catch (error) {
+      console.warn(`Failed to read landmark template ${file.name}`, error);
+      setStatus('status.landmarkTemplateInvalid', 'error');
+      return;
+    }
+    loaded.forEach((template) => {
+      const existing = templates.findIndex((candidate) => candidate.id === template.id);
+      if (existing >= 0) {
+        templates[existing] = template;
+      } else {
+        templates.push(template);
+      }
+    });
+    applyTemplate(loaded[0]);
+  };
+
+  const download = (data, format, specimen) => {
+    const { extension, mimeType } = LANDMARK_FORMATS[format];
+    downloadText(data, {
+      fileName: `${toFileNameBase(specimen.name)}-landmarks.${extension}`,
+      mimeType,
+      documentRef,
+      windowRef,
+    });
+  };
+
+  const exportLandmarks = (format) => {
+    const set = viewerApi.getLandmarkSet?.();
+    if (!set || !set.landmarks.some((landmark) => landmark.position)) {
+      setStatus('status.landmarksEmpty', 'info');
+      return;
+    }
+    if (LANDMARK_FORMATS[format].requiresComplete && !isLandmarkSetComplete(set)) {
+      setStatus('status.landmarksIncomplete', 'error');
+      return;
+    }
+    const specimen = getSpecimen();
+    try {
+      download(formatLandmarks(format, [{ ...set, specimen }]), format, specimen);
+      setStatus('status.landmarksExported', 'info');
+    } catch (error) {
+      console.error('Failed to export landmarks', error);
+      setStatus('status.landmarkExportFailed', 'error');
+    }
+  };
+
+  const handleAction = (event) => {
+    const action = event.currentTarget.value;
+    if (action === 'clear') {
+      viewerApi.clearLandmarks?.();
+    } else if (LANDMARK_FORMATS[action]) {
+      exportLandmarks(action);
+    }
+  };
+
+  const handleModeChange = () => {
+    render();
+    onModeChange();
+  };
+
+  templateSelect?.addEventListener('change', handleTemplateChange);
+  loadButton?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', handleFileChange);
+  closeButton?.addEventListener('click', () => viewerApi.setLandmarkToolActive?.(false));
+  actionButtons.forEach((button) => button.addEventListener('click', handleAction));
+
+  const unsubscribes = [
+    viewerApi.addEventListener?.('landmarkschange', render),
+    viewerApi.addEventListener?.('landmarkmode', handleModeChange),
+  ];
+
+  const toggle = () => {
+    viewerApi.toggleLandmarkTool?.();
+    render();
+  };
+
+  const destroy = () => {
+    unsubscribes.splice(0).forEach((unsubscribe) => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+  };
+
+  return { toggle, render, destroy };
+}
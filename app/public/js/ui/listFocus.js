@@ -0,0 +1,26 @@
+/**
+ * Replaces the items of an editable list and gives focus back to the field
+ * that had it, so that editing one field and tabbing to the next, which
+ * re-renders the list, does not lose the caret.
+ *
+ * Items are told apart by a data attribute, and fields by their last class.
+ *
+ * @param {HTMLElement} listElement
+ * @param {HTMLElement[]} items - New items, each carrying `data-<key>`.
+ * @param {object} options
+ * @param {string} options.key - Dataset key naming the items, e.g. `id` for `data-id`.
+ * @param {Document} [options.documentRef]
+ */
+export function replaceListItems(listElement, items, { key, documentRef = document }) {
+  const attribute = `data-${key}`;
+  const focused = listElement.contains(documentRef.activeElement) ? documentRef.activeElement : null;
+  const focusKey = focused?.closest(`[${attribute}]`)?.dataset[key];
+  const focusClass = focused?.className;
+
+  listElement.replaceChildren(...items);
+
+  if (focusKey !== undefined && focusClass) {
+    const selector = `[${attribute}="${focusKey}"] .${focusClass.split(' ').pop()}`;
+    listElement.querySelector(selector)?.focus();
+  }
+}
@@ -1,5 +1,7 @@
 /**
  * Manages a centered loading overlay with animated spinner and rotating tech phrases.
+ * A failed load turns the overlay into an error message that stays until clicked.
+ * While a download preview is drawn, the overlay shrinks so the preview shows.
  *
  * @param {object} deps
  * @param {HTMLElement} deps.overlayElement - Container for the loading overlay
@@ -8,6 +10,10 @@
  *   show: (percent?: number) => void,
  *   hide: () => void,
  *   updateProgress: (percent: number) => void,
+ *   showError: (statusKey: string) => void,
+ *   setNotice: (noticeKey: string|null) => void,
+ *   setPreviewing: (previewing: boolean) => void,
+ *   isVisible: () => boolean,
  * }}
  */
 export function initLoadingOverlay({ overlayElement, translate }) {
@@ -41,10 +47,12 @@ export function initLoadingOverlay({ overlayElement, translate }) {
   let phraseInterval = null;
   let currentPercent = 0;
   let currentStatusKey = 'status.loadingGeometry';
+  let currentNoticeKey = null;
 
   const spinnerElement = overlayElement.querySelector('.loading-overlay-spinner');
   const phraseElement = overlayElement.querySelector('.loading-overlay-phrase');
   const statusElement = overlayElement.querySelector('.loading-overlay-status');
+  const noticeElement = overlayElement.querySelector('.loading-overlay-notice');
 
   /**
    * Selects and displays a random tech phrase.
@@ -64,6 +72,22 @@ export function initLoadingOverlay({ overlayElement, translate }) {
     statusElement.textContent = `${baseMessage} (${currentPercent}%)`;
   };
 
+  /**
+   * Displays the pending retry notice, if any.
+   */
+  const updateNoticeDisplay = () => {
+    if (!noticeElement) return;
+    noticeElement.textContent = currentNoticeKey ? translate(currentNoticeKey, '') : '';
+    noticeElement.hidden = !currentNoticeKey;
+  };
+
+  const stopPhraseRotation = () => {
+    if (phraseInterval) {
+      clearInterval(phraseInterval);
+      phraseInterval = null;
+    }
+  };
+
   /**
    * Shows the loading overlay with optional initial progress and status key.
    * @param {number} percent - Initial progress percentage
@@ -72,14 +96,15 @@ export function initLoadingOverlay({ overlayElement, translate }) {
   const show = (percent = 0, statusKey = 'status.loadingGeometry') => {
     currentPercent = percent;
     currentStatusKey = statusKey;
+    currentNoticeKey = null;
+    overlayElement.classList.remove('error', 'previewing');
     overlayElement.classList.add('visible');
     updatePhrase();
     updateProgressDisplay();
+    updateNoticeDisplay();
 
     // Rotate phrases every 2 seconds
-    if (phraseInterval) {
-      clearInterval(phraseInterval);
-    }
+    stopPhraseRotation();
     phraseInterval = setInterval(updatePhrase, 2000);
   };
 
@@ -87,20 +112,67 @@ export function initLoadingOverlay({ overlayElement, translate }) {
    * Hides the loading overlay and stops phrase rotation.
    */
   const hide = () => {
-    overlayElement.classList.remove('visible');
-    if (phraseInterval) {
-      clearInterval(phraseInterval);
-      phraseInterval = null;
+    overlayElement.classList.remove('visible', 'error', 'previewing');
+    currentNoticeKey = null;
+    updateNoticeDisplay();
+    stopPhraseRotation();
+  };
+
+  /**
+   * Replaces the progress display with the message of a failed load.
+   * @param {string} statusKey - Translation key of the error message
+   */
+  const showError = (statusKey) => {
+    stopPhraseRotation();
+    currentNoticeKey = null;
+    updateNoticeDisplay();
+    overlayElement.classList.remove('previewing');
+    overlayElement.classList.add('visible', 'error');
+    if (phraseElement) {
+      phraseElement.textContent = translate('status.loadErrorDismiss', 'Click to dismiss');
+    }
+    if (statusElement) {
+      statusElement.textContent = translate(statusKey, 'Failed to load the model.');
     }
   };
 
+  /**
+   * Shows a transient notice under the progress, e.g. while a download is retried.
+   * @param {string|null} noticeKey - Translation key, or null to clear it
+   */
+  const setNotice = (noticeKey) => {
+    currentNoticeKey = noticeKey || null;
+    updateNoticeDisplay();
+  };
+
+  /**
+   * Moves the progress out of the way of the model preview, or back.
+   * @param {boolean} previewing - Whether a preview is drawn behind the overlay
+   */
+  const setPreviewing = (previewing) => {
+    overlayElement.classList.toggle('previewing', Boolean(previewing));
+  };
+
+  const isVisible = () => overlayElement.classList.contains('visible');
+
+  overlayElement.addEventListener('click', () => {
+    if (overlayElement.classList.contains('error')) {
+      hide();
+    }
+  });
+
   /**
    * Updates the progress percentage.
    * @param {number} percent - Progress percentage
    * @param {string} statusKey - Optional translation key to update the status message
    */
   const updateProgress = (percent, statusKey) => {
-    currentPercent = Math.min(100, Math.max(0, Math.round(percent)));
+    const nextPercent = Math.min(100, Math.max(0, Math.round(percent)));
+    // Bytes arriving again mean the retry went through.
+    if (currentNoticeKey && nextPercent > currentPercent) {
+      setNotice(null);
+    }
+    currentPercent = nextPercent;
     if (statusKey) {
       currentStatusKey = statusKey;
     }
@@ -111,5 +183,9 @@ export function initLoadingOverlay({ overlayElement, translate }) {
     show,
     hide,
     updateProgress,
+    showError,
+    setNotice,
+    setPreviewing,
+    isVisible,
   };
 }
@@ -14,6 +14,8 @@
  * @param {HTMLElement|null} deps.lightingButton
  * @param {HTMLElement|null} deps.anaglyphButton
  * @param {HTMLElement|null} deps.measureToggleButton
+ * @param {HTMLElement|null} [deps.measurementTypeGroup] - Shown while the measurement tool is active.
+ * @param {Array<{button: HTMLElement|null, type: string, labelKey: string, fallback: string}>} [deps.measurementTypeButtons]
  * @param {HTMLElement|null} deps.clippingToggleButton
  * @param {HTMLElement|null} deps.rotationGizmoButton
  * @param {() => boolean} [deps.getComparisonMode]
@@ -51,6 +53,8 @@ export function initMaterialControls({
   lightingButton,
   anaglyphButton,
   measureToggleButton,
+  measurementTypeGroup = null,
+  measurementTypeButtons = [],
   clippingToggleButton,
   rotationGizmoButton,
   getComparisonMode,
@@ -284,6 +288,28 @@ export function initMaterialControls({
       measureToggleButton.setAttribute('aria-label', label);
       measureToggleButton.setAttribute('data-tooltip', label);
     }
+    updateMeasurementTypeButtons();
+  };
+
+  const updateMeasurementTypeButtons = () => {
+    const measurementEnabled = typeof renderingFacade.isMeasurementToolActive === 'function'
+      ? renderingFacade.isMeasurementToolActive()
+      : false;
+    if (measurementTypeGroup) {
+      measurementTypeGroup.hidden = !measurementEnabled;
+    }
+    const currentType = typeof renderingFacade.getMeasurementType === 'function'
+      ? renderingFacade.getMeasurementType()
+      : 'distance';
+    measurementTypeButtons.forEach(({ button, type, labelKey, fallback }) => {
+      if (!button) {
+        return;
+      }
+      const label = translate(labelKey, fallback);
+      button.setAttribute('aria-label', label);
+      button.setAttribute('data-tooltip', label);
+      button.setAttribute('aria-pressed', currentType === type ? 'true' : 'false');
+    });
   };
 
   const updateClippingButton = () => {
@@ -0,0 +1,296 @@
+import {
+  buildMeasurementSet,
+  formatMeasurementSetCsv,
+  formatMeasurementSetJson,
+  isMeasurementSetFor,
+  parseMeasurementSet,
+} from '../utils/measurementFormats.js';
+import {
+  loadStoredMeasurements,
+  removeStoredMeasurements,
+  storeMeasurements,
+} from '../utils/measurementStorage.js';
+import { downloadText, toFileNameBase } from '../utils/download.js';
+import { replaceListItems } from './listFocus.js';
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv', format: formatMeasurementSetCsv },
+  json: { extension: 'json', mimeType: 'application/json', format: formatMeasurementSetJson },
+};
+
+const TYPE_LABELS = {
+  distance: 'Distance',
+  polyline: 'Polyline',
+  geodesic: 'Surface path',
+  angle: 'Angle',
+  area: 'Area',
+};
+
+/**
+ * Measurement list: names measurements and attaches notes to them, removes
+ * them one by one, exports them as CSV or JSON and imports a JSON export
+ * again. It also keeps the measurements of each specimen model in local
+ * storage and restores them when the model is loaded again.
+ *
+ * @param {object} deps
+ * @param {HTMLElement|null} deps.panelElement - `#measurementPanel`.
+ * @param {HTMLButtonElement|null} deps.toggleButton - Toolbar button showing the list.
+ * @param {HTMLButtonElement|null} deps.clearButton - Toolbar button clearing the
+ *   measurements; clearing there also forgets the stored ones.
+ * @param {object} deps.viewerApi
+ * @param {(key: string, fallback?: string) => string} deps.translate
+ * @param {(key: string, type?: string) => void} deps.setStatus
+ * @param {() => {name: string, datasetId: string|null, modelFileId: string|null}} deps.getSpecimen
+ *   Identifies the primary model, for exports and storage.
+ * @param {Document} [deps.documentRef]
+ * @param {Window} [deps.windowRef]
+ * @returns {{ toggle: () => void, render: () => void, destroy: () => void }}
+ */
+export function initMeasurementPanel({
+  panelElement,
+  toggleButton,
+  clearButton,
+  viewerApi,
+  translate,
+  setStatus,
+  getSpecimen,
+  documentRef = document,
+  windowRef = window,
+}) {
+  const listElement = panelElement?.querySelector('.measurement-panel__list') ?? null;
+  const emptyElement = panelElement?.querySelector('.measurement-panel__empty') ?? null;
+  const fileInput = panelElement?.querySelector('.measurement-panel__file') ?? null;
+  const closeButton = panelElement?.querySelector('.measurement-panel__close') ?? null;
+  const actionButtons = Array.from(panelElement?.querySelectorAll('.measurement-panel__actions button[value]') ?? []);
+
+  let open = false;
+  // Restoring adds the measurements one by one; they are stored once at the end.
+  let restoring = false;
+
+  const getRecords = () => viewerApi.getMeasurementRecords?.() ?? [];
+
+  const formatValue = (record) =>
+    record.type === 'angle' ? `${record.value.toFixed(1)}°` : `${record.value.toFixed(2)} ${record.unit}`;
+
+  const renderToggleButton = () => {
+    if (!toggleButton) {
+      return;
+    }
+    toggleButton.setAttribute('aria-pressed', open ? 'true' : 'false');
+  };
+
+  const createItem = (record, index) => {
+    const item = documentRef.createElement('li');
+    item.className = 'measurement-panel__item';
+    item.dataset.id = String(record.id);
+
+    const header = documentRef.createElement('div');
+    header.className = 'measurement-panel__header';
+    const value = documentRef.createElement('span');
+    value.className = 'measurement-panel__value';
+    const type = translate(`measurements.type.${record.type}`, TYPE_LABELS[record.type] || record.type);
+    value.textContent = `${index + 1}. ${type} · ${formatValue(record)}`;
+    if (record.straightSegments) {
+      value.textContent += ' ⚠';
+      value.title = translate(
+        'measurements.straightSegments',
+        'Some segments could not follow the surface and were measured straight.'
+      );
+    }
+    const remove = documentRef.createElement('button');
+    remove.type = 'button';
+    remove.className = 'measurement-panel__remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `${translate('measurements.remove', 'Remove measurement')} ${index + 1}`);
+    remove.addEventListener('click', () => viewerApi.removeMeasurement?.(record.id));
+    header.append(value, remove);
+
+    const name = documentRef.createElement('input');
+    name.type = 'text';
+    name.className = 'options-text-input measurement-panel__name';
+    name.value = record.name;
+    name.placeholder = translate('measurements.name', 'Name');
+    name.setAttribute('aria-label', `${translate('measurements.nameAria', 'Name of measurement')} ${index + 1}`);
+    name.addEventListener('change', () => viewerApi.setMeasurementDetails?.(record.id, { name: name.value }));
+
+    const note = documentRef.createElement('textarea');
+    note.className = 'options-text-input measurement-panel__note';
+    note.rows = 2;
+    note.value = record.note;
+    note.placeholder = translate('measurements.note', 'Note');
+    note.setAttribute('aria-label', `${translate('measurements.noteAria', 'Note on measurement')} ${index + 1}`);
+    note.addEventListener('change', () => viewerApi.setMeasurementDetails?.(record.id, { note: note.value }));
+
+    item.append(header, name, note);
+    return item;
+  };
+
+  const renderList = (records) => {
+    if (!listElement) {
+      return;
+    }
+    replaceListItems(listElement, records.map(createItem), { key: 'id', documentRef });
+  };
+
+  const render = () => {
+    renderToggleButton();
+    if (!panelElement) {
+      return;
+    }
+    panelElement.hidden = !open;
+    if (!open) {
+      return;
+    }
+    const records = getRecords();
+    if (emptyElement) {
+      emptyElement.hidden = records.length > 0;
+    }
+    renderList(records);
+  };
+
+  const persist = () => {
+    if (!restoring) {
+      storeMeasurements(getSpecimen(), getRecords());
+    }
+  };
+
+  const restore = (records) => {
+    restoring = true;
+    try {
+      return viewerApi.restoreMeasurements?.(records) ?? 0;
+    } finally {
+      restoring = false;
+      render();
+    }
+  };
+
+  const handleMeasurementsChange = () => {
+    persist();
+    render();
+  };
+
+  const handleMeasurementAdd = (event) => {
+    handleMeasurementsChange();
+    if (event?.measurement?.straightSegments && !restoring) {
+      setStatus('status.measurementStraightSegments', 'info');
+    }
+  };
+
+  // A model loaded without measurements gets back those kept for it.
+  const handleLoadEnd = () => {
+    const records = loadStoredMeasurements(getSpecimen());
+    if (records.length && !getRecords().length) {
+      restore(records);
+    }
+  };
+
+  const download = (data, format, specimen) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadText(data, {
+      fileName: `${toFileNameBase(specimen.name)}-measurements.${extension}`,
+      mimeType,
+      documentRef,
+      windowRef,
+    });
+  };
+
+  const exportMeasurements = (format) => {
+    const records = getRecords();
+    if (!records.length) {
+      setStatus('status.measurementsEmpty', 'info');
+      return;
+    }
+    const specimen = getSpecimen();
+    try {
+      const set = buildMeasurementSet({ specimen, measurements: records });
+      download(EXPORT_FORMATS[format].format(set), format, specimen);
+      setStatus('status.measurementsExported', 'info');
+    } catch (error) {
+      console.error('Failed to export measurements', error);
+      setStatus('status.measurementExportFailed', 'error');
+    }
+  };
+
+  const handleFileChange = async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) {
+      return;
+    }
+    let set;
+    try {
+      set = parseMeasurementSet(await file.text());
+    } catch (error) {
+      console.warn(`Failed to read measurement file ${file.name}`, error);
+      setStatus('status.measurementImportInvalid', 'error');
+      return;
+    }
+    if (!isMeasurementSetFor(set, getSpecimen())) {
+      setStatus('status.measurementImportOtherModel', 'error');
+      return;
+    }
+    const confirmed =
+      !getRecords().length ||
+      typeof windowRef?.confirm !== 'function' ||
+      windowRef.confirm(translate('measurements.confirmReplace', 'Replace the measurements taken so far?'));
+    if (!confirmed) {
+      return;
+    }
+    viewerApi.clearMeasurements?.();
+    const restored = restore(set.measurements);
+    persist();
+    if (!restored) {
+      setStatus('status.measurementImportFailed', 'error');
+    } else if (restored < set.measurements.length) {
+      setStatus('status.measurementsPartlyImported', 'info');
+    } else {
+      setStatus('status.measurementsImported', 'info');
+    }
+  };
+
+  const handleAction = (event) => {
+    const action = event.currentTarget.value;
+    if (action === 'import') {
+      fileInput?.click();
+    } else if (EXPORT_FORMATS[action]) {
+      exportMeasurements(action);
+    }
+  };
+
+  const forgetStored = () => removeStoredMeasurements(getSpecimen());
+
+  const toggle = () => {
+    open = !open;
+    render();
+  };
+
+  const close = () => {
+    open = false;
+    render();
+  };
+
+  fileInput?.addEventListener('change', handleFileChange);
+  closeButton?.addEventListener('click', close);
+  clearButton?.addEventListener('click', forgetStored);
+  actionButtons.forEach((button) => button.addEventListener('click', handleAction));
+
+  const unsubscribes = [
+    viewerApi.addEventListener?.('measurementadd', handleMeasurementAdd),
+    viewerApi.addEventListener?.('measurementchange', handleMeasurementsChange),
+    viewerApi.addEventListener?.('measurementremove', handleMeasurementsChange),
+    // Clearing the scene is no reason to forget the stored measurements.
+    viewerApi.addEventListener?.('measurementscleared', render),
+    viewerApi.addEventListener?.('loadend', handleLoadEnd),
+  ];
+
+  const destroy = () => {
+    clearButton?.removeEventListener('click', forgetStored);
+    unsubscribes.splice(0).forEach((unsubscribe) => {
+      if (typeof unsubscribe === 'function') {
+        unsubscribe();
+      }
+    });
+  };
+
+  return { toggle, render, destroy };
+}
@@ -1,6 +1,7 @@
 /**
  * Metadata module responsible for extracting, normalising, and rendering dataset details.
  */
+import { describeDatasetVersion, extractCitation } from '../data/datasetMetadata.js';
 
 // ===== Internal State =====
 let translateRef = (key, fallback = '') => fallback;
@@ -9,6 +10,7 @@ let metadataPanelRef = null;
 let coraLinkRef = null;
 let gbifLinkRef = null;
 let uberonLinkRef = null;
+let citeButtonRef = null;
 let deriveUberonUrlFromModelRef = null;
 
 // ===== Helpers =====
@@ -418,6 +420,26 @@ function getMetadataBlock(blocks, targetName) {
   return Object.values(blocks).find((block) => block?.name?.toLowerCase() === lower);
 }
 
+function buildVersionSection(detail) {
+  const version = describeDatasetVersion(detail);
+  if (!version) {
+    return null;
+  }
+  const fields = [
+    {
+      label: translateRef('metadata.versionNumber', 'Version'),
+      values: [version.label],
+    },
+  ];
+  if (version.releaseTime) {
+    fields.push({
+      label: translateRef('metadata.versionReleased', 'Released'),
+      values: [String(version.releaseTime).slice(0, 10)],
+    });
+  }
+  return { title: translateRef('metadata.versionGroup', 'Dataset version'), fields };
+}
+
 function renderDatasetMetadataInternal(detail) {
   if (!metadataPanelRef) return;
   const panel = metadataPanelRef;
@@ -441,6 +463,13 @@ function renderDatasetMetadataInternal(detail) {
     sections.push({ title, fields });
   }
 
+  if (sections.length) {
+    const versionSection = buildVersionSection(detail);
+    if (versionSection) {
+      sections.unshift(versionSection);
+    }
+  }
+
   if (!sections.length) {
     const message = escapeHtml(
       translateRef('metadata.emptyData', 'No metadata available for this specimen.'),
@@ -467,6 +496,9 @@ function updateExternalLinksInternal(detail, modelInfo = null) {
     if (uberonLink) {
       uberonLink.hidden = true;
     }
+    if (citeButtonRef) {
+      citeButtonRef.hidden = true;
+    }
   };
 
   if (!detail) {
@@ -474,10 +506,15 @@ function updateExternalLinksInternal(detail, modelInfo = null) {
     return;
   }
 
+  if (citeButtonRef) {
+    citeButtonRef.hidden = !extractCitation(detail);
+  }
+
   const metadataBlocks = detail?.data?.latestVersion?.metadataBlocks || {};
   const darwinBlock = getMetadataBlock(metadataBlocks, 'darwincore');
 
-  const persistentUrl = detail?.data?.persistentUrl;
+  // Versioned detail links to that version's landing page rather than the latest one.
+  const persistentUrl = detail?.data?.versionUrl || detail?.data?.persistentUrl;
   if (persistentUrl) {
     coraLink.href = persistentUrl;
     coraLink.hidden = false;
@@ -525,6 +562,7 @@ function updateExternalLinksInternal(detail, modelInfo = null) {
  * @param {HTMLAnchorElement|null} deps.coraLink - CORA-RDR link element.
  * @param {HTMLAnchorElement|null} deps.gbifLink - GBIF link element.
  * @param {HTMLAnchorElement|null} deps.uberonLink - UBERON link element.
+ * @param {HTMLButtonElement|null} [deps.citeButton] - Opens the citation dialog.
  * @param {(modelInfo: object|null) => string|null} [deps.deriveUberonUrlFromModel] - Helper for generating UBERON URLs.
  */
 export function initMetadata(deps = {}) {
@@ -534,6 +572,7 @@ export function initMetadata(deps = {}) {
   coraLinkRef = deps.coraLink ?? coraLinkRef;
   gbifLinkRef = deps.gbifLink ?? gbifLinkRef;
   uberonLinkRef = deps.uberonLink ?? uberonLinkRef;
+  citeButtonRef = deps.citeButton ?? citeButtonRef;
   deriveUberonUrlFromModelRef =
     typeof deps.deriveUberonUrlFromModel === 'function'
       ? deps.deriveUberonUrlFromModel
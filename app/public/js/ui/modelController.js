@@ -22,6 +22,17 @@ import {
   selectModelToken,
   selectStateBeforeComparison,
 } from '../state/selectors.js';
+import { isAbortError } from '../utils/taskPool.js';
+import { formatBytes } from '../utils/format.js';
+import {
+  getFullResolutionVariant,
+  getLightestVariant,
+  getModelDownloadSize,
+  MATERIAL_LIBRARY_FORMATS,
+} from '../data/modelIndex.js';
+import { getLargeDownloadThreshold } from '../utils/downloadThreshold.js';
+import { getApiToken } from '../utils/authFetch.js';
+import { getLoadErrorStatusKey } from './controllers.js';
 
 /**
  * Coordinates dataset caching, loading, and reset flows for the viewer UI.
@@ -30,10 +41,11 @@ import {
 // ===== Cache =====
 const CACHE_KEY = 'dataverseCache';
 const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-const CACHE_VERSION = 2;
+const CACHE_VERSION = 4;
 
 // ===== Internal State =====
 let dataClientRef = null;
+let datasetIndexingControllerRef = null;
 let windowRef = typeof window !== 'undefined' ? window : undefined;
 let viewerApiRef = null;
 let translateRef = (key, fallback = '') => fallback;
@@ -44,6 +56,14 @@ let setProgressPercentRef = () => {};
 let resetProgressPercentRef = () => {};
 let datasetSelectRef = null;
 let modelSelectRef = null;
+let versionSelectRef = null;
+let versionGroupRef = null;
+let variantSelectRef = null;
+let variantGroupRef = null;
+let upgradeVariantButtonRef = null;
+let confirmDownloadRef = null;
+// Model currently shown as primary, restored in the selectors when a download is declined.
+let displayedModelRef = null;
 let reloadButtonRef = null;
 let compareButtonRef = null;
 let toggleLabelsButtonRef = null;
@@ -111,6 +131,30 @@ const setAllDatasetsInternalSafe = (datasets) => {
   return next;
 };
 
+/**
+ * Aborts the dataset listing or search-index preparation still in flight.
+ */
+const cancelDatasetIndexing = () => {
+  if (datasetIndexingControllerRef) {
+    datasetIndexingControllerRef.abort();
+    datasetIndexingControllerRef = null;
+  }
+};
+
+/**
+ * Cancels any previous indexing run and returns the signal of a new one.
+ *
+ * @returns {AbortSignal|undefined} Signal for the new run.
+ */
+const startDatasetIndexing = () => {
+  cancelDatasetIndexing();
+  if (typeof AbortController !== 'function') {
+    return undefined;
+  }
+  datasetIndexingControllerRef = new AbortController();
+  return datasetIndexingControllerRef.signal;
+};
+
 const clearMetadataPanel = () => {
   if (metadataRef?.renderDatasetMetadata) {
     metadataRef.renderDatasetMetadata(null);
@@ -123,17 +167,248 @@ const clearMetadataPanel = () => {
   }
 };
 
+// ===== Versions =====
+const resetVersionSelect = () => {
+  if (versionGroupRef) {
+    versionGroupRef.hidden = true;
+  }
+  if (versionSelectRef) {
+    versionSelectRef.innerHTML = '';
+    versionSelectRef.disabled = true;
+  }
+};
+
+const formatVersionOption = (version) => {
+  const label = version?.label || '';
+  if (version?.state === 'DRAFT') {
+    return getTranslate('selector.version.draft', 'Draft');
+  }
+  if (version?.state === 'DEACCESSIONED') {
+    return `${label} (${getTranslate('selector.version.deaccessioned', 'deaccessioned')})`;
+  }
+  const released = version?.releaseTime ? String(version.releaseTime).slice(0, 10) : '';
+  return released ? `${label} · ${released}` : label;
+};
+
+/**
+ * Fills the version selector for the active dataset. Runs in the background so
+ * the model list does not wait for the versions endpoint.
+ *
+ * @param {string} persistentId - Dataset whose versions are listed.
+ * @param {object} entry - Prepared cache entry.
+ * @param {number} token - Model token captured by the caller.
+ */
+const renderVersionOptions = async (persistentId, entry, token) => {
+  if (!versionSelectRef || !dataClientRef?.supportsVersions) {
+    resetVersionSelect();
+    return;
+  }
+  if (versionGroupRef) {
+    versionGroupRef.hidden = false;
+  }
+  versionSelectRef.disabled = true;
+  const loadingOption = getEscaped(getTranslate('selector.version.loading', 'Loading versions...'));
+  versionSelectRef.innerHTML = `<option value="">${loadingOption}</option>`;
+
+  try {
+    const versions = await dataClientRef.listDatasetVersions(persistentId);
+    if (!isCurrentModelToken(token)) {
+      return;
+    }
+    const latestLabel = versions[0]?.label || entry?.version?.label || '';
+    const latestOption = getEscaped(
+      `${getTranslate('selector.version.latest', 'Latest')}${latestLabel ? ` (${latestLabel})` : ''}`,
+    );
+    versionSelectRef.innerHTML =
+      `<option value="">${latestOption}</option>` +
+      versions
+        .map(
+          (version) =>
+            `<option value="${getEscaped(version.id)}">${getEscaped(
+              formatVersionOption(version),
+            )}</option>`,
+        )
+        .join('');
+    versionSelectRef.value = entry?.selectedVersionId || '';
+    versionSelectRef.disabled = versions.length < 2 || Boolean(getComparisonModeRef());
+  } catch (error) {
+    console.warn('Failed to list dataset versions', error);
+    if (isCurrentModelToken(token)) {
+      resetVersionSelect();
+    }
+  }
+};
+
+// Restricted and embargoed files stay selectable (an API token may unlock them) but show a lock.
+const formatAccessLabel = (label, access) => {
+  if (!access || access === 'public') {
+    return label;
+  }
+  const state =
+    access === 'embargoed'
+      ? getTranslate('selector.model.embargoed', 'embargoed')
+      : getTranslate('selector.model.restricted', 'restricted');
+  return `🔒 ${label} (${state})`;
+};
+
+// ===== Variants =====
+const resetVariantSelect = () => {
+  if (variantGroupRef) {
+    variantGroupRef.hidden = true;
+  }
+  if (variantSelectRef) {
+    variantSelectRef.innerHTML = '';
+    variantSelectRef.disabled = true;
+  }
+  if (upgradeVariantButtonRef) {
+    upgradeVariantButtonRef.hidden = true;
+    upgradeVariantButtonRef.disabled = true;
+    delete upgradeVariantButtonRef.dataset.variantKey;
+  }
+};
+
+const getVariantDownloadSize = (variant) => variant?.downloadSize ?? variant?.size ?? null;
+
+const COMPRESSION_LABELS = { draco: 'Draco', meshopt: 'Meshopt' };
+
+const formatVariantOption = (variant) => {
+  const parts = [variant.label, String(variant.format || '').toUpperCase()];
+  // DRC files are Draco by definition; compressed glTF is worth pointing out.
+  if (variant.compression && variant.format !== 'drc') {
+    parts.push(COMPRESSION_LABELS[variant.compression]);
+  }
+  const size = getVariantDownloadSize(variant);
+  if (size !== null) {
+    parts.push(formatBytes(size));
+  }
+  return formatAccessLabel(parts.filter(Boolean).join(' · '), variant.access);
+};
+
+/**
+ * Lists the variants of the loaded model and offers the full-resolution one
+ * when a lighter variant is displayed.
+ *
+ * @param {object|null} modelInfo - Model descriptor from the dataset index.
+ * @param {string} activeVariantKey - Variant currently in the viewer.
+ */
+const renderVariantOptions = (modelInfo, activeVariantKey) => {
+  const variants = modelInfo?.variants ?? [];
+  if (!variantSelectRef || variants.length < 2) {
+    resetVariantSelect();
+    return;
+  }
+  if (variantGroupRef) {
+    variantGroupRef.hidden = false;
+  }
+  variantSelectRef.innerHTML = variants
+    .map(
+      (variant) =>
+        `<option value="${getEscaped(variant.key)}">${getEscaped(formatVariantOption(variant))}</option>`,
+    )
+    .join('');
+  variantSelectRef.value = activeVariantKey;
+  variantSelectRef.disabled = Boolean(getComparisonModeRef());
+
+  if (upgradeVariantButtonRef) {
+    const fullVariant = getFullResolutionVariant(modelInfo);
+    const canUpgrade = Boolean(fullVariant) && fullVariant.key !== activeVariantKey;
+    upgradeVariantButtonRef.hidden = !canUpgrade;
+    upgradeVariantButtonRef.disabled = !canUpgrade || Boolean(getComparisonModeRef());
+    if (canUpgrade) {
+      const label = getTranslate('sidebar.variantUpgrade', 'Load full resolution');
+      const size = getVariantDownloadSize(fullVariant);
+      upgradeVariantButtonRef.textContent = size !== null ? `${label} (${formatBytes(size)})` : label;
+      upgradeVariantButtonRef.dataset.variantKey = fullVariant.key;
+    } else {
+      delete upgradeVariantButtonRef.dataset.variantKey;
+    }
+  }
+};
+
+// ===== Download size =====
+
+/**
+ * Asks for confirmation when a variant's estimated download exceeds the
+ * configured threshold, offering a lighter variant or a load without textures.
+ *
+ * @param {object|null} modelInfo - Model descriptor from the dataset index.
+ * @param {object|null} variant - Variant about to be loaded.
+ * @returns {Promise<{variantKey: string|undefined, skipTextures: boolean}|null>}
+ *   Options for `createModelSource`, or null when the download was declined.
+ */
+const confirmDownload = async (modelInfo, variant) => {
+  const accepted = { variantKey: variant?.key, skipTextures: false };
+  const size = variant?.downloadSize ?? null;
+  const threshold = getLargeDownloadThreshold();
+  if (!threshold || size === null || size <= threshold || typeof confirmDownloadRef !== 'function') {
+    return accepted;
+  }
+
+  const lightest = getLightestVariant(modelInfo);
+  const lighter =
+    lightest && lightest.key !== variant.key && lightest.downloadSize !== null && lightest.downloadSize < size
+      ? lightest
+      : null;
+  const texturelessSize =
+    MATERIAL_LIBRARY_FORMATS.includes(variant.format) && variant.textureSize > 0
+      ? size - variant.textureSize
+      : null;
+
+  const choice = await confirmDownloadRef({
+    name: modelInfo?.displayName || variant.label,
+    size,
+    lighterSize: lighter?.downloadSize ?? null,
+    texturelessSize,
+  });
+  if (choice === 'load') {
+    return accepted;
+  }
+  if (choice === 'lighter' && lighter) {
+    return { variantKey: lighter.key, skipTextures: false };
+  }
+  if (choice === 'skip-textures') {
+    return { variantKey: variant.key, skipTextures: true };
+  }
+  return null;
+};
+
+// Puts the selectors back on the model still displayed after a declined download.
+const restoreDisplayedModelSelection = (persistentId, modelInfo) => {
+  const displayed = displayedModelRef;
+  const sameDataset = displayed && displayed.datasetId === persistentId;
+  if (modelSelectRef) {
+    modelSelectRef.value = sameDataset ? displayed.modelKey : '';
+  }
+  if (sameDataset && modelInfo && displayed.modelKey === modelInfo.key) {
+    renderVariantOptions(modelInfo, displayed.variantKey);
+  } else {
+    resetVariantSelect();
+  }
+};
+
 // ===== Datasets =====
-const loadDatasetsFromAPI = async ({ force = false, onProgress } = {}) => {
+const loadDatasetsFromAPI = async ({ force = false, onProgress, signal } = {}) => {
   if (!dataClientRef) {
     throw new Error('Data client not provided');
   }
 
-  const datasets = await dataClientRef.listDatasets({ force, onProgress });
+  const datasets = await dataClientRef.listDatasets({ force, onProgress, signal });
+  saveDatasetsToCache(datasets, dataClientRef.getDatasetStamps?.() ?? {});
+  return datasets;
+};
+
+// Lists read with an API token may include restricted or draft datasets; they
+// are kept out of localStorage, which outlives the token's session.
+const saveDatasetsToCache = (datasets, stamps) => {
+  if (getApiToken()) {
+    return;
+  }
   const payload = {
     datasets,
+    stamps,
     timestamp: Date.now(),
     version: CACHE_VERSION,
+    source: dataClientRef?.sourceId || null,
   };
 
   try {
@@ -141,11 +416,19 @@ const loadDatasetsFromAPI = async ({ force = false, onProgress } = {}) => {
   } catch (error) {
     console.warn('Failed to store dataverse cache', error);
   }
-
-  return datasets;
 };
 
+/**
+ * Reads the cached dataset list of the current data source. Expired entries
+ * are still returned, flagged, so that they can be revalidated instead of
+ * reloaded. The anonymous list is not used while an API token is set.
+ *
+ * @returns {{datasets: object[], stamps: Record<string, string|null>, expired: boolean}|null}
+ */
 const loadDatasetsFromCache = () => {
+  if (getApiToken()) {
+    return null;
+  }
   try {
     const raw = windowRef?.localStorage?.getItem(CACHE_KEY);
     if (!raw) return null;
@@ -154,16 +437,78 @@ const loadDatasetsFromCache = () => {
     if (cached.version !== CACHE_VERSION) {
       return null;
     }
-    if (Date.now() - cached.timestamp > CACHE_TTL_MS) {
+    if ((cached.source || null) !== (dataClientRef?.sourceId || null)) {
       return null;
     }
-    return cached.datasets;
+    return {
+      datasets: cached.datasets,
+      stamps: cached.stamps && typeof cached.stamps === 'object' ? cached.stamps : {},
+      expired: Date.now() - cached.timestamp > CACHE_TTL_MS,
+    };
   } catch (error) {
     console.warn('Failed to read dataverse cache', error);
     return null;
   }
 };
 
+/**
+ * Tells whether a cached listing can be brought up to date incrementally,
+ * i.e. the data source revalidates and at least one dataset has a stamp.
+ *
+ * @param {{stamps: Record<string, string|null>}} cached
+ * @returns {boolean}
+ */
+const canRevalidateCache = (cached) =>
+  typeof dataClientRef?.revalidateDatasets === 'function' &&
+  Object.values(cached.stamps).some((stamp) => stamp !== null && stamp !== undefined);
+
+/**
+ * Checks a cached listing against the data source and marks the specimens
+ * that were added, updated or removed since it was stored. Marks only live in
+ * the selector; the refreshed cache holds the plain list.
+ *
+ * @param {{datasets: object[], stamps: Record<string, string|null>}} cached
+ * @param {object} options
+ * @param {number} options.token - Dataset token of the `initDatasets` run.
+ * @param {AbortSignal} [options.signal] - Cancels the check.
+ * @returns {Promise<void>}
+ */
+const revalidateCachedDatasets = async (cached, { token, signal }) => {
+  const result = await dataClientRef.revalidateDatasets(cached, { signal });
+  if (!isCurrentToken(token)) {
+    return;
+  }
+  saveDatasetsToCache(result.datasets, result.stamps);
+
+  const added = new Set(result.added);
+  const updated = new Set(result.updated);
+  if (!added.size && !updated.size && !result.removed.length) {
+    return;
+  }
+
+  const marked = [
+    ...result.datasets.map((info) => {
+      if (added.has(info.value)) return { ...info, changeState: 'new' };
+      if (updated.has(info.value)) return { ...info, changeState: 'updated' };
+      return info;
+    }),
+    ...result.removed.map((info) => ({ ...info, changeState: 'removed' })),
+  ];
+
+  // Rebuilding the selectors clears the selection; keep the open specimen.
+  const selectedValue = datasetSelectRef?.value || '';
+  const normalizedDatasets = setAllDatasetsInternalSafe(marked);
+  searchHandlersRef?.initializeTaxonomySelectors?.(normalizedDatasets);
+  const selectedDataset = normalizedDatasets.find((info) => info.value === selectedValue);
+  if (selectedDataset) {
+    searchHandlersRef?.syncTaxonomyWithDataset?.(selectedDataset);
+  }
+  searchHandlersRef?.refreshSpecimenOptions?.('status.datasetsRevalidated');
+  if (selectedDataset && datasetSelectRef) {
+    datasetSelectRef.value = selectedValue;
+  }
+};
+
 const clearDatasetsCache = () => {
   try {
     windowRef?.localStorage?.removeItem(CACHE_KEY);
@@ -172,9 +517,45 @@ const clearDatasetsCache = () => {
   }
 };
 
-const initDatasets = async ({ force = false } = {}) => {
+/**
+ * Opens a dataset of the list just shown, e.g. the active specimen after the
+ * API token changed. Opening it stops the background indexing.
+ *
+ * @param {object[]} datasets - Normalized list entries.
+ * @param {string|null} persistentId
+ * @returns {boolean} Whether the dataset is listed and being opened.
+ */
+const reopenListedDataset = (datasets, persistentId) => {
+  const dataset = persistentId
+    ? datasets.find(
+        (entry) => entry?.persistentId === persistentId || entry?.value === persistentId,
+      )
+    : null;
+  if (!dataset) {
+    return false;
+  }
+  if (datasetSelectRef) {
+    datasetSelectRef.value = persistentId;
+  }
+  searchHandlersRef?.syncTaxonomyWithDataset?.(dataset);
+  loadDatasetModels(persistentId);
+  return true;
+};
+
+/**
+ * Loads the dataset list, from the cache when possible, and prepares the
+ * search index in the background.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Skips the cached list.
+ * @param {string|null} [options.reopenDatasetId] - Dataset to open again once
+ *   the list is shown, if it is still listed.
+ * @returns {Promise<void>}
+ */
+const initDatasets = async ({ force = false, reopenDatasetId = null } = {}) => {
   const currentToken =
     typeof incrementDatasetTokenRef === 'function' ? incrementDatasetTokenRef() : 0;
+  const signal = startDatasetIndexing();
 
   setStatusRef('status.loadingDatasets');
   setProgressPercentRef(0);
@@ -195,11 +576,8 @@ const initDatasets = async ({ force = false } = {}) => {
     modelSelectRef.innerHTML = `<option value="">${selectDatasetOption}</option>`;
   }
 
-  if (reloadButtonRef) {
-    reloadButtonRef.disabled = true;
-  }
-
   searchHandlersRef?.resetTaxonomyState?.();
+  resetVersionSelect();
   setAllDatasetsInternalSafe([]);
   viewerApiRef?.clearScene?.({ preserveComparison: false });
   clearMetadataPanel();
@@ -207,24 +585,40 @@ const initDatasets = async ({ force = false } = {}) => {
 
   try {
     let datasets = null;
-    if (!force) {
-      datasets = loadDatasetsFromCache();
-      if (datasets && isCurrentToken(currentToken)) {
-        const normalizedDatasets = setAllDatasetsInternalSafe(datasets);
-        searchHandlersRef?.initializeTaxonomySelectors?.(normalizedDatasets);
-        searchHandlersRef?.refreshSpecimenOptions?.('status.datasetsLoadedFromCache');
-
-        console.log('Datasets loaded from cache, building initial search index...');
-        await searchHandlersRef?.buildSearchIndex?.();
-        if (reloadButtonRef) {
-          reloadButtonRef.disabled = false;
+    const cached = force ? null : loadDatasetsFromCache();
+    const revalidate = Boolean(cached) && canRevalidateCache(cached);
+    if (cached && (!cached.expired || revalidate) && isCurrentToken(currentToken)) {
+      const normalizedDatasets = setAllDatasetsInternalSafe(cached.datasets);
+      searchHandlersRef?.initializeTaxonomySelectors?.(normalizedDatasets);
+      searchHandlersRef?.refreshSpecimenOptions?.('status.datasetsLoadedFromCache');
+      if (reopenListedDataset(normalizedDatasets, reopenDatasetId)) {
+        return;
+      }
+
+      // The cached list stays usable while the check runs; updated records are
+      // fetched before the search index so that they are not prepared twice.
+      if (typeof dataClientRef?.revalidateDatasets === 'function') {
+        try {
+          await revalidateCachedDatasets(cached, { token: currentToken, signal });
+        } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+          console.warn('Failed to revalidate cached datasets', error);
         }
+      }
+      if (!isCurrentToken(currentToken)) {
         return;
       }
+
+      console.log('Datasets loaded from cache, building initial search index...');
+      await searchHandlersRef?.buildSearchIndex?.({ signal });
+      return;
     }
 
     datasets = await loadDatasetsFromAPI({
       force: true,
+      signal,
       onProgress: (ratio) => {
         if (!isCurrentToken(currentToken)) {
           return;
@@ -243,13 +637,19 @@ const initDatasets = async ({ force = false } = {}) => {
     const normalizedDatasets = setAllDatasetsInternalSafe(datasets);
     searchHandlersRef?.initializeTaxonomySelectors?.(normalizedDatasets);
     searchHandlersRef?.refreshSpecimenOptions?.('status.datasetsLoadedFromAPI');
+    if (reopenListedDataset(normalizedDatasets, reopenDatasetId)) {
+      return;
+    }
 
     console.log('Datasets loaded, building initial search index...');
-    await searchHandlersRef?.buildSearchIndex?.();
+    await searchHandlersRef?.buildSearchIndex?.({ signal });
   } catch (error) {
+    if (isAbortError(error)) {
+      return;
+    }
     console.error(error);
     if (isCurrentToken(currentToken)) {
-      setStatusRef('status.datasetsLoadError', 'error');
+      setStatusRef(getLoadErrorStatusKey(error?.reason, 'status.datasetsLoadError'), 'error');
     }
   } finally {
     if (!isCurrentToken(currentToken)) {
@@ -264,7 +664,7 @@ const initDatasets = async ({ force = false } = {}) => {
 };
 
 // ===== Modeles =====
-const formatModelLabel = (model) => {
+const formatBaseModelLabel = (model) => {
   if (typeof formatModelOptionLabelRef === 'function') {
     try {
       const label = formatModelOptionLabelRef(model);
@@ -278,6 +678,12 @@ const formatModelLabel = (model) => {
   return model?.displayName || model?.label || model?.key || '';
 };
 
+const formatModelLabel = (model) => {
+  const size = getModelDownloadSize(model);
+  const label = formatBaseModelLabel(model);
+  return formatAccessLabel(size !== null ? `${label} · ${formatBytes(size)}` : label, model?.access);
+};
+
 const loadDatasetModelsForComparison = async (persistentId) => {
   if (!modelSelectRef) {
     return;
@@ -294,6 +700,8 @@ const loadDatasetModelsForComparison = async (persistentId) => {
     return;
   }
 
+  cancelDatasetIndexing();
+
   try {
     setActiveDatasetIdForBRef?.(persistentId);
     modelSelectRef.disabled = true;
@@ -306,7 +714,7 @@ const loadDatasetModelsForComparison = async (persistentId) => {
     const models = entry?.models ?? [];
     if (!models.length) {
       const noModelsOption = getEscaped(
-        getTranslate('selector.model.none', 'No OBJ/MTL model found'),
+        getTranslate('selector.model.none', 'No 3D model found'),
       );
       modelSelectRef.innerHTML = `<option value="">${noModelsOption}</option>`;
       modelSelectRef.disabled = true;
@@ -337,12 +745,15 @@ const loadDatasetModelsForComparison = async (persistentId) => {
   }
 };
 
-const loadDatasetModels = async (persistentId) => {
+const loadDatasetModels = async (persistentId, { version } = {}) => {
   const currentToken =
     typeof incrementModelTokenRef === 'function' ? incrementModelTokenRef() : 0;
+  // Background index preparation would otherwise compete with the selected dataset.
+  cancelDatasetIndexing();
 
   if (!getComparisonModeRef()) {
     viewerApiRef?.clearScene?.({ preserveComparison: false });
+    resetVariantSelect();
   }
 
   if (!persistentId) {
@@ -357,6 +768,7 @@ const loadDatasetModels = async (persistentId) => {
       modelSelectRef.disabled = true;
     }
     clearMetadataPanel();
+    resetVersionSelect();
     setStatusRef('status.selectDatasetAndModel', 'info');
     updateCompareButtonStateRef?.();
     return;
@@ -375,11 +787,16 @@ const loadDatasetModels = async (persistentId) => {
       modelSelectRef.innerHTML = `<option value="">${loadingModelsOption}</option>`;
     }
 
-    const entry = await dataClientRef.ensureDatasetPrepared(persistentId);
+    const entry =
+      version !== undefined
+        ? await dataClientRef.selectDatasetVersion(persistentId, version)
+        : await dataClientRef.ensureDatasetPrepared(persistentId);
     if (!isCurrentModelToken(currentToken)) {
       return;
     }
 
+    renderVersionOptions(persistentId, entry, currentToken);
+
     const detail = entry?.detail ?? null;
     setCurrentMetadataDetailRef?.(detail);
     metadataRef?.renderDatasetMetadata?.(detail);
@@ -389,7 +806,7 @@ const loadDatasetModels = async (persistentId) => {
     if (!models.length) {
       if (modelSelectRef) {
         const noModelsOption = getEscaped(
-          getTranslate('selector.model.none', 'No OBJ/MTL model found'),
+          getTranslate('selector.model.none', 'No 3D model found'),
         );
         modelSelectRef.innerHTML = `<option value="">${noModelsOption}</option>`;
         modelSelectRef.disabled = true;
@@ -415,7 +832,7 @@ const loadDatasetModels = async (persistentId) => {
       modelSelectRef.disabled = false;
     }
     setStatusRef('status.selectModel', 'info');
-    await searchHandlersRef?.buildSearchIndex?.();
+    await searchHandlersRef?.buildSearchIndex?.({ signal: startDatasetIndexing() });
     updateCompareButtonStateRef?.();
   } catch (error) {
     console.error(error);
@@ -427,21 +844,40 @@ const loadDatasetModels = async (persistentId) => {
       modelSelectRef.disabled = true;
     }
     if (isCurrentModelToken(currentToken)) {
-      setStatusRef('status.datasetLoadFailure', 'error');
+      setStatusRef(getLoadErrorStatusKey(error?.reason, 'status.datasetLoadFailure'), 'error');
     }
     updateCompareButtonStateRef?.();
   }
 };
 
-const loadModel = async (persistentId, modelKey) => {
+/**
+ * Loads a model into the primary viewer. Without an explicit variant the
+ * lightest one is shown first; the full-resolution variant is then offered
+ * through the variant selector and upgrade button.
+ *
+ * @param {string} persistentId - Dataset identifier.
+ * @param {string} modelKey - Model key within the dataset.
+ * @param {object} [options]
+ * @param {string} [options.variantKey] - Variant to load.
+ * @param {boolean} [options.preserveView=false] - Keep the camera while swapping variants.
+ */
+const loadModel = async (persistentId, modelKey, { variantKey, preserveView = false } = {}) => {
   const currentToken =
     typeof incrementModelTokenRef === 'function' ? incrementModelTokenRef() : 0;
 
   if (!persistentId || !modelKey) {
+    resetVariantSelect();
     setStatusRef('status.selectModel', 'info');
     return;
   }
 
+  if (preserveView) {
+    if (variantSelectRef) variantSelectRef.disabled = true;
+    if (upgradeVariantButtonRef) upgradeVariantButtonRef.disabled = true;
+  } else {
+    resetVariantSelect();
+  }
+
   try {
     setStatusRef('status.loadingGeometry');
     const entry = await dataClientRef.ensureDatasetPrepared(persistentId);
@@ -449,7 +885,22 @@ const loadModel = async (persistentId, modelKey) => {
       entry?.modelMap && typeof entry.modelMap.get === 'function'
         ? entry.modelMap.get(modelKey)
         : null;
-    const source = await dataClientRef.createModelSource(persistentId, modelKey);
+    const requestedVariant =
+      (variantKey && modelInfo?.variants?.find((variant) => variant.key === variantKey)) ||
+      getLightestVariant(modelInfo);
+    const loadOptions = await confirmDownload(modelInfo, requestedVariant);
+    if (!isCurrentModelToken(currentToken)) {
+      return;
+    }
+    if (!loadOptions) {
+      restoreDisplayedModelSelection(persistentId, modelInfo);
+      setStatusRef('status.downloadCancelled', 'info');
+      return;
+    }
+    const source = await dataClientRef.createModelSource(persistentId, modelKey, {
+      variantKey: loadOptions.variantKey || variantKey,
+      skipTextures: loadOptions.skipTextures,
+    });
 
     if (!isCurrentModelToken(currentToken)) {
       return;
@@ -458,11 +909,13 @@ const loadModel = async (persistentId, modelKey) => {
     if (typeof viewerApiRef?.displayPrimaryModel !== 'function') {
       throw new Error('viewerApi.displayPrimaryModel is not available');
     }
-    await viewerApiRef.displayPrimaryModel(source);
+    await viewerApiRef.displayPrimaryModel(source, { preserveView });
     if (!isCurrentModelToken(currentToken)) {
       return;
     }
 
+    displayedModelRef = { datasetId: persistentId, modelKey, variantKey: source.variantKey };
+    renderVariantOptions(modelInfo, source.variantKey);
     clearStatusRef();
     let detail =
       typeof source?.getMetadataDetail === 'function'
@@ -487,11 +940,11 @@ const loadModel = async (persistentId, modelKey) => {
     });
 
     const uberonContext = {
-      objDirectory: source?.objDirectory,
-      directory: modelInfo?.directory || modelInfo?.objEntry?.directory,
+      modelDirectory: source?.modelDirectory,
+      directory: modelInfo?.directory || modelInfo?.modelEntry?.directory,
       displayName: modelInfo?.displayName || source?.displayName,
-      objEntryDirectory: modelInfo?.objEntry?.directory,
-      objEntryLabel: modelInfo?.objEntry?.file?.label,
+      modelEntryDirectory: modelInfo?.modelEntry?.directory,
+      modelEntryLabel: modelInfo?.modelEntry?.file?.label,
       mtlDirectory: modelInfo?.mtlEntry?.directory,
       getPreferredTextureDirectory:
         typeof source?.getPreferredTextureDirectory === 'function'
@@ -559,6 +1012,16 @@ const enterComparisonMode = async () => {
     datasetSelectRef.disabled = false;
   }
 
+  if (versionSelectRef) {
+    versionSelectRef.disabled = true;
+  }
+  if (variantSelectRef) {
+    variantSelectRef.disabled = true;
+  }
+  if (upgradeVariantButtonRef) {
+    upgradeVariantButtonRef.disabled = true;
+  }
+
   updateCompareButtonStateRef?.();
 
   try {
@@ -602,6 +1065,7 @@ const enterComparisonMode = async () => {
 
 const resetInterfaceState = async ({ forceDatasetReload = false } = {}) => {
   console.log('=== Resetting interface state ===', { forceDatasetReload });
+  displayedModelRef = null;
 
   searchHandlersRef?.cancelPendingSearch?.();
 
@@ -694,6 +1158,7 @@ const resetInterfaceState = async ({ forceDatasetReload = false } = {}) => {
   }
 
   clearMetadataPanel();
+  resetVariantSelect();
 
   await initDatasets({ force: forceDatasetReload });
   setStatusRef('status.selectDatasetAndModel', 'info');
@@ -748,23 +1213,29 @@ const loadComparisonModelB = async (datasetId, modelKey) => {
 
   try {
     const entry = await dataClientRef.ensureDatasetPrepared(datasetId);
-    const source = await dataClientRef.createModelSource(datasetId, modelKey);
+    const modelInfo =
+      entry?.modelMap && typeof entry.modelMap.get === 'function'
+        ? entry.modelMap.get(modelKey)
+        : null;
+    const loadOptions = await confirmDownload(modelInfo, getLightestVariant(modelInfo));
+    if (!loadOptions) {
+      setStatusRef('status.downloadCancelled', 'info');
+      return;
+    }
+    const source = await dataClientRef.createModelSource(datasetId, modelKey, loadOptions);
 
-    if (!source || !source.objUrl) {
+    if (!source || !source.modelUrl) {
       throw new Error(`Failed to create model source for ${datasetId}/${modelKey}`);
     }
 
     console.log('Loading comparison model B:', {
       datasetId,
       modelKey,
-      objUrl: source.objUrl,
-      objDirectory: source.objDirectory,
+      format: source.format,
+      modelUrl: source.modelUrl,
+      modelDirectory: source.modelDirectory,
     });
 
-    const modelInfo =
-      entry?.modelMap && typeof entry.modelMap.get === 'function'
-        ? entry.modelMap.get(modelKey)
-        : null;
     const datasets =
       typeof getAllDatasetsRef === 'function' ? getAllDatasetsRef() : [];
     const dataset = Array.isArray(datasets)
@@ -803,7 +1274,10 @@ const loadComparisonModelB = async (datasetId, modelKey) => {
       typeof viewerApiRef?.hasComparisonTarget === 'function'
         ? viewerApiRef.hasComparisonTarget()
         : false;
-    if (!hasModel) {
+    const statusKey = getLoadErrorStatusKey(error?.reason, null);
+    if (!hasModel && statusKey) {
+      setStatusRef(statusKey, 'error');
+    } else if (!hasModel) {
       setCustomStatusRef?.(
         getTranslate('comparison.loadError', 'Failed to load comparison model'),
         'error',
@@ -846,6 +1320,13 @@ export function initModelController(deps = {}) {
       : resetProgressPercentRef;
   datasetSelectRef = deps.datasetSelect ?? datasetSelectRef;
   modelSelectRef = deps.modelSelect ?? modelSelectRef;
+  versionSelectRef = deps.versionSelect ?? versionSelectRef;
+  versionGroupRef = deps.versionGroup ?? versionGroupRef;
+  variantSelectRef = deps.variantSelect ?? variantSelectRef;
+  variantGroupRef = deps.variantGroup ?? variantGroupRef;
+  upgradeVariantButtonRef = deps.upgradeVariantButton ?? upgradeVariantButtonRef;
+  confirmDownloadRef =
+    typeof deps.confirmDownload === 'function' ? deps.confirmDownload : confirmDownloadRef;
   reloadButtonRef = deps.reloadButton ?? reloadButtonRef;
   compareButtonRef = deps.compareButton ?? compareButtonRef;
   toggleLabelsButtonRef = deps.toggleLabelsButton ?? toggleLabelsButtonRef;
@@ -969,12 +1450,14 @@ export function initModelController(deps = {}) {
 
   return {
     initDatasets,
+    cancelDatasetIndexing,
     clearDatasetsCache,
     loadDatasetsFromAPI,
     loadDatasetsFromCache,
     loadDatasetModels,
     loadDatasetModelsForComparison,
     loadModel,
+    resetVariantSelect,
     enterComparisonMode,
     exitComparisonMode,
     resetInterfaceState,
@@ -0,0 +1,130 @@
+import {
+  buildDarwinCoreArchive,
+  buildOccurrenceRecord,
+  buildOccurrenceTable,
+} from '../data/darwinCoreExport.js';
+import { formatCsv } from '../utils/csv.js';
+import { downloadText } from '../utils/download.js';
+import { isAbortError, runTaskPool } from '../utils/taskPool.js';
+
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  dwca: { extension: 'zip', mimeType: 'application/zip' },
+};
+
+/**
+ * Exports the specimens matching the current filters as Darwin Core
+ * occurrences, either as CSV or as a Darwin Core Archive. Specimens listed
+ * from a search summary are fetched first, since their file list is needed.
+ *
+ * @param {object} deps
+ * @param {HTMLDialogElement|null} deps.dialogElement - `#occurrenceExportDialog`.
+ * @param {(key: string, fallback?: string) => string} deps.translate
+ * @param {object} deps.dataClient - Data-source adapter.
+ * @param {() => object[]} deps.getDatasets - Dataset infos matching the filters.
+ * @param {(key: string, type?: string) => void} deps.setStatus
+ * @param {(percent: number) => void} deps.setProgressPercent
+ * @param {Document} [deps.documentRef]
+ * @param {Window} [deps.windowRef]
+ * @param {number} [deps.concurrency=4] - Datasets fetched in parallel.
+ * @returns {{ open: () => void }}
+ */
+export function initOccurrenceExport({
+  dialogElement,
+  translate,
+  dataClient,
+  getDatasets,
+  setStatus,
+  setProgressPercent,
+  documentRef = document,
+  windowRef = window,
+  concurrency = 4,
+}) {
+  const countElement = dialogElement?.querySelector('.occurrence-dialog__count') ?? null;
+  let exporting = false;
+
+  const download = (data, format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadText(data, { fileName: `occurrences-${timestamp}.${extension}`, mimeType, documentRef, windowRef });
+  };
+
+  const collectRecords = async (datasets) => {
+    let completed = 0;
+    let failures = 0;
+    const records = await runTaskPool(
+      datasets,
+      async (info) => {
+        const persistentId = info.value;
+        let detail = dataClient.getDatasetMetadata?.(persistentId) ?? null;
+        let models = [];
+        try {
+          const entry = await dataClient.ensureDatasetPrepared(persistentId);
+          detail = entry?.detail ?? detail;
+          models = entry?.models ?? [];
+        } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
+          // Keep the row with the terms already known; only the file ids are missing.
+          console.warn(`Failed to prepare ${persistentId} for export`, error);
+          failures += 1;
+        }
+        completed += 1;
+        setProgressPercent(Math.round((completed / datasets.length) * 100));
+        return buildOccurrenceRecord({ persistentId, detail, models });
+      },
+      { concurrency }
+    );
+    return { records, failures };
+  };
+
+  const runExport = async (format) => {
+    const datasets = getDatasets();
+    if (!datasets.length || exporting) {
+      return;
+    }
+    exporting = true;
+    setStatus('status.exportingOccurrences', 'info');
+    setProgressPercent(0);
+    try {
+      const { records, failures } = await collectRecords(datasets);
+      const table = buildOccurrenceTable(records);
+      download(format === 'dwca' ? buildDarwinCoreArchive(table) : formatCsv(table), format);
+      setStatus(
+        failures ? 'status.occurrencesExportedPartially' : 'status.occurrencesExported',
+        failures ? 'error' : 'info'
+      );
+    } catch (error) {
+      console.error('Failed to export occurrences', error);
+      setStatus('status.occurrenceExportFailed', 'error');
+    } finally {
+      exporting = false;
+    }
+  };
+
+  dialogElement?.addEventListener('close', () => {
+    const format = dialogElement.returnValue;
+    if (EXPORT_FORMATS[format]) {
+      runExport(format);
+    }
+  });
+
+  const open = () => {
+    const count = getDatasets().length;
+    if (!count || exporting) {
+      return;
+    }
+    if (!dialogElement || typeof dialogElement.showModal !== 'function') {
+      runExport('csv');
+      return;
+    }
+    if (countElement) {
+      countElement.textContent = `${translate('occurrences.count', 'Specimens to export')}: ${count}`;
+    }
+    dialogElement.returnValue = '';
+    dialogElement.showModal();
+  };
+
+  return { open };
+}
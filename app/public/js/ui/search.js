@@ -18,6 +18,16 @@ import {
   selectSearchIndex,
   selectSearchDebounceTimer,
 } from '../state/selectors.js';
+import { isAbortError, runTaskPool } from '../utils/taskPool.js';
+import { formatBytes } from '../utils/format.js';
+import { getModelDownloadSize } from '../data/modelIndex.js';
+
+// Suffixes for specimens flagged by the startup check of a cached listing.
+const CHANGE_STATE_LABELS = {
+  new: { key: 'selector.dataset.changeNew', fallback: 'new' },
+  updated: { key: 'selector.dataset.changeUpdated', fallback: 'updated' },
+  removed: { key: 'selector.dataset.changeRemoved', fallback: 'removed' },
+};
 
 /**
  * Builds a readable list of specimen attributes (sex, life stage, etc.).
@@ -153,13 +163,12 @@ export function deriveUberonUrlFromModel(modelInfo) {
   };
 
   const propertyNames = [
-    'objDirectory',
+    'modelDirectory',
     'directory',
     'displayName',
-    'objEntryDirectory',
-    'objEntryLabel',
+    'modelEntryDirectory',
+    'modelEntryLabel',
     'mtlDirectory',
-    'modelDirectory',
   ];
 
   const candidates = [];
@@ -283,6 +292,29 @@ export function initSearch(deps = {}) {
   ];
   const UNKNOWN_TAXON_VALUE = '__unknown__';
 
+  // Collection levels precede the taxonomy ranks; one level per depth of the
+  // deepest `collectionPath` among the listed datasets.
+  const buildCollectionLevels = (datasets) => {
+    const depth = datasets.reduce(
+      (max, dataset) =>
+        Math.max(max, Array.isArray(dataset.collectionPath) ? dataset.collectionPath.length : 0),
+      0,
+    );
+    return Array.from({ length: depth }, (_, index) => ({
+      key: `collection-${index}`,
+      labelKey: index === 0 ? 'taxonomy.collection' : 'taxonomy.subcollection',
+      fallback: index === 0 ? 'Collection' : 'Sub-collection',
+      unknownKey: 'taxonomy.noSubcollection',
+      unknownFallback: 'No sub-collection',
+      collectionDepth: index,
+    }));
+  };
+
+  const getLevelValue = (dataset, level) =>
+    Number.isInteger(level.collectionDepth)
+      ? dataset.collectionPath?.[level.collectionDepth]?.title
+      : dataset.taxonomyPath?.[level.key];
+
   const ensureMap = (value) => (value instanceof Map ? value : new Map(value || []));
   const getDatasets = () => {
     const datasets = typeof getAllDatasets === 'function' ? getAllDatasets() : [];
@@ -510,10 +542,13 @@ export function initSearch(deps = {}) {
     dispatchClearSearchIndex();
   };
 
-  const buildSearchIndex = async () => {
+  const SEARCH_INDEX_CONCURRENCY = 6;
+
+  const buildSearchIndex = async ({ signal } = {}) => {
     clearSearchIndex();
 
-    const datasets = getDatasets();
+    // Removed specimens stay listed (marked) until the next reload only.
+    const datasets = getDatasets().filter((dataset) => dataset.changeState !== 'removed');
     console.log('=== Building search index ===');
     console.log('allDatasets.length:', datasets.length);
 
@@ -523,14 +558,31 @@ export function initSearch(deps = {}) {
       console.log('Cache keys:', Array.from(datasetCache.keys()));
     }
 
-    const preparePromises = datasets.map(async (dataset) => {
-      try {
-        await dataClient.ensureDatasetPrepared(dataset.value);
-      } catch (error) {
-        console.warn('Failed to prepare dataset for search index:', dataset.label, error);
+    // Adapters that defer file indexing only contribute elements for the
+    // datasets already opened; preparing all of them here would defeat that.
+    const datasetsToPrepare = dataClient?.deferFileIndex ? [] : datasets;
+    try {
+      await runTaskPool(
+        datasetsToPrepare,
+        async (dataset) => {
+          try {
+            await dataClient.ensureDatasetPrepared(dataset.value, { signal });
+          } catch (error) {
+            if (isAbortError(error)) {
+              throw error;
+            }
+            console.warn('Failed to prepare dataset for search index:', dataset.label, error);
+          }
+        },
+        { concurrency: SEARCH_INDEX_CONCURRENCY, signal },
+      );
+    } catch (error) {
+      if (isAbortError(error)) {
+        console.log('Search index preparation cancelled');
+        return;
       }
-    });
-    await Promise.all(preparePromises);
+      throw error;
+    }
     console.log('All datasets prepared for indexing');
 
     const nextIndex = {
@@ -545,6 +597,7 @@ export function initSearch(deps = {}) {
         id: dataset.value,
         label: dataset.label,
         summary: dataset.specimenSummary || null,
+        source: dataset.source?.title || null,
       });
 
       const cachedEntry = dataClient?.getCachedDatasetEntry?.(dataset.value);
@@ -585,6 +638,7 @@ export function initSearch(deps = {}) {
           label,
           display: displayLabel,
           summary: dataset.specimenSummary || null,
+          size: getModelDownloadSize(modelInfo),
         });
         elementCount += 1;
       });
@@ -757,6 +811,9 @@ export function initSearch(deps = {}) {
           specimen.id,
         )}">`;
         html += `<span class="search-result-label"><span>${escapeHtml(displayLabel)}</span></span>`;
+        if (specimen.source) {
+          html += `<span class="search-result-source">${escapeHtml(specimen.source)}</span>`;
+        }
         html += '</button>';
       });
       html += '</div>';
@@ -770,6 +827,9 @@ export function initSearch(deps = {}) {
           element.datasetId,
         )}" data-model-key="${escapeHtml(element.modelKey)}">`;
         html += `<span class="search-result-label"><span>${escapeHtml(element.display)}</span></span>`;
+        if (element.size !== null && element.size !== undefined) {
+          html += `<span class="search-result-size">${escapeHtml(formatBytes(element.size))}</span>`;
+        }
         html += '</button>';
       });
       html += '</div>';
@@ -887,14 +947,20 @@ export function initSearch(deps = {}) {
       .toLowerCase();
   };
 
-  const getTaxonomyLabel = (levelKey, fallback) =>
-    translate ? translate(`taxonomy.${levelKey}`, fallback) : fallback;
+  const getLevelLabelKey = (level) => level.labelKey || `taxonomy.${level.key}`;
+
+  const getTaxonomyLabel = (level) =>
+    translate ? translate(getLevelLabelKey(level), level.fallback) : level.fallback;
 
-  const getUnknownLabel = () => (translate ? translate('taxonomy.unknown', 'Unknown') : 'Unknown');
+  const getUnknownLabel = (level) => {
+    const key = level?.unknownKey || 'taxonomy.unknown';
+    const fallback = level?.unknownFallback || 'Unknown';
+    return translate ? translate(key, fallback) : fallback;
+  };
 
-  const getTaxonomySelectLabel = (levelKey, fallback) => {
+  const getTaxonomySelectLabel = (level) => {
     const selectPrefix = translate ? translate('taxonomy.select', 'Select') : 'Select';
-    const levelLabel = getTaxonomyLabel(levelKey, fallback);
+    const levelLabel = getTaxonomyLabel(level);
     return `${selectPrefix} ${levelLabel}`;
   };
 
@@ -928,7 +994,7 @@ export function initSearch(deps = {}) {
         const selected = stateSnapshot.get(level.key);
         if (!selected) return true;
         const datasetValue =
-          normalizeTaxonomyValue(dataset.taxonomyPath?.[level.key]) || UNKNOWN_TAXON_VALUE;
+          normalizeTaxonomyValue(getLevelValue(dataset, level)) || UNKNOWN_TAXON_VALUE;
         return datasetValue === selected;
       }),
     );
@@ -945,10 +1011,10 @@ export function initSearch(deps = {}) {
     const valueMap = new Map();
 
     datasets.forEach((dataset) => {
-      const rawValue = dataset.taxonomyPath?.[level.key];
+      const rawValue = getLevelValue(dataset, level);
       const normalized = normalizeTaxonomyValue(rawValue) || UNKNOWN_TAXON_VALUE;
       if (!valueMap.has(normalized)) {
-        valueMap.set(normalized, rawValue || getUnknownLabel());
+        valueMap.set(normalized, rawValue || getUnknownLabel(level));
       }
     });
 
@@ -960,14 +1026,14 @@ export function initSearch(deps = {}) {
       return a[1].localeCompare(b[1], locale, { sensitivity: 'base' });
     });
 
-    const placeholder = getTaxonomySelectLabel(level.key, level.fallback);
+    const placeholder = getTaxonomySelectLabel(level);
     select.innerHTML = `<option value="">${escapeHtml(placeholder)}</option>`;
     entries.forEach(([normalized, label]) => {
       const option = documentRef?.createElement
         ? documentRef.createElement('option')
         : document.createElement('option');
       option.value = normalized === UNKNOWN_TAXON_VALUE ? '' : normalized;
-      option.textContent = label || getUnknownLabel();
+      option.textContent = label || getUnknownLabel(level);
       if (normalized === UNKNOWN_TAXON_VALUE) {
         option.dataset.isUnknown = 'true';
       }
@@ -986,7 +1052,7 @@ export function initSearch(deps = {}) {
     select.value = nextValue || '';
     const label = select.previousElementSibling;
     if (label) {
-      label.textContent = getTaxonomyLabel(level.key, level.fallback);
+      label.textContent = getTaxonomyLabel(level);
     }
     return nextValue !== previous;
   };
@@ -1024,7 +1090,7 @@ export function initSearch(deps = {}) {
         const selected = stateSnapshot.get(level.key);
         if (!selected) return true;
         const datasetValue =
-          normalizeTaxonomyValue(dataset.taxonomyPath?.[level.key]) || UNKNOWN_TAXON_VALUE;
+          normalizeTaxonomyValue(getLevelValue(dataset, level)) || UNKNOWN_TAXON_VALUE;
         return datasetValue === selected;
       }),
     );
@@ -1045,12 +1111,17 @@ export function initSearch(deps = {}) {
     const options =
       `<option value="">${placeholder}</option>` +
       datasets
-        .map(
-          (info) =>
-            `<option value="${escapeHtml(info.value)}">${escapeHtml(
-              formatSpecimenLabel(info.label, info.specimenSummary),
-            )}</option>`,
-        )
+        .map((info) => {
+          // Federated lists name the collection each specimen comes from.
+          const baseLabel = formatSpecimenLabel(info.label, info.specimenSummary);
+          const label = info.source ? `${baseLabel} — ${info.source.title}` : baseLabel;
+          const change = CHANGE_STATE_LABELS[info.changeState];
+          const text = change
+            ? `${label} · ${translate ? translate(change.key, change.fallback) : change.fallback}`
+            : label;
+          const disabled = info.changeState === 'removed' ? ' disabled' : '';
+          return `<option value="${escapeHtml(info.value)}"${disabled}>${escapeHtml(text)}</option>`;
+        })
         .join('');
 
     datasetSelect.innerHTML = options;
@@ -1067,6 +1138,10 @@ export function initSearch(deps = {}) {
     }
   };
 
+  // Specimens offered by the selector under the current taxonomy and collection filters.
+  const getFilteredDatasets = () =>
+    filterDatasetsByTaxonomy().filter((dataset) => dataset.changeState !== 'removed');
+
   const refreshSpecimenOptions = (statusKey) => {
     const datasets = filterDatasetsByTaxonomy();
     updateSpecimenSelect(datasets, statusKey);
@@ -1094,10 +1169,9 @@ export function initSearch(deps = {}) {
       return;
     }
 
-    const taxonomyPath = dataset.taxonomyPath || {};
     const nextState = new Map(selectTaxonomyState());
     levels.forEach((level) => {
-      const normalizedValue = normalizeTaxonomyValue(taxonomyPath[level.key]) || null;
+      const normalizedValue = normalizeTaxonomyValue(getLevelValue(dataset, level)) || null;
       nextState.set(level.key, normalizedValue);
     });
 
@@ -1138,12 +1212,17 @@ export function initSearch(deps = {}) {
   const initializeTaxonomySelectors = (datasets) => {
     const nextSelectors = new Map();
     const nextState = new Map();
+    const list = Array.isArray(datasets) ? datasets : [];
+    const collectionLevels = buildCollectionLevels(list);
     const supported =
-      Array.isArray(datasets) &&
-      datasets.some((dataset) => dataset.taxonomyPath && Object.keys(dataset.taxonomyPath).length);
-    const levels = TAXONOMY_LEVEL_DEFS.filter((level) =>
-      datasets.some((dataset) => dataset.taxonomyPath?.[level.key]),
-    );
+      collectionLevels.length > 0 ||
+      list.some((dataset) => dataset.taxonomyPath && Object.keys(dataset.taxonomyPath).length);
+    const levels = [
+      ...collectionLevels,
+      ...TAXONOMY_LEVEL_DEFS.filter((level) =>
+        list.some((dataset) => dataset.taxonomyPath?.[level.key]),
+      ),
+    ];
 
     if (!supported || !levels.length) {
       dispatchSetTaxonomySelectors(nextSelectors);
@@ -1170,8 +1249,8 @@ export function initSearch(deps = {}) {
           : document.createElement('label');
         const selectId = `taxonomy-${level.key}`;
         label.setAttribute('for', selectId);
-        label.dataset.i18n = `taxonomy.${level.key}`;
-        label.textContent = getTaxonomyLabel(level.key, level.fallback);
+        label.dataset.i18n = getLevelLabelKey(level);
+        label.textContent = getTaxonomyLabel(level);
 
         const select = documentRef?.createElement
           ? documentRef.createElement('select')
@@ -1216,6 +1295,7 @@ export function initSearch(deps = {}) {
     initializeTaxonomySelectors,
     refreshTaxonomyFromLevel,
     refreshSpecimenOptions,
+    getFilteredDatasets,
     setTaxonomyCollapsed,
     setTaxonomyVisibility,
     isTaxonomySupported: () => selectTaxonomySupported(),
@@ -0,0 +1,168 @@
+/**
+ * Dataverse API-token authentication. The token is kept in session storage only
+ * and attached as an `X-Dataverse-key` header by a fetch wrapper shared by the
+ * data-source adapter and the viewer. The header is only sent to origins an
+ * adapter explicitly authorised (the Dataverse API host), never to CDNs or mirrors.
+ */
+import { getDefaultFetch } from './defaultFetch.js';
+import { HttpStatusError } from './networkErrors.js';
+
+export const API_TOKEN_HEADER = 'X-Dataverse-key';
+
+const STORAGE_KEY = 'dataverseApiToken';
+const tokenListeners = new Set();
+
+function getSessionStorage() {
+  try {
+    return globalThis.sessionStorage ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the API token of the current browser session.
+ *
+ * @returns {string|null} Token, or null when none was entered.
+ */
+export function getApiToken() {
+  try {
+    return getSessionStorage()?.getItem(STORAGE_KEY) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stores (or clears, when empty) the API token for the current browser session
+ * and notifies `onApiTokenChange` listeners.
+ *
+ * @param {string|null} token - Dataverse API token.
+ */
+export function setApiToken(token) {
+  const value = typeof token === 'string' ? token.trim() : '';
+  const storage = getSessionStorage();
+  try {
+    if (value) {
+      storage?.setItem(STORAGE_KEY, value);
+    } else {
+      storage?.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn('Unable to persist API token for this session', error);
+  }
+  tokenListeners.forEach((listener) => {
+    try {
+      listener(value || null);
+    } catch (error) {
+      console.warn('API token listener failed', error);
+    }
+  });
+}
+
+/**
+ * Subscribes to API token changes.
+ *
+ * @param {(token: string|null) => void} listener - Called with the new token.
+ * @returns {() => void} Unsubscribe function.
+ */
+export function onApiTokenChange(listener) {
+  if (typeof listener !== 'function') {
+    return () => {};
+  }
+  tokenListeners.add(listener);
+  return () => tokenListeners.delete(listener);
+}
+
+/**
+ * Error raised when the server refuses a request (HTTP 401/403).
+ * `reason` is `auth-required` when no token was sent, `access-denied` when the
+ * token does not grant access.
+ */
+export class AccessDeniedError extends HttpStatusError {
+  /**
+   * @param {object} details
+   * @param {string} details.url - Requested URL.
+   * @param {number} details.status - HTTP status.
+   * @param {boolean} details.authenticated - Whether the request carried a token.
+   */
+  constructor({ url, status, authenticated }) {
+    super({ url, status });
+    this.message = `Access denied (${status}) for ${url}`;
+    this.name = 'AccessDeniedError';
+    this.reason = authenticated ? 'access-denied' : 'auth-required';
+  }
+}
+
+/**
+ * Tells whether an HTTP status means the resource needs other credentials.
+ *
+ * @param {number} status - HTTP status.
+ * @returns {boolean}
+ */
+export function isAccessDeniedStatus(status) {
+  return status === 401 || status === 403;
+}
+
+/**
+ * Builds the error matching a refused response of `fetchImpl`.
+ *
+ * @param {Function} fetchImpl - Fetch used for the request (possibly authenticated).
+ * @param {string} url - Requested URL.
+ * @param {number} status - HTTP status.
+ * @returns {AccessDeniedError}
+ */
+export function createAccessDeniedError(fetchImpl, url, status) {
+  const authenticated =
+    typeof fetchImpl?.sendsTokenTo === 'function' ? fetchImpl.sendsTokenTo(url) : false;
+  return new AccessDeniedError({ url, status, authenticated });
+}
+
+function resolveOrigin(url) {
+  try {
+    return new URL(url, globalThis.location?.href).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Wraps a fetch implementation so requests to authorised origins carry the
+ * session API token.
+ *
+ * @param {object} [options]
+ * @param {Function} [options.fetchImpl] - Underlying fetch implementation.
+ * @param {() => string|null} [options.getToken] - Token provider.
+ * @returns {Function} Fetch-compatible function exposing `authorizeOrigin(url)`
+ *   and `sendsTokenTo(url)`.
+ */
+export function createAuthenticatedFetch({
+  fetchImpl = getDefaultFetch(),
+  getToken = getApiToken,
+} = {}) {
+  if (typeof fetchImpl !== 'function') {
+    throw new Error('Fetch API is not available in this environment');
+  }
+  const origins = new Set();
+
+  const sendsTokenTo = (url) => Boolean(getToken()) && origins.has(resolveOrigin(url));
+
+  const authenticatedFetch = (input, init) => {
+    const url = typeof input === 'string' ? input : input?.url;
+    if (!sendsTokenTo(url)) {
+      return fetchImpl(input, init);
+    }
+    const headers = new Headers(init?.headers);
+    headers.set(API_TOKEN_HEADER, getToken());
+    return fetchImpl(input, { ...init, headers });
+  };
+
+  authenticatedFetch.authorizeOrigin = (url) => {
+    const origin = resolveOrigin(url);
+    if (origin) {
+      origins.add(origin);
+    }
+  };
+  authenticatedFetch.sendsTokenTo = sendsTokenTo;
+  return authenticatedFetch;
+}
@@ -0,0 +1,324 @@
+/**
+ * Integrity helpers for downloaded model payloads. Dataverse publishes an MD5
+ * or SHA checksum for every file; the viewer recomputes it after download so a
+ * truncated or altered model never silently feeds published measurements.
+ */
+
+const HEX_LENGTH_ALGORITHMS = {
+  32: 'MD5',
+  40: 'SHA-1',
+  64: 'SHA-256',
+  128: 'SHA-512',
+};
+const SUBTLE_ALGORITHMS = new Set(['SHA-1', 'SHA-256', 'SHA-512']);
+const MISSING_RESULT = { status: 'missing', algorithm: null, expected: null, actual: null };
+
+/**
+ * Error raised when a payload does not match its published checksum.
+ */
+export class ChecksumMismatchError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url - Resource URL.
+   * @param {string} details.algorithm - Checksum algorithm.
+   * @param {string} details.expected - Published digest.
+   * @param {string} details.actual - Digest of the downloaded bytes.
+   */
+  constructor({ url, algorithm, expected, actual }) {
+    super(`Checksum mismatch (${algorithm}) for ${url}`);
+    this.name = 'ChecksumMismatchError';
+    this.reason = 'checksum-mismatch';
+    this.url = url;
+    this.algorithm = algorithm;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Normalises a checksum declaration into `{algorithm, value}`.
+ * Accepts Dataverse objects (`{type: 'MD5', value}`), bare hex strings (the
+ * algorithm is inferred from the length) and `algorithm:hex` strings.
+ *
+ * @param {object|string|null} checksum - Raw checksum declaration.
+ * @returns {{algorithm: string, value: string}|null} Normalised checksum.
+ */
+export function normalizeChecksum(checksum) {
+  if (!checksum) return null;
+  let algorithm = null;
+  let value = null;
+  if (typeof checksum === 'string') {
+    const match = /^([a-z0-9-]+):([0-9a-f]+)$/i.exec(checksum.trim());
+    if (match) {
+      [, algorithm, value] = match;
+    } else {
+      value = checksum.trim();
+    }
+  } else if (typeof checksum === 'object') {
+    algorithm = checksum.type || checksum.algorithm || null;
+    value = checksum.value || null;
+  }
+  if (!value || !/^[0-9a-f]+$/i.test(value)) {
+    return null;
+  }
+  value = value.toLowerCase();
+  if (algorithm) {
+    algorithm = String(algorithm).toUpperCase().replace(/^SHA(\d)/, 'SHA-$1');
+  } else {
+    algorithm = HEX_LENGTH_ALGORITHMS[value.length] || null;
+  }
+  return algorithm ? { algorithm, value } : null;
+}
+
+/**
+ * Reads the published checksum of a file entry, including the legacy `md5` field.
+ *
+ * @param {object} file - File entry carrying a `dataFile`.
+ * @returns {{algorithm: string, value: string}|null}
+ */
+export function getFileChecksum(file) {
+  const dataFile = file?.dataFile;
+  return (
+    normalizeChecksum(dataFile?.checksum) ||
+    normalizeChecksum(dataFile?.md5 ? { type: 'MD5', value: dataFile.md5 } : null)
+  );
+}
+
+// ---------------------------------------------------------------------------
+// MD5 (RFC 1321). SubtleCrypto does not expose MD5, which Dataverse uses by default.
+// ---------------------------------------------------------------------------
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, index) =>
+  Math.floor(Math.abs(Math.sin(index + 1)) * 2 ** 32) >>> 0
+);
+
+// Incremental MD5: blocks are hashed as bytes come in, and only the last
+// partial block is kept.
+class Md5 {
+  constructor() {
+    this.state = new Uint32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this.words = new Uint32Array(16);
+    this.tail = new Uint8Array(64);
+    this.tailView = new DataView(this.tail.buffer);
+    this.tailLength = 0;
+    this.length = 0;
+  }
+
+  update(bytes) {
+    this.length += bytes.length;
+    let offset = 0;
+    if (this.tailLength > 0) {
+      offset = Math.min(64 - this.tailLength, bytes.length);
+      this.tail.set(bytes.subarray(0, offset), this.tailLength);
+      this.tailLength += offset;
+      if (this.tailLength < 64) {
+        return;
+      }
+      this.processBlock(this.tailView, 0);
+      this.tailLength = 0;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (; offset + 64 <= bytes.length; offset += 64) {
+      this.processBlock(view, offset);
+    }
+    this.tail.set(bytes.subarray(offset));
+    this.tailLength = bytes.length - offset;
+  }
+
+  digest() {
+    const { length } = this;
+    const padding = new Uint8Array((this.tailLength < 56 ? 64 : 128) - this.tailLength);
+    padding[0] = 0x80;
+    const view = new DataView(padding.buffer);
+    view.setUint32(padding.length - 8, (length * 8) >>> 0, true);
+    view.setUint32(padding.length - 4, Math.floor(length / 0x20000000), true);
+    this.update(padding);
+
+    const digest = new DataView(new ArrayBuffer(16));
+    this.state.forEach((word, index) => digest.setUint32(index * 4, word, true));
+    return new Uint8Array(digest.buffer);
+  }
+
+  processBlock(view, offset) {
+    const { state, words } = this;
+    for (let i = 0; i < 16; i += 1) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    for (let i = 0; i < 64; i += 1) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) >>> 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+  }
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Computes the hex digest of a payload.
+ *
+ * @param {string} algorithm - `MD5`, `SHA-1`, `SHA-256` or `SHA-512`.
+ * @param {Uint8Array} bytes - Payload.
+ * @returns {Promise<string|null>} Hex digest, or null when the algorithm is unavailable.
+ */
+export async function computeChecksum(algorithm, bytes) {
+  if (algorithm === 'MD5') {
+    const hash = new Md5();
+    hash.update(bytes);
+    return toHex(hash.digest());
+  }
+  const subtle = globalThis.crypto?.subtle;
+  if (!SUBTLE_ALGORITHMS.has(algorithm) || !subtle) {
+    return null;
+  }
+  const digest = await subtle.digest(algorithm, bytes);
+  return toHex(new Uint8Array(digest));
+}
+
+function describeResult(expected, actual) {
+  if (actual === null) {
+    return { status: 'unsupported', algorithm: expected.algorithm, expected: expected.value, actual };
+  }
+  return {
+    status: actual === expected.value ? 'verified' : 'mismatch',
+    algorithm: expected.algorithm,
+    expected: expected.value,
+    actual,
+  };
+}
+
+/**
+ * Compares a payload with its published checksum.
+ *
+ * @param {Uint8Array} bytes - Downloaded payload.
+ * @param {object|string|null} checksum - Published checksum (see `normalizeChecksum`).
+ * @returns {Promise<{status: 'verified'|'mismatch'|'unsupported'|'missing', algorithm: string|null, expected: string|null, actual: string|null}>}
+ */
+export async function verifyChecksum(bytes, checksum) {
+  const expected = normalizeChecksum(checksum);
+  if (!expected) {
+    return { ...MISSING_RESULT };
+  }
+  return describeResult(expected, await computeChecksum(expected.algorithm, bytes));
+}
+
+/**
+ * Verifies a payload while it downloads. MD5, which SubtleCrypto lacks and
+ * which would otherwise hash the whole file on the main thread once the last
+ * byte arrives, is computed chunk by chunk; SHA digests are left to
+ * SubtleCrypto, which runs off the main thread.
+ *
+ * `update` follows the `onChunk` contract of `fetchBytesWithResume`: a chunk
+ * at offset 0 after earlier ones restarts the hash. Chunks arriving out of
+ * sequence make `verify` hash the whole payload instead.
+ *
+ * @param {object|string|null} checksum - Published checksum (see `normalizeChecksum`).
+ * @returns {{update: (chunk: Uint8Array, offset: number) => void, verify: (bytes: Uint8Array) => ReturnType<typeof verifyChecksum>}}
+ */
+export function createChecksumVerifier(checksum) {
+  const expected = normalizeChecksum(checksum);
+  let hash = expected?.algorithm === 'MD5' ? new Md5() : null;
+  let hashedLength = 0;
+
+  const update = (chunk, offset) => {
+    if (!hash) {
+      return;
+    }
+    if (offset === 0 && hashedLength > 0) {
+      hash = new Md5();
+      hashedLength = 0;
+    }
+    if (offset !== hashedLength) {
+      hash = null;
+      return;
+    }
+    hash.update(chunk);
+    hashedLength += chunk.length;
+  };
+
+  const verify = async (bytes) => {
+    if (!hash || hashedLength !== bytes.length) {
+      return verifyChecksum(bytes, checksum);
+    }
+    return describeResult(expected, toHex(hash.digest()));
+  };
+
+  return { update, verify };
+}
+
+/**
+ * Result of `verifyChecksum` for a payload verified earlier, such as one read
+ * back from the asset cache, which only keeps verified payloads.
+ *
+ * @param {object|string|null} checksum - Published checksum (see `normalizeChecksum`).
+ * @returns {{status: 'verified'|'missing', algorithm: string|null, expected: string|null, actual: string|null}}
+ */
+export function describeVerifiedChecksum(checksum) {
+  const expected = normalizeChecksum(checksum);
+  if (!expected) {
+    return { ...MISSING_RESULT };
+  }
+  return { status: 'verified', algorithm: expected.algorithm, expected: expected.value, actual: expected.value };
+}
+
+/**
+ * Creates the integrity report attached to a model source descriptor.
+ * `status` is `pending` until a file is checked, then `verified` when every
+ * file matched, `mismatch` when any file failed and `unverified` otherwise.
+ *
+ * @returns {{status: string, files: object[]}}
+ */
+export function createIntegrityReport() {
+  return { status: 'pending', files: [] };
+}
+
+/**
+ * Appends a file result to an integrity report and refreshes its status.
+ *
+ * @param {{status: string, files: object[]}|null} report - Report to update.
+ * @param {object} result - File result (`url`, `kind` and `verifyChecksum` fields).
+ */
+export function recordIntegrityResult(report, result) {
+  if (!report || !result) return;
+  report.files.push(result);
+  if (report.files.some((file) => file.status === 'mismatch')) {
+    report.status = 'mismatch';
+  } else if (report.files.every((file) => file.status === 'verified')) {
+    report.status = 'verified';
+  } else {
+    report.status = 'unverified';
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * Serialises dataset citations (see `extractCitation`) in the formats
+ * reference managers import: BibTeX, RIS and CSL-JSON.
+ */
+
+export const CITATION_FORMATS = Object.freeze({
+  bibtex: { label: 'BibTeX', extension: 'bib', mimeType: 'application/x-bibtex' },
+  ris: { label: 'RIS', extension: 'ris', mimeType: 'application/x-research-info-systems' },
+  csl: { label: 'CSL-JSON', extension: 'json', mimeType: 'application/vnd.citationstyles.csl+json' },
+});
+
+/**
+ * Splits a Dataverse author name (`Family, Given` for people, a plain name for
+ * organisations).
+ *
+ * @param {string} name
+ * @returns {{family: string, given: string}|{literal: string}}
+ */
+function parseAuthorName(name) {
+  const [family, ...rest] = name.split(',');
+  const given = rest.join(',').trim();
+  return given ? { family: family.trim(), given } : { literal: name.trim() };
+}
+
+function escapeBibTeX(value) {
+  return String(value)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([{}&%$#_])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+/**
+ * Builds citation keys such as `smith2023`, suffixed with `a`, `b`… on clashes.
+ *
+ * @param {object[]} citations
+ * @returns {string[]}
+ */
+function buildCitationKeys(citations) {
+  const counts = new Map();
+  const bases = citations.map((citation) => {
+    const author = citation.authors[0] ? parseAuthorName(citation.authors[0]) : null;
+    const name = author?.family || author?.literal || citation.title;
+    const token = name
+      .normalize('NFD')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .toLowerCase()
+      .slice(0, 24);
+    const base = `${token || 'dataset'}${citation.year ?? ''}`;
+    counts.set(base, (counts.get(base) || 0) + 1);
+    return base;
+  });
+  const used = new Map();
+  return bases.map((base) => {
+    if (counts.get(base) === 1) return base;
+    const index = used.get(base) || 0;
+    used.set(base, index + 1);
+    return `${base}${String.fromCharCode(97 + (index % 26))}`;
+  });
+}
+
+/**
+ * Formats citations as BibTeX `@misc` entries, the dataset type every BibTeX
+ * style understands.
+ *
+ * @param {object[]} citations - Results of `extractCitation`.
+ * @returns {string}
+ */
+export function formatBibTeX(citations) {
+  const keys = buildCitationKeys(citations);
+  return citations
+    .map((citation, index) => {
+      const authors = citation.authors
+        .map((name) => {
+          const author = parseAuthorName(name);
+          // Braces keep organisation names from being split into given/family.
+          return author.literal
+            ? `{${escapeBibTeX(author.literal)}}`
+            : `${escapeBibTeX(author.family)}, ${escapeBibTeX(author.given)}`;
+        })
+        .join(' and ');
+      const fields = [
+        ['author', authors],
+        ['title', `{${escapeBibTeX(citation.title)}}`],
+        ['publisher', citation.publisher && escapeBibTeX(citation.publisher)],
+        ['year', citation.year],
+        ['version', citation.version && escapeBibTeX(citation.version)],
+        ['doi', citation.doi],
+        ['url', citation.url],
+      ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+      const body = fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n');
+      return `@misc{${keys[index]},\n${body}\n}`;
+    })
+    .join('\n\n')
+    .concat('\n');
+}
+
+/**
+ * Formats citations as RIS records of type `DATA`.
+ *
+ * @param {object[]} citations - Results of `extractCitation`.
+ * @returns {string}
+ */
+export function formatRIS(citations) {
+  const clean = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+  return citations
+    .map((citation) => {
+      const lines = [['TY', 'DATA']];
+      citation.authors.forEach((name) => lines.push(['AU', name]));
+      lines.push(['TI', citation.title]);
+      if (citation.year) lines.push(['PY', citation.year]);
+      if (citation.publisher) lines.push(['PB', citation.publisher]);
+      if (citation.version) lines.push(['ET', citation.version]);
+      if (citation.doi) lines.push(['DO', citation.doi]);
+      if (citation.url) lines.push(['UR', citation.url]);
+      lines.push(['ER', '']);
+      // RIS requires two spaces before the dash and CRLF line endings.
+      return lines.map(([tag, value]) => `${tag}  - ${clean(value)}`).join('\r\n');
+    })
+    .join('\r\n\r\n')
+    .concat('\r\n');
+}
+
+/**
+ * Formats citations as a CSL-JSON array.
+ *
+ * @param {object[]} citations - Results of `extractCitation`.
+ * @returns {string}
+ */
+export function formatCSLJSON(citations) {
+  const keys = buildCitationKeys(citations);
+  const items = citations.map((citation, index) => {
+    const item = {
+      id: keys[index],
+      type: 'dataset',
+      title: citation.title,
+      author: citation.authors.map(parseAuthorName),
+    };
+    if (citation.year) item.issued = { 'date-parts': [[citation.year]] };
+    if (citation.publisher) item.publisher = citation.publisher;
+    if (citation.version) item.version = citation.version;
+    if (citation.doi) item.DOI = citation.doi;
+    if (citation.url) item.URL = citation.url;
+    return item;
+  });
+  return `${JSON.stringify(items, null, 2)}\n`;
+}
+
+const FORMATTERS = {
+  bibtex: formatBibTeX,
+  ris: formatRIS,
+  csl: formatCSLJSON,
+};
+
+/**
+ * Formats citations in one of `CITATION_FORMATS`.
+ *
+ * @param {'bibtex'|'ris'|'csl'} format
+ * @param {object[]} citations - Results of `extractCitation`.
+ * @returns {string}
+ */
+export function formatCitations(format, citations) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown citation format: ${format}`);
+  }
+  return formatter(citations);
+}
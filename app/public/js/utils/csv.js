@@ -0,0 +1,19 @@
+/**
+ * CSV writing shared by the table exports.
+ */
+
+function escapeCsvCell(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes a table as RFC 4180 CSV with a header row.
+ *
+ * @param {{columns: string[], rows: unknown[][]}} table - Cells are written
+ *   as strings; null and undefined become empty cells.
+ * @returns {string}
+ */
+export function formatCsv({ columns, rows }) {
+  return [columns, ...rows].map((row) => row.map(escapeCsvCell).join(',')).join('\r\n').concat('\r\n');
+}
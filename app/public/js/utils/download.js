@@ -0,0 +1,41 @@
+/**
+ * Saving generated files from the page, shared by the export actions.
+ */
+
+/**
+ * Saves text or bytes as a file through a temporary object URL.
+ *
+ * @param {string|Uint8Array|Blob} data - File content.
+ * @param {object} options
+ * @param {string} options.fileName - Name offered to the user.
+ * @param {string} options.mimeType
+ * @param {Document} [options.documentRef]
+ * @param {Window} [options.windowRef]
+ */
+export function downloadText(data, { fileName, mimeType, documentRef = document, windowRef = window }) {
+  const blob = new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = documentRef.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  documentRef.body.appendChild(link);
+  link.click();
+  link.remove();
+  windowRef.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Turns a specimen name into the start of a file name: runs of characters
+ * other than letters, digits, dots and dashes become a dash.
+ *
+ * @param {string} [name]
+ * @param {string} [fallback='specimen'] - Used when nothing of the name is left.
+ * @returns {string} At most 60 characters.
+ */
+export function toFileNameBase(name, fallback = 'specimen') {
+  const base = String(name || '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return base || fallback;
+}
@@ -0,0 +1,55 @@
+/**
+ * Size above which a model download must be confirmed. The value is a user
+ * preference kept in local storage; 0 disables the confirmation.
+ */
+export const LARGE_DOWNLOAD_STORAGE_KEY = 'viewer.largeDownloadThreshold';
+const MEGABYTE = 1024 * 1024;
+
+export const DEFAULT_LARGE_DOWNLOAD_THRESHOLD = 50 * MEGABYTE;
+
+/** Thresholds offered in the options dialog, in bytes (0 = never ask). */
+export const LARGE_DOWNLOAD_THRESHOLDS = Object.freeze([
+  0,
+  10 * MEGABYTE,
+  25 * MEGABYTE,
+  50 * MEGABYTE,
+  100 * MEGABYTE,
+  250 * MEGABYTE,
+  500 * MEGABYTE,
+]);
+
+/**
+ * Reads the confirmation threshold.
+ *
+ * @returns {number} Threshold in bytes; 0 when confirmations are disabled.
+ */
+export function getLargeDownloadThreshold() {
+  try {
+    const stored = globalThis.localStorage?.getItem(LARGE_DOWNLOAD_STORAGE_KEY);
+    if (stored !== null && stored !== undefined) {
+      const parsed = Number(stored);
+      if (Number.isFinite(parsed) && parsed >= 0) {
+        return parsed;
+      }
+    }
+  } catch (error) {
+    /* Ignore storage access issues */
+  }
+  return DEFAULT_LARGE_DOWNLOAD_THRESHOLD;
+}
+
+/**
+ * Stores the confirmation threshold.
+ *
+ * @param {number} bytes - Threshold in bytes; 0 disables the confirmation.
+ * @returns {number} Stored threshold.
+ */
+export function setLargeDownloadThreshold(bytes) {
+  const value = Number.isFinite(Number(bytes)) && Number(bytes) > 0 ? Math.round(Number(bytes)) : 0;
+  try {
+    globalThis.localStorage?.setItem(LARGE_DOWNLOAD_STORAGE_KEY, String(value));
+  } catch (error) {
+    /* Ignore storage access issues */
+  }
+  return value;
+}
@@ -0,0 +1,21 @@
+/**
+ * Display formatting helpers shared by the UI modules.
+ */
+
+/**
+ * Formats a byte count with a binary unit (`B`, `KB`, `MB`, `GB`).
+ *
+ * @param {number} bytes - Size in bytes.
+ * @returns {string} Human readable size, e.g. `12.4 MB`.
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.max(Number(bytes) || 0, 0);
+  let unitIndex = 0;
+  while (value >= 1024 && unitIndex < units.length - 1) {
+    value /= 1024;
+    unitIndex += 1;
+  }
+  const digits = unitIndex === 0 || value >= 100 ? 0 : 1;
+  return `${value.toFixed(digits)} ${units[unitIndex]}`;
+}
@@ -0,0 +1,153 @@
+/**
+ * Serialises digitised landmark sets in the formats geometric morphometrics
+ * software reads: TPS (3D `LM3=` blocks, read by MorphoJ and geomorph),
+ * Morphologika and a flat CSV. TPS and Morphologika have no notation for a
+ * missing landmark, so they take complete sets only.
+ */
+import { formatCsv } from './csv.js';
+
+export const LANDMARK_FORMATS = Object.freeze({
+  tps: { label: 'TPS', extension: 'tps', mimeType: 'text/plain', requiresComplete: true },
+  morphologika: { label: 'Morphologika', extension: 'txt', mimeType: 'text/plain', requiresComplete: true },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', requiresComplete: false },
+});
+
+// Coordinates are written to a micrometre when the unit is the centimetre.
+const COORDINATE_DIGITS = 4;
+
+/**
+ * @typedef {object} LandmarkSet
+ * @property {{name: string, datasetId?: string|null, modelFileId?: string|null}} specimen
+ * @property {{name: string, element?: string}|null} template - Null for free landmarks.
+ * @property {string} unit - Unit of the coordinates.
+ * @property {{id: string, label: string, position: number[]|null}[]} landmarks - In template
+ *   order; `position` is null for a landmark not placed yet.
+ */
+
+/**
+ * Tells whether every landmark of a set has been placed.
+ *
+ * @param {LandmarkSet} set
+ * @returns {boolean}
+ */
+export function isLandmarkSetComplete(set) {
+  return set.landmarks.length > 0 && set.landmarks.every((landmark) => Array.isArray(landmark.position));
+}
+
+function formatCoordinates(position) {
+  return position.map((value) => value.toFixed(COORDINATE_DIGITS)).join(' ');
+}
+
+// Names end up on a single line of the plain-text formats.
+function singleLine(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function assertComplete(sets, label) {
+  sets.forEach((set) => {
+    if (!isLandmarkSetComplete(set)) {
+      throw new Error(`${label} export needs every landmark of ${set.specimen.name} placed`);
+    }
+  });
+}
+
+function formatTps(sets) {
+  return sets
+    .map((set) =>
+      [
+        `LM3=${set.landmarks.length}`,
+        ...set.landmarks.map((landmark) => formatCoordinates(landmark.position)),
+        `ID=${singleLine(set.specimen.name)}`,
+      ].join('\n')
+    )
+    .join('\n')
+    .concat('\n');
+}
+
+function formatMorphologika(sets) {
+  const count = sets[0].landmarks.length;
+  if (sets.some((set) => set.landmarks.length !== count)) {
+    throw new Error('Morphologika export needs the same number of landmarks for every specimen');
+  }
+  const names = sets.map((set) => singleLine(set.specimen.name));
+  return [
+    '[individuals]',
+    String(sets.length),
+    '[landmarks]',
+    String(count),
+    '[dimensions]',
+    '3',
+    '[names]',
+    ...names,
+    '[rawpoints]',
+    ...sets.flatMap((set, index) => [
+      `'#${names[index]}`,
+      ...set.landmarks.map((landmark) => formatCoordinates(landmark.position)),
+    ]),
+  ]
+    .join('\n')
+    .concat('\n');
+}
+
+function formatLandmarkCsv(sets) {
+  const columns = [
+    'specimen',
+    'datasetId',
+    'modelFileId',
+    'template',
+    'element',
+    'index',
+    'landmarkId',
+    'label',
+    'x',
+    'y',
+    'z',
+    'unit',
+  ];
+  const rows = sets.flatMap((set) =>
+    set.landmarks.map((landmark, index) => [
+      set.specimen.name,
+      set.specimen.datasetId,
+      set.specimen.modelFileId,
+      set.template?.name,
+      set.template?.element,
+      index + 1,
+      landmark.id,
+      landmark.label,
+      ...(landmark.position
+        ? landmark.position.map((value) => value.toFixed(COORDINATE_DIGITS))
+        : ['', '', '']),
+      set.unit,
+    ])
+  );
+  return formatCsv({ columns, rows });
+}
+
+const FORMATTERS = {
+  tps: formatTps,
+  morphologika: formatMorphologika,
+  csv: formatLandmarkCsv,
+};
+
+/**
+ * Writes landmark sets in one of `LANDMARK_FORMATS`.
+ *
+ * @param {keyof typeof LANDMARK_FORMATS} format
+ * @param {LandmarkSet[]} sets - One set per specimen.
+ * @returns {string}
+ * @throws {Error} For an unknown format, no sets, or an incomplete set in a
+ *   format that needs complete ones.
+ */
+export function formatLandmarks(format, sets) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unknown landmark format: ${format}`);
+  }
+  if (!sets.length) {
+    throw new Error('No landmark set to export');
+  }
+  if (LANDMARK_FORMATS[format].requiresComplete) {
+    assertComplete(sets, LANDMARK_FORMATS[format].label);
+  }
+  return formatter(sets);
+}
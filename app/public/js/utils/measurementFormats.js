@@ -0,0 +1,180 @@
+/**
+ * Measurement sets: the measurements taken on one model, with the specimen
+ * they belong to. The JSON form can be imported again to restore them, and
+ * is also what the viewer keeps per specimen in local storage:
+ *
+ *   {
+ *     "format": "cor-iphes-measurements",
+ *     "version": 1,
+ *     "specimen": { "name": "…", "datasetId": "doi:…", "modelFileId": "…" },
+ *     "coordinateUnit": "cm",
+ *     "measurements": [
+ *       { "type": "distance", "name": "Max length", "note": "", "points": [[x, y, z], [x, y, z]], "value": 12.3, "unit": "cm" }
+ *     ]
+ *   }
+ *
+ * Points are in model coordinates, those of the published file. Surface paths
+ * also give `straightSegments`, the number of their segments measured as a
+ * straight chord because no route over the surface joined the two points. The
+ * CSV form has one row per measurement, for spreadsheets and statistics
+ * software.
+ */
+import { formatCsv } from './csv.js';
+
+export const MEASUREMENT_SET_FORMAT = 'cor-iphes-measurements';
+
+export const MEASUREMENT_SET_VERSION = 1;
+
+const COORDINATE_DIGITS = 4;
+
+/**
+ * @typedef {object} MeasurementSet
+ * @property {string} format - `MEASUREMENT_SET_FORMAT`.
+ * @property {number} version
+ * @property {{name: string, datasetId: string|null, modelFileId: string|null}} specimen
+ * @property {string} coordinateUnit
+ * @property {object[]} measurements - Records as given by
+ *   `viewerApi.getMeasurementRecords()`, without their session ids.
+ */
+
+/**
+ * Puts measurement records together with their specimen.
+ *
+ * @param {object} input
+ * @param {{name?: string, datasetId?: string|null, modelFileId?: string|null}} input.specimen
+ * @param {object[]} input.measurements
+ * @param {string} [input.coordinateUnit='cm']
+ * @returns {MeasurementSet}
+ */
+export function buildMeasurementSet({ specimen, measurements, coordinateUnit = 'cm' }) {
+  return {
+    format: MEASUREMENT_SET_FORMAT,
+    version: MEASUREMENT_SET_VERSION,
+    specimen: {
+      name: specimen?.name || '',
+      datasetId: specimen?.datasetId ?? null,
+      modelFileId: specimen?.modelFileId ?? null,
+    },
+    coordinateUnit,
+    // Session ids would clash with those of the measurements taken after a restore.
+    measurements: measurements.map(({ id, ...record }) => record),
+  };
+}
+
+/**
+ * Reads a measurement set written by `buildMeasurementSet`.
+ *
+ * @param {string} text - JSON.
+ * @returns {MeasurementSet}
+ * @throws {Error} When the text is not JSON, not a measurement set, or from a
+ *   later version.
+ */
+export function parseMeasurementSet(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Measurement file is not valid JSON: ${error.message}`);
+  }
+  if (parsed?.format !== MEASUREMENT_SET_FORMAT || !Array.isArray(parsed.measurements)) {
+    throw new Error('Not a measurement file');
+  }
+  if (!(parsed.version <= MEASUREMENT_SET_VERSION)) {
+    throw new Error(`Unsupported measurement file version: ${parsed.version}`);
+  }
+  const measurements = parsed.measurements.map((record) => ({
+    ...record,
+    name: typeof record?.name === 'string' ? record.name : '',
+    note: typeof record?.note === 'string' ? record.note : '',
+  }));
+  return buildMeasurementSet({
+    specimen: parsed.specimen,
+    measurements,
+    coordinateUnit: parsed.coordinateUnit || 'cm',
+  });
+}
+
+/**
+ * Tells whether a set was taken on the given model. A set or model that does
+ * not name its dataset and file matches any.
+ *
+ * @param {MeasurementSet} set
+ * @param {{datasetId?: string|null, modelFileId?: string|null}} specimen
+ * @returns {boolean}
+ */
+export function isMeasurementSetFor(set, specimen) {
+  const { datasetId, modelFileId } = set.specimen;
+  if (!datasetId || !modelFileId || !specimen?.datasetId || !specimen?.modelFileId) {
+    return true;
+  }
+  return datasetId === specimen.datasetId && String(modelFileId) === String(specimen.modelFileId);
+}
+
+/**
+ * Writes a set as pretty-printed JSON.
+ *
+ * @param {MeasurementSet} set
+ * @returns {string}
+ */
+export function formatMeasurementSetJson(set) {
+  return `${JSON.stringify(set, null, 2)}\n`;
+}
+
+function formatNumber(value) {
+  return Number.isFinite(value) ? value.toFixed(COORDINATE_DIGITS) : '';
+}
+
+/**
+ * Writes a set as CSV, one row per measurement. The first and last picked
+ * points fill the start and end columns; `points` lists them all as
+ * `x y z` triples separated by semicolons. Areas have no points, and only
+ * surface paths fill `straightSegments`.
+ *
+ * @param {MeasurementSet} set
+ * @returns {string}
+ */
+export function formatMeasurementSetCsv(set) {
+  const columns = [
+    'specimen',
+    'datasetId',
+    'modelFileId',
+    'index',
+    'name',
+    'type',
+    'value',
+    'unit',
+    'startX',
+    'startY',
+    'startZ',
+    'endX',
+    'endY',
+    'endZ',
+    'points',
+    'coordinateUnit',
+    'straightSegments',
+    'note',
+  ];
+  const { specimen } = set;
+  const rows = set.measurements.map((record, index) => {
+    const points = record.points || [];
+    const start = points[0] || [];
+    const end = points.length > 1 ? points[points.length - 1] : [];
+    return [
+      specimen.name,
+      specimen.datasetId,
+      specimen.modelFileId,
+      index + 1,
+      record.name,
+      record.type,
+      formatNumber(record.value),
+      record.unit,
+      ...[0, 1, 2].map((axis) => formatNumber(start[axis])),
+      ...[0, 1, 2].map((axis) => formatNumber(end[axis])),
+      points.map((point) => point.map(formatNumber).join(' ')).join('; '),
+      points.length ? set.coordinateUnit : '',
+      record.type === 'geodesic' ? record.straightSegments ?? '' : '',
+      record.note,
+    ];
+  });
+  return formatCsv({ columns, rows });
+}
@@ -0,0 +1,79 @@
+/**
+ * Measurement sets kept in local storage, one per specimen model, so that
+ * measurements reappear when the model is opened again.
+ */
+import { buildMeasurementSet, parseMeasurementSet } from './measurementFormats.js';
+
+export const MEASUREMENT_STORAGE_PREFIX = 'viewer.measurements:';
+
+// Sets are keyed by dataset and model file; a model missing either is not kept.
+function getStorageKey(specimen) {
+  if (!specimen?.datasetId || !specimen?.modelFileId) {
+    return null;
+  }
+  return `${MEASUREMENT_STORAGE_PREFIX}${specimen.datasetId}:${specimen.modelFileId}`;
+}
+
+/**
+ * Reads the measurements kept for a model.
+ *
+ * @param {{datasetId: string|null, modelFileId: string|null}} specimen
+ * @returns {object[]} Measurement records; empty when none are kept.
+ */
+export function loadStoredMeasurements(specimen) {
+  const key = getStorageKey(specimen);
+  if (!key) {
+    return [];
+  }
+  try {
+    const stored = globalThis.localStorage?.getItem(key);
+    return stored ? parseMeasurementSet(stored).measurements : [];
+  } catch (error) {
+    console.warn('Ignoring unreadable stored measurements', error);
+    return [];
+  }
+}
+
+/**
+ * Keeps the measurements of a model, replacing those kept before. An empty
+ * list forgets them.
+ *
+ * @param {{name?: string, datasetId: string|null, modelFileId: string|null}} specimen
+ * @param {object[]} measurements - Records from `viewerApi.getMeasurementRecords()`.
+ * @returns {boolean} False when the model cannot be keyed or storage is full
+ *   or unavailable.
+ */
+export function storeMeasurements(specimen, measurements) {
+  const key = getStorageKey(specimen);
+  if (!key) {
+    return false;
+  }
+  if (!measurements.length) {
+    removeStoredMeasurements(specimen);
+    return true;
+  }
+  try {
+    globalThis.localStorage?.setItem(key, JSON.stringify(buildMeasurementSet({ specimen, measurements })));
+    return true;
+  } catch (error) {
+    console.warn('Failed to store measurements', error);
+    return false;
+  }
+}
+
+/**
+ * Forgets the measurements kept for a model.
+ *
+ * @param {{datasetId: string|null, modelFileId: string|null}} specimen
+ */
+export function removeStoredMeasurements(specimen) {
+  const key = getStorageKey(specimen);
+  if (!key) {
+    return;
+  }
+  try {
+    globalThis.localStorage?.removeItem(key);
+  } catch (error) {
+    /* Ignore storage access issues */
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Typed errors for network requests. Each carries a `reason` that the UI maps
+ * to a translated message, and the transient ones are retried by
+ * `fetchWithRetry`.
+ */
+
+// Statuses worth retrying: timeouts, rate limiting and temporary server failures.
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Tells whether the browser reports that it has no network connection.
+ *
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return globalThis.navigator?.onLine === false;
+}
+
+/**
+ * Error raised when a request could not reach the server or its body stopped
+ * arriving. `reason` is `offline` when the browser reports no connection.
+ */
+export class NetworkError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url - Requested URL.
+   * @param {boolean} [details.offline] - Whether the browser was offline.
+   * @param {unknown} [details.cause] - Underlying error.
+   */
+  constructor({ url, offline = isOffline(), cause } = {}) {
+    super(`${offline ? 'Offline' : 'Network error'} while requesting ${url}`, { cause });
+    this.name = 'NetworkError';
+    this.reason = offline ? 'offline' : 'network';
+    this.url = url;
+    this.retryable = true;
+  }
+}
+
+/**
+ * Error raised for a response with a failing HTTP status.
+ * `reason` is `not-found` (404/410), `server-error` (5xx) or `http-status`.
+ */
+export class HttpStatusError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} details.url - Requested URL.
+   * @param {number} details.status - HTTP status.
+   * @param {number|null} [details.retryAfter] - Delay requested by `Retry-After`, in ms.
+   */
+  constructor({ url, status, retryAfter = null }) {
+    super(`Request failed (${status}) for ${url}`);
+    this.name = 'HttpStatusError';
+    if (status === 404 || status === 410) {
+      this.reason = 'not-found';
+    } else if (status >= 500) {
+      this.reason = 'server-error';
+    } else {
+      this.reason = 'http-status';
+    }
+    this.url = url;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = RETRYABLE_STATUSES.has(status);
+  }
+}
+
+/**
+ * Error raised when a payload was received but could not be decoded.
+ */
+export class ParseError extends Error {
+  /**
+   * @param {object} details
+   * @param {string} [details.url] - Resource URL.
+   * @param {string} [details.format] - Expected format (`json`, `obj`, `glb`…).
+   * @param {unknown} [details.cause] - Underlying error.
+   */
+  constructor({ url = '', format = 'data', cause } = {}) {
+    super(`Failed to parse ${format}${url ? ` from ${url}` : ''}`, { cause });
+    this.name = 'ParseError';
+    this.reason = 'parse';
+    this.url = url;
+    this.format = format;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Error raised when a request is cancelled. Its `name` stays `AbortError`, so
+ * `isAbortError` recognises it like a native abort.
+ */
+export class AbortedError extends Error {
+  /**
+   * @param {object} [details]
+   * @param {string} [details.url] - Requested URL, when known.
+   * @param {unknown} [details.cause] - Underlying error.
+   */
+  constructor({ url = '', cause } = {}) {
+    super(url ? `Request aborted for ${url}` : 'The operation was aborted', { cause });
+    this.name = 'AbortError';
+    this.reason = 'aborted';
+    this.url = url;
+    this.retryable = false;
+  }
+}
+
+/**
+ * Converts an exception thrown by `fetch` or a body reader into a typed error.
+ * Typed errors pass through unchanged.
+ *
+ * @param {unknown} error - Caught error.
+ * @param {string} url - Requested URL.
+ * @returns {Error}
+ */
+export function toNetworkError(error, url) {
+  if (
+    error instanceof NetworkError ||
+    error instanceof HttpStatusError ||
+    error instanceof ParseError ||
+    error instanceof AbortedError
+  ) {
+    return error;
+  }
+  if (error?.name === 'AbortError') {
+    return new AbortedError({ url, cause: error });
+  }
+  return new NetworkError({ url, cause: error });
+}
@@ -0,0 +1,91 @@
+/**
+ * Performance profile of the viewer. `high` always shows models as
+ * published; `low` simplifies meshes and downsizes textures for display;
+ * `auto` picks `low` on devices that report little memory, a small screen or
+ * no float textures. The profile is a user preference kept in local storage.
+ */
+export const PERFORMANCE_PROFILE_STORAGE_KEY = 'viewer.performanceProfile';
+
+export const PERFORMANCE_PROFILES = Object.freeze(['auto', 'high', 'low']);
+
+export const DEFAULT_PERFORMANCE_PROFILE = 'auto';
+
+// Thresholds below which `auto` treats the device as low-end.
+const LOW_DEVICE_MEMORY_GB = 2;
+const SMALL_SCREEN_PX = 600;
+
+/**
+ * Reads the stored profile.
+ *
+ * @returns {'auto'|'high'|'low'} Stored profile, `auto` when none is stored.
+ */
+export function getPerformanceProfile() {
+  try {
+    const stored = globalThis.localStorage?.getItem(PERFORMANCE_PROFILE_STORAGE_KEY);
+    if (PERFORMANCE_PROFILES.includes(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    /* Ignore storage access issues */
+  }
+  return DEFAULT_PERFORMANCE_PROFILE;
+}
+
+/**
+ * Stores the profile.
+ *
+ * @param {string} profile - One of `PERFORMANCE_PROFILES`; anything else stores `auto`.
+ * @returns {'auto'|'high'|'low'} Stored profile.
+ */
+export function setPerformanceProfile(profile) {
+  const value = PERFORMANCE_PROFILES.includes(profile) ? profile : DEFAULT_PERFORMANCE_PROFILE;
+  try {
+    globalThis.localStorage?.setItem(PERFORMANCE_PROFILE_STORAGE_KEY, value);
+  } catch (error) {
+    /* Ignore storage access issues */
+  }
+  return value;
+}
+
+/**
+ * Lists the reasons a device counts as low-end.
+ *
+ * @param {object} [environment]
+ * @param {Navigator} [environment.navigatorRef] - Reports `deviceMemory` (GB) where supported.
+ * @param {Screen} [environment.screenRef] - Screen size in CSS pixels.
+ * @param {THREE.WebGLRenderer} [environment.renderer] - Renderer whose capabilities are checked.
+ * @returns {Array<'memory'|'screen'|'float-textures'>} Empty on capable devices.
+ */
+export function detectLowEndDevice({
+  navigatorRef = globalThis.navigator,
+  screenRef = globalThis.screen,
+  renderer = null,
+} = {}) {
+  const reasons = [];
+  const memory = Number(navigatorRef?.deviceMemory);
+  if (Number.isFinite(memory) && memory > 0 && memory <= LOW_DEVICE_MEMORY_GB) {
+    reasons.push('memory');
+  }
+  const shortSide = Math.min(Number(screenRef?.width) || Infinity, Number(screenRef?.height) || Infinity);
+  if (shortSide < SMALL_SCREEN_PX) {
+    reasons.push('screen');
+  }
+  if (renderer?.capabilities && renderer.capabilities.floatFragmentTextures === false) {
+    reasons.push('float-textures');
+  }
+  return reasons;
+}
+
+/**
+ * Resolves `auto` to the profile that applies on this device.
+ *
+ * @param {string} profile - Stored profile.
+ * @param {object} [environment] - See `detectLowEndDevice`.
+ * @returns {'high'|'low'}
+ */
+export function resolvePerformanceProfile(profile, environment = {}) {
+  if (profile === 'high' || profile === 'low') {
+    return profile;
+  }
+  return detectLowEndDevice(environment).length ? 'low' : 'high';
+}
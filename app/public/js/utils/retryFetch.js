@@ -0,0 +1,312 @@
+/**
+ * Retrying GET requests. Transient failures (network errors, timeouts, rate
+ * limiting, 5xx) are retried with exponential backoff; while the browser is
+ * offline the next attempt waits for the connection to come back. Downloads
+ * interrupted mid-body resume from the received byte offset with a Range
+ * request instead of starting over.
+ */
+import { createAccessDeniedError, isAccessDeniedStatus } from './authFetch.js';
+import {
+  AbortedError,
+  HttpStatusError,
+  NetworkError,
+  isOffline,
+  toNetworkError,
+} from './networkErrors.js';
+
+export const DEFAULT_RETRY_OPTIONS = Object.freeze({
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+  // Longest wait for the browser to report the connection back.
+  offlineTimeout: 30000,
+});
+
+/**
+ * Reads a `Retry-After` header.
+ *
+ * @param {Response} response
+ * @returns {number|null} Delay in milliseconds.
+ */
+function parseRetryAfter(response) {
+  const value = response.headers?.get?.('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes the wait before retry number `attempt` (1-based): exponential
+ * backoff with jitter, or the server's `Retry-After` when it asks for longer.
+ *
+ * @param {number} attempt
+ * @param {Error} error - Failure being retried.
+ * @param {{baseDelay: number, maxDelay: number}} options
+ * @returns {number} Delay in milliseconds.
+ */
+export function getRetryDelay(attempt, error, { baseDelay, maxDelay }) {
+  const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  const jittered = backoff / 2 + Math.random() * (backoff / 2);
+  const requested = error?.retryAfter ?? 0;
+  return Math.min(Math.max(jittered, requested), maxDelay * 4);
+}
+
+/**
+ * Resolves after `delay` ms, or once the browser is back online when it is
+ * offline. Rejects when the signal aborts.
+ *
+ * @returns {Promise<void>}
+ * @throws {NetworkError} When the connection does not return within `offlineTimeout`.
+ */
+function waitBeforeRetry(delay, { signal, offlineTimeout, url }) {
+  const offline = isOffline();
+  return new Promise((resolve, reject) => {
+    const target = globalThis;
+    let timer = null;
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener?.('abort', onAbort);
+      target.removeEventListener?.('online', onOnline);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(new AbortedError({ url }));
+    };
+    const onOnline = () => {
+      cleanup();
+      resolve();
+    };
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener?.('abort', onAbort, { once: true });
+    if (offline && typeof target.addEventListener === 'function') {
+      target.addEventListener('online', onOnline, { once: true });
+      timer = setTimeout(() => {
+        cleanup();
+        reject(new NetworkError({ url, offline: true }));
+      }, offlineTimeout);
+      return;
+    }
+    timer = setTimeout(onOnline, delay);
+  });
+}
+
+/**
+ * Issues one request and turns failures into typed errors.
+ *
+ * @returns {Promise<Response>} OK (2xx) response.
+ */
+async function fetchOnce(fetchImpl, url, init) {
+  let response;
+  try {
+    response = await fetchImpl(url, init);
+  } catch (error) {
+    throw toNetworkError(error, url);
+  }
+  if (!response) {
+    throw new NetworkError({ url });
+  }
+  if (isAccessDeniedStatus(response.status)) {
+    throw createAccessDeniedError(fetchImpl, url, response.status);
+  }
+  if (!response.ok) {
+    throw new HttpStatusError({
+      url,
+      status: response.status,
+      retryAfter: parseRetryAfter(response),
+    });
+  }
+  return response;
+}
+
+/**
+ * Runs `attempt` until it succeeds, a non-retryable error occurs or the
+ * retries are exhausted.
+ *
+ * @template T
+ * @param {(attemptIndex: number) => Promise<T>} attempt
+ * @param {object} options - Merged retry options plus `signal`, `url` and `onRetry`.
+ * @returns {Promise<T>}
+ */
+async function runWithRetries(attempt, options) {
+  const { retries, signal, url, onRetry } = options;
+  for (let index = 0; ; index += 1) {
+    try {
+      return await attempt(index);
+    } catch (caught) {
+      const error = toNetworkError(caught, url);
+      if (signal?.aborted) {
+        throw error instanceof AbortedError ? error : new AbortedError({ url, cause: error });
+      }
+      if (!error.retryable || index >= retries) {
+        throw error;
+      }
+      const delay = getRetryDelay(index + 1, error, options);
+      if (typeof onRetry === 'function') {
+        try {
+          onRetry({ url, attempt: index + 1, retries, delay, error, reason: error.reason });
+        } catch (callbackError) {
+          console.warn('Retry callback failed', callbackError);
+        }
+      }
+      await waitBeforeRetry(delay, options);
+    }
+  }
+}
+
+/**
+ * GETs a resource, retrying transient failures. With `read`, the body is
+ * consumed inside each attempt, so a body cut off mid-way retries the request.
+ *
+ * @param {Function} fetchImpl - Fetch implementation.
+ * @param {string} url - Resource URL.
+ * @param {object} [options]
+ * @param {RequestInit} [options.init] - Extra request options; only GET/HEAD are retried.
+ * @param {AbortSignal} [options.signal] - Cancels the request and pending waits.
+ * @param {number} [options.retries=3] - Retries after the first attempt.
+ * @param {number} [options.baseDelay=500] - First backoff delay, in ms.
+ * @param {number} [options.maxDelay=8000] - Longest backoff delay, in ms.
+ * @param {(info: {url: string, attempt: number, retries: number, delay: number, error: Error, reason: string}) => void} [options.onRetry]
+ *   Called before each wait.
+ * @param {(response: Response) => Promise<any>} [options.read] - Reads the body.
+ * @returns {Promise<any>} OK response, or the result of `read`.
+ * @throws {NetworkError|HttpStatusError|AbortedError} Typed failure.
+ */
+export async function fetchWithRetry(fetchImpl, url, { init, signal, read, ...overrides } = {}) {
+  const method = (init?.method || 'GET').toUpperCase();
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...overrides, signal, url };
+  if (method !== 'GET' && method !== 'HEAD') {
+    options.retries = 0;
+  }
+  const requestInit = signal ? { ...init, signal } : init;
+  return runWithRetries(async () => {
+    const response = await fetchOnce(fetchImpl, url, requestInit);
+    return typeof read === 'function' ? read(response) : response;
+  }, options);
+}
+
+/**
+ * Parses `Content-Range: bytes start-end/total`.
+ *
+ * @param {Response} response
+ * @returns {{start: number, total: number|null}|null}
+ */
+function parseContentRange(response) {
+  const match = /^bytes\s+(\d+)-\d+\/(\d+|\*)$/i.exec(response.headers?.get?.('content-range') || '');
+  if (!match) return null;
+  return { start: Number(match[1]), total: match[2] === '*' ? null : Number(match[2]) };
+}
+
+/**
+ * Downloads a resource into memory, reporting progress. Transient failures are
+ * retried; when the connection drops after some bytes arrived, the next attempt
+ * asks for the remainder only (`Range`) and starts over if the server ignores
+ * the range. `If-Range` is not sent: it is not a CORS-safelisted header, and
+ * published checksums already catch a file replaced between attempts.
+ *
+ * @param {Function} fetchImpl - Fetch implementation.
+ * @param {string} url - Resource URL.
+ * @param {object} [options] - Retry options of `fetchWithRetry`, plus:
+ * @param {(ratio: number) => void} [options.onProgress] - Receives a 0-1 ratio.
+ * @param {(chunk: Uint8Array, offset: number) => void} [options.onChunk] - Receives each
+ *   chunk with its byte offset. An offset of 0 after earlier chunks means the
+ *   download started over. The chunk must not be modified or transferred.
+ * @returns {Promise<Uint8Array>} Downloaded bytes.
+ */
+export async function fetchBytesWithResume(
+  fetchImpl,
+  url,
+  { onProgress, onChunk, signal, ...overrides } = {}
+) {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...overrides, signal, url };
+  const reportProgress = (ratio) => {
+    if (typeof onProgress === 'function') {
+      onProgress(ratio);
+    }
+  };
+  const reportChunk = (chunk, offset) => {
+    if (typeof onChunk === 'function') {
+      onChunk(chunk, offset);
+    }
+  };
+
+  let chunks = [];
+  let received = 0;
+  let totalBytes = 0;
+
+  const attempt = async () => {
+    const headers = new Headers();
+    if (received > 0) {
+      headers.set('Range', `bytes=${received}-`);
+    }
+    const init = { headers };
+    if (signal) init.signal = signal;
+    const response = await fetchOnce(fetchImpl, url, init);
+
+    const range = response.status === 206 ? parseContentRange(response) : null;
+    if (received > 0 && response.status !== 206) {
+      // The server ignored the range and sent the whole file: start over.
+      chunks = [];
+      received = 0;
+    } else if (received > 0 && range?.start !== received) {
+      chunks = [];
+      received = 0;
+      response.body?.cancel?.().catch(() => {});
+      throw new NetworkError({ url });
+    }
+    const lengthHeader = Number(response.headers?.get?.('content-length')) || 0;
+    totalBytes = range?.total ?? (lengthHeader ? received + lengthHeader : 0);
+    // Byte offsets of a compressed transfer do not match the decoded bytes.
+    const encoding = response.headers?.get?.('content-encoding');
+    const resumable = !encoding || encoding === 'identity';
+
+    try {
+      if (!response.body || typeof response.body.getReader !== 'function') {
+        const buffer = new Uint8Array(await response.arrayBuffer());
+        chunks.push(buffer);
+        reportChunk(buffer, received);
+        received += buffer.length;
+        return;
+      }
+
+      const reader = response.body.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+        if (value) {
+          chunks.push(value);
+          reportChunk(value, received);
+          received += value.length;
+          if (totalBytes > 0) {
+            reportProgress(Math.min(received / totalBytes, 1));
+          }
+        }
+      }
+    } catch (error) {
+      if (!resumable) {
+        chunks = [];
+        received = 0;
+      }
+      throw error;
+    }
+  };
+
+  await runWithRetries(attempt, options);
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  reportProgress(1);
+  return bytes;
+}
@@ -0,0 +1,74 @@
+import { AbortedError } from './networkErrors.js';
+
+/**
+ * Creates the error thrown when an operation is cancelled through an AbortSignal.
+ *
+ * @param {AbortSignal} [signal] - Signal carrying an optional abort reason.
+ * @returns {Error} Error whose `name` is `AbortError`.
+ */
+export function createAbortError(signal) {
+  if (signal?.reason instanceof Error && signal.reason.name === 'AbortError') {
+    return signal.reason;
+  }
+  return new AbortedError();
+}
+
+/**
+ * Throws an AbortError when the signal has been aborted.
+ *
+ * @param {AbortSignal} [signal] - Signal to inspect.
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Tells whether an error was produced by an aborted operation.
+ *
+ * @param {unknown} error - Caught error.
+ * @returns {boolean} True for AbortError instances.
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` tasks in flight.
+ * Results keep the input order even though tasks may settle out of order.
+ * The pool stops picking new items once the signal is aborted and rejects
+ * with an AbortError; a worker rejection rejects the pool as well.
+ *
+ * @template T, R
+ * @param {T[]} items - Items to process.
+ * @param {(item: T, index: number) => Promise<R>} worker - Async task per item.
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Maximum number of concurrent tasks.
+ * @param {AbortSignal} [options.signal] - Cancels the remaining work.
+ * @returns {Promise<R[]>} Results in input order.
+ */
+export async function runTaskPool(items, worker, { concurrency = 4, signal } = {}) {
+  throwIfAborted(signal);
+  const list = Array.isArray(items) ? items : [];
+  const results = new Array(list.length);
+  const limit = Math.max(1, Math.min(Math.floor(concurrency) || 1, list.length || 1));
+  let nextIndex = 0;
+
+  const runLane = async () => {
+    while (nextIndex < list.length) {
+      throwIfAborted(signal);
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(list[index], index);
+    }
+  };
+
+  const lanes = [];
+  for (let lane = 0; lane < limit; lane += 1) {
+    lanes.push(runLane());
+  }
+  await Promise.all(lanes);
+  throwIfAborted(signal);
+  return results;
+}